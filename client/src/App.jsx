@@ -9,6 +9,9 @@ import TasksPage from './pages/tasks/TasksPage';
 import Analytics from './pages/analytics/Analytics';
 import Teams from './pages/Teams';
 import Settings from './pages/Settings';
+import RealtimeSync from './components/common/RealtimeSync';
+import UndoToast from './components/common/UndoToast';
+import CommandPalette from './components/common/CommandPalette';
 import { useTheme } from './ThemeContext.jsx';
 
 
@@ -28,6 +31,9 @@ function App() {
   const { theme } = useTheme();
   return (
     <div className={`app-root min-h-screen w-screen ${theme === 'dark' ? 'dark' : ''}`}>
+      <RealtimeSync />
+      <UndoToast />
+      <CommandPalette />
       <Routes>
         {/* Public routes */}
         <Route 
@@ -1,9 +1,79 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
 import { useTheme } from '../../ThemeContext.jsx';
 
-const ActivityFeed = ({ activities = [] }) => {
+const ACTION_ICONS = {
+  created: '➕',
+  updated: '✏️',
+  archived: '🗂️',
+  restored: '♻️',
+  assigned: '👤',
+  unassigned: '👤',
+  reassigned: '🔄',
+  deleted: '🗑️',
+  purged: '❌',
+  reverted: '↩️'
+};
+
+const FIELD_LABELS = {
+  assignedTo: 'assignee',
+  dueDate: 'due date',
+  workflowStatus: 'column',
+  isArchived: 'archived',
+  completedAt: 'completed at'
+};
+
+const PLAIN_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'workflowStatus', 'isArchived'];
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return 'none';
+  if (field === 'dueDate') return new Date(value).toLocaleDateString();
+  return String(value);
+};
+
+// Describe an update entry's changes, e.g. "priority: low → high"
+const describeChanges = (activity) => {
+  if (activity.changes.some(c => c.field === 'status' && c.after === 'completed')) return 'marked completed';
+  return activity.changes
+    .filter(change => change.field !== 'completedAt')
+    .map(change => {
+      const label = FIELD_LABELS[change.field] || change.field;
+      if (!PLAIN_FIELDS.includes(change.field)) return `${label} changed`;
+      return `${label}: ${formatValue(change.field, change.before)} → ${formatValue(change.field, change.after)}`;
+    })
+    .join(', ');
+};
+
+const ActivityFeed = ({ taskId = null, teamId = null, limit = 10, title = 'Recent Activity' }) => {
   const { theme } = useTheme();
   const borderColor = theme === 'dark' ? '#4b5563' : '#d1d5db';
+  const [activities, setActivities] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const url = taskId
+    ? `/tasks/${taskId}/activity`
+    : teamId ? `/tasks/team/${teamId}/activity` : '/tasks/activity/me';
+
+  const loadPage = useCallback(async (page) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await api.get(`${url}?page=${page}&limit=${limit}`);
+      setActivities(prev => (page === 1 ? response.data.activities : [...prev, ...response.data.activities]));
+      setPagination(response.data.pagination);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load activity');
+    } finally {
+      setLoading(false);
+    }
+  }, [url, limit]);
+
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
+
   return (
     <div style={{
       background: 'white',
@@ -16,22 +86,47 @@ const ActivityFeed = ({ activities = [] }) => {
       width: '100%',
       minHeight: 180,
     }}>
-      <h3 style={{ color: 'var(--info)', fontWeight: 700, marginBottom: 16 }}>Recent Activity</h3>
+      <h3 style={{ color: 'var(--info)', fontWeight: 700, marginBottom: 16 }}>{title}</h3>
       <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
-        {activities.length === 0 && (
+        {!loading && !error && activities.length === 0 && (
           <li style={{ color: 'var(--dark)', fontSize: 15, opacity: 0.7 }}>No recent activity.</li>
         )}
-        {activities.map((a, idx) => (
-          <li key={idx} style={{ display: 'flex', alignItems: 'center', marginBottom: 14, fontSize: 15, color: 'var(--dark)' }}>
-            <span style={{ fontSize: 20, marginRight: 12 }}>{a.icon}</span>
-            <span style={{ fontWeight: 600, marginRight: 8 }}>{a.task}</span>
-            <span style={{ color: 'var(--primary)', marginRight: 8 }}>{a.action}</span>
-            <span style={{ color: 'var(--dark)', opacity: 0.6, fontSize: 13 }}>{a.time}</span>
+        {error && (
+          <li style={{ color: 'var(--danger, #dc2626)', fontSize: 15 }}>{error}</li>
+        )}
+        {activities.map(a => (
+          <li key={a._id} style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', marginBottom: 14, fontSize: 15, color: 'var(--dark)' }}>
+            <span style={{ fontSize: 20, marginRight: 12 }}>{ACTION_ICONS[a.action] || '•'}</span>
+            {!taskId && <span style={{ fontWeight: 600, marginRight: 8 }}>{a.taskTitle}</span>}
+            <span style={{ color: 'var(--primary)', marginRight: 8 }}>
+              {a.action === 'updated' ? describeChanges(a) : a.action}
+            </span>
+            {a.actor?.name && (
+              <span style={{ marginRight: 8, opacity: 0.8 }}>by {a.actor.name}</span>
+            )}
+            <span style={{ color: 'var(--dark)', opacity: 0.6, fontSize: 13 }}>{new Date(a.createdAt).toLocaleString()}</span>
           </li>
         ))}
       </ul>
+      {pagination?.hasNext && (
+        <button
+          onClick={() => loadPage(pagination.currentPage + 1)}
+          disabled={loading}
+          style={{
+            background: 'none',
+            border: `1px solid ${borderColor}`,
+            borderRadius: 8,
+            padding: '6px 14px',
+            cursor: loading ? 'default' : 'pointer',
+            color: 'var(--primary)',
+            fontWeight: 600
+          }}
+        >
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
     </div>
   );
 };
 
-export default ActivityFeed; 
\ No newline at end of file
+export default ActivityFeed;
@@ -21,12 +21,13 @@ const PeakPerformanceHours = ({ hourlyData }) => {
   const { theme } = useTheme();
   const borderColor = theme === 'dark' ? '#4b5563' : '#d1d5db';
   if (!hourlyData || hourlyData.length !== 24) return null;
+  const hasData = hourlyData.some(hours => hours > 0);
   const maxHour = hourlyData.indexOf(Math.max(...hourlyData));
   const chartData = {
     labels: Array.from({ length: 24 }, (_, i) => `${i}:00`),
     datasets: [
       {
-        label: 'Tasks Completed',
+        label: 'Hours Tracked',
         data: hourlyData,
         backgroundColor: '#6366f1',
         borderRadius: 8,
@@ -51,7 +52,6 @@ const PeakPerformanceHours = ({ hourlyData }) => {
       x: {
         beginAtZero: true,
         grid: { color: 'rgba(0,0,0,0.08)' },
-        ticks: { stepSize: 1 },
       },
       y: {
         grid: { color: 'rgba(0,0,0,0.08)' },
@@ -67,7 +67,9 @@ const PeakPerformanceHours = ({ hourlyData }) => {
         <Bar data={chartData} options={chartOptions} />
       </div>
       <div style={{ marginTop: 18, color: '#64748b', fontSize: 14, textAlign: 'center' }}>
-        {`Your most productive hour is ${maxHour}:00 - ${maxHour + 1}:00.`}
+        {hasData
+          ? `You track the most time between ${maxHour}:00 and ${maxHour + 1}:00.`
+          : 'Track time on your tasks to find your peak hours.'}
       </div>
     </div>
   );
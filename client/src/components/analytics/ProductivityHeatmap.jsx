@@ -85,7 +85,7 @@ const ProductivityHeatmap = ({ data, velocityData }) => {
             tooltipDataAttrs={value => {
               if (!value || !value.date) return null;
               return {
-                'data-tip': `${value.date}: ${value.count} task${value.count === 1 ? '' : 's'} completed`,
+                'data-tip': `${value.date}: ${value.count}h tracked`,
               };
             }}
             gutterSize={3}
@@ -104,7 +104,7 @@ const ProductivityHeatmap = ({ data, velocityData }) => {
             borderRadius: 12,
             border: '1px dashed #e5e7eb'
           }}>
-            No productivity data for the last 3 months.
+            No time tracked in the last 3 months.
           </div>
         )}
       </div>
@@ -0,0 +1,330 @@
+/*
+  CommandPalette.jsx
+  App-wide command palette for TaskTracker+, opened with Ctrl+K (⌘K on a Mac).
+  - Finds pages, teams, and tasks (the task search accepts the same query language as the tasks page).
+  - Runs actions: create a task, switch the current team, toggle the theme, show the keyboard shortcuts.
+  - ↑/↓ move through the results, Enter runs the highlighted one, Esc closes.
+*/
+import { useState, useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import api from '../../services/api';
+import { getUserTeams, setCurrentTeam } from '../../store/slices/teamSlice';
+import { useTheme } from '../../ThemeContext.jsx';
+import TaskDetailModal from '../tasks/TaskDetailModal';
+import ShortcutHelp from './ShortcutHelp';
+import { GLOBAL_SHORTCUTS, TASK_SHORTCUTS, isPaletteShortcut } from '../../utils/shortcuts';
+
+const PAGES = [
+  { label: 'Dashboard', path: '/dashboard', icon: '🏠' },
+  { label: 'My Tasks', path: '/tasks', icon: '📝' },
+  { label: 'Archived Tasks', path: '/tasks', state: { showArchived: true }, icon: '📦' },
+  { label: 'Analytics', path: '/analytics', icon: '📊' },
+  { label: 'Teams', path: '/teams', icon: '👥' },
+  { label: 'Team Tasks', path: '/teams/tasks', icon: '✅' },
+  { label: 'Team Sprints', path: '/teams/sprints', icon: '🏃' },
+  { label: 'Team Timeline', path: '/teams/timeline', icon: '🗓️' },
+  { label: 'Team Analytics', path: '/teams/analytics', icon: '📈' },
+  { label: 'Team Invitations', path: '/teams/invitations', icon: '✉️' },
+  { label: 'Settings', path: '/settings', icon: '⚙️' }
+];
+
+const TASK_RESULT_LIMIT = 6;
+const SEARCH_DELAY_MS = 250;
+
+const STATUS_LABELS = { todo: 'To Do', 'in-progress': 'In Progress', completed: 'Completed' };
+
+// Every word of the query must appear in the label
+const matchesQuery = (label, query) => {
+  const text = label.toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+};
+
+const CommandPalette = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { token } = useSelector(state => state.auth);
+  const { teams, currentTeam } = useSelector(state => state.teams);
+  const { theme, toggleTheme } = useTheme();
+  const listRef = useRef(null);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [taskResults, setTaskResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [openTask, setOpenTask] = useState(null);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+
+  // Ctrl/⌘+K opens the palette from anywhere, and closes it again
+  useEffect(() => {
+    if (!token) return;
+    const handleKeyDown = (e) => {
+      if (!isPaletteShortcut(e)) return;
+      e.preventDefault();
+      setIsOpen(open => !open);
+      setQuery('');
+      setActiveIndex(0);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [token]);
+
+  // Teams are loaded if no page has done it yet
+  useEffect(() => {
+    if (isOpen && teams.length === 0) dispatch(getUserTeams());
+  }, [isOpen, teams.length, dispatch]);
+
+  // Tasks are searched once the user pauses typing; a failed search just shows no tasks
+  useEffect(() => {
+    const search = query.trim();
+    if (!isOpen || search.length < 2) {
+      setTaskResults([]);
+      setIsSearching(false);
+      return;
+    }
+    let cancelled = false;
+    setIsSearching(true);
+    const timer = setTimeout(() => {
+      api.get('/tasks', { params: { view: 'all', search, sortBy: 'relevance', limit: TASK_RESULT_LIMIT } })
+        .then(response => { if (!cancelled) setTaskResults(response.data.tasks || []); })
+        .catch(() => { if (!cancelled) setTaskResults([]); })
+        .finally(() => { if (!cancelled) setIsSearching(false); });
+    }, SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, isOpen]);
+
+  if (!token) return null;
+
+  const close = () => setIsOpen(false);
+
+  const actions = [
+    { id: 'create-task', icon: '➕', label: 'Create task', run: () => navigate('/tasks?create=true') },
+    {
+      id: 'toggle-theme',
+      icon: theme === 'dark' ? '☀️' : '🌙',
+      label: theme === 'dark' ? 'Switch to light theme' : 'Switch to dark theme',
+      hint: 'Toggle theme',
+      run: toggleTheme
+    },
+    { id: 'shortcuts', icon: '⌨️', label: 'Keyboard shortcuts', run: () => setShowShortcuts(true) },
+    // Switching works like picking the team in the team selector
+    ...teams.map(team => ({
+      id: `team-${team._id}`,
+      icon: '👥',
+      label: `Switch to team: ${team.name}`,
+      hint: currentTeam?._id === team._id ? 'Current team' : `${team.members?.length || 0} members`,
+      run: () => dispatch(setCurrentTeam(team))
+    }))
+  ];
+
+  const pages = PAGES.map(page => ({
+    id: `page-${page.label}`,
+    icon: page.icon,
+    label: page.label,
+    hint: page.path,
+    run: () => navigate(page.path, page.state ? { state: page.state } : undefined)
+  }));
+
+  const tasks = taskResults.map(task => ({
+    id: `task-${task._id}`,
+    icon: task.status === 'completed' ? '✅' : '📌',
+    label: task.title,
+    hint: [STATUS_LABELS[task.status], task.priority].filter(Boolean).join(' · '),
+    run: () => setOpenTask(task)
+  }));
+
+  const sections = [
+    { title: 'Actions', items: query ? actions.filter(item => matchesQuery(item.label, query)) : actions },
+    { title: 'Pages', items: query ? pages.filter(item => matchesQuery(item.label, query)) : pages },
+    { title: 'Tasks', items: tasks }
+  ].filter(section => section.items.length > 0);
+  const items = sections.flatMap(section => section.items);
+
+  const runItem = (item) => {
+    close();
+    item.run();
+  };
+
+  const moveTo = (index) => {
+    setActiveIndex(index);
+    requestAnimationFrame(() => {
+      listRef.current?.querySelector(`[data-index="${index}"]`)?.scrollIntoView({ block: 'nearest' });
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && items.length > 0) {
+      e.preventDefault();
+      moveTo((activeIndex + 1) % items.length);
+    } else if (e.key === 'ArrowUp' && items.length > 0) {
+      e.preventDefault();
+      moveTo(activeIndex <= 0 ? items.length - 1 : activeIndex - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (items[activeIndex]) runItem(items[activeIndex]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    }
+  };
+
+  const isDark = theme === 'dark';
+  const styles = {
+    overlay: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'flex-start',
+      paddingTop: '12vh',
+      zIndex: 1100
+    },
+    palette: {
+      width: '100%',
+      maxWidth: '600px',
+      margin: '0 20px',
+      background: isDark ? '#23272f' : 'white',
+      borderRadius: '16px',
+      boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)',
+      overflow: 'hidden',
+      fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+    },
+    input: {
+      width: '100%',
+      boxSizing: 'border-box',
+      padding: '18px 20px',
+      border: 'none',
+      borderBottom: `1px solid ${isDark ? '#4b5563' : '#e5e7eb'}`,
+      outline: 'none',
+      fontSize: '16px',
+      background: 'transparent',
+      color: isDark ? '#f3f4f6' : '#1e293b'
+    },
+    list: {
+      maxHeight: '50vh',
+      overflowY: 'auto',
+      padding: '8px 0'
+    },
+    sectionTitle: {
+      padding: '8px 20px 4px',
+      fontSize: '11px',
+      fontWeight: '700',
+      textTransform: 'uppercase',
+      letterSpacing: '0.05em',
+      color: isDark ? '#a1a1aa' : '#6b7280'
+    },
+    item: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '12px',
+      padding: '10px 20px',
+      fontSize: '14px',
+      color: isDark ? '#f3f4f6' : '#1e293b',
+      cursor: 'pointer'
+    },
+    itemActive: {
+      background: isDark ? 'rgba(96, 165, 250, 0.15)' : 'rgba(37, 99, 235, 0.1)'
+    },
+    itemLabel: {
+      flex: 1,
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap'
+    },
+    itemHint: {
+      fontSize: '12px',
+      color: isDark ? '#a1a1aa' : '#6b7280',
+      whiteSpace: 'nowrap'
+    },
+    empty: {
+      padding: '16px 20px',
+      fontSize: '14px',
+      color: isDark ? '#a1a1aa' : '#6b7280'
+    },
+    footer: {
+      padding: '8px 20px',
+      borderTop: `1px solid ${isDark ? '#4b5563' : '#e5e7eb'}`,
+      fontSize: '12px',
+      color: isDark ? '#a1a1aa' : '#6b7280'
+    }
+  };
+
+  let index = -1;
+
+  return (
+    <>
+      {isOpen && (
+        <div style={styles.overlay} onClick={close}>
+          <div style={styles.palette} onClick={e => e.stopPropagation()} role="dialog" aria-label="Command palette">
+            <input
+              style={styles.input}
+              autoFocus
+              type="text"
+              placeholder="Search tasks, teams, and pages, or run an action..."
+              value={query}
+              onChange={(e) => { setQuery(e.target.value); setActiveIndex(0); }}
+              onKeyDown={handleKeyDown}
+              aria-label="Command"
+            />
+            <div style={styles.list} ref={listRef} role="listbox">
+              {sections.map(section => (
+                <div key={section.title}>
+                  <div style={styles.sectionTitle}>{section.title}</div>
+                  {section.items.map(item => {
+                    index += 1;
+                    const itemIndex = index;
+                    return (
+                      <div
+                        key={item.id}
+                        data-index={itemIndex}
+                        role="option"
+                        aria-selected={itemIndex === activeIndex}
+                        style={{ ...styles.item, ...(itemIndex === activeIndex ? styles.itemActive : {}) }}
+                        onClick={() => runItem(item)}
+                        onMouseEnter={() => setActiveIndex(itemIndex)}
+                      >
+                        <span>{item.icon}</span>
+                        <span style={styles.itemLabel}>{item.label}</span>
+                        {item.hint && <span style={styles.itemHint}>{item.hint}</span>}
+                      </div>
+                    );
+                  })}
+                </div>
+              ))}
+              {isSearching && <div style={styles.empty}>Searching tasks...</div>}
+              {!isSearching && items.length === 0 && <div style={styles.empty}>No matches for "{query}"</div>}
+            </div>
+            <div style={styles.footer}>↑↓ to move · Enter to run · Esc to close · tasks match whole words or tag:, due:, is:</div>
+          </div>
+        </div>
+      )}
+
+      {openTask && (
+        <TaskDetailModal
+          isOpen={!!openTask}
+          onClose={() => setOpenTask(null)}
+          task={openTask}
+        />
+      )}
+
+      <ShortcutHelp
+        isOpen={showShortcuts}
+        onClose={() => setShowShortcuts(false)}
+        sections={[
+          { title: 'Everywhere', shortcuts: GLOBAL_SHORTCUTS },
+          { title: 'Tasks page', shortcuts: TASK_SHORTCUTS }
+        ]}
+      />
+    </>
+  );
+};
+
+export default CommandPalette;
@@ -2,6 +2,7 @@ import React, { useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import TeamSelector from '../teams/TeamSelector';
+import NotificationBell from './NotificationBell';
 import { getInvitations } from '../../store/slices/teamSlice';
 import { useSelector as useReduxSelector } from 'react-redux';
 import { useTheme } from '../../ThemeContext.jsx';
@@ -200,6 +201,7 @@ const Navbar = ({ user, handleLogout }) => {
 
         {/* User Section */}
         <div style={styles.userSection}>
+          <NotificationBell />
           <div style={styles.userInfo}>
             <p style={styles.userName}>{user?.name}</p>
             <p style={styles.userRole}>Team Administrator</p>
@@ -1,18 +1,69 @@
 import React, { useEffect } from 'react';
 
-const Notification = ({ isOpen, type, message, onClose, autoClose = true }) => {
+// variant 'toast' shows a small non-blocking bar at the bottom of the screen instead of a dialog;
+// `action` ({ label, onClick }) adds a button to it, e.g. "Undo"
+const Notification = ({ isOpen, type, message, onClose, autoClose = true, duration = 3000, variant = 'dialog', action = null }) => {
   useEffect(() => {
     if (isOpen && autoClose) {
       const timer = setTimeout(() => {
         onClose();
-      }, 3000); // Auto close after 3 seconds
+      }, duration); // Auto close after 3 seconds by default
 
       return () => clearTimeout(timer);
     }
-  }, [isOpen, onClose, autoClose]);
+  }, [isOpen, onClose, autoClose, duration]);
 
   if (!isOpen) return null;
 
+  if (variant === 'toast') {
+    const toastStyles = {
+      toast: {
+        position: 'fixed',
+        bottom: '24px',
+        left: '24px',
+        zIndex: 1100,
+        display: 'flex',
+        alignItems: 'center',
+        gap: '16px',
+        maxWidth: 'calc(100vw - 48px)',
+        padding: '12px 16px',
+        background: '#1e293b',
+        color: 'white',
+        borderRadius: '12px',
+        borderLeft: `4px solid ${type === 'success' ? '#10b981' : '#ef4444'}`,
+        boxShadow: '0 12px 40px rgba(15, 23, 42, 0.35)',
+        fontSize: '14px'
+      },
+      action: {
+        background: 'none',
+        border: 'none',
+        color: '#93c5fd',
+        fontSize: '14px',
+        fontWeight: '700',
+        cursor: 'pointer',
+        padding: 0
+      },
+      close: {
+        background: 'none',
+        border: 'none',
+        color: '#94a3b8',
+        fontSize: '16px',
+        cursor: 'pointer',
+        padding: 0
+      }
+    };
+
+    return (
+      <div style={toastStyles.toast} role="status">
+        <span>{message}</span>
+        {action && (
+          <button style={toastStyles.action} onClick={action.onClick}>{action.label}</button>
+        )}
+        <button style={toastStyles.close} onClick={onClose} aria-label="Dismiss">✕</button>
+      </div>
+    );
+  }
+
   const styles = {
     overlay: {
       position: 'fixed',
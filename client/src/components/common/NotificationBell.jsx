@@ -0,0 +1,204 @@
+/*
+  NotificationBell.jsx
+  Navbar bell with a dropdown of in-app notifications for TaskTracker+.
+  - Shows the unread count and the latest notifications.
+  - Marks notifications read on click, or all at once.
+  - Links to the related task list or team page.
+*/
+import { useState, useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { getNotifications, markNotificationRead, markAllNotificationsRead } from '../../store/slices/notificationSlice';
+import { useTheme } from '../../ThemeContext.jsx';
+
+const TYPE_ICONS = {
+  mention: '💬',
+  assigned: '📌',
+  unassigned: '↩️',
+  invitation: '✉️',
+  'due-soon': '⏰',
+  overdue: '⚠️',
+  'role-changed': '🛡️'
+};
+
+// "5m ago" style relative time
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+const NotificationBell = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { theme } = useTheme();
+  const { items, unreadCount } = useSelector((state) => state.notifications);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    dispatch(getNotifications({ limit: 20 }));
+  }, [dispatch]);
+
+  // Close the dropdown when clicking outside of it
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleSelect = (notification) => {
+    if (!notification.isRead) {
+      dispatch(markNotificationRead(notification._id));
+    }
+    setIsOpen(false);
+    if (notification.type === 'invitation' || notification.type === 'role-changed') {
+      navigate('/teams');
+    } else if (notification.task) {
+      navigate(notification.team ? '/teams' : '/tasks');
+    }
+  };
+
+  const isDark = theme === 'dark';
+  const styles = {
+    container: {
+      position: 'relative'
+    },
+    bellButton: {
+      position: 'relative',
+      background: 'none',
+      border: 'none',
+      fontSize: '20px',
+      cursor: 'pointer',
+      padding: '6px 8px',
+      borderRadius: '10px'
+    },
+    badge: {
+      position: 'absolute',
+      top: '0',
+      right: '0',
+      minWidth: '18px',
+      height: '18px',
+      padding: '0 4px',
+      borderRadius: '9px',
+      background: '#ef4444',
+      color: 'white',
+      fontSize: '11px',
+      fontWeight: '700',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      boxShadow: '0 4px 12px rgba(239, 68, 68, 0.3)'
+    },
+    dropdown: {
+      position: 'absolute',
+      top: '44px',
+      right: 0,
+      width: '340px',
+      maxHeight: '420px',
+      overflowY: 'auto',
+      background: isDark ? '#23272f' : 'white',
+      border: isDark ? '1px solid #4b5563' : '1px solid #e5e7eb',
+      borderRadius: '14px',
+      boxShadow: '0 12px 40px rgba(0, 0, 0, 0.15)',
+      zIndex: 100
+    },
+    header: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      padding: '12px 16px',
+      borderBottom: isDark ? '1px solid #4b5563' : '1px solid #f1f5f9',
+      fontWeight: '700',
+      color: isDark ? '#f3f4f6' : '#1e293b'
+    },
+    markAll: {
+      background: 'none',
+      border: 'none',
+      color: '#2563eb',
+      fontSize: '12px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    item: {
+      display: 'flex',
+      gap: '10px',
+      width: '100%',
+      textAlign: 'left',
+      padding: '12px 16px',
+      border: 'none',
+      borderBottom: isDark ? '1px solid #374151' : '1px solid #f8fafc',
+      background: 'none',
+      cursor: 'pointer',
+      color: isDark ? '#e5e7eb' : '#374151',
+      fontSize: '13px'
+    },
+    unreadItem: {
+      background: isDark ? 'rgba(37, 99, 235, 0.15)' : '#eff6ff'
+    },
+    time: {
+      fontSize: '11px',
+      color: '#9ca3af',
+      marginTop: '2px'
+    },
+    empty: {
+      padding: '24px 16px',
+      textAlign: 'center',
+      color: '#9ca3af',
+      fontSize: '13px'
+    }
+  };
+
+  return (
+    <div style={styles.container} ref={containerRef}>
+      <button
+        style={styles.bellButton}
+        onClick={() => setIsOpen(open => !open)}
+        title="Notifications"
+        aria-label={`Notifications${unreadCount ? ` (${unreadCount} unread)` : ''}`}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span style={styles.badge}>{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div style={styles.dropdown}>
+          <div style={styles.header}>
+            <span>Notifications</span>
+            {unreadCount > 0 && (
+              <button style={styles.markAll} onClick={() => dispatch(markAllNotificationsRead())}>
+                Mark all read
+              </button>
+            )}
+          </div>
+          {items.length === 0 && <div style={styles.empty}>You're all caught up</div>}
+          {items.map(notification => (
+            <button
+              key={notification._id}
+              style={{ ...styles.item, ...(!notification.isRead ? styles.unreadItem : {}) }}
+              onClick={() => handleSelect(notification)}
+            >
+              <span>{TYPE_ICONS[notification.type] || '🔔'}</span>
+              <span>
+                <div style={{ fontWeight: notification.isRead ? 400 : 600 }}>{notification.message}</div>
+                <div style={styles.time}>{timeAgo(notification.createdAt)}</div>
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,55 @@
+/*
+  RealtimeSync.jsx
+  Invisible component that keeps task state live for TaskTracker+.
+  - Connects the socket while the user is logged in.
+  - Feeds task create/update/delete/assign events into the task and team slices.
+  - Delivers new notifications to the notification center.
+  - Keeps the running time-tracking timer in sync across tabs and devices.
+*/
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { connectSocket, disconnectSocket, subscribe } from '../../services/socket';
+import { taskCreatedRemotely, taskUpdatedRemotely, taskDeletedRemotely } from '../../store/slices/taskSlice';
+import { teamTaskReceived, teamTaskRemoved } from '../../store/slices/taskAssignmentSlice';
+import { notificationReceived, clearNotifications } from '../../store/slices/notificationSlice';
+import { getRunningTimer, timerChanged, clearTimeTracking } from '../../store/slices/timeSlice';
+
+const RealtimeSync = () => {
+  const dispatch = useDispatch();
+  const { token } = useSelector((state) => state.auth);
+
+  useEffect(() => {
+    if (!token) {
+      disconnectSocket();
+      dispatch(clearNotifications());
+      dispatch(clearTimeTracking());
+      return;
+    }
+    connectSocket();
+    dispatch(getRunningTimer());
+
+    const handleUpdate = (task) => {
+      dispatch(taskUpdatedRemotely(task));
+      if (task.team) dispatch(teamTaskReceived(task));
+    };
+    const unsubscribers = [
+      subscribe('task:created', (task) => {
+        dispatch(taskCreatedRemotely(task));
+        if (task.team) dispatch(teamTaskReceived(task));
+      }),
+      subscribe('task:updated', handleUpdate),
+      subscribe('task:assigned', handleUpdate),
+      subscribe('task:deleted', (payload) => {
+        dispatch(taskDeletedRemotely(payload));
+        dispatch(teamTaskRemoved(payload));
+      }),
+      subscribe('notification:new', (notification) => dispatch(notificationReceived(notification))),
+      subscribe('timer:changed', (payload) => dispatch(timerChanged(payload)))
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [token, dispatch]);
+
+  return null;
+};
+
+export default RealtimeSync;
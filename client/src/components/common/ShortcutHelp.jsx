@@ -0,0 +1,133 @@
+/*
+  ShortcutHelp.jsx
+  Keyboard shortcut help overlay for TaskTracker+.
+  - Lists shortcuts in sections, e.g. the global command palette and the tasks page keys.
+  - Closes on Esc, on a click outside, or with the close button.
+*/
+import React, { useEffect } from 'react';
+
+/**
+ * @param {boolean} isOpen - Whether the overlay is shown
+ * @param {Function} onClose - Closes the overlay
+ * @param {Array} sections - [{ title, shortcuts: [{ keys: string[], description }] }]
+ */
+const ShortcutHelp = ({ isOpen, onClose, sections }) => {
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const styles = {
+    overlay: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1100,
+      padding: '20px'
+    },
+    modal: {
+      background: 'white',
+      borderRadius: '24px',
+      padding: '32px',
+      width: '100%',
+      maxWidth: '520px',
+      maxHeight: '90vh',
+      overflow: 'auto',
+      boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)'
+    },
+    header: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: '16px'
+    },
+    title: {
+      fontSize: '22px',
+      fontWeight: '700',
+      color: '#1e293b',
+      margin: 0
+    },
+    closeButton: {
+      background: 'none',
+      border: 'none',
+      fontSize: '22px',
+      color: '#6b7280',
+      cursor: 'pointer'
+    },
+    sectionTitle: {
+      fontSize: '12px',
+      fontWeight: '700',
+      color: '#6b7280',
+      textTransform: 'uppercase',
+      letterSpacing: '0.05em',
+      margin: '16px 0 8px'
+    },
+    row: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '16px',
+      padding: '6px 0',
+      fontSize: '14px',
+      color: '#374151'
+    },
+    keys: {
+      display: 'flex',
+      gap: '4px',
+      flexShrink: 0
+    },
+    key: {
+      minWidth: '24px',
+      padding: '2px 8px',
+      border: '1px solid #d1d5db',
+      borderBottomWidth: '2px',
+      borderRadius: '6px',
+      background: '#f9fafb',
+      fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace',
+      fontSize: '12px',
+      textAlign: 'center',
+      color: '#1e293b'
+    }
+  };
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div style={styles.modal} onClick={e => e.stopPropagation()} role="dialog" aria-label="Keyboard shortcuts">
+        <div style={styles.header}>
+          <h2 style={styles.title}>⌨️ Keyboard Shortcuts</h2>
+          <button style={styles.closeButton} onClick={onClose} aria-label="Close">×</button>
+        </div>
+        {sections.map(section => (
+          <div key={section.title}>
+            <h3 style={styles.sectionTitle}>{section.title}</h3>
+            {section.shortcuts.map(shortcut => (
+              <div key={shortcut.description} style={styles.row}>
+                <span>{shortcut.description}</span>
+                <span style={styles.keys}>
+                  {shortcut.keys.map(key => <kbd key={key} style={styles.key}>{key}</kbd>)}
+                </span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutHelp;
@@ -0,0 +1,48 @@
+/*
+  UndoToast.jsx
+  App-wide undo toast for TaskTracker+.
+  - Shows the latest undoable task action (delete, archive, status change, reassign, bulk action) with an Undo button.
+  - Undo asks the server to revert the last change of the affected tasks, then reports the outcome.
+  - Built on the toast variant of Notification.
+*/
+import { useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import Notification from './Notification';
+import { revertTaskChanges } from '../../store/slices/taskSlice';
+import { dismissUndo, clearUndoResult, UNDO_TIMEOUT_MS } from '../../store/slices/undoSlice';
+
+const UndoToast = () => {
+  const dispatch = useDispatch();
+  const { offer, result } = useSelector(state => state.undo);
+
+  const handleDismiss = useCallback(() => dispatch(dismissUndo()), [dispatch]);
+  const handleClearResult = useCallback(() => dispatch(clearUndoResult()), [dispatch]);
+
+  if (offer) {
+    return (
+      <Notification
+        key={offer.id}
+        variant="toast"
+        isOpen
+        type="success"
+        message={offer.message}
+        duration={UNDO_TIMEOUT_MS}
+        onClose={handleDismiss}
+        action={{ label: 'Undo', onClick: () => dispatch(revertTaskChanges(offer.taskIds)) }}
+      />
+    );
+  }
+
+  return (
+    <Notification
+      key={result?.id}
+      variant="toast"
+      isOpen={!!result}
+      type={result?.type}
+      message={result?.message}
+      onClose={handleClearResult}
+    />
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,180 @@
+/*
+  BulkActionBar.jsx
+  Floating action bar for multi-selected tasks in TaskTracker+.
+  - Changes status, priority, tags, or assignee of every selected task at once.
+  - Archives, restores, or moves the selection to the trash (asks for confirmation first).
+  - The parent sends the change to the bulk endpoint and reports per-task results.
+*/
+import React, { useState } from 'react';
+
+const STATUS_OPTIONS = [
+  { value: 'todo', label: 'To Do' },
+  { value: 'in-progress', label: 'In Progress' },
+  { value: 'completed', label: 'Completed' }
+];
+
+const PRIORITY_OPTIONS = [
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' }
+];
+
+/**
+ * @param {number} selectedCount - How many tasks are selected
+ * @param {boolean} allSelected - Whether every task on the page is selected
+ * @param {Function} onToggleAll - Selects every task on the page, or clears the selection when all are selected
+ * @param {Function} onClear - Clears the selection
+ * @param {Function} onAction - (action, value) => void; action is one of the bulk endpoint's actions
+ * @param {Array} members - Optional; team members offered as assignees ([{ userId: { _id, name } }])
+ * @param {boolean} isArchivedView - Offer "Restore" instead of "Archive"
+ * @param {boolean} isWorking - Disables the bar while a bulk request runs
+ */
+const BulkActionBar = ({ selectedCount, allSelected, onToggleAll, onClear, onAction, members = null, isArchivedView = false, isWorking = false }) => {
+  const [tagInput, setTagInput] = useState('');
+
+  if (selectedCount === 0) return null;
+
+  const tags = tagInput.split(',').map(tag => tag.trim()).filter(Boolean);
+
+  const handleTags = (action) => {
+    if (tags.length === 0) return;
+    onAction(action, tags);
+    setTagInput('');
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete ${selectedCount} task${selectedCount === 1 ? '' : 's'}? They can be restored from the trash.`)) {
+      onAction('delete');
+    }
+  };
+
+  const styles = {
+    bar: {
+      position: 'fixed',
+      bottom: '24px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: 900,
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px',
+      flexWrap: 'wrap',
+      maxWidth: 'calc(100vw - 32px)',
+      padding: '12px 16px',
+      background: '#1e293b',
+      color: 'white',
+      borderRadius: '14px',
+      boxShadow: '0 12px 40px rgba(15, 23, 42, 0.35)',
+      fontSize: '14px',
+      opacity: isWorking ? 0.7 : 1
+    },
+    count: {
+      fontWeight: '600',
+      whiteSpace: 'nowrap'
+    },
+    select: {
+      padding: '6px 8px',
+      borderRadius: '8px',
+      border: '1px solid #475569',
+      background: '#334155',
+      color: 'white',
+      fontSize: '13px'
+    },
+    input: {
+      width: '120px',
+      padding: '6px 8px',
+      borderRadius: '8px',
+      border: '1px solid #475569',
+      background: '#334155',
+      color: 'white',
+      fontSize: '13px'
+    },
+    button: {
+      padding: '6px 10px',
+      borderRadius: '8px',
+      border: 'none',
+      background: '#334155',
+      color: 'white',
+      fontSize: '13px',
+      cursor: 'pointer',
+      whiteSpace: 'nowrap'
+    },
+    linkButton: {
+      background: 'none',
+      border: 'none',
+      color: '#93c5fd',
+      fontSize: '13px',
+      cursor: 'pointer',
+      padding: 0
+    }
+  };
+
+  return (
+    <div style={styles.bar} role="toolbar" aria-label="Bulk actions">
+      <span style={styles.count}>{selectedCount} selected</span>
+      <button style={styles.linkButton} onClick={onToggleAll} disabled={isWorking}>
+        {allSelected ? 'Select none' : 'Select page'}
+      </button>
+
+      {!isArchivedView && (
+        <>
+          <select
+            style={styles.select}
+            value=""
+            onChange={e => e.target.value && onAction('status', e.target.value)}
+            disabled={isWorking}
+            aria-label="Set status"
+          >
+            <option value="">Status…</option>
+            {STATUS_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <select
+            style={styles.select}
+            value=""
+            onChange={e => e.target.value && onAction('priority', e.target.value)}
+            disabled={isWorking}
+            aria-label="Set priority"
+          >
+            <option value="">Priority…</option>
+            {PRIORITY_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          {members && (
+            <select
+              style={styles.select}
+              value=""
+              onChange={e => e.target.value && onAction('assign', e.target.value)}
+              disabled={isWorking}
+              aria-label="Assign to"
+            >
+              <option value="">Assign to…</option>
+              {members.map(member => (
+                <option key={member.userId?._id || member.userId} value={member.userId?._id || member.userId}>
+                  {member.userId?.name || member.userId?.email || 'Member'}
+                </option>
+              ))}
+            </select>
+          )}
+          <input
+            style={styles.input}
+            value={tagInput}
+            placeholder="tag, tag…"
+            onChange={e => setTagInput(e.target.value)}
+            onKeyDown={e => e.key === 'Enter' && handleTags('addTags')}
+            disabled={isWorking}
+            aria-label="Tags"
+          />
+          <button style={styles.button} onClick={() => handleTags('addTags')} disabled={isWorking || tags.length === 0}>+ Tag</button>
+          <button style={styles.button} onClick={() => handleTags('removeTags')} disabled={isWorking || tags.length === 0}>− Tag</button>
+        </>
+      )}
+
+      <button style={styles.button} onClick={() => onAction(isArchivedView ? 'unarchive' : 'archive')} disabled={isWorking}>
+        {isArchivedView ? '♻️ Restore' : '📦 Archive'}
+      </button>
+      <button style={{ ...styles.button, background: '#dc2626' }} onClick={handleDelete} disabled={isWorking}>🗑️ Delete</button>
+      <button style={styles.linkButton} onClick={onClear} disabled={isWorking} aria-label="Clear selection">✕</button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -2,13 +2,17 @@
   CreateTeamTaskModal.jsx
   Modal component for creating new team tasks in TaskTracker+.
   - Handles input validation, team member assignment, and submission.
+  - Can start from a team template, or create all tasks of a template bundle at once.
   - Integrates with Redux and backend API for team task creation.
   - Provides a user-friendly UI for collaborative task management.
 */
 import React, { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { createTeamTask, clearErrors } from '../../store/slices/taskAssignmentSlice';
+import { getSprints } from '../../store/slices/sprintSlice';
+import { getProjects } from '../../store/slices/projectSlice';
 import { canManageTeamTasks } from '../../utils/roleValidation';
+import TemplatePicker from './TemplatePicker';
 
 const PRIORITY_OPTIONS = [
   { value: 'low', label: 'Low' },
@@ -26,6 +30,7 @@ const CreateTeamTaskModal = ({ isOpen, onClose, selectedTeamId, canCreate = true
   const [description, setDescription] = useState('');
   const [priority, setPriority] = useState('medium');
   const [dueDate, setDueDate] = useState('');
+  const [startDate, setStartDate] = useState('');
   const [assignedTo, setAssignedTo] = useState('');
   const [tags, setTags] = useState('');
   const [success, setSuccess] = useState('');
@@ -34,6 +39,18 @@ const CreateTeamTaskModal = ({ isOpen, onClose, selectedTeamId, canCreate = true
   const [formErrors, setFormErrors] = useState({});
   const [showLoadingOverlay, setShowLoadingOverlay] = useState(false);
   const [status, setStatus] = useState('todo');
+  const [estimate, setEstimate] = useState('');
+  const [sprint, setSprint] = useState('');
+  const [project, setProject] = useState('');
+  const [checklist, setChecklist] = useState([]);
+  const estimateUnit = teams.find(t => t._id === selectedTeamId)?.estimateUnit || 'hours';
+  const teamSprints = useSelector(state => state.sprints.byTeam[selectedTeamId]);
+  const openSprints = (teamSprints?.sprints || []).filter(s => s.status === 'open');
+  const teamProjects = useSelector(state => state.projects.byTeam[selectedTeamId]) || [];
+  // New tasks default to the project picked in the team selector
+  const selectedProjectId = useSelector(state =>
+    state.projects.selectedTeamId === selectedTeamId ? state.projects.selectedProjectId : ''
+  );
 
   useEffect(() => {
     if (isOpen && selectedTeamId) {
@@ -41,11 +58,22 @@ const CreateTeamTaskModal = ({ isOpen, onClose, selectedTeamId, canCreate = true
       setTeamMembers(team ? team.members : []);
     }
     if (!isOpen) {
-      setTitle(''); setDescription(''); setPriority('medium'); setDueDate(''); setAssignedTo(''); setTags(''); setTagInput(''); setStatus('todo');
+      setTitle(''); setDescription(''); setPriority('medium'); setDueDate(''); setStartDate(''); setAssignedTo(''); setTags(''); setTagInput(''); setStatus('todo'); setEstimate(''); setSprint(''); setChecklist([]);
       dispatch(clearErrors());
     }
   }, [isOpen, selectedTeamId, teams, dispatch]);
 
+  useEffect(() => {
+    if (isOpen && selectedTeamId) {
+      dispatch(getSprints(selectedTeamId));
+      dispatch(getProjects(selectedTeamId));
+    }
+  }, [isOpen, selectedTeamId, dispatch]);
+
+  useEffect(() => {
+    if (isOpen) setProject(selectedProjectId === 'none' ? '' : selectedProjectId);
+  }, [isOpen, selectedProjectId]);
+
   // Tag logic
   const handleAddTag = () => {
     if (tagInput.trim() && !tags.split(',').map(t => t.trim()).includes(tagInput.trim())) {
@@ -63,6 +91,39 @@ const CreateTeamTaskModal = ({ isOpen, onClose, selectedTeamId, canCreate = true
     }
   };
 
+  // Team templates keep the default assignee; admins/owners may change any of the team's templates
+  const canManageTemplates = teamMembers.some(member =>
+    (member.userId?._id === user?.id || member.userId?._id === user?.userId) &&
+    (member.role === 'admin' || member.role === 'owner')
+  );
+  const getTemplateTask = () => ({
+    title,
+    description,
+    priority,
+    tags: tags ? tags.split(',').map(t => t.trim()).filter(Boolean) : [],
+    dueDate,
+    checklist,
+    assignee: assignedTo || null
+  });
+  const handleApplyTemplate = (fields) => {
+    setTitle(fields.title);
+    setDescription(fields.description);
+    setPriority(fields.priority);
+    setTags(fields.tags.join(','));
+    setChecklist(fields.checklist.map(item => ({ text: item.text })));
+    setDueDate(fields.dueDate);
+    setAssignedTo(fields.assignee);
+    setFormErrors({});
+  };
+  const handleTemplateTasksCreated = ({ message }) => {
+    setSuccess(message);
+    setTimeout(() => {
+      setSuccess('');
+      if (typeof onSuccess === 'function') onSuccess();
+      onClose();
+    }, 1200);
+  };
+
   // Validation
   const validateForm = () => {
     const newErrors = {};
@@ -79,6 +140,8 @@ const CreateTeamTaskModal = ({ isOpen, onClose, selectedTeamId, canCreate = true
       today.setHours(0, 0, 0, 0);
       if (due < today) newErrors.dueDate = 'Due date cannot be in the past';
     }
+    if (startDate && dueDate && startDate > dueDate) newErrors.startDate = 'Start date cannot be after the due date';
+    if (estimate !== '' && !(Number(estimate) >= 0)) newErrors.estimate = 'Estimate must be a positive number';
     
     return newErrors;
   };
@@ -98,14 +161,19 @@ const CreateTeamTaskModal = ({ isOpen, onClose, selectedTeamId, canCreate = true
       status,
       priority,
       dueDate: dueDate || undefined,
+      startDate: startDate || undefined,
       assignedTo: assignedTo || undefined,
-      tags: tags ? tags.split(',').map(t => t.trim()).filter(Boolean) : []
+      tags: tags ? tags.split(',').map(t => t.trim()).filter(Boolean) : [],
+      checklist,
+      estimate: estimate === '' ? undefined : Number(estimate),
+      sprint: sprint || undefined,
+      project: project || undefined
     };
     const result = await dispatch(createTeamTask({ teamId: selectedTeamId, taskData }));
     setShowLoadingOverlay(false);
     if (!result.error) {
       setSuccess('Task created successfully!');
-      setTitle(''); setDescription(''); setPriority('medium'); setDueDate(''); setAssignedTo(''); setTags(''); setTagInput(''); setStatus('todo');
+      setTitle(''); setDescription(''); setPriority('medium'); setDueDate(''); setStartDate(''); setAssignedTo(''); setTags(''); setTagInput(''); setStatus('todo'); setEstimate(''); setSprint(''); setChecklist([]);
       setTimeout(() => {
         setSuccess('');
         if (typeof onSuccess === 'function') onSuccess();
@@ -358,6 +426,14 @@ const CreateTeamTaskModal = ({ isOpen, onClose, selectedTeamId, canCreate = true
             <div style={{...styles.generalError, color:'#10b981',background:'rgba(16,185,129,0.08)',border:'1px solid #bbf7d0'}}>{success}</div>
           )}
 
+          <TemplatePicker
+            teamId={selectedTeamId}
+            canManageTeam={canManageTemplates}
+            getCurrentTask={getTemplateTask}
+            onApply={handleApplyTemplate}
+            onCreated={handleTemplateTasksCreated}
+          />
+
           <form style={styles.form} onSubmit={handleSubmit} noValidate>
             <div style={styles.formGroup}>
               <label style={styles.label}>Task Title *</label>
@@ -419,20 +495,88 @@ const CreateTeamTaskModal = ({ isOpen, onClose, selectedTeamId, canCreate = true
               </div>
             </div>
 
+            <div style={styles.formRow}>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Start Date</label>
+                <input
+                  style={{
+                    ...styles.input,
+                    ...(formErrors.startDate ? styles.inputError : {})
+                  }}
+                  type="date"
+                  name="startDate"
+                  value={startDate}
+                  onChange={e => setStartDate(e.target.value)}
+                  max={dueDate || undefined}
+                />
+                {formErrors.startDate && <div style={styles.errorMessage}>{formErrors.startDate}</div>}
+              </div>
+
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Due Date *</label>
+                <input
+                  style={{
+                    ...styles.input,
+                    ...(formErrors.dueDate ? styles.inputError : {})
+                  }}
+                  type="date"
+                  name="dueDate"
+                  value={dueDate}
+                  onChange={e => setDueDate(e.target.value)}
+                  min={new Date().toISOString().split('T')[0]}
+                />
+                {formErrors.dueDate && <div style={styles.errorMessage}>{formErrors.dueDate}</div>}
+              </div>
+            </div>
+
             <div style={styles.formGroup}>
-              <label style={styles.label}>Due Date *</label>
+              <label style={styles.label}>Estimate ({estimateUnit === 'points' ? 'story points' : 'hours'})</label>
               <input
                 style={{
                   ...styles.input,
-                  ...(formErrors.dueDate ? styles.inputError : {})
+                  ...(formErrors.estimate ? styles.inputError : {})
                 }}
-                type="date"
-                name="dueDate"
-                value={dueDate}
-                onChange={e => setDueDate(e.target.value)}
-                min={new Date().toISOString().split('T')[0]}
+                type="number"
+                name="estimate"
+                min="0"
+                step={estimateUnit === 'points' ? '1' : '0.25'}
+                value={estimate}
+                onChange={e => setEstimate(e.target.value)}
+                placeholder="Optional"
               />
-              {formErrors.dueDate && <div style={styles.errorMessage}>{formErrors.dueDate}</div>}
+              {formErrors.estimate && <div style={styles.errorMessage}>{formErrors.estimate}</div>}
+            </div>
+
+            {teamProjects.length > 0 && (
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Project</label>
+                <select
+                  style={styles.select}
+                  name="project"
+                  value={project}
+                  onChange={e => setProject(e.target.value)}
+                >
+                  <option value="">No project</option>
+                  {teamProjects.map(p => (
+                    <option key={p._id} value={p._id}>{p.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Sprint</label>
+              <select
+                style={styles.select}
+                name="sprint"
+                value={sprint}
+                onChange={e => setSprint(e.target.value)}
+              >
+                <option value="">Backlog</option>
+                {openSprints.map(s => (
+                  <option key={s._id} value={s._id}>{s.name}</option>
+                ))}
+              </select>
             </div>
 
             <div style={styles.formGroup}>
@@ -492,6 +636,24 @@ const CreateTeamTaskModal = ({ isOpen, onClose, selectedTeamId, canCreate = true
               )}
             </div>
 
+            {checklist.length > 0 && (
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Checklist</label>
+                {checklist.map((item, index) => (
+                  <div key={index} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px', color: '#374151' }}>
+                    <span>☐ {item.text}</span>
+                    <button
+                      type="button"
+                      style={styles.tagRemove}
+                      onClick={() => setChecklist(checklist.filter((_, i) => i !== index))}
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div style={styles.buttonRow}>
               <button
                 type="button"
@@ -64,6 +64,12 @@ const EnhancedTaskCard = ({
   const canComplete = canChangeStatus && (task.status === 'in-progress' || task.status === 'overdue');
 
   const handleStatusUpdate = (newStatus) => {
+    // Blocked tasks can still be moved forward, but only after an explicit override
+    if (task.isBlocked) {
+      if (!window.confirm('This task is blocked by open tasks. Change its status anyway?')) return;
+      dispatch(updateTask({ taskId: task._id, taskData: { status: newStatus, overrideBlockers: true } }));
+      return;
+    }
     dispatch(updateTask({ taskId: task._id, taskData: { status: newStatus } }));
   };
 
@@ -86,6 +92,9 @@ const EnhancedTaskCard = ({
         }`}>
           {assignmentType === 'team' ? 'Team Task' : assignmentType === 'assigned' ? 'Assigned' : 'Personal'}
         </span>
+        {task.isBlocked && (
+          <span className="px-2 py-1 rounded text-xs font-semibold bg-red-100 text-red-700">⛔ Blocked</span>
+        )}
         {isArchived && (
           <span className="px-2 py-1 rounded text-xs font-medium bg-gray-300 text-gray-700">Archived</span>
         )}
@@ -99,6 +108,22 @@ const EnhancedTaskCard = ({
         <span>{PRIORITY_LABELS[task.priority] || task.priority}</span>
         {task.dueDate && <span className="ml-4 font-medium">Due: <span className="font-normal">{new Date(task.dueDate).toLocaleDateString()}</span></span>}
       </div>
+      {/* Rolled-up checklist and subtask progress */}
+      {task.progress && task.progress.percent !== null && task.progress.percent !== undefined && (
+        <div className="mb-2">
+          <div className="flex justify-between text-xs text-gray-500 mb-1">
+            <span>
+              {task.progress.checklist.total > 0 && `${task.progress.checklist.completed}/${task.progress.checklist.total} checklist`}
+              {task.progress.checklist.total > 0 && task.progress.subtasks.total > 0 && ' · '}
+              {task.progress.subtasks.total > 0 && `${task.progress.subtasks.completed}/${task.progress.subtasks.total} subtasks`}
+            </span>
+            <span className="font-semibold">{task.progress.percent}%</span>
+          </div>
+          <div className="h-1.5 rounded bg-gray-200 overflow-hidden">
+            <div className="h-full bg-green-500" style={{ width: `${task.progress.percent}%` }} />
+          </div>
+        </div>
+      )}
       {/* Assignment Info */}
       <div className="flex gap-4 text-sm text-gray-500 mb-2">
         <span className="font-medium">Assigned to:</span>
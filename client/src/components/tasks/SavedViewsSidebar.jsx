@@ -0,0 +1,297 @@
+/*
+  SavedViewsSidebar.jsx
+  Saved views sidebar for the tasks page in TaskTracker+.
+  - Shows the user's pinned views; clicking one applies its filters.
+  - Lists all personal and team-shared views, to pin, unpin, or delete them.
+  - Saves the current filters as a new view (personal or shared with a team), or updates the selected view.
+*/
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { getViews, createView, updateView, deleteView, pinView, clearViewError } from '../../store/slices/viewSlice';
+import { getViewFilters, getFiltersFromView, isSameFilters } from '../../utils/taskFilters';
+import { subscribe } from '../../services/socket';
+import ConfirmationDialog from './ConfirmationDialog';
+
+/**
+ * @param {object} filters - Current task filters
+ * @param {Function} onApply - (filters) => void; shows the tasks of a view
+ * @param {Array} teams - The user's teams, to share views with
+ */
+const SavedViewsSidebar = ({ filters, onApply, teams = [] }) => {
+  const dispatch = useDispatch();
+  const { views, error } = useSelector(state => state.views);
+  const [selectedViewId, setSelectedViewId] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const [showSaveForm, setShowSaveForm] = useState(false);
+  const [viewName, setViewName] = useState('');
+  const [shareTeamId, setShareTeamId] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+
+  useEffect(() => {
+    dispatch(getViews());
+    // Shared views change when other members save or delete them
+    return subscribe('view:changed', () => dispatch(getViews()));
+  }, [dispatch]);
+
+  const pinnedViews = views.filter(view => view.isPinned);
+  // The view whose filters are shown: the one picked last, or any view with the same filters
+  const selectedView = views.find(view => view._id === selectedViewId) || null;
+  const activeView = (selectedView && isSameFilters(getFiltersFromView(selectedView), filters))
+    ? selectedView
+    : views.find(view => isSameFilters(getFiltersFromView(view), filters)) || null;
+  const canUpdateSelected = !!selectedView && selectedView.canManage && !activeView;
+
+  const handleApply = (view) => {
+    setSelectedViewId(view._id);
+    onApply(getFiltersFromView(view));
+  };
+
+  const openSaveForm = () => {
+    dispatch(clearViewError());
+    setViewName('');
+    // Views of a team's tasks are shared with that team by default
+    setShareTeamId(filters.team || '');
+    setShowSaveForm(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!viewName.trim()) return;
+    setIsSaving(true);
+    const result = await dispatch(createView({
+      name: viewName.trim(),
+      team: shareTeamId || null,
+      filters: getViewFilters(filters)
+    }));
+    setIsSaving(false);
+    if (!result.error) {
+      setSelectedViewId(result.payload._id);
+      setShowSaveForm(false);
+    }
+  };
+
+  const handleUpdateSelected = () => {
+    dispatch(updateView({ viewId: selectedView._id, viewData: { filters: getViewFilters(filters) } }));
+  };
+
+  const confirmDelete = () => {
+    dispatch(deleteView(deleteTarget._id));
+    if (deleteTarget._id === selectedViewId) setSelectedViewId(null);
+    setDeleteTarget(null);
+  };
+
+  // A shared view can only show tasks of the team it is shared with (or everyone's personal tasks)
+  const shareOptions = filters.team ? teams.filter(team => team._id === filters.team) : teams;
+
+  const styles = {
+    sidebar: {
+      width: '240px',
+      flexShrink: 0,
+      padding: '32px 0 32px 24px',
+      position: 'sticky',
+      top: '64px',
+      alignSelf: 'flex-start'
+    },
+    sectionTitle: {
+      fontSize: '12px',
+      fontWeight: '700',
+      color: '#6b7280',
+      textTransform: 'uppercase',
+      letterSpacing: '0.05em',
+      margin: '0 0 8px'
+    },
+    viewItem: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      width: '100%',
+      padding: '8px 10px',
+      border: 'none',
+      borderRadius: '8px',
+      background: 'none',
+      color: 'inherit',
+      fontSize: '14px',
+      textAlign: 'left',
+      cursor: 'pointer'
+    },
+    viewItemActive: {
+      background: 'rgba(37, 99, 235, 0.12)',
+      color: '#2563eb',
+      fontWeight: '600'
+    },
+    viewName: {
+      flex: 1,
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap'
+    },
+    iconButton: {
+      background: 'none',
+      border: 'none',
+      cursor: 'pointer',
+      fontSize: '13px',
+      padding: '2px 4px',
+      flexShrink: 0
+    },
+    empty: {
+      fontSize: '13px',
+      color: '#9ca3af',
+      padding: '4px 10px 8px'
+    },
+    linkButton: {
+      background: 'none',
+      border: 'none',
+      color: '#2563eb',
+      fontSize: '13px',
+      fontWeight: '600',
+      cursor: 'pointer',
+      padding: '6px 10px'
+    },
+    primaryButton: {
+      width: '100%',
+      background: 'linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)',
+      color: 'white',
+      border: 'none',
+      borderRadius: '8px',
+      padding: '8px 12px',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer',
+      marginTop: '16px'
+    },
+    form: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      marginTop: '16px'
+    },
+    input: {
+      padding: '8px 10px',
+      border: '1px solid #d1d5db',
+      borderRadius: '8px',
+      fontSize: '14px'
+    },
+    select: {
+      padding: '8px 10px',
+      border: '1px solid #d1d5db',
+      borderRadius: '8px',
+      fontSize: '14px',
+      background: 'none'
+    },
+    formActions: {
+      display: 'flex',
+      gap: '8px'
+    },
+    error: {
+      color: '#ef4444',
+      fontSize: '13px',
+      marginTop: '8px'
+    }
+  };
+
+  const renderView = (view, withActions) => (
+    <div key={view._id} style={{ display: 'flex', alignItems: 'center' }}>
+      <button
+        style={{ ...styles.viewItem, ...(activeView?._id === view._id ? styles.viewItemActive : {}) }}
+        onClick={() => handleApply(view)}
+        title={view.team ? `Shared with ${view.team.name}` : 'Personal view'}
+      >
+        <span>{view.team ? '👥' : '🔖'}</span>
+        <span style={styles.viewName}>{view.name}</span>
+      </button>
+      {withActions && (
+        <>
+          <button
+            style={{ ...styles.iconButton, opacity: view.isPinned ? 1 : 0.4 }}
+            onClick={() => dispatch(pinView({ viewId: view._id, pinned: !view.isPinned }))}
+            title={view.isPinned ? 'Unpin from sidebar' : 'Pin to sidebar'}
+          >
+            📌
+          </button>
+          {view.canManage && (
+            <button style={styles.iconButton} onClick={() => setDeleteTarget(view)} title="Delete view">
+              🗑️
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <aside style={styles.sidebar}>
+      <h3 style={styles.sectionTitle}>📌 Pinned views</h3>
+      {pinnedViews.length === 0 ? (
+        <div style={styles.empty}>Save a view to pin it here.</div>
+      ) : (
+        pinnedViews.map(view => renderView(view, false))
+      )}
+
+      {views.length > 0 && (
+        <button style={styles.linkButton} onClick={() => setShowAll(open => !open)}>
+          {showAll ? 'Hide all views' : `All views (${views.length})`}
+        </button>
+      )}
+      {showAll && views.map(view => renderView(view, true))}
+
+      {canUpdateSelected && (
+        <button style={styles.linkButton} onClick={handleUpdateSelected}>
+          Update "{selectedView.name}"
+        </button>
+      )}
+
+      {showSaveForm ? (
+        <form style={styles.form} onSubmit={handleSave}>
+          <input
+            style={styles.input}
+            type="text"
+            placeholder="View name"
+            maxLength={40}
+            value={viewName}
+            onChange={(e) => setViewName(e.target.value)}
+            autoFocus
+          />
+          <select style={styles.select} value={shareTeamId} onChange={(e) => setShareTeamId(e.target.value)}>
+            <option value="">Only me</option>
+            {shareOptions.map(team => (
+              <option key={team._id} value={team._id}>Share with {team.name}</option>
+            ))}
+          </select>
+          <div style={styles.formActions}>
+            <button
+              type="submit"
+              style={{ ...styles.primaryButton, marginTop: 0, opacity: isSaving || !viewName.trim() ? 0.6 : 1 }}
+              disabled={isSaving || !viewName.trim()}
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+            <button type="button" style={styles.linkButton} onClick={() => setShowSaveForm(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button style={styles.primaryButton} onClick={openSaveForm}>
+          💾 Save current view
+        </button>
+      )}
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      <ConfirmationDialog
+        isOpen={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={confirmDelete}
+        title="Delete View"
+        message={deleteTarget?.team
+          ? `Delete "${deleteTarget?.name}"? It is removed for everyone in ${deleteTarget.team.name}.`
+          : `Delete "${deleteTarget?.name}"?`}
+        confirmText="Delete"
+        type="danger"
+      />
+    </aside>
+  );
+};
+
+export default SavedViewsSidebar;
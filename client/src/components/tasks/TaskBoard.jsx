@@ -0,0 +1,276 @@
+/*
+  TaskBoard.jsx
+  Kanban board view for tasks in TaskTracker+.
+  - Shows one column per status (or per team workflow column) with cards in board order.
+  - Dragging a card to another column changes its status; dropping it between cards reorders it.
+  - Moves show immediately and settle once the parent has saved them and refreshed its tasks.
+*/
+import React, { useEffect, useState } from 'react';
+import { useTheme } from '../../ThemeContext.jsx';
+
+const PRIORITY_COLORS = {
+  low: '#10b981',
+  medium: '#f59e0b',
+  high: '#ef4444',
+  critical: '#7c3aed'
+};
+
+// Unranked tasks sit at the top of a column, in creation order
+const compareBoardOrder = (a, b) => {
+  const aRank = a.rank ?? -Infinity;
+  const bRank = b.rank ?? -Infinity;
+  if (aRank !== bRank) return aRank - bRank;
+  return new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+// Rank shown for a dropped card until the server returns the saved one
+const getOptimisticRank = (previous, next) => {
+  if (previous?.rank != null && next?.rank != null) return (previous.rank + next.rank) / 2;
+  if (previous?.rank != null) return previous.rank + 1;
+  if (next?.rank != null) return next.rank - 1;
+  return previous ? Infinity : -Infinity;
+};
+
+/**
+ * @param {Array} columns - [{ key, name, color }] in display order
+ * @param {Array} tasks - Tasks to place on the board
+ * @param {Function} getColumnKey - Returns the column key a task belongs to
+ * @param {Function} onMove - (task, columnKey, { previousId, nextId }) => Promise; saves a drop
+ * @param {Function} onTaskClick - Optional; called when a card is clicked
+ * @param {Function} canMove - Optional; return false for tasks the user may not move
+ */
+const TaskBoard = ({ columns, tasks, getColumnKey, onMove, onTaskClick, canMove = () => true }) => {
+  const { theme } = useTheme();
+  const isDark = theme === 'dark';
+  const [draggedTaskId, setDraggedTaskId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { columnKey, index }
+  const [pendingMove, setPendingMove] = useState(null); // { taskId, columnKey, rank }
+
+  // Fresh tasks from the parent replace any optimistic move
+  useEffect(() => {
+    setPendingMove(null);
+  }, [tasks]);
+
+  const tasksByColumn = columns.reduce((acc, column) => ({ ...acc, [column.key]: [] }), {});
+  tasks.forEach(task => {
+    const placed = pendingMove?.taskId === task._id
+      ? { ...task, rank: pendingMove.rank, columnKey: pendingMove.columnKey }
+      : { ...task, columnKey: getColumnKey(task) };
+    if (tasksByColumn[placed.columnKey]) tasksByColumn[placed.columnKey].push(placed);
+  });
+  Object.values(tasksByColumn).forEach(columnTasks => columnTasks.sort(compareBoardOrder));
+
+  const endDrag = () => {
+    setDraggedTaskId(null);
+    setDropTarget(null);
+  };
+
+  const handleCardDragOver = (e, columnKey, index) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const { top, height } = e.currentTarget.getBoundingClientRect();
+    const dropIndex = e.clientY > top + height / 2 ? index + 1 : index;
+    if (dropTarget?.columnKey !== columnKey || dropTarget?.index !== dropIndex) {
+      setDropTarget({ columnKey, index: dropIndex });
+    }
+  };
+
+  const handleColumnDragOver = (e, columnKey) => {
+    e.preventDefault();
+    if (dropTarget?.columnKey !== columnKey) {
+      setDropTarget({ columnKey, index: tasksByColumn[columnKey].length });
+    }
+  };
+
+  const handleDrop = async (e, columnKey) => {
+    e.preventDefault();
+    const task = tasks.find(t => t._id === draggedTaskId);
+    const index = dropTarget?.columnKey === columnKey ? dropTarget.index : tasksByColumn[columnKey].length;
+    endDrag();
+    if (!task) return;
+
+    // Neighbours are worked out without the dragged card, which may come from this column
+    const columnTasks = tasksByColumn[columnKey];
+    const draggedIndex = columnTasks.findIndex(t => t._id === task._id);
+    const insertAt = draggedIndex !== -1 && draggedIndex < index ? index - 1 : index;
+    const others = columnTasks.filter(t => t._id !== task._id);
+    const previous = others[insertAt - 1] || null;
+    const next = others[insertAt] || null;
+    if (draggedIndex === insertAt && getColumnKey(task) === columnKey) return;
+
+    setPendingMove({ taskId: task._id, columnKey, rank: getOptimisticRank(previous, next) });
+    try {
+      await onMove(task, columnKey, { previousId: previous?._id || null, nextId: next?._id || null });
+    } finally {
+      setPendingMove(null);
+    }
+  };
+
+  const styles = {
+    board: {
+      display: 'flex',
+      gap: '16px',
+      overflowX: 'auto',
+      paddingBottom: '8px',
+      alignItems: 'flex-start'
+    },
+    column: {
+      flex: '1 0 260px',
+      maxWidth: '360px',
+      background: isDark ? '#1f2937' : '#f1f5f9',
+      borderRadius: '16px',
+      padding: '12px',
+      minHeight: '200px'
+    },
+    columnHeader: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      marginBottom: '12px',
+      fontSize: '14px',
+      fontWeight: '600',
+      color: isDark ? '#f3f4f6' : '#1e293b'
+    },
+    columnName: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px'
+    },
+    dot: {
+      width: '10px',
+      height: '10px',
+      borderRadius: '50%'
+    },
+    count: {
+      fontSize: '12px',
+      fontWeight: '500',
+      color: '#64748b'
+    },
+    card: {
+      background: isDark ? '#111827' : 'white',
+      border: `1px solid ${isDark ? '#374151' : '#e5e7eb'}`,
+      borderRadius: '12px',
+      padding: '12px',
+      marginBottom: '8px',
+      boxShadow: '0 2px 6px rgba(0, 0, 0, 0.05)',
+      fontSize: '13px',
+      color: isDark ? '#e5e7eb' : '#374151'
+    },
+    cardTitle: {
+      fontSize: '14px',
+      fontWeight: '600',
+      color: isDark ? '#f9fafb' : '#1e293b',
+      marginBottom: '6px',
+      wordBreak: 'break-word'
+    },
+    cardMeta: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '8px',
+      alignItems: 'center',
+      fontSize: '12px',
+      color: '#64748b'
+    },
+    priority: {
+      padding: '1px 8px',
+      borderRadius: '9999px',
+      color: 'white',
+      fontSize: '11px',
+      fontWeight: '600',
+      textTransform: 'capitalize'
+    },
+    dropIndicator: {
+      height: '3px',
+      background: '#2563eb',
+      borderRadius: '2px',
+      margin: '-2px 0 6px 0'
+    },
+    empty: {
+      fontSize: '13px',
+      color: '#94a3b8',
+      fontStyle: 'italic',
+      textAlign: 'center',
+      padding: '16px 0'
+    }
+  };
+
+  const renderDropIndicator = (columnKey, index) => (
+    draggedTaskId && dropTarget?.columnKey === columnKey && dropTarget.index === index
+      ? <div style={styles.dropIndicator} />
+      : null
+  );
+
+  return (
+    <div style={styles.board}>
+      {columns.map(column => {
+        const columnTasks = tasksByColumn[column.key];
+        return (
+          <div
+            key={column.key}
+            style={{
+              ...styles.column,
+              outline: draggedTaskId && dropTarget?.columnKey === column.key ? '2px dashed #93c5fd' : 'none'
+            }}
+            onDragOver={e => handleColumnDragOver(e, column.key)}
+            onDrop={e => handleDrop(e, column.key)}
+          >
+            <div style={styles.columnHeader}>
+              <span style={styles.columnName}>
+                <span style={{ ...styles.dot, background: column.color || '#6b7280' }} />
+                {column.name}
+              </span>
+              <span style={styles.count}>{columnTasks.length}</span>
+            </div>
+            {columnTasks.length === 0 && !draggedTaskId && <div style={styles.empty}>No tasks</div>}
+            {columnTasks.map((task, index) => {
+              const movable = canMove(task);
+              const isOverdue = task.status !== 'completed' && task.dueDate && new Date(task.dueDate) < new Date();
+              const openBlockers = (task.blockedBy || []).filter(b => b.status !== 'completed' && !b.isArchived);
+              return (
+                <React.Fragment key={task._id}>
+                  {renderDropIndicator(column.key, index)}
+                  <div
+                    draggable={movable}
+                    onDragStart={e => {
+                      e.dataTransfer.effectAllowed = 'move';
+                      e.dataTransfer.setData('text/plain', task._id);
+                      setDraggedTaskId(task._id);
+                    }}
+                    onDragEnd={endDrag}
+                    onDragOver={e => handleCardDragOver(e, column.key, index)}
+                    onClick={() => onTaskClick && onTaskClick(task)}
+                    style={{
+                      ...styles.card,
+                      cursor: movable ? 'grab' : (onTaskClick ? 'pointer' : 'default'),
+                      opacity: draggedTaskId === task._id ? 0.4 : 1
+                    }}
+                  >
+                    <div style={styles.cardTitle}>{task.title}</div>
+                    <div style={styles.cardMeta}>
+                      {task.priority && (
+                        <span style={{ ...styles.priority, background: PRIORITY_COLORS[task.priority] || '#6b7280' }}>
+                          {task.priority}
+                        </span>
+                      )}
+                      {task.dueDate && (
+                        <span style={isOverdue ? { color: '#ef4444' } : undefined}>
+                          📅 {new Date(task.dueDate).toLocaleDateString()}
+                        </span>
+                      )}
+                      {task.estimate != null && <span>⏱️ {task.estimate}</span>}
+                      {openBlockers.length > 0 && <span title="Blocked">🔒 {openBlockers.length}</span>}
+                      {task.team && task.assignedTo?.name && <span>👤 {task.assignedTo.name}</span>}
+                    </div>
+                  </div>
+                </React.Fragment>
+              );
+            })}
+            {renderDropIndicator(column.key, columnTasks.length)}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TaskBoard;
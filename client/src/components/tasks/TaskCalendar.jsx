@@ -0,0 +1,237 @@
+/*
+  TaskCalendar.jsx
+  Month/week calendar view for tasks in TaskTracker+.
+  - Places tasks on their due date, highlighting overdue and due-soon tasks.
+  - Dragging a task to another day reschedules it; days before today do not accept drops.
+  - The parent owns the shown month/week so it can load the matching due-date window.
+*/
+import React, { useEffect, useState } from 'react';
+import { useTheme } from '../../ThemeContext.jsx';
+import { getCalendarDays, getDueDayKey, isPastDay, shiftCalendar, toDayKey } from '../../utils/calendar';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * @param {Array} tasks - Tasks to place on the calendar (tasks without a due date are skipped)
+ * @param {Date} anchor - Any day in the month or week shown
+ * @param {'month'|'week'} mode - Calendar mode
+ * @param {Function} onNavigate - ({ anchor, mode }) => void; called when the user changes month/week or mode
+ * @param {Function} onReschedule - (task, dayKey) => Promise; saves a drop on another day ('YYYY-MM-DD')
+ * @param {Function} onTaskClick - Optional; called when a task is clicked
+ * @param {Function} canMove - Optional; return false for tasks the user may not reschedule
+ */
+const TaskCalendar = ({ tasks, anchor, mode, onNavigate, onReschedule, onTaskClick, canMove = () => true }) => {
+  const { theme } = useTheme();
+  const isDark = theme === 'dark';
+  const [draggedTaskId, setDraggedTaskId] = useState(null);
+  const [dropDayKey, setDropDayKey] = useState(null);
+  const [pendingMove, setPendingMove] = useState(null); // { taskId, dayKey }
+
+  // Fresh tasks from the parent replace any optimistic move
+  useEffect(() => {
+    setPendingMove(null);
+  }, [tasks]);
+
+  const days = getCalendarDays(anchor, mode);
+  const todayKey = toDayKey(new Date());
+  const tasksByDay = {};
+  tasks.forEach(task => {
+    const dayKey = pendingMove?.taskId === task._id ? pendingMove.dayKey : getDueDayKey(task.dueDate);
+    if (!dayKey) return;
+    (tasksByDay[dayKey] = tasksByDay[dayKey] || []).push(task);
+  });
+
+  const title = mode === 'week'
+    ? `${days[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${days[6].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+  const endDrag = () => {
+    setDraggedTaskId(null);
+    setDropDayKey(null);
+  };
+
+  const handleDrop = async (e, dayKey) => {
+    e.preventDefault();
+    const task = tasks.find(t => t._id === draggedTaskId);
+    endDrag();
+    if (!task || isPastDay(dayKey) || getDueDayKey(task.dueDate) === dayKey) return;
+    setPendingMove({ taskId: task._id, dayKey });
+    try {
+      await onReschedule(task, dayKey);
+    } finally {
+      setPendingMove(null);
+    }
+  };
+
+  const getTaskStyle = (task) => {
+    if (task.status === 'completed') return styles.taskCompleted;
+    if (task.isOverdue) return styles.taskOverdue;
+    if (task.isDueSoon) return styles.taskDueSoon;
+    return styles.task;
+  };
+
+  const styles = {
+    header: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: '12px',
+      flexWrap: 'wrap',
+      gap: '8px'
+    },
+    title: {
+      fontSize: '18px',
+      fontWeight: '600',
+      color: isDark ? '#f3f4f6' : '#1e293b',
+      margin: 0
+    },
+    controls: {
+      display: 'flex',
+      gap: '6px',
+      alignItems: 'center'
+    },
+    button: {
+      padding: '6px 12px',
+      borderRadius: '8px',
+      border: '1px solid #d1d5db',
+      background: isDark ? '#1f2937' : 'white',
+      color: isDark ? '#e5e7eb' : '#374151',
+      fontSize: '13px',
+      cursor: 'pointer'
+    },
+    buttonActive: {
+      background: '#2563eb',
+      borderColor: '#2563eb',
+      color: 'white'
+    },
+    grid: {
+      display: 'grid',
+      gridTemplateColumns: 'repeat(7, minmax(0, 1fr))',
+      gap: '4px'
+    },
+    weekday: {
+      fontSize: '12px',
+      fontWeight: '600',
+      color: '#64748b',
+      textAlign: 'center',
+      padding: '4px 0'
+    },
+    day: {
+      minHeight: mode === 'week' ? '320px' : '110px',
+      maxHeight: mode === 'week' ? 'none' : '160px',
+      overflowY: 'auto',
+      background: isDark ? '#1f2937' : '#f8fafc',
+      border: `1px solid ${isDark ? '#374151' : '#e5e7eb'}`,
+      borderRadius: '8px',
+      padding: '4px'
+    },
+    dayNumber: {
+      fontSize: '12px',
+      fontWeight: '600',
+      color: isDark ? '#d1d5db' : '#475569',
+      marginBottom: '4px'
+    },
+    today: {
+      background: '#2563eb',
+      color: 'white',
+      borderRadius: '9999px',
+      padding: '0 6px'
+    },
+    task: {
+      fontSize: '12px',
+      padding: '3px 6px',
+      borderRadius: '6px',
+      marginBottom: '3px',
+      background: isDark ? '#1e3a8a' : '#dbeafe',
+      color: isDark ? '#dbeafe' : '#1e3a8a',
+      whiteSpace: 'nowrap',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      borderLeft: '3px solid #2563eb'
+    }
+  };
+  styles.taskOverdue = { ...styles.task, background: isDark ? '#7f1d1d' : '#fee2e2', color: isDark ? '#fee2e2' : '#991b1b', borderLeftColor: '#ef4444' };
+  styles.taskDueSoon = { ...styles.task, background: isDark ? '#78350f' : '#fef3c7', color: isDark ? '#fef3c7' : '#92400e', borderLeftColor: '#f59e0b' };
+  styles.taskCompleted = { ...styles.task, background: isDark ? '#374151' : '#f3f4f6', color: '#6b7280', borderLeftColor: '#10b981', textDecoration: 'line-through' };
+
+  return (
+    <div>
+      <div style={styles.header}>
+        <h3 style={styles.title}>📅 {title}</h3>
+        <div style={styles.controls}>
+          <button style={styles.button} onClick={() => onNavigate({ anchor: shiftCalendar(anchor, mode, -1), mode })} aria-label="Previous">‹</button>
+          <button style={styles.button} onClick={() => onNavigate({ anchor: new Date(), mode })}>Today</button>
+          <button style={styles.button} onClick={() => onNavigate({ anchor: shiftCalendar(anchor, mode, 1), mode })} aria-label="Next">›</button>
+          <button
+            style={{ ...styles.button, ...(mode === 'month' ? styles.buttonActive : {}) }}
+            onClick={() => onNavigate({ anchor, mode: 'month' })}
+          >
+            Month
+          </button>
+          <button
+            style={{ ...styles.button, ...(mode === 'week' ? styles.buttonActive : {}) }}
+            onClick={() => onNavigate({ anchor, mode: 'week' })}
+          >
+            Week
+          </button>
+        </div>
+      </div>
+      <div style={styles.grid}>
+        {WEEKDAYS.map(weekday => <div key={weekday} style={styles.weekday}>{weekday}</div>)}
+        {days.map(day => {
+          const dayKey = toDayKey(day);
+          const isPast = isPastDay(dayKey);
+          const inMonth = mode === 'week' || day.getMonth() === anchor.getMonth();
+          return (
+            <div
+              key={dayKey}
+              style={{
+                ...styles.day,
+                opacity: inMonth ? 1 : 0.55,
+                background: isPast && draggedTaskId ? (isDark ? '#111827' : '#f1f5f9') : styles.day.background,
+                outline: dropDayKey === dayKey ? '2px dashed #2563eb' : 'none'
+              }}
+              onDragOver={e => {
+                // Leaving preventDefault out keeps past days from accepting the drop
+                if (isPast) return;
+                e.preventDefault();
+                if (dropDayKey !== dayKey) setDropDayKey(dayKey);
+              }}
+              onDrop={e => handleDrop(e, dayKey)}
+            >
+              <div style={styles.dayNumber}>
+                <span style={dayKey === todayKey ? styles.today : undefined}>{day.getDate()}</span>
+              </div>
+              {(tasksByDay[dayKey] || []).map(task => {
+                const movable = canMove(task);
+                return (
+                  <div
+                    key={task._id}
+                    draggable={movable}
+                    onDragStart={e => {
+                      e.dataTransfer.effectAllowed = 'move';
+                      e.dataTransfer.setData('text/plain', task._id);
+                      setDraggedTaskId(task._id);
+                    }}
+                    onDragEnd={endDrag}
+                    onClick={() => onTaskClick && onTaskClick(task)}
+                    title={`${task.title}${task.isOverdue ? ' (overdue)' : task.isDueSoon ? ' (due soon)' : ''}`}
+                    style={{
+                      ...getTaskStyle(task),
+                      cursor: movable ? 'grab' : (onTaskClick ? 'pointer' : 'default'),
+                      opacity: draggedTaskId === task._id ? 0.4 : 1
+                    }}
+                  >
+                    {task.isOverdue && task.status !== 'completed' ? '⚠️ ' : ''}{task.title}
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TaskCalendar;
@@ -6,10 +6,14 @@
   - Integrates with Redux for state updates and backend API for actions.
 */
 import { useState, useEffect, useRef } from 'react';
-import { useDispatch } from 'react-redux';
-import { updateTask, deleteTask, archiveTask } from '../../store/slices/taskSlice';
+import { useDispatch, useSelector } from 'react-redux';
+import { updateTask, deleteTask, archiveTask, updateChecklistItem } from '../../store/slices/taskSlice';
+import { startTimer, stopTimer } from '../../store/slices/timeSlice';
+import { formatDuration, getElapsedSeconds } from '../../utils/timeFormat';
 import TaskForm from './TaskForm';
 import ConfirmationDialog from './ConfirmationDialog';
+import TaskDependenciesModal from './TaskDependenciesModal';
+import TaskDetailModal from './TaskDetailModal';
 import { useTheme } from '../../ThemeContext.jsx';
 
 const baseActionButton = {
@@ -35,18 +39,25 @@ const loadingSpinner = {
   marginRight: '8px'
 };
 
-const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchived, userRole, onTaskEditSuccess, teamMembers = null }) => {
+const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchived, userRole, onTaskEditSuccess, teamMembers = null, workflow = null, isSelected = false, onSelect = null, isFocused = false }) => {
   const dispatch = useDispatch();
   const [showEditForm, setShowEditForm] = useState(false);
+  const [showSubtaskForm, setShowSubtaskForm] = useState(false);
+  const [showDependencies, setShowDependencies] = useState(false);
+  const [showDetail, setShowDetail] = useState(false);
+  const [blockedStatusChange, setBlockedStatusChange] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [showArchiveConfirm, setShowArchiveConfirm] = useState(false);
   const [showRestoreConfirm, setShowRestoreConfirm] = useState(false);
   const [showActionMenu, setShowActionMenu] = useState(false);
   const menuTimeout = useRef(null);
   const menuRef = useRef(null);
+  const cardRef = useRef(null);
   const [isMenuHovered, setIsMenuHovered] = useState(false);
   const [fadingOut, setFadingOut] = useState(false);
   const [showLoadingOverlay, setShowLoadingOverlay] = useState(false);
+  const runningEntry = useSelector(state => state.time.runningEntry);
+  const [now, setNow] = useState(Date.now());
   const { theme } = useTheme();
   const borderColor = theme === 'dark' ? '#4b5563' : '#d1d5db';
 
@@ -80,6 +91,20 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
     setShowActionMenu(false);
   }, [view]);
 
+  // Tick the tracked total while this task's timer is running
+  const isTiming = !!runningEntry && (runningEntry.task?._id || runningEntry.task) === task._id;
+  useEffect(() => {
+    if (!isTiming) return;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(interval);
+  }, [isTiming]);
+
+  // Keep the keyboard-focused card on screen
+  useEffect(() => {
+    if (isFocused) cardRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [isFocused]);
+
   const handleMenuOpen = (e) => {
     e.stopPropagation();
     window.dispatchEvent(new CustomEvent('taskcard-menu-open', { detail: task._id }));
@@ -135,13 +160,19 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
     return priority.charAt(0).toUpperCase() + priority.slice(1);
   };
 
-  const handleStatusChange = (newStatus) => {
-    if (task.status !== newStatus) {
+  const handleStatusChange = (option, overrideBlockers = false) => {
+    if (!isCurrentStatus(option)) {
+      // Starting or completing a blocked task needs an explicit override
+      if (task.isBlocked && option.category !== 'todo' && !overrideBlockers) {
+        setBlockedStatusChange(option);
+        return;
+      }
+      const taskData = currentColumn ? { workflowStatus: option.key } : { status: option.category };
       setFadingOut(true);
       setTimeout(() => {
         dispatch(updateTask({
           taskId: task._id,
-          taskData: { status: newStatus }
+          taskData: overrideBlockers ? { ...taskData, overrideBlockers: true } : taskData
         }))
           .then((result) => {
             setFadingOut(false);
@@ -166,6 +197,49 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
     setShowArchiveConfirm(true);
   };
 
+  const handleAddSubtask = (e) => {
+    e.stopPropagation();
+    setShowSubtaskForm(true);
+  };
+
+  const handleDependencies = (e) => {
+    e.stopPropagation();
+    setShowDependencies(true);
+  };
+
+  const handleOpenDetail = (e) => {
+    e.stopPropagation();
+    setShowDetail(true);
+  };
+
+  // Only one timer runs at a time, so starting here stops the timer on any other task
+  const handleTimerToggle = async (e) => {
+    e.stopPropagation();
+    try {
+      if (runningEntry) {
+        await dispatch(stopTimer()).unwrap();
+      }
+      if (!isTiming) {
+        await dispatch(startTimer(task._id)).unwrap();
+      }
+    } catch (error) {
+      console.error('Failed to toggle timer:', error);
+    }
+  };
+
+  const handleChecklistToggle = async (item) => {
+    try {
+      await dispatch(updateChecklistItem({
+        taskId: task._id,
+        itemId: item._id,
+        updates: { isCompleted: !item.isCompleted }
+      }));
+      if (onUpdate) onUpdate();
+    } catch (error) {
+      console.error('Failed to update checklist item:', error);
+    }
+  };
+
   const handleDelete = (e) => {
     e.stopPropagation();
     setShowDeleteConfirm(true);
@@ -255,6 +329,35 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
     });
   };
 
+  const trackedSeconds = (task.timeSpent || 0) + (isTiming ? getElapsedSeconds(runningEntry, now) : 0);
+  // Rolled-up checklist and subtask progress (computed by the server)
+  const progress = task.progress;
+  const hasProgress = progress && progress.percent !== null && progress.percent !== undefined;
+  // Team tasks use the team's workflow columns; everything else uses the three default statuses
+  const currentColumn = workflow && workflow.length > 0 && task.team
+    ? (workflow.find(c => c.key === task.workflowStatus) || workflow.find(c => c.category === task.status))
+    : null;
+  const statusOptions = currentColumn
+    ? workflow.map(c => ({ key: c.key, name: c.name, category: c.category, color: c.color || getStatusColor(c.category) }))
+    : ['todo', 'in-progress', 'completed'].map(status => ({
+      key: status,
+      name: getStatusDisplayName(status),
+      category: status,
+      color: getStatusColor(status)
+    }));
+  const isCurrentStatus = (option) => (
+    currentColumn ? currentColumn.key === option.key : task.status === option.category
+  );
+  const recurrenceLabel = task.recurrence
+    ? (task.recurrence.interval > 1
+      ? `Every ${task.recurrence.interval} ${{ daily: 'days', weekly: 'weeks', monthly: 'months', yearly: 'years' }[task.recurrence.frequency]}`
+      : { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly', yearly: 'Yearly' }[task.recurrence.frequency])
+    : null;
+  const blockerTitles = (task.blockedBy || [])
+    .filter(blocker => blocker && blocker.status && blocker.status !== 'completed' && !blocker.isArchived)
+    .map(blocker => blocker.title)
+    .join(', ');
+
   const isOverdue = task.dueDate && new Date(task.dueDate) < new Date() && task.status !== 'completed';
   const isDueSoon = task.dueDate && !isOverdue && task.status !== 'completed' && 
     new Date(task.dueDate) <= new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
@@ -375,6 +478,85 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
       fontWeight: '500',
       whiteSpace: 'nowrap'
     },
+    progressSection: {
+      marginBottom: '12px'
+    },
+    progressHeader: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      fontSize: '12px',
+      color: '#64748b',
+      marginBottom: '4px'
+    },
+    progressTrack: {
+      height: '6px',
+      borderRadius: '3px',
+      background: '#e5e7eb',
+      overflow: 'hidden'
+    },
+    progressFill: {
+      height: '100%',
+      borderRadius: '3px',
+      background: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
+      transition: 'width 0.3s ease'
+    },
+    checklist: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '4px',
+      marginBottom: '12px'
+    },
+    checklistItem: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      fontSize: '13px',
+      color: '#374151',
+      cursor: 'pointer'
+    },
+    recurringBadge: {
+      padding: '4px 8px',
+      borderRadius: '16px',
+      fontSize: '12px',
+      fontWeight: '500',
+      background: '#eef2ff',
+      color: '#4f46e5',
+      whiteSpace: 'nowrap'
+    },
+    timeBadge: {
+      padding: '4px 8px',
+      borderRadius: '16px',
+      border: 'none',
+      fontSize: '12px',
+      fontWeight: '500',
+      background: '#f0f9ff',
+      color: '#0369a1',
+      whiteSpace: 'nowrap',
+      cursor: 'pointer'
+    },
+    timeBadgeRunning: {
+      background: '#fef2f2',
+      color: '#dc2626',
+      fontWeight: '600'
+    },
+    blockedBadge: {
+      padding: '4px 8px',
+      borderRadius: '16px',
+      fontSize: '12px',
+      fontWeight: '600',
+      background: '#fef2f2',
+      color: '#dc2626',
+      whiteSpace: 'nowrap'
+    },
+    progressBadge: {
+      padding: '4px 8px',
+      borderRadius: '16px',
+      fontSize: '12px',
+      fontWeight: '500',
+      background: '#ecfdf5',
+      color: '#059669',
+      whiteSpace: 'nowrap'
+    },
     footer: {
       display: 'flex',
       justifyContent: 'space-between',
@@ -564,12 +746,40 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
     ...(view === 'grid' ? styles.gridCard : styles.listCard),
     opacity: fadingOut ? 0 : 1,
     transition: 'opacity 0.5s',
-    ...(archived ? { filter: 'grayscale(1)', background: '#f3f4f6', color: '#9ca3af', position: 'relative' } : {})
+    ...(archived ? { filter: 'grayscale(1)', background: '#f3f4f6', color: '#9ca3af', position: 'relative' } : {}),
+    ...(isSelected ? { outline: '2px solid #2563eb', outlineOffset: '-2px' } : {}),
+    // Keyboard focus on the tasks page
+    ...(isFocused ? { outline: '3px solid rgba(245, 158, 11, 0.8)', outlineOffset: '2px' } : {})
   };
 
+  // Multi-select checkbox, shown when the page supports bulk actions
+  const selectBox = onSelect && (
+    <input
+      type="checkbox"
+      checked={isSelected}
+      onChange={() => onSelect(task)}
+      onClick={e => e.stopPropagation()}
+      style={{ width: '16px', height: '16px', flexShrink: 0, cursor: 'pointer', marginTop: view === 'grid' ? '3px' : 0 }}
+      aria-label={`Select "${task.title}"`}
+    />
+  );
+
+  const timerChip = archived ? (
+    trackedSeconds > 0 && <div style={styles.timeBadge}>⏱ {formatDuration(trackedSeconds)}</div>
+  ) : (
+    <button
+      style={{ ...styles.timeBadge, ...(isTiming ? styles.timeBadgeRunning : {}) }}
+      onClick={handleTimerToggle}
+      title={isTiming ? 'Stop timer' : 'Start timer'}
+    >
+      {isTiming ? '⏹' : '▶'} {formatDuration(trackedSeconds)}
+    </button>
+  );
+
   return (
     <>
       <div
+        ref={cardRef}
         style={cardStyle}
         onMouseOver={(e) => {
           e.currentTarget.style.transform = view === 'grid' ? 'translateY(-2px)' : 'translateY(-1px)';
@@ -616,6 +826,32 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
               >
                 ✏️ Edit
               </button>
+              {!task.parentTask && (
+                <button
+                  style={{...styles.actionMenuButton, color: '#10b981'}}
+                  onClick={e => { handleAddSubtask(e); setShowActionMenu(false); }}
+                  onMouseOver={e => e.target.style.background = '#ecfdf5'}
+                  onMouseOut={e => e.target.style.background = 'none'}
+                >
+                  ➕ Add Subtask
+                </button>
+              )}
+              <button
+                style={{...styles.actionMenuButton, color: '#8b5cf6'}}
+                onClick={e => { handleDependencies(e); setShowActionMenu(false); }}
+                onMouseOver={e => e.target.style.background = '#f5f3ff'}
+                onMouseOut={e => e.target.style.background = 'none'}
+              >
+                🔗 Dependencies
+              </button>
+              <button
+                style={{...styles.actionMenuButton, color: '#2563eb'}}
+                onClick={e => { handleOpenDetail(e); setShowActionMenu(false); }}
+                onMouseOver={e => e.target.style.background = '#eff6ff'}
+                onMouseOut={e => e.target.style.background = 'none'}
+              >
+                💬 Comments
+              </button>
               <button
                 style={{
                   ...styles.actionMenuButton,
@@ -644,12 +880,14 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
         {view === 'grid' ? (
           <>
             {/* Grid layout */}
-            <div style={styles.header}>
+            <div style={{ ...styles.header, ...(selectBox ? { justifyContent: 'flex-start', gap: '8px' } : {}) }}>
+              {selectBox}
               <h3 style={{
                 ...styles.title,
                 ...(task.status === 'completed' ? styles.titleCompleted : {}),
-                paddingRight: '100px' // Make room for action buttons
-              }}>
+                paddingRight: '100px', // Make room for action buttons
+                cursor: 'pointer'
+              }} onClick={handleOpenDetail}>
                 {task.title}
               </h3>
             </div>
@@ -663,10 +901,10 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
             <div style={styles.statusSection}>
               <div style={{
                 ...styles.statusBadge,
-                background: getStatusColor(task.status)
+                background: currentColumn?.color || getStatusColor(task.status)
               }}>
                 <span>{getStatusIcon(task.status)}</span>
-                <span>{getStatusDisplayName(task.status)}</span>
+                <span>{currentColumn ? currentColumn.name : getStatusDisplayName(task.status)}</span>
               </div>
               <div style={{
                 ...styles.priorityBadge,
@@ -675,6 +913,17 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
                 <span>{getPriorityIcon(task.priority)}</span>
                 <span>{getPriorityDisplayName(task.priority)}</span>
               </div>
+              {task.recurrence && (
+                <div style={styles.recurringBadge} title={recurrenceLabel}>
+                  🔁 {recurrenceLabel}
+                </div>
+              )}
+              {task.isBlocked && (
+                <div style={styles.blockedBadge} title={blockerTitles}>
+                  ⛔ Blocked
+                </div>
+              )}
+              {timerChip}
             </div>
 
             {task.tags && task.tags.length > 0 && (
@@ -687,6 +936,44 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
               </div>
             )}
 
+            {hasProgress && (
+              <div style={styles.progressSection}>
+                <div style={styles.progressHeader}>
+                  <span>
+                    {progress.checklist.total > 0 && `☑️ ${progress.checklist.completed}/${progress.checklist.total}`}
+                    {progress.checklist.total > 0 && progress.subtasks.total > 0 && ' · '}
+                    {progress.subtasks.total > 0 && `🧩 ${progress.subtasks.completed}/${progress.subtasks.total} subtasks`}
+                  </span>
+                  <span>{progress.percent}%</span>
+                </div>
+                <div style={styles.progressTrack}>
+                  <div style={{ ...styles.progressFill, width: `${progress.percent}%` }} />
+                </div>
+              </div>
+            )}
+
+            {task.checklist && task.checklist.length > 0 && (
+              <div style={styles.checklist}>
+                {task.checklist.map(item => (
+                  <label
+                    key={item._id}
+                    style={{ ...styles.checklistItem, cursor: !archived && canEdit ? 'pointer' : 'default' }}
+                    onClick={e => e.stopPropagation()}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={!!item.isCompleted}
+                      disabled={archived || !canEdit}
+                      onChange={() => handleChecklistToggle(item)}
+                    />
+                    <span style={item.isCompleted ? { textDecoration: 'line-through', opacity: 0.6 } : {}}>
+                      {item.text}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+
             <div style={styles.footer}>
               <div style={styles.assignedTo}>
                 <div style={styles.avatar}>
@@ -708,48 +995,23 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
             {/* Quick status change buttons */}
             {!archived && (
               <div style={styles.quickStatusButtons}>
-                <button
-                  style={{
-                    ...styles.quickStatusButton,
-                    background: getStatusColor('todo'),
-                    color: 'white',
-                    ...(task.status === 'todo' ? styles.quickStatusButtonActive : {})
-                  }}
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    handleStatusChange('todo');
-                  }}
-                >
-                  To Do
-                </button>
-                <button
-                  style={{
-                    ...styles.quickStatusButton,
-                    background: getStatusColor('in-progress'),
-                    color: 'white',
-                    ...(task.status === 'in-progress' ? styles.quickStatusButtonActive : {})
-                  }}
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    handleStatusChange('in-progress');
-                  }}
-                >
-                  In Progress
-                </button>
-                <button
-                  style={{
-                    ...styles.quickStatusButton,
-                    background: getStatusColor('completed'),
-                    color: 'white',
-                    ...(task.status === 'completed' ? styles.quickStatusButtonActive : {})
-                  }}
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    handleStatusChange('completed');
-                  }}
-                >
-                  Completed
-                </button>
+                {statusOptions.map(option => (
+                  <button
+                    key={option.key}
+                    style={{
+                      ...styles.quickStatusButton,
+                      background: option.color,
+                      color: 'white',
+                      ...(isCurrentStatus(option) ? styles.quickStatusButtonActive : {})
+                    }}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleStatusChange(option);
+                    }}
+                  >
+                    {option.name}
+                  </button>
+                ))}
               </div>
             )}
           </>
@@ -757,20 +1019,22 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
           <>
             {/* List layout */}
             <div style={styles.listHeader}>
+              {selectBox}
               <h3 style={{
                 ...styles.title,
-                ...(task.status === 'completed' ? styles.titleCompleted : {})
-              }}>
+                ...(task.status === 'completed' ? styles.titleCompleted : {}),
+                cursor: 'pointer'
+              }} onClick={handleOpenDetail}>
                 {task.title}
               </h3>
               <div style={styles.listContent}>
                 <div style={styles.listMetaRow}>
                   <div style={{
                     ...styles.statusBadge,
-                    background: getStatusColor(task.status)
+                    background: currentColumn?.color || getStatusColor(task.status)
                   }}>
                     <span>{getStatusIcon(task.status)}</span>
-                    <span>{getStatusDisplayName(task.status)}</span>
+                    <span>{currentColumn ? currentColumn.name : getStatusDisplayName(task.status)}</span>
                   </div>
                   <div style={{
                     ...styles.priorityBadge,
@@ -779,6 +1043,22 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
                     <span>{getPriorityIcon(task.priority)}</span>
                     <span>{getPriorityDisplayName(task.priority)}</span>
                   </div>
+                  {task.recurrence && (
+                    <div style={styles.recurringBadge} title={recurrenceLabel}>
+                      🔁 {recurrenceLabel}
+                    </div>
+                  )}
+                  {task.isBlocked && (
+                    <div style={styles.blockedBadge} title={blockerTitles}>
+                      ⛔ Blocked
+                    </div>
+                  )}
+                  {hasProgress && (
+                    <div style={styles.progressBadge}>
+                      {progress.percent}% done
+                    </div>
+                  )}
+                  {timerChip}
                 </div>
                 {task.tags && task.tags.length > 0 && (
                   <div style={styles.tagsContainer}>
@@ -797,48 +1077,23 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
                 {/* Status change buttons in list view */}
                 {!archived && (
                   <div style={styles.quickStatusButtons}>
-                    <button
-                      style={{
-                        ...styles.quickStatusButton,
-                        background: getStatusColor('todo'),
-                        color: 'white',
-                        ...(task.status === 'todo' ? styles.quickStatusButtonActive : {})
-                      }}
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleStatusChange('todo');
-                      }}
-                    >
-                      To Do
-                    </button>
-                    <button
-                      style={{
-                        ...styles.quickStatusButton,
-                        background: getStatusColor('in-progress'),
-                        color: 'white',
-                        ...(task.status === 'in-progress' ? styles.quickStatusButtonActive : {})
-                      }}
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleStatusChange('in-progress');
-                      }}
-                    >
-                      In Progress
-                    </button>
-                    <button
-                      style={{
-                        ...styles.quickStatusButton,
-                        background: getStatusColor('completed'),
-                        color: 'white',
-                        ...(task.status === 'completed' ? styles.quickStatusButtonActive : {})
-                      }}
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleStatusChange('completed');
-                      }}
-                    >
-                      Completed
-                    </button>
+                    {statusOptions.map(option => (
+                      <button
+                        key={option.key}
+                        style={{
+                          ...styles.quickStatusButton,
+                          background: option.color,
+                          color: 'white',
+                          ...(isCurrentStatus(option) ? styles.quickStatusButtonActive : {})
+                        }}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleStatusChange(option);
+                        }}
+                      >
+                        {option.name}
+                      </button>
+                    ))}
                   </div>
                 )}
               </div>
@@ -886,6 +1141,32 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
                     >
                       ✏️ Edit
                     </button>
+                    {!task.parentTask && (
+                      <button
+                        style={{...styles.actionMenuButton, color: '#10b981'}}
+                        onClick={e => { handleAddSubtask(e); setShowActionMenu(false); }}
+                        onMouseOver={e => e.target.style.background = '#ecfdf5'}
+                        onMouseOut={e => e.target.style.background = 'none'}
+                      >
+                        ➕ Add Subtask
+                      </button>
+                    )}
+                    <button
+                      style={{...styles.actionMenuButton, color: '#8b5cf6'}}
+                      onClick={e => { handleDependencies(e); setShowActionMenu(false); }}
+                      onMouseOver={e => e.target.style.background = '#f5f3ff'}
+                      onMouseOut={e => e.target.style.background = 'none'}
+                    >
+                      🔗 Dependencies
+                    </button>
+                    <button
+                      style={{...styles.actionMenuButton, color: '#2563eb'}}
+                      onClick={e => { handleOpenDetail(e); setShowActionMenu(false); }}
+                      onMouseOver={e => e.target.style.background = '#eff6ff'}
+                      onMouseOut={e => e.target.style.background = 'none'}
+                    >
+                      💬 Comments
+                    </button>
                     <button
                       style={{
                         ...styles.actionMenuButton,
@@ -1006,13 +1287,55 @@ const TaskCard = ({ task, onDelete, view = 'grid', onFadeOut, onUpdate, isArchiv
         />
       )}
 
+      {/* Add Subtask Modal */}
+      {showSubtaskForm && (
+        <TaskForm
+          isOpen={showSubtaskForm}
+          onClose={() => setShowSubtaskForm(false)}
+          onSuccess={() => { setShowSubtaskForm(false); if (onUpdate) onUpdate(); }}
+          parentTask={task}
+          teamMembers={teamMembers}
+        />
+      )}
+
+      {/* Dependencies Modal */}
+      {showDependencies && (
+        <TaskDependenciesModal
+          isOpen={showDependencies}
+          onClose={() => setShowDependencies(false)}
+          onChange={onUpdate}
+          task={task}
+        />
+      )}
+
+      {/* Task Detail Modal with comments */}
+      {showDetail && (
+        <TaskDetailModal
+          isOpen={showDetail}
+          onClose={() => setShowDetail(false)}
+          task={task}
+          teamMembers={teamMembers}
+        />
+      )}
+
+      {/* Confirmation Dialog for moving a blocked task forward */}
+      <ConfirmationDialog
+        isOpen={!!blockedStatusChange}
+        onClose={() => setBlockedStatusChange(null)}
+        onConfirm={() => handleStatusChange(blockedStatusChange, true)}
+        title="Task Is Blocked"
+        message={`"${task.title}" is waiting on: ${blockerTitles}. Move it to ${blockedStatusChange?.name || ''} anyway?`}
+        confirmText="Override"
+        type="warning"
+      />
+
       {/* Confirmation Dialog for Delete (active and archived) */}
       <ConfirmationDialog
         isOpen={showDeleteConfirm}
         onClose={() => setShowDeleteConfirm(false)}
         onConfirm={confirmDelete}
         title="Delete Task"
-        message={`Are you sure you want to permanently delete "${task.title}"? This cannot be undone.`}
+        message={`Move "${task.title}" to the trash? You can restore it from the trash until it is purged.`}
         confirmText="Delete"
         type="danger"
       />
@@ -0,0 +1,265 @@
+/*
+  TaskComments.jsx
+  Comment thread component for tasks in TaskTracker+.
+  - Loads, adds, edits, and deletes comments through Redux thunks.
+  - Suggests team members while typing an @mention.
+  - Highlights mentions in posted comments.
+*/
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { getComments, addComment, updateComment, deleteComment } from '../../store/slices/taskSlice';
+
+const EMPTY_THREAD = [];
+
+// Find the "@partial" word being typed at the end of the input
+const getMentionQuery = (text) => {
+  const match = /(^|\s)@([^@\n]{0,30})$/.exec(text);
+  return match ? match[2].toLowerCase() : null;
+};
+
+const TaskComments = ({ task, members = [] }) => {
+  const dispatch = useDispatch();
+  const comments = useSelector(state => state.tasks.comments[task._id]) || EMPTY_THREAD;
+  const { user } = useSelector(state => state.auth);
+  const [body, setBody] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editBody, setEditBody] = useState('');
+  const [error, setError] = useState(null);
+  const [isPosting, setIsPosting] = useState(false);
+
+  const currentUserId = user?.id || user?.userId || user?._id;
+  const mentionQuery = getMentionQuery(body);
+  const suggestions = mentionQuery === null ? [] : members
+    .map(member => member.userId || member)
+    .filter(member => member?.name && member.name.toLowerCase().startsWith(mentionQuery))
+    .slice(0, 5);
+
+  useEffect(() => {
+    dispatch(getComments(task._id));
+  }, [dispatch, task._id]);
+
+  const handleSelectMention = (member) => {
+    setBody(prev => prev.replace(/@([^@\n]{0,30})$/, `@${member.name} `));
+  };
+
+  const handlePost = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setIsPosting(true);
+    setError(null);
+    const result = await dispatch(addComment({ taskId: task._id, body }));
+    setIsPosting(false);
+    if (addComment.rejected.match(result)) {
+      setError(result.payload);
+      return;
+    }
+    setBody('');
+  };
+
+  const handleSaveEdit = async (commentId) => {
+    if (!editBody.trim()) return;
+    const result = await dispatch(updateComment({ taskId: task._id, commentId, body: editBody }));
+    if (updateComment.rejected.match(result)) {
+      setError(result.payload);
+      return;
+    }
+    setEditingId(null);
+  };
+
+  const handleDelete = async (commentId) => {
+    const result = await dispatch(deleteComment({ taskId: task._id, commentId }));
+    if (deleteComment.rejected.match(result)) {
+      setError(result.payload);
+    }
+  };
+
+  // Wrap resolved @mentions in a highlight
+  const renderBody = (comment) => {
+    const names = (comment.mentions || []).map(m => m.name).filter(Boolean);
+    if (names.length === 0) return comment.body;
+    const escaped = names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const parts = comment.body.split(new RegExp(`(@(?:${escaped.join('|')}))`, 'gi'));
+    return parts.map((part, index) => (
+      index % 2 === 1 ? <span key={index} style={styles.mention}>{part}</span> : part
+    ));
+  };
+
+  const styles = {
+    container: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '12px'
+    },
+    comment: {
+      padding: '10px 12px',
+      borderRadius: '10px',
+      background: '#f8fafc',
+      border: '1px solid #e5e7eb'
+    },
+    commentHeader: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      fontSize: '12px',
+      color: '#6b7280',
+      marginBottom: '4px'
+    },
+    author: {
+      fontWeight: '600',
+      color: '#1e293b'
+    },
+    body: {
+      fontSize: '14px',
+      color: '#374151',
+      whiteSpace: 'pre-wrap',
+      wordBreak: 'break-word'
+    },
+    mention: {
+      color: '#2563eb',
+      fontWeight: '600'
+    },
+    actions: {
+      display: 'flex',
+      gap: '8px'
+    },
+    linkButton: {
+      background: 'none',
+      border: 'none',
+      color: '#6b7280',
+      cursor: 'pointer',
+      fontSize: '12px',
+      padding: 0
+    },
+    textarea: {
+      width: '100%',
+      padding: '10px 12px',
+      border: '1px solid #d1d5db',
+      borderRadius: '8px',
+      fontSize: '14px',
+      fontFamily: 'inherit',
+      resize: 'vertical',
+      minHeight: '60px',
+      boxSizing: 'border-box'
+    },
+    suggestions: {
+      border: '1px solid #e5e7eb',
+      borderRadius: '8px',
+      background: 'white',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08)',
+      overflow: 'hidden'
+    },
+    suggestion: {
+      display: 'block',
+      width: '100%',
+      textAlign: 'left',
+      padding: '8px 12px',
+      background: 'none',
+      border: 'none',
+      cursor: 'pointer',
+      fontSize: '13px'
+    },
+    postButton: {
+      alignSelf: 'flex-end',
+      padding: '8px 16px',
+      borderRadius: '8px',
+      border: 'none',
+      background: 'linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)',
+      color: 'white',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    empty: {
+      fontSize: '13px',
+      color: '#9ca3af',
+      fontStyle: 'italic'
+    },
+    error: {
+      color: '#dc2626',
+      fontSize: '13px'
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      {comments.length === 0 && <div style={styles.empty}>No comments yet</div>}
+      {comments.map(comment => {
+        const isAuthor = (comment.author?._id || comment.author) === currentUserId;
+        return (
+          <div key={comment._id} style={styles.comment}>
+            <div style={styles.commentHeader}>
+              <span>
+                <span style={styles.author}>{comment.author?.name || 'Unknown'}</span>
+                {' · '}
+                {new Date(comment.createdAt).toLocaleString()}
+                {comment.editedAt && ' (edited)'}
+              </span>
+              {isAuthor && editingId !== comment._id && (
+                <span style={styles.actions}>
+                  <button style={styles.linkButton} onClick={() => { setEditingId(comment._id); setEditBody(comment.body); }}>
+                    Edit
+                  </button>
+                  <button style={{ ...styles.linkButton, color: '#ef4444' }} onClick={() => handleDelete(comment._id)}>
+                    Delete
+                  </button>
+                </span>
+              )}
+            </div>
+            {editingId === comment._id ? (
+              <div style={styles.container}>
+                <textarea
+                  style={styles.textarea}
+                  value={editBody}
+                  onChange={e => setEditBody(e.target.value)}
+                  maxLength={2000}
+                />
+                <span style={styles.actions}>
+                  <button style={styles.linkButton} onClick={() => handleSaveEdit(comment._id)}>Save</button>
+                  <button style={styles.linkButton} onClick={() => setEditingId(null)}>Cancel</button>
+                </span>
+              </div>
+            ) : (
+              <div style={styles.body}>{renderBody(comment)}</div>
+            )}
+          </div>
+        );
+      })}
+
+      <form style={styles.container} onSubmit={handlePost}>
+        <textarea
+          style={styles.textarea}
+          value={body}
+          onChange={e => setBody(e.target.value)}
+          placeholder="Write a comment... use @name to mention a teammate"
+          maxLength={2000}
+        />
+        {suggestions.length > 0 && (
+          <div style={styles.suggestions}>
+            {suggestions.map(member => (
+              <button
+                key={member._id}
+                type="button"
+                style={styles.suggestion}
+                onClick={() => handleSelectMention(member)}
+                onMouseOver={e => e.currentTarget.style.background = '#eff6ff'}
+                onMouseOut={e => e.currentTarget.style.background = 'none'}
+              >
+                @{member.name} <span style={{ color: '#9ca3af' }}>{member.email}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        {error && <div style={styles.error}>{error}</div>}
+        <button
+          type="submit"
+          style={{ ...styles.postButton, opacity: !body.trim() || isPosting ? 0.6 : 1 }}
+          disabled={!body.trim() || isPosting}
+        >
+          {isPosting ? 'Posting...' : 'Comment'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TaskComments;
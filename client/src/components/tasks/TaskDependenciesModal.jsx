@@ -0,0 +1,240 @@
+/*
+  TaskDependenciesModal.jsx
+  Modal component for managing task dependencies in TaskTracker+.
+  - Lists the tasks blocking this task and the tasks it blocks.
+  - Lets users add or remove blockers from the same team or personal list.
+  - Surfaces server validation (cycles, cross-team links) as inline errors.
+*/
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { getTaskDependencies, addTaskDependency, removeTaskDependency } from '../../store/slices/taskSlice';
+import api from '../../services/api';
+
+const STATUS_ICONS = { todo: '📋', 'in-progress': '⚡', completed: '✅' };
+
+const TaskDependenciesModal = ({ isOpen, onClose, onChange, task }) => {
+  const dispatch = useDispatch();
+  const dependencies = useSelector(state => state.tasks.dependencies[task._id]);
+  const [candidates, setCandidates] = useState([]);
+  const [selectedBlockerId, setSelectedBlockerId] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const teamId = task.team?._id || task.team;
+
+  useEffect(() => {
+    if (!isOpen) return;
+    dispatch(getTaskDependencies(task._id));
+    const fetchCandidates = async () => {
+      try {
+        const response = teamId
+          ? await api.get(`/tasks/team/${teamId}?limit=1000&archived=false`)
+          : await api.get('/tasks?view=personal&limit=1000');
+        setCandidates(response.data.tasks || []);
+      } catch {
+        setCandidates([]);
+      }
+    };
+    fetchCandidates();
+  }, [isOpen, task._id, teamId, dispatch]);
+
+  const blockedBy = dependencies?.blockedBy || [];
+  const blocks = dependencies?.blocks || [];
+  const linkedIds = new Set([task._id, ...blockedBy.map(b => b._id), ...blocks.map(b => b._id)]);
+  const available = candidates.filter(c => !linkedIds.has(c._id));
+
+  const handleAdd = async () => {
+    if (!selectedBlockerId) return;
+    setIsSaving(true);
+    setError(null);
+    const result = await dispatch(addTaskDependency({ taskId: task._id, blockerId: selectedBlockerId }));
+    setIsSaving(false);
+    if (addTaskDependency.rejected.match(result)) {
+      setError(result.payload);
+      return;
+    }
+    setSelectedBlockerId('');
+    dispatch(getTaskDependencies(task._id));
+    if (onChange) onChange();
+  };
+
+  const handleRemove = async (blockerId) => {
+    setError(null);
+    const result = await dispatch(removeTaskDependency({ taskId: task._id, blockerId }));
+    if (removeTaskDependency.rejected.match(result)) {
+      setError(result.payload);
+      return;
+    }
+    dispatch(getTaskDependencies(task._id));
+    if (onChange) onChange();
+  };
+
+  if (!isOpen) return null;
+
+  const styles = {
+    overlay: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0, 0, 0, 0.6)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 2000,
+      padding: '20px'
+    },
+    modal: {
+      background: 'rgba(255, 255, 255, 0.98)',
+      borderRadius: '20px',
+      padding: '28px',
+      width: '100%',
+      maxWidth: '480px',
+      maxHeight: '80vh',
+      overflowY: 'auto',
+      boxShadow: '0 25px 50px rgba(0, 0, 0, 0.4)'
+    },
+    title: {
+      fontSize: '20px',
+      fontWeight: 'bold',
+      color: '#1e293b',
+      margin: '0 0 4px 0'
+    },
+    subtitle: {
+      fontSize: '14px',
+      color: '#64748b',
+      margin: '0 0 20px 0'
+    },
+    sectionTitle: {
+      fontSize: '14px',
+      fontWeight: '600',
+      color: '#374151',
+      margin: '16px 0 8px 0'
+    },
+    row: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: '8px',
+      padding: '8px 12px',
+      borderRadius: '10px',
+      background: '#f8fafc',
+      border: '1px solid #e5e7eb',
+      marginBottom: '6px',
+      fontSize: '14px',
+      color: '#1e293b'
+    },
+    empty: {
+      fontSize: '13px',
+      color: '#9ca3af',
+      fontStyle: 'italic'
+    },
+    removeButton: {
+      background: 'none',
+      border: 'none',
+      color: '#ef4444',
+      cursor: 'pointer',
+      fontSize: '16px'
+    },
+    addRow: {
+      display: 'flex',
+      gap: '8px',
+      marginTop: '8px'
+    },
+    select: {
+      flex: 1,
+      padding: '10px 12px',
+      borderRadius: '10px',
+      border: '1px solid #d1d5db',
+      fontSize: '14px'
+    },
+    button: {
+      padding: '10px 16px',
+      borderRadius: '10px',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer',
+      border: 'none',
+      background: 'linear-gradient(135deg, #8b5cf6 0%, #7c3aed 100%)',
+      color: 'white'
+    },
+    closeButton: {
+      padding: '10px 20px',
+      borderRadius: '10px',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer',
+      border: '1px solid #d1d5db',
+      background: 'white',
+      color: '#374151'
+    },
+    error: {
+      color: '#dc2626',
+      fontSize: '13px',
+      marginTop: '8px'
+    },
+    footer: {
+      display: 'flex',
+      justifyContent: 'flex-end',
+      marginTop: '24px'
+    }
+  };
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div style={styles.modal} onClick={e => e.stopPropagation()}>
+        <h2 style={styles.title}>🔗 Dependencies</h2>
+        <p style={styles.subtitle}>{task.title}</p>
+
+        <div style={styles.sectionTitle}>Blocked by</div>
+        {blockedBy.length === 0 && <div style={styles.empty}>No blocking tasks</div>}
+        {blockedBy.map(blocker => (
+          <div key={blocker._id} style={styles.row}>
+            <span>{STATUS_ICONS[blocker.status] || '📋'} {blocker.title}</span>
+            <button style={styles.removeButton} onClick={() => handleRemove(blocker._id)} title="Remove dependency">
+              ✕
+            </button>
+          </div>
+        ))}
+
+        <div style={styles.addRow}>
+          <select
+            style={styles.select}
+            value={selectedBlockerId}
+            onChange={e => setSelectedBlockerId(e.target.value)}
+          >
+            <option value="">Select a blocking task</option>
+            {available.map(candidate => (
+              <option key={candidate._id} value={candidate._id}>
+                {STATUS_ICONS[candidate.status] || '📋'} {candidate.title}
+              </option>
+            ))}
+          </select>
+          <button
+            style={{ ...styles.button, opacity: !selectedBlockerId || isSaving ? 0.6 : 1 }}
+            onClick={handleAdd}
+            disabled={!selectedBlockerId || isSaving}
+          >
+            {isSaving ? 'Adding...' : 'Add'}
+          </button>
+        </div>
+        {error && <div style={styles.error}>{error}</div>}
+
+        <div style={styles.sectionTitle}>Blocks</div>
+        {blocks.length === 0 && <div style={styles.empty}>Not blocking any tasks</div>}
+        {blocks.map(blocked => (
+          <div key={blocked._id} style={styles.row}>
+            <span>{STATUS_ICONS[blocked.status] || '📋'} {blocked.title}</span>
+          </div>
+        ))}
+
+        <div style={styles.footer}>
+          <button style={styles.closeButton} onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskDependenciesModal;
@@ -0,0 +1,156 @@
+/*
+  TaskDetailModal.jsx
+  Task detail view for TaskTracker+.
+  - Shows a task's full description, status, dates, and tags.
+  - Hosts the task's discussion thread with @mentions.
+  - Shows the task's change history from the activity log.
+  - Tracks time spent on the task with a timer or manual entries.
+*/
+import TaskComments from './TaskComments';
+import TaskTimeEntries from './TaskTimeEntries';
+import ActivityFeed from '../analytics/ActivityFeed';
+
+const STATUS_LABELS = {
+  todo: 'To Do',
+  'in-progress': 'In Progress',
+  completed: 'Completed'
+};
+
+const TaskDetailModal = ({ isOpen, onClose, task, teamMembers = null }) => {
+  if (!isOpen || !task) return null;
+
+  // Personal tasks can only mention their assignee and creator
+  const members = teamMembers || [task.assignedTo, task.createdBy].filter(member => member && member.name);
+
+  const styles = {
+    overlay: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000,
+      padding: '20px'
+    },
+    modal: {
+      background: 'rgba(255, 255, 255, 0.98)',
+      borderRadius: '24px',
+      padding: '32px',
+      width: '100%',
+      maxWidth: '640px',
+      maxHeight: '90vh',
+      overflow: 'auto',
+      boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)'
+    },
+    header: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'flex-start',
+      gap: '16px',
+      marginBottom: '16px'
+    },
+    title: {
+      fontSize: '22px',
+      fontWeight: 'bold',
+      color: '#1e293b',
+      margin: 0,
+      wordBreak: 'break-word'
+    },
+    closeButton: {
+      background: 'none',
+      border: 'none',
+      fontSize: '24px',
+      cursor: 'pointer',
+      color: '#6b7280',
+      padding: '4px',
+      borderRadius: '6px'
+    },
+    meta: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '16px',
+      fontSize: '13px',
+      color: '#64748b',
+      marginBottom: '16px'
+    },
+    description: {
+      fontSize: '14px',
+      color: '#374151',
+      lineHeight: 1.6,
+      whiteSpace: 'pre-wrap',
+      marginBottom: '16px'
+    },
+    tags: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '6px',
+      marginBottom: '16px'
+    },
+    tag: {
+      background: '#eff6ff',
+      color: '#1d4ed8',
+      padding: '4px 8px',
+      borderRadius: '16px',
+      fontSize: '12px',
+      fontWeight: '500'
+    },
+    sectionTitle: {
+      fontSize: '16px',
+      fontWeight: '600',
+      color: '#1e293b',
+      margin: '24px 0 12px 0',
+      paddingTop: '16px',
+      borderTop: '1px solid #e5e7eb'
+    }
+  };
+
+  return (
+    <div style={styles.overlay} onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div style={styles.modal}>
+        <div style={styles.header}>
+          <h2 style={styles.title}>{task.title}</h2>
+          <button
+            style={styles.closeButton}
+            onClick={onClose}
+            onMouseOver={e => e.target.style.background = '#f3f4f6'}
+            onMouseOut={e => e.target.style.background = 'none'}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div style={styles.meta}>
+          <span>📌 {STATUS_LABELS[task.status] || task.status}</span>
+          <span>⚑ {task.priority}</span>
+          <span>👤 {task.assignedTo?.name || 'Unassigned'}</span>
+          {task.dueDate && <span>📅 Due {new Date(task.dueDate).toLocaleDateString()}</span>}
+        </div>
+
+        {task.description && <div style={styles.description}>{task.description}</div>}
+
+        {task.tags && task.tags.length > 0 && (
+          <div style={styles.tags}>
+            {task.tags.map((tag, index) => (
+              <span key={index} style={styles.tag}>{tag}</span>
+            ))}
+          </div>
+        )}
+
+        <h3 style={styles.sectionTitle}>💬 Comments</h3>
+        <TaskComments task={task} members={members} />
+
+        <h3 style={styles.sectionTitle}>⏱ Time Tracking</h3>
+        <TaskTimeEntries task={task} />
+
+        <h3 style={styles.sectionTitle}>🕘 History</h3>
+        <ActivityFeed taskId={task._id} title="Changes" limit={5} />
+      </div>
+    </div>
+  );
+};
+
+export default TaskDetailModal;
@@ -0,0 +1,244 @@
+/*
+  TaskFilterPanel.jsx
+  "More filters" panel for the task list in TaskTracker+.
+  - Lists personal tasks or one team's tasks; team tasks can be filtered by assignee.
+  - Filters by several statuses and priorities at once, overdue tasks, and tags (any or all of them).
+  - Filters by due date range or tasks without a due date, and by creation date range.
+*/
+import React, { useEffect, useState } from 'react';
+import { TASK_STATUSES, TASK_PRIORITIES } from '../../utils/taskFilters';
+
+const toggleValue = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+
+/**
+ * @param {object} filters - Current task filters (see utils/taskFilters)
+ * @param {Function} onChange - (changes) => void; merges the changed filters into the current ones
+ * @param {Array} teams - The user's teams, with populated members
+ */
+const TaskFilterPanel = ({ filters, onChange, teams = [] }) => {
+  // Tags are typed as a comma-separated list and applied when the field is left
+  const [tagText, setTagText] = useState(filters.tags.join(', '));
+
+  useEffect(() => {
+    setTagText(filters.tags.join(', '));
+  }, [filters.tags]);
+
+  const team = teams.find(t => t._id === filters.team) || null;
+
+  const applyTags = () => {
+    const tags = parseTags(tagText);
+    if (tags.join(',') !== filters.tags.join(',')) onChange({ tags });
+  };
+
+  const styles = {
+    panel: {
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
+      gap: '16px',
+      paddingTop: '16px',
+      borderTop: '1px solid #e5e7eb'
+    },
+    group: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px'
+    },
+    label: {
+      fontSize: '14px',
+      fontWeight: '500',
+      color: '#374151'
+    },
+    options: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '8px 14px'
+    },
+    option: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      fontSize: '14px',
+      cursor: 'pointer'
+    },
+    select: {
+      padding: '8px 12px',
+      border: '1px solid #d1d5db',
+      borderRadius: '8px',
+      fontSize: '14px',
+      background: 'none'
+    },
+    input: {
+      padding: '8px 12px',
+      border: '1px solid #d1d5db',
+      borderRadius: '8px',
+      fontSize: '14px',
+      minWidth: 0
+    },
+    range: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px'
+    },
+    rangeSeparator: {
+      fontSize: '13px',
+      color: '#6b7280'
+    }
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.group}>
+        <label style={styles.label}>Tasks</label>
+        <select
+          style={styles.select}
+          value={filters.team}
+          onChange={(e) => onChange({ team: e.target.value, assignedTo: '' })}
+        >
+          <option value="">My personal tasks</option>
+          {teams.map(t => (
+            <option key={t._id} value={t._id}>👥 {t.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {team && (
+        <div style={styles.group}>
+          <label style={styles.label}>Assignee</label>
+          <select
+            style={styles.select}
+            value={filters.assignedTo}
+            onChange={(e) => onChange({ assignedTo: e.target.value })}
+          >
+            <option value="">Anyone</option>
+            <option value="me">Me</option>
+            <option value="unassigned">Unassigned</option>
+            {(team.members || []).map(member => (
+              <option key={member.userId?._id || member.userId} value={member.userId?._id || member.userId}>
+                {member.userId?.name || member.userId?.email || 'Member'}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div style={styles.group}>
+        <label style={styles.label}>Status</label>
+        <div style={styles.options}>
+          {TASK_STATUSES.map(status => (
+            <label key={status.value} style={styles.option}>
+              <input
+                type="checkbox"
+                checked={filters.status.includes(status.value)}
+                onChange={() => onChange({ status: toggleValue(filters.status, status.value) })}
+              />
+              {status.label}
+            </label>
+          ))}
+          <label style={styles.option}>
+            <input
+              type="checkbox"
+              checked={filters.overdue}
+              onChange={(e) => onChange({ overdue: e.target.checked })}
+            />
+            Overdue
+          </label>
+        </div>
+      </div>
+
+      <div style={styles.group}>
+        <label style={styles.label}>Priority</label>
+        <div style={styles.options}>
+          {TASK_PRIORITIES.map(priority => (
+            <label key={priority.value} style={styles.option}>
+              <input
+                type="checkbox"
+                checked={filters.priority.includes(priority.value)}
+                onChange={() => onChange({ priority: toggleValue(filters.priority, priority.value) })}
+              />
+              {priority.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div style={styles.group}>
+        <label style={styles.label}>Tags</label>
+        <div style={styles.range}>
+          <input
+            style={{ ...styles.input, flex: 1 }}
+            type="text"
+            placeholder="e.g. bug, frontend"
+            value={tagText}
+            onChange={(e) => setTagText(e.target.value)}
+            onBlur={applyTags}
+            onKeyDown={(e) => { if (e.key === 'Enter') applyTags(); }}
+          />
+          <select
+            style={styles.select}
+            value={filters.tagMode}
+            onChange={(e) => onChange({ tagMode: e.target.value })}
+            title="Whether tasks need any or all of the tags"
+          >
+            <option value="any">Any</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+      </div>
+
+      <div style={styles.group}>
+        <label style={styles.label}>Due date</label>
+        <div style={styles.range}>
+          <input
+            style={{ ...styles.input, flex: 1 }}
+            type="date"
+            value={filters.dueFrom}
+            max={filters.dueTo || undefined}
+            disabled={filters.noDueDate}
+            onChange={(e) => onChange({ dueFrom: e.target.value })}
+          />
+          <span style={styles.rangeSeparator}>to</span>
+          <input
+            style={{ ...styles.input, flex: 1 }}
+            type="date"
+            value={filters.dueTo}
+            min={filters.dueFrom || undefined}
+            disabled={filters.noDueDate}
+            onChange={(e) => onChange({ dueTo: e.target.value })}
+          />
+        </div>
+        <label style={styles.option}>
+          <input
+            type="checkbox"
+            checked={filters.noDueDate}
+            onChange={(e) => onChange({ noDueDate: e.target.checked, dueFrom: '', dueTo: '' })}
+          />
+          No due date
+        </label>
+      </div>
+
+      <div style={styles.group}>
+        <label style={styles.label}>Created</label>
+        <div style={styles.range}>
+          <input
+            style={{ ...styles.input, flex: 1 }}
+            type="date"
+            value={filters.createdFrom}
+            max={filters.createdTo || undefined}
+            onChange={(e) => onChange({ createdFrom: e.target.value })}
+          />
+          <span style={styles.rangeSeparator}>to</span>
+          <input
+            style={{ ...styles.input, flex: 1 }}
+            type="date"
+            value={filters.createdTo}
+            min={filters.createdFrom || undefined}
+            onChange={(e) => onChange({ createdTo: e.target.value })}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskFilterPanel;
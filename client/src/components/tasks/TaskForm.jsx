@@ -3,16 +3,56 @@
   Form component for creating and editing tasks in TaskTracker+.
   - Handles input validation, submission, and error handling.
   - Supports both personal and team tasks with dynamic fields.
+  - New personal tasks can start from a template (or create a whole template bundle).
   - Integrates with Redux and backend API for task persistence.
 */
 import { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { createTask, updateTask, reset } from '../../store/slices/taskSlice';
+import { createTask, updateTask, createSubtask, reset } from '../../store/slices/taskSlice';
+import { getSprints } from '../../store/slices/sprintSlice';
+import { getProjects } from '../../store/slices/projectSlice';
+import TemplatePicker from './TemplatePicker';
 
-const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', teamMembers = null }) => {
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const emptyRecurrence = {
+  frequency: '',
+  interval: 1,
+  byWeekday: [],
+  byMonthDay: '',
+  endType: 'never',
+  until: '',
+  count: ''
+};
+
+// Convert a task's stored recurrence rule into form state
+const toRecurrenceForm = (rule) => {
+  if (!rule || !rule.frequency) return emptyRecurrence;
+  return {
+    frequency: rule.frequency,
+    interval: rule.interval || 1,
+    byWeekday: rule.byWeekday || [],
+    byMonthDay: rule.byMonthDay || '',
+    endType: rule.until ? 'until' : rule.count ? 'count' : 'never',
+    until: rule.until ? new Date(rule.until).toISOString().split('T')[0] : '',
+    count: rule.count || ''
+  };
+};
+
+const EMPTY_PROJECTS = [];
+
+const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', teamMembers = null, parentTask = null }) => {
   const dispatch = useDispatch();
   const { isCreating, isUpdating, error } = useSelector((state) => state.tasks);
   const { user } = useSelector((state) => state.auth);
+  // Team tasks are estimated in the team's unit; personal tasks in hours
+  const teamId = task?.team?._id || task?.team || parentTask?.team?._id || parentTask?.team;
+  const estimateUnit = useSelector((state) => state.teams.teams.find(t => t._id === teamId)?.estimateUnit) || 'hours';
+  // Existing team tasks can be moved between the team's open sprints and the backlog
+  const canPlanSprint = mode === 'edit' && !!task?.team;
+  const teamSprints = useSelector((state) => state.sprints.byTeam[teamId]);
+  const sprintOptions = (teamSprints?.sprints || []).filter(s => s.status === 'open' || s._id === (task?.sprint?._id || task?.sprint));
+  const teamProjects = useSelector((state) => state.projects.byTeam[teamId]) || EMPTY_PROJECTS;
 
   const [formData, setFormData] = useState({
     title: '',
@@ -21,9 +61,18 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
     priority: 'medium',
     assignedTo: '',
     dueDate: '',
-    tags: []
+    startDate: '',
+    tags: [],
+    checklist: [],
+    autoCompleteFromSubtasks: false,
+    estimate: ''
   });
   const [tagInput, setTagInput] = useState('');
+  const [checklistInput, setChecklistInput] = useState('');
+  const [recurrence, setRecurrence] = useState(emptyRecurrence);
+  const [recurrenceScope, setRecurrenceScope] = useState('this');
+  const [sprint, setSprint] = useState('');
+  const [project, setProject] = useState('');
   const [errors, setErrors] = useState({});
   const [showLoadingOverlay, setShowLoadingOverlay] = useState(false);
 
@@ -36,8 +85,15 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
         priority: task.priority || 'medium',
         assignedTo: task.assignedTo?._id || '',
         dueDate: task.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : '',
-        tags: task.tags || []
+        startDate: task.startDate ? new Date(task.startDate).toISOString().split('T')[0] : '',
+        tags: task.tags || [],
+        checklist: task.checklist || [],
+        autoCompleteFromSubtasks: !!task.autoCompleteFromSubtasks,
+        estimate: task.estimate ?? ''
       });
+      setRecurrence(toRecurrenceForm(task.recurrence));
+      setSprint(task.sprint?._id || task.sprint || '');
+      setProject(task.project?._id || task.project || '');
     } else {
       setFormData({
         title: '',
@@ -46,9 +102,15 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
         priority: 'medium',
         assignedTo: user?.userId || user?._id || '', // Handle both formats
         dueDate: '',
-        tags: []
+        startDate: '',
+        tags: [],
+        checklist: [],
+        autoCompleteFromSubtasks: false,
+        estimate: ''
       });
+      setRecurrence(emptyRecurrence);
     }
+    setRecurrenceScope('this');
   }, [task, mode, user]);
 
   useEffect(() => {
@@ -57,6 +119,13 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
     };
   }, [dispatch]);
 
+  useEffect(() => {
+    if (isOpen && canPlanSprint && teamId) {
+      dispatch(getSprints(teamId));
+      dispatch(getProjects(teamId));
+    }
+  }, [dispatch, isOpen, canPlanSprint, teamId]);
+
   const validateForm = () => {
     const newErrors = {};
     
@@ -82,6 +151,20 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
       }
     }
     
+    if (formData.startDate && formData.dueDate && formData.startDate > formData.dueDate) {
+      newErrors.startDate = 'Start date cannot be after the due date';
+    }
+    
+    if (recurrence.frequency && recurrence.endType === 'until' && !recurrence.until) {
+      newErrors.recurrence = 'Choose an end date for the repeat rule';
+    } else if (recurrence.frequency && recurrence.endType === 'count' && !(Number(recurrence.count) >= 1)) {
+      newErrors.recurrence = 'Number of occurrences must be at least 1';
+    }
+    
+    if (formData.estimate !== '' && !(Number(formData.estimate) >= 0)) {
+      newErrors.estimate = 'Estimate must be a positive number';
+    }
+    
     if (teamMembers && !formData.assignedTo) {
       newErrors.assignedTo = 'You must assign this task to a team member.';
     }
@@ -122,6 +205,62 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
     }));
   };
 
+  const handleAddChecklistItem = () => {
+    const text = checklistInput.trim();
+    if (text) {
+      setFormData(prev => ({
+        ...prev,
+        checklist: [...prev.checklist, { text, isCompleted: false }]
+      }));
+      setChecklistInput('');
+    }
+  };
+
+  const handleToggleChecklistItem = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      checklist: prev.checklist.map((item, i) => (
+        i === index ? { ...item, isCompleted: !item.isCompleted } : item
+      ))
+    }));
+  };
+
+  const handleRemoveChecklistItem = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      checklist: prev.checklist.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleRecurrenceChange = (field, value) => {
+    setRecurrence(prev => ({ ...prev, [field]: value }));
+    if (errors.recurrence) {
+      setErrors(prev => ({ ...prev, recurrence: '' }));
+    }
+  };
+
+  const handleToggleWeekday = (day) => {
+    setRecurrence(prev => ({
+      ...prev,
+      byWeekday: prev.byWeekday.includes(day)
+        ? prev.byWeekday.filter(d => d !== day)
+        : [...prev.byWeekday, day].sort()
+    }));
+  };
+
+  // Build the rule sent to the API (null when the task doesn't repeat)
+  const buildRecurrence = () => {
+    if (!recurrence.frequency) return null;
+    return {
+      frequency: recurrence.frequency,
+      interval: Number(recurrence.interval) || 1,
+      byWeekday: recurrence.frequency === 'weekly' ? recurrence.byWeekday : [],
+      byMonthDay: recurrence.frequency === 'monthly' && recurrence.byMonthDay ? Number(recurrence.byMonthDay) : null,
+      until: recurrence.endType === 'until' ? recurrence.until : null,
+      count: recurrence.endType === 'count' ? Number(recurrence.count) : null
+    };
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -135,13 +274,23 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
     setShowLoadingOverlay(true);
 
     try {
+      const taskData = { ...formData, recurrence: buildRecurrence() };
+      if (canPlanSprint) {
+        taskData.sprint = sprint || null;
+        taskData.project = project || null;
+      }
       if (mode === 'edit') {
         await dispatch(updateTask({
           taskId: task._id,
-          taskData: formData
+          taskData: task.recurrence ? { ...taskData, recurrenceScope } : taskData
+        }));
+      } else if (parentTask) {
+        await dispatch(createSubtask({
+          taskId: parentTask._id,
+          taskData
         }));
       } else {
-        await dispatch(createTask(formData));
+        await dispatch(createTask(taskData));
       }
       
       onSuccess();
@@ -152,11 +301,30 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
     }
   };
 
+  // Personal templates: the form without its status, assignee, or repeat rule
+  const getTemplateTask = () => ({
+    title: formData.title,
+    description: formData.description,
+    priority: formData.priority,
+    tags: formData.tags,
+    dueDate: formData.dueDate,
+    checklist: formData.checklist.map(item => ({ text: item.text }))
+  });
+
+  const handleApplyTemplate = ({ title, description, priority, tags, checklist, dueDate }) => {
+    setFormData(prev => ({ ...prev, title, description, priority, tags, checklist, dueDate }));
+    setErrors({});
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && e.target.name === 'tagInput') {
       e.preventDefault();
       handleAddTag();
     }
+    if (e.key === 'Enter' && e.target.name === 'checklistInput') {
+      e.preventDefault();
+      handleAddChecklistItem();
+    }
   };
 
   if (!isOpen) return null;
@@ -310,6 +478,47 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
       padding: '0',
       lineHeight: 1
     },
+    checklistItem: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      padding: '6px 8px',
+      borderRadius: '6px',
+      background: '#f8fafc',
+      fontSize: '14px',
+      color: '#374151'
+    },
+    checkboxRow: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      fontSize: '14px',
+      color: '#374151'
+    },
+    recurrenceBox: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '12px',
+      padding: '12px',
+      borderRadius: '8px',
+      background: '#f8fafc',
+      border: '1px solid #e5e7eb'
+    },
+    weekdayButton: {
+      padding: '6px 10px',
+      borderRadius: '16px',
+      border: '1px solid #d1d5db',
+      background: 'white',
+      color: '#374151',
+      fontSize: '12px',
+      fontWeight: '500',
+      cursor: 'pointer'
+    },
+    weekdayButtonActive: {
+      background: '#2563eb',
+      borderColor: '#2563eb',
+      color: 'white'
+    },
     errorMessage: {
       color: '#ef4444',
       fontSize: '12px',
@@ -384,7 +593,7 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
         <div style={styles.modal}>
           <div style={styles.header}>
             <h2 style={styles.title}>
-              {mode === 'edit' ? 'Edit Task' : 'Create New Task'}
+              {mode === 'edit' ? 'Edit Task' : parentTask ? 'Add Subtask' : 'Create New Task'}
             </h2>
             <button
               style={styles.closeButton}
@@ -402,7 +611,20 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
             </div>
           )}
 
+          {mode === 'create' && !parentTask && !teamMembers && (
+            <TemplatePicker
+              getCurrentTask={getTemplateTask}
+              onApply={handleApplyTemplate}
+              onCreated={onSuccess}
+            />
+          )}
+
           <form style={styles.form} onSubmit={handleSubmit} noValidate>
+            {parentTask && (
+              <div style={{ fontSize: '13px', color: '#64748b' }}>
+                Subtask of <strong>{parentTask.title}</strong>
+              </div>
+            )}
             <div style={styles.formGroup}>
               <label style={styles.label}>Task Title *</label>
               <input
@@ -466,22 +688,92 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
               </div>
             </div>
 
+            <div style={styles.formRow}>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Start Date</label>
+                <input
+                  style={{
+                    ...styles.input,
+                    ...(errors.startDate ? styles.inputError : {})
+                  }}
+                  type="date"
+                  name="startDate"
+                  value={formData.startDate}
+                  onChange={handleInputChange}
+                  max={formData.dueDate || undefined}
+                />
+                {errors.startDate && <div style={styles.errorMessage}>{errors.startDate}</div>}
+              </div>
+
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Due Date *</label>
+                <input
+                  style={{
+                    ...styles.input,
+                    ...(errors.dueDate ? styles.inputError : {})
+                  }}
+                  type="date"
+                  name="dueDate"
+                  value={formData.dueDate}
+                  onChange={handleInputChange}
+                  min={new Date().toISOString().split('T')[0]}
+                />
+                {errors.dueDate && <div style={styles.errorMessage}>{errors.dueDate}</div>}
+              </div>
+            </div>
+
             <div style={styles.formGroup}>
-              <label style={styles.label}>Due Date *</label>
+              <label style={styles.label}>Estimate ({estimateUnit === 'points' ? 'story points' : 'hours'})</label>
               <input
                 style={{
                   ...styles.input,
-                  ...(errors.dueDate ? styles.inputError : {})
+                  ...(errors.estimate ? styles.inputError : {})
                 }}
-                type="date"
-                name="dueDate"
-                value={formData.dueDate}
+                type="number"
+                name="estimate"
+                min="0"
+                step={estimateUnit === 'points' ? '1' : '0.25'}
+                value={formData.estimate}
                 onChange={handleInputChange}
-                min={new Date().toISOString().split('T')[0]}
+                placeholder="Optional"
               />
-              {errors.dueDate && <div style={styles.errorMessage}>{errors.dueDate}</div>}
+              {errors.estimate && <div style={styles.errorMessage}>{errors.estimate}</div>}
             </div>
 
+            {canPlanSprint && teamProjects.length > 0 && (
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Project</label>
+                <select
+                  style={styles.select}
+                  name="project"
+                  value={project}
+                  onChange={(e) => setProject(e.target.value)}
+                >
+                  <option value="">No project</option>
+                  {teamProjects.map(p => (
+                    <option key={p._id} value={p._id}>{p.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {canPlanSprint && (
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Sprint</label>
+                <select
+                  style={styles.select}
+                  name="sprint"
+                  value={sprint}
+                  onChange={(e) => setSprint(e.target.value)}
+                >
+                  <option value="">Backlog</option>
+                  {sprintOptions.map(s => (
+                    <option key={s._id} value={s._id}>{s.name}{s.status === 'closed' ? ' (closed)' : ''}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {teamMembers && (
               <div style={styles.formGroup}>
                 <label style={styles.label}>Assign To</label>
@@ -541,6 +833,184 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
               )}
             </div>
 
+            <div style={styles.tagsContainer}>
+              <label style={styles.label}>Checklist</label>
+              {formData.checklist.map((item, index) => (
+                <div key={item._id || index} style={styles.checklistItem}>
+                  <input
+                    type="checkbox"
+                    checked={!!item.isCompleted}
+                    onChange={() => handleToggleChecklistItem(index)}
+                  />
+                  <span style={{ flex: 1, textDecoration: item.isCompleted ? 'line-through' : 'none' }}>
+                    {item.text}
+                  </span>
+                  <button
+                    type="button"
+                    style={styles.tagRemove}
+                    onClick={() => handleRemoveChecklistItem(index)}
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              <div style={styles.tagInputRow}>
+                <input
+                  style={styles.tagInput}
+                  type="text"
+                  name="checklistInput"
+                  value={checklistInput}
+                  onChange={(e) => setChecklistInput(e.target.value)}
+                  onKeyPress={handleKeyPress}
+                  placeholder="Add a checklist item..."
+                  maxLength={200}
+                />
+                <button
+                  type="button"
+                  style={styles.addTagButton}
+                  onClick={handleAddChecklistItem}
+                  disabled={!checklistInput.trim()}
+                >
+                  Add Item
+                </button>
+              </div>
+            </div>
+
+            {!parentTask && (
+              <div style={styles.tagsContainer}>
+                <label style={styles.label}>Repeat</label>
+                <select
+                  style={styles.select}
+                  value={recurrence.frequency}
+                  onChange={(e) => handleRecurrenceChange('frequency', e.target.value)}
+                >
+                  <option value="">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                  <option value="yearly">Yearly</option>
+                </select>
+                {recurrence.frequency && (
+                  <div style={styles.recurrenceBox}>
+                    <div style={styles.checkboxRow}>
+                      <span>Every</span>
+                      <input
+                        style={{ ...styles.tagInput, flex: 'none', width: '70px' }}
+                        type="number"
+                        min={1}
+                        max={365}
+                        value={recurrence.interval}
+                        onChange={(e) => handleRecurrenceChange('interval', e.target.value)}
+                      />
+                      <span>
+                        {{ daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)', yearly: 'year(s)' }[recurrence.frequency]}
+                      </span>
+                    </div>
+                    {recurrence.frequency === 'weekly' && (
+                      <div style={styles.tagsDisplay}>
+                        {WEEKDAYS.map((day, index) => (
+                          <button
+                            key={day}
+                            type="button"
+                            style={{
+                              ...styles.weekdayButton,
+                              ...(recurrence.byWeekday.includes(index) ? styles.weekdayButtonActive : {})
+                            }}
+                            onClick={() => handleToggleWeekday(index)}
+                          >
+                            {day}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {recurrence.frequency === 'monthly' && (
+                      <div style={styles.checkboxRow}>
+                        <span>On day</span>
+                        <input
+                          style={{ ...styles.tagInput, flex: 'none', width: '70px' }}
+                          type="number"
+                          min={1}
+                          max={31}
+                          value={recurrence.byMonthDay}
+                          onChange={(e) => handleRecurrenceChange('byMonthDay', e.target.value)}
+                          placeholder="Due"
+                        />
+                        <span>of the month</span>
+                      </div>
+                    )}
+                    <div style={styles.checkboxRow}>
+                      <span>Ends</span>
+                      <select
+                        style={{ ...styles.select, padding: '8px 12px' }}
+                        value={recurrence.endType}
+                        onChange={(e) => handleRecurrenceChange('endType', e.target.value)}
+                      >
+                        <option value="never">Never</option>
+                        <option value="until">On date</option>
+                        <option value="count">After</option>
+                      </select>
+                      {recurrence.endType === 'until' && (
+                        <input
+                          style={{ ...styles.tagInput, flex: 'none' }}
+                          type="date"
+                          value={recurrence.until}
+                          onChange={(e) => handleRecurrenceChange('until', e.target.value)}
+                          min={formData.dueDate || new Date().toISOString().split('T')[0]}
+                        />
+                      )}
+                      {recurrence.endType === 'count' && (
+                        <>
+                          <input
+                            style={{ ...styles.tagInput, flex: 'none', width: '70px' }}
+                            type="number"
+                            min={1}
+                            value={recurrence.count}
+                            onChange={(e) => handleRecurrenceChange('count', e.target.value)}
+                          />
+                          <span>occurrences</span>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                )}
+                {errors.recurrence && <div style={styles.errorMessage}>{errors.recurrence}</div>}
+                {mode === 'edit' && task?.recurrence && (
+                  <div style={styles.checkboxRow}>
+                    <span>Apply changes to</span>
+                    <label style={styles.checkboxRow}>
+                      <input
+                        type="radio"
+                        name="recurrenceScope"
+                        checked={recurrenceScope === 'this'}
+                        onChange={() => setRecurrenceScope('this')}
+                      />
+                      This occurrence
+                    </label>
+                    <label style={styles.checkboxRow}>
+                      <input
+                        type="radio"
+                        name="recurrenceScope"
+                        checked={recurrenceScope === 'future'}
+                        onChange={() => setRecurrenceScope('future')}
+                      />
+                      All future occurrences
+                    </label>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {!parentTask && (
+              <label style={styles.checkboxRow}>
+                <input
+                  type="checkbox"
+                  checked={formData.autoCompleteFromSubtasks}
+                  onChange={(e) => setFormData(prev => ({ ...prev, autoCompleteFromSubtasks: e.target.checked }))}
+                />
+                Complete this task automatically when all subtasks are completed
+              </label>
+            )}
+
             <div style={styles.buttonRow}>
               <button
                 type="button"
@@ -588,7 +1058,7 @@ const TaskForm = ({ isOpen, onClose, onSuccess, task = null, mode = 'create', te
                   }
                 }}
               >
-                {mode === 'edit' ? 'Update Task' : 'Create Task'}
+                {mode === 'edit' ? 'Update Task' : parentTask ? 'Add Subtask' : 'Create Task'}
               </button>
             </div>
           </form>
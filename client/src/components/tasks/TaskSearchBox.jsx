@@ -0,0 +1,173 @@
+/*
+  TaskSearchBox.jsx
+  Search box for the task list in TaskTracker+.
+  - Accepts the search query language, e.g. `tag:frontend priority:high due:<7d assignee:@me is:overdue "exact phrase"`.
+  - Autocompletes keys, and values for them: fixed values, the tags in use, and team members.
+  - Searches on Enter, when a suggested value is picked, or when the box is left.
+*/
+import React, { useEffect, useRef, useState } from 'react';
+import api from '../../services/api';
+import { getSearchSuggestions, applySearchSuggestion } from '../../utils/taskSearch';
+
+/**
+ * @param {string} value - The current search
+ * @param {Function} onSearch - (query) => void; runs a search
+ * @param {string} teamId - Team whose tags are suggested; omit for personal tasks
+ * @param {Array} members - Team members ({ userId: { name, email } }) suggested for assignee:
+ * @param {object} style - Style of the input
+ * @param {object} inputRef - Optional ref to the input, e.g. to focus it from a keyboard shortcut
+ */
+const TaskSearchBox = ({ value, onSearch, teamId = '', members = [], style, inputRef: externalRef }) => {
+  const ownRef = useRef(null);
+  const inputRef = externalRef || ownRef;
+  const [text, setText] = useState(value);
+  const [caret, setCaret] = useState(value.length);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [tags, setTags] = useState(null);
+
+  // Searches started elsewhere (URL, saved views, clear filters) replace the text
+  useEffect(() => {
+    setText(value);
+  }, [value]);
+
+  // Tags of the current scope are loaded the first time the box is used
+  useEffect(() => {
+    setTags(null);
+  }, [teamId]);
+
+  const loadTags = () => {
+    if (tags) return;
+    setTags([]);
+    api.get('/tasks/tags', { params: teamId ? { team: teamId } : {} })
+      .then(response => setTags(response.data.tags))
+      .catch(() => setTags([]));
+  };
+
+  const suggestions = isOpen
+    ? getSearchSuggestions(text, caret, {
+      tags: tags || [],
+      members: members.map(member => member.userId).filter(Boolean)
+    })
+    : [];
+
+  const search = (query) => {
+    setIsOpen(false);
+    if (query.trim() !== value) onSearch(query.trim());
+  };
+
+  const pick = (suggestion) => {
+    const next = applySearchSuggestion(text, caret, suggestion);
+    setText(next.query);
+    setCaret(next.caret);
+    setActiveIndex(-1);
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(next.caret, next.caret));
+    if (suggestion.complete) search(next.query);
+  };
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    setCaret(e.target.selectionStart);
+    setActiveIndex(-1);
+    setIsOpen(true);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Tab' && suggestions.length > 0) {
+      e.preventDefault();
+      pick(suggestions[Math.max(activeIndex, 0)]);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (activeIndex >= 0 && suggestions[activeIndex]) pick(suggestions[activeIndex]);
+      else search(text);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const styles = {
+    wrapper: {
+      position: 'relative'
+    },
+    list: {
+      position: 'absolute',
+      top: 'calc(100% + 4px)',
+      left: 0,
+      right: 0,
+      background: 'white',
+      border: '1px solid #e5e7eb',
+      borderRadius: '8px',
+      boxShadow: '0 8px 25px rgba(0, 0, 0, 0.12)',
+      zIndex: 60,
+      overflow: 'hidden',
+      listStyle: 'none',
+      margin: 0,
+      padding: '4px 0'
+    },
+    item: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      gap: '12px',
+      padding: '8px 12px',
+      fontSize: '14px',
+      color: '#1e293b',
+      cursor: 'pointer'
+    },
+    itemActive: {
+      background: 'rgba(37, 99, 235, 0.1)'
+    },
+    itemHint: {
+      fontSize: '12px',
+      color: '#6b7280',
+      whiteSpace: 'nowrap',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis'
+    }
+  };
+
+  return (
+    <div style={styles.wrapper}>
+      <input
+        ref={inputRef}
+        style={{ ...style, width: '100%', boxSizing: 'border-box' }}
+        type="text"
+        placeholder='Search... e.g. tag:bug due:<7d "login page"'
+        title='Keys: tag:, priority:, status:, due:, created:, assignee:, is: — press Enter to search'
+        value={text}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onKeyUp={(e) => setCaret(e.target.selectionStart)}
+        onClick={(e) => setCaret(e.target.selectionStart)}
+        onFocus={() => { loadTags(); setIsOpen(true); }}
+        onBlur={() => search(text)}
+      />
+      {suggestions.length > 0 && (
+        <ul style={styles.list} role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.label}
+              role="option"
+              aria-selected={index === activeIndex}
+              style={{ ...styles.item, ...(index === activeIndex ? styles.itemActive : {}) }}
+              // Keeps the focus in the input, so picking does not count as leaving the box
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => pick(suggestion)}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <span>{suggestion.label}</span>
+              {suggestion.hint && <span style={styles.itemHint}>{suggestion.hint}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TaskSearchBox;
@@ -0,0 +1,246 @@
+/*
+  TaskTimeEntries.jsx
+  Time tracking panel for tasks in TaskTracker+.
+  - Starts and stops the timer on the task (one running timer per user).
+  - Lists tracked time entries and the task total.
+  - Adds manual entries and deletes the user's own entries.
+*/
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { getTimeEntries, addTimeEntry, deleteTimeEntry, startTimer, stopTimer } from '../../store/slices/timeSlice';
+import { formatDuration, getElapsedSeconds } from '../../utils/timeFormat';
+
+const EMPTY_ENTRIES = [];
+
+const todayString = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const TaskTimeEntries = ({ task }) => {
+  const dispatch = useDispatch();
+  const entries = useSelector(state => state.time.entries[task._id]) || EMPTY_ENTRIES;
+  const runningEntry = useSelector(state => state.time.runningEntry);
+  const { user } = useSelector(state => state.auth);
+  const [form, setForm] = useState({ date: todayString(), start: '09:00', hours: '1', minutes: '0', note: '' });
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const currentUserId = user?.id || user?.userId || user?._id;
+  const isTiming = !!runningEntry && (runningEntry.task?._id || runningEntry.task) === task._id;
+  const total = entries.reduce((sum, entry) => sum + (entry.duration || 0), 0);
+
+  useEffect(() => {
+    dispatch(getTimeEntries(task._id));
+  }, [dispatch, task._id]);
+
+  const handleTimer = async () => {
+    setError(null);
+    try {
+      if (runningEntry) await dispatch(stopTimer()).unwrap();
+      if (!isTiming) await dispatch(startTimer(task._id)).unwrap();
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const seconds = ((parseInt(form.hours) || 0) * 60 + (parseInt(form.minutes) || 0)) * 60;
+    if (seconds <= 0) {
+      setError('Enter how long you worked');
+      return;
+    }
+    const startedAt = new Date(`${form.date}T${form.start}`);
+    if (isNaN(startedAt)) {
+      setError('Enter a valid date and start time');
+      return;
+    }
+    setIsSaving(true);
+    setError(null);
+    const result = await dispatch(addTimeEntry({
+      taskId: task._id,
+      startedAt: startedAt.toISOString(),
+      endedAt: new Date(startedAt.getTime() + seconds * 1000).toISOString(),
+      note: form.note
+    }));
+    setIsSaving(false);
+    if (addTimeEntry.rejected.match(result)) {
+      setError(result.payload);
+      return;
+    }
+    setForm(prev => ({ ...prev, note: '' }));
+  };
+
+  const handleDelete = async (entryId) => {
+    const result = await dispatch(deleteTimeEntry({ taskId: task._id, entryId }));
+    if (deleteTimeEntry.rejected.match(result)) {
+      setError(result.payload);
+    }
+  };
+
+  const styles = {
+    container: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '12px'
+    },
+    summary: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      fontSize: '14px',
+      color: '#374151'
+    },
+    timerButton: {
+      padding: '8px 16px',
+      borderRadius: '8px',
+      border: 'none',
+      background: isTiming ? 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)' : 'linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)',
+      color: 'white',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    entry: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '12px',
+      padding: '8px 12px',
+      borderRadius: '10px',
+      background: '#f8fafc',
+      border: '1px solid #e5e7eb',
+      fontSize: '13px',
+      color: '#374151'
+    },
+    entryMeta: {
+      fontSize: '12px',
+      color: '#6b7280'
+    },
+    linkButton: {
+      background: 'none',
+      border: 'none',
+      color: '#ef4444',
+      cursor: 'pointer',
+      fontSize: '12px',
+      padding: 0
+    },
+    form: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '8px',
+      alignItems: 'center'
+    },
+    input: {
+      padding: '8px 10px',
+      border: '1px solid #d1d5db',
+      borderRadius: '8px',
+      fontSize: '13px',
+      fontFamily: 'inherit'
+    },
+    addButton: {
+      padding: '8px 16px',
+      borderRadius: '8px',
+      border: '1px solid #2563eb',
+      background: 'white',
+      color: '#2563eb',
+      fontSize: '13px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    empty: {
+      fontSize: '13px',
+      color: '#9ca3af',
+      fontStyle: 'italic'
+    },
+    error: {
+      color: '#dc2626',
+      fontSize: '13px'
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.summary}>
+        <span>
+          Total: <strong>{formatDuration(total)}</strong>
+          {isTiming && ` · running for ${formatDuration(getElapsedSeconds(runningEntry))}`}
+        </span>
+        {!task.isArchived && (
+          <button style={styles.timerButton} onClick={handleTimer}>
+            {isTiming ? '⏹ Stop timer' : '▶ Start timer'}
+          </button>
+        )}
+      </div>
+
+      {entries.length === 0 && <div style={styles.empty}>No time tracked yet</div>}
+      {entries.map(entry => (
+        <div key={entry._id} style={styles.entry}>
+          <span>
+            <strong>{formatDuration(entry.duration)}</strong>
+            {entry.note && ` · ${entry.note}`}
+            <div style={styles.entryMeta}>
+              {entry.user?.name || 'Unknown'} · {new Date(entry.startedAt).toLocaleString()}
+              {entry.source === 'manual' && ' (manual)'}
+            </div>
+          </span>
+          {(entry.user?._id || entry.user) === currentUserId && (
+            <button style={styles.linkButton} onClick={() => handleDelete(entry._id)}>
+              Delete
+            </button>
+          )}
+        </div>
+      ))}
+
+      <form style={styles.form} onSubmit={handleAdd}>
+        <input
+          type="date"
+          style={styles.input}
+          value={form.date}
+          max={todayString()}
+          onChange={e => setForm(prev => ({ ...prev, date: e.target.value }))}
+        />
+        <input
+          type="time"
+          style={styles.input}
+          value={form.start}
+          onChange={e => setForm(prev => ({ ...prev, start: e.target.value }))}
+        />
+        <input
+          type="number"
+          min="0"
+          style={{ ...styles.input, width: '60px' }}
+          value={form.hours}
+          onChange={e => setForm(prev => ({ ...prev, hours: e.target.value }))}
+          aria-label="Hours"
+        />
+        <span>h</span>
+        <input
+          type="number"
+          min="0"
+          max="59"
+          style={{ ...styles.input, width: '60px' }}
+          value={form.minutes}
+          onChange={e => setForm(prev => ({ ...prev, minutes: e.target.value }))}
+          aria-label="Minutes"
+        />
+        <span>m</span>
+        <input
+          type="text"
+          style={{ ...styles.input, flex: 1, minWidth: '120px' }}
+          value={form.note}
+          placeholder="Note (optional)"
+          maxLength={500}
+          onChange={e => setForm(prev => ({ ...prev, note: e.target.value }))}
+        />
+        <button type="submit" style={{ ...styles.addButton, opacity: isSaving ? 0.6 : 1 }} disabled={isSaving}>
+          {isSaving ? 'Adding...' : 'Add time'}
+        </button>
+      </form>
+      {error && <div style={styles.error}>{error}</div>}
+    </div>
+  );
+};
+
+export default TaskTimeEntries;
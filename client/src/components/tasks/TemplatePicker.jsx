@@ -0,0 +1,309 @@
+/*
+  TemplatePicker.jsx
+  "Start from template" panel for the task creation forms in TaskTracker+.
+  - Lists personal templates, or a team's shared templates, and fills the form from a single-task template.
+  - Creates all tasks of a template bundle at once, with due dates counted from a chosen start day.
+  - Saves the form as a new template, or adds it to the selected one (which makes it a bundle).
+*/
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  instantiateTemplate
+} from '../../store/slices/templateSlice';
+import { getDayOffset, shiftDayKey, toDayKey } from '../../utils/calendar';
+import { subscribe } from '../../services/socket';
+
+const EMPTY_TEMPLATES = [];
+
+// Strips a saved template task down to the fields the API accepts
+const toTemplateTask = (task) => ({
+  title: task.title,
+  description: task.description,
+  priority: task.priority,
+  tags: task.tags,
+  dueOffsetDays: task.dueOffsetDays,
+  checklist: (task.checklist || []).map(item => ({ text: item.text })),
+  assignee: task.assignee?._id || task.assignee || null
+});
+
+/**
+ * @param {string} teamId - Team whose templates are shown; omit for personal templates
+ * @param {boolean} canManageTeam - Whether the user is a team admin/owner (may change any team template)
+ * @param {Function} getCurrentTask - Returns the form as a template task
+ *   ({ title, description, priority, tags, dueDate, checklist, assignee }; dueDate as 'YYYY-MM-DD' or '')
+ * @param {Function} onApply - (fields) => void; fills the form from a single-task template (dueDate as 'YYYY-MM-DD' or '')
+ * @param {Function} onCreated - ({ message, tasks }) => void; called after a bundle created its tasks
+ */
+const TemplatePicker = ({ teamId = null, canManageTeam = false, getCurrentTask, onApply, onCreated }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector(state => state.auth);
+  const templates = useSelector(state => state.templates.byScope[teamId || 'personal']) || EMPTY_TEMPLATES;
+  const isInstantiating = useSelector(state => state.templates.isInstantiating);
+  const [isOpen, setIsOpen] = useState(false);
+  const [selectedId, setSelectedId] = useState('');
+  const [startDate, setStartDate] = useState(toDayKey(new Date()));
+  const [templateName, setTemplateName] = useState('');
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    if (!isOpen) return;
+    dispatch(getTemplates(teamId));
+    if (!teamId) return;
+    // Team templates change when other members save or delete them
+    return subscribe('template:changed', (payload) => {
+      if (payload.team === teamId) dispatch(getTemplates(teamId));
+    });
+  }, [dispatch, isOpen, teamId]);
+
+  const selected = templates.find(t => t._id === selectedId) || null;
+  const canManageSelected = !!selected && (!teamId || canManageTeam ||
+    selected.createdBy?._id === user?.id || selected.createdBy?._id === user?.userId);
+
+  const showResult = (result, successText) => {
+    if (result.error) {
+      setMessage({ type: 'error', text: result.payload });
+      return false;
+    }
+    setMessage({ type: 'success', text: successText });
+    return true;
+  };
+
+  // The form's due date becomes an offset from today
+  const getFormTemplateTask = () => {
+    const { dueDate, ...task } = getCurrentTask();
+    const offset = dueDate ? getDayOffset(toDayKey(new Date()), dueDate) : null;
+    return { ...task, dueOffsetDays: offset !== null && offset >= 0 ? offset : null };
+  };
+
+  const handleUse = async () => {
+    if (!selected) return;
+    if (!selected.isBundle) {
+      const [task] = selected.tasks;
+      const todayKey = toDayKey(new Date());
+      onApply({
+        title: task.title,
+        description: task.description || '',
+        priority: task.priority,
+        tags: task.tags || [],
+        checklist: (task.checklist || []).map(item => ({ text: item.text, isCompleted: false })),
+        assignee: task.assignee?._id || task.assignee || '',
+        dueDate: task.dueOffsetDays != null ? shiftDayKey(todayKey, task.dueOffsetDays) : ''
+      });
+      setMessage({ type: 'success', text: `Filled in from "${selected.name}"` });
+      return;
+    }
+    const result = await dispatch(instantiateTemplate({ templateId: selected._id, options: { startDate } }));
+    if (showResult(result, result.payload?.message)) onCreated(result.payload);
+  };
+
+  const handleSaveNew = async () => {
+    const task = getFormTemplateTask();
+    if (!templateName.trim()) {
+      setMessage({ type: 'error', text: 'Give the template a name' });
+      return;
+    }
+    if (!task.title?.trim()) {
+      setMessage({ type: 'error', text: 'Fill in a task title before saving a template' });
+      return;
+    }
+    const result = await dispatch(createTemplate({ name: templateName.trim(), team: teamId, tasks: [task] }));
+    if (showResult(result, `Saved template "${templateName.trim()}"`)) {
+      setSelectedId(result.payload.template._id);
+      setTemplateName('');
+    }
+  };
+
+  // Adding the form to an existing template turns it into a bundle
+  const handleAddToSelected = async () => {
+    const task = getFormTemplateTask();
+    if (!task.title?.trim()) {
+      setMessage({ type: 'error', text: 'Fill in a task title before adding it to a template' });
+      return;
+    }
+    const result = await dispatch(updateTemplate({
+      templateId: selected._id,
+      templateData: { tasks: [...selected.tasks.map(toTemplateTask), task] }
+    }));
+    showResult(result, `Added "${task.title}" to "${selected.name}"`);
+  };
+
+  const handleRemoveTask = async (index) => {
+    const result = await dispatch(updateTemplate({
+      templateId: selected._id,
+      templateData: { tasks: selected.tasks.filter((_, i) => i !== index).map(toTemplateTask) }
+    }));
+    showResult(result, 'Template updated');
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete template "${selected.name}"? Tasks already created from it are kept.`)) return;
+    const result = await dispatch(deleteTemplate({ templateId: selected._id, teamId }));
+    if (showResult(result, 'Template deleted')) setSelectedId('');
+  };
+
+  const styles = {
+    container: {
+      border: '1px dashed #cbd5e1',
+      borderRadius: '12px',
+      padding: '12px 16px',
+      marginBottom: '20px',
+      background: '#f8fafc'
+    },
+    header: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      fontSize: '14px',
+      fontWeight: '600',
+      color: '#374151'
+    },
+    row: {
+      display: 'flex',
+      gap: '8px',
+      alignItems: 'center',
+      marginTop: '10px',
+      flexWrap: 'wrap'
+    },
+    input: {
+      flex: 1,
+      minWidth: '140px',
+      padding: '8px 10px',
+      border: '1px solid #d1d5db',
+      borderRadius: '8px',
+      fontSize: '13px',
+      fontFamily: 'inherit'
+    },
+    button: {
+      padding: '8px 12px',
+      borderRadius: '8px',
+      border: 'none',
+      background: 'linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)',
+      color: 'white',
+      fontSize: '13px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    linkButton: {
+      background: 'none',
+      border: 'none',
+      color: '#2563eb',
+      cursor: 'pointer',
+      fontSize: '13px',
+      padding: 0
+    },
+    bundleTask: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      fontSize: '13px',
+      color: '#475569',
+      padding: '4px 0',
+      borderBottom: '1px solid #e5e7eb'
+    },
+    hint: {
+      fontSize: '13px',
+      color: '#9ca3af',
+      fontStyle: 'italic',
+      marginTop: '10px'
+    },
+    message: {
+      fontSize: '13px',
+      marginTop: '8px'
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <span>📋 Start from template</span>
+        <button type="button" style={styles.linkButton} onClick={() => setIsOpen(!isOpen)}>
+          {isOpen ? 'Hide' : 'Show'}
+        </button>
+      </div>
+      {isOpen && (
+        <>
+          {templates.length === 0 ? (
+            <div style={styles.hint}>No templates yet. Fill in the form below and save it as a template.</div>
+          ) : (
+            <div style={styles.row}>
+              <select style={styles.input} value={selectedId} onChange={e => { setSelectedId(e.target.value); setMessage({ type: '', text: '' }); }}>
+                <option value="">Choose a template...</option>
+                {templates.map(template => (
+                  <option key={template._id} value={template._id}>
+                    {template.name}{template.isBundle ? ` (bundle · ${template.tasks.length} tasks)` : ''}
+                  </option>
+                ))}
+              </select>
+              {selected?.isBundle && (
+                <input
+                  type="date"
+                  style={{ ...styles.input, flex: '0 0 150px' }}
+                  value={startDate}
+                  min={toDayKey(new Date())}
+                  onChange={e => setStartDate(e.target.value)}
+                  aria-label="Count due dates from"
+                  title="Due dates count from this day"
+                />
+              )}
+              {selected && (
+                <button
+                  type="button"
+                  style={{ ...styles.button, opacity: isInstantiating ? 0.6 : 1 }}
+                  onClick={handleUse}
+                  disabled={isInstantiating}
+                >
+                  {selected.isBundle ? `Create ${selected.tasks.length} tasks` : 'Use template'}
+                </button>
+              )}
+              {canManageSelected && (
+                <button type="button" style={{ ...styles.linkButton, color: '#ef4444' }} onClick={handleDelete}>Delete</button>
+              )}
+            </div>
+          )}
+
+          {selected?.isBundle && (
+            <div style={{ marginTop: '8px' }}>
+              {selected.tasks.map((task, index) => (
+                <div key={task._id || index} style={styles.bundleTask}>
+                  <span>
+                    {task.title}
+                    {task.dueOffsetDays != null && <span style={{ color: '#94a3b8' }}> · due +{task.dueOffsetDays}d</span>}
+                    {task.assignee?.name && <span style={{ color: '#94a3b8' }}> · 👤 {task.assignee.name}</span>}
+                  </span>
+                  {canManageSelected && (
+                    <button type="button" style={{ ...styles.linkButton, color: '#ef4444' }} onClick={() => handleRemoveTask(index)}>
+                      Remove
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div style={styles.row}>
+            <input
+              style={styles.input}
+              value={templateName}
+              maxLength={60}
+              placeholder="New template name"
+              onChange={e => setTemplateName(e.target.value)}
+            />
+            <button type="button" style={styles.linkButton} onClick={handleSaveNew}>Save form as template</button>
+            {canManageSelected && (
+              <button type="button" style={styles.linkButton} onClick={handleAddToSelected}>Add form to "{selected.name}"</button>
+            )}
+          </div>
+
+          {message.text && (
+            <div style={{ ...styles.message, color: message.type === 'error' ? '#ef4444' : '#059669' }}>{message.text}</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TemplatePicker;
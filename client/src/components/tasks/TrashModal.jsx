@@ -0,0 +1,234 @@
+/*
+  TrashModal.jsx
+  Trash bin for deleted tasks in TaskTracker+.
+  - Lists the user's deleted personal tasks, or a team's deleted tasks.
+  - Restores a task, or deletes it for good; tasks are purged automatically after the retention period.
+  - Only the assignee (personal) or team admins/owners may restore or purge; others just see the list.
+*/
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../../services/api';
+import ConfirmationDialog from './ConfirmationDialog';
+
+/**
+ * @param {boolean} isOpen - Whether the modal is shown
+ * @param {Function} onClose - Closes the modal
+ * @param {string} teamId - Team whose trash is shown; omit for personal tasks
+ * @param {boolean} canManage - Whether restore and purge are offered
+ * @param {Function} onRestored - Called after a task was restored, so the page can refresh
+ */
+const TrashModal = ({ isOpen, onClose, teamId = null, canManage = true, onRestored }) => {
+  const [tasks, setTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [busyTaskId, setBusyTaskId] = useState(null);
+  const [purgeTarget, setPurgeTarget] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await api.get('/tasks/trash', { params: teamId ? { team: teamId } : {} });
+      setTasks(response.data.tasks);
+      setRetentionDays(response.data.retentionDays);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  }, [teamId]);
+
+  useEffect(() => {
+    if (isOpen) loadTrash();
+  }, [isOpen, loadTrash]);
+
+  const handleRestore = async (task) => {
+    setBusyTaskId(task._id);
+    setError(null);
+    try {
+      await api.post(`/tasks/${task._id}/restore`);
+      setTasks(list => list.filter(t => t._id !== task._id));
+      if (onRestored) onRestored();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to restore task');
+    } finally {
+      setBusyTaskId(null);
+    }
+  };
+
+  const confirmPurge = async () => {
+    const task = purgeTarget;
+    setPurgeTarget(null);
+    setBusyTaskId(task._id);
+    setError(null);
+    try {
+      await api.delete(`/tasks/${task._id}/purge`);
+      setTasks(list => list.filter(t => t._id !== task._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete task');
+    } finally {
+      setBusyTaskId(null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const styles = {
+    overlay: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000,
+      padding: '20px'
+    },
+    modal: {
+      background: 'white',
+      borderRadius: '24px',
+      padding: '32px',
+      width: '100%',
+      maxWidth: '600px',
+      maxHeight: '90vh',
+      overflow: 'auto',
+      boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)'
+    },
+    header: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: '8px'
+    },
+    title: {
+      fontSize: '22px',
+      fontWeight: '700',
+      color: '#1e293b',
+      margin: 0
+    },
+    subtitle: {
+      fontSize: '14px',
+      color: '#6b7280',
+      marginBottom: '20px'
+    },
+    closeButton: {
+      background: 'none',
+      border: 'none',
+      fontSize: '22px',
+      color: '#6b7280',
+      cursor: 'pointer'
+    },
+    row: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '12px',
+      padding: '12px 0',
+      borderBottom: '1px solid #e5e7eb'
+    },
+    taskTitle: {
+      fontSize: '15px',
+      fontWeight: '600',
+      color: '#1e293b'
+    },
+    meta: {
+      fontSize: '12px',
+      color: '#6b7280',
+      marginTop: '2px'
+    },
+    actions: {
+      display: 'flex',
+      gap: '8px',
+      flexShrink: 0
+    },
+    button: {
+      padding: '6px 12px',
+      borderRadius: '8px',
+      border: 'none',
+      fontSize: '13px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    empty: {
+      textAlign: 'center',
+      color: '#9ca3af',
+      padding: '32px 0'
+    },
+    error: {
+      color: '#ef4444',
+      fontSize: '14px',
+      marginBottom: '12px'
+    }
+  };
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div style={styles.modal} onClick={e => e.stopPropagation()}>
+        <div style={styles.header}>
+          <h2 style={styles.title}>🗑️ Trash</h2>
+          <button style={styles.closeButton} onClick={onClose} aria-label="Close">×</button>
+        </div>
+        <div style={styles.subtitle}>
+          {retentionDays
+            ? `Deleted tasks are kept for ${retentionDays} days, then removed for good.`
+            : 'Deleted tasks are kept for a while, then removed for good.'}
+        </div>
+
+        {error && <div style={styles.error}>{error}</div>}
+
+        {loading ? (
+          <div style={styles.empty}>Loading...</div>
+        ) : tasks.length === 0 ? (
+          <div style={styles.empty}>The trash is empty.</div>
+        ) : (
+          tasks.map(task => (
+            <div key={task._id} style={styles.row}>
+              <div>
+                <div style={styles.taskTitle}>{task.title}</div>
+                <div style={styles.meta}>
+                  Deleted {new Date(task.deletedAt).toLocaleDateString()}
+                  {task.deletedBy?.name && ` by ${task.deletedBy.name}`}
+                  {' · '}purged {new Date(task.purgeAt).toLocaleDateString()}
+                  {teamId && task.assignedTo?.name && ` · 👤 ${task.assignedTo.name}`}
+                </div>
+              </div>
+              {canManage && (
+                <div style={styles.actions}>
+                  <button
+                    style={{ ...styles.button, background: '#10b981', color: 'white', opacity: busyTaskId === task._id ? 0.6 : 1 }}
+                    onClick={() => handleRestore(task)}
+                    disabled={busyTaskId === task._id}
+                  >
+                    ♻️ Restore
+                  </button>
+                  <button
+                    style={{ ...styles.button, background: '#fee2e2', color: '#dc2626' }}
+                    onClick={() => setPurgeTarget(task)}
+                    disabled={busyTaskId === task._id}
+                  >
+                    Delete forever
+                  </button>
+                </div>
+              )}
+            </div>
+          ))
+        )}
+
+        <ConfirmationDialog
+          isOpen={!!purgeTarget}
+          onClose={() => setPurgeTarget(null)}
+          onConfirm={confirmPurge}
+          title="Delete Forever"
+          message={`Permanently delete "${purgeTarget?.title}"? Its comments and time entries are removed too. This cannot be undone.`}
+          confirmText="Delete forever"
+          type="danger"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default TrashModal;
@@ -10,6 +10,9 @@ import { useDispatch, useSelector } from 'react-redux';
 import { getTeamAnalytics, getTeamWorkload, getTeamTrends, getTeamMemberAnalytics, setSelectedMember } from '../../store/slices/taskAssignmentSlice';
 import { Pie, Bar, Line } from 'react-chartjs-2';
 import ProductivityHeatmap from '../analytics/ProductivityHeatmap';
+import ActivityFeed from '../analytics/ActivityFeed';
+import { getTimesheet } from '../../store/slices/timeSlice';
+import { toCalendarData } from '../../utils/timeFormat';
 import { isTeamAdmin } from '../../utils/roleValidation';
 import { useTheme } from '../../ThemeContext.jsx';
 
@@ -32,6 +35,7 @@ const TeamAnalyticsTab = ({ selectedTeamId }) => {
   const { teamAnalytics, teamWorkload, teamTrends, teamMemberAnalytics, selectedMemberId, analyticsLoading } = useSelector((state) => state.taskAssignment);
   const { teams, currentTeam } = useSelector((state) => state.teams);
   const { user } = useSelector((state) => state.auth);
+  const [teamTimesheet, setTeamTimesheet] = useState(null);
   
   const team = teams?.find(t => t._id === selectedTeamId) || currentTeam;
   // Find the current user's membership in the team
@@ -55,6 +59,13 @@ const TeamAnalyticsTab = ({ selectedTeamId }) => {
       dispatch(getTeamAnalytics(selectedTeamId));
       dispatch(getTeamWorkload(selectedTeamId));
       dispatch(getTeamTrends(selectedTeamId));
+      // Time the team tracked per day over the last 90 days
+      dispatch(getTimesheet({
+        teamId: selectedTeamId,
+        from: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString(),
+        groupBy: 'day',
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      })).then(res => setTeamTimesheet(res.payload?.rows ? res.payload : null));
     }
   }, [dispatch, selectedTeamId]);
 
@@ -166,6 +177,22 @@ const TeamAnalyticsTab = ({ selectedTeamId }) => {
     ],
   };
 
+  // Remaining effort per member, weighted by estimates (team analytics only)
+  const estimates = teamAnalytics?.estimates;
+  const unitLabel = estimates?.unit === 'points' ? 'pts' : 'h';
+  const effortWorkload = teamAnalytics?.effortWorkload || [];
+  const effortData = {
+    labels: effortWorkload.map(w => w._id?.name || 'Unassigned'),
+    datasets: [
+      {
+        label: `Remaining effort (${unitLabel})`,
+        data: effortWorkload.map(w => w.remainingEffort),
+        backgroundColor: '#8b5cf6',
+      },
+    ],
+  };
+  const memberAccuracy = (estimates?.memberAccuracy || []).filter(m => m._id && m.estimatedTasks > 0);
+
   // My performance in team
   const myPerf = memberPerf.find(m => (m._id?._id || m._id) === user?._id);
 
@@ -470,6 +497,22 @@ const TeamAnalyticsTab = ({ selectedTeamId }) => {
       alignItems: 'center',
       gap: '8px'
     },
+    accuracyTable: {
+      width: '100%',
+      borderCollapse: 'collapse',
+      fontSize: '14px',
+      color: '#374151'
+    },
+    accuracyCell: {
+      padding: '8px',
+      borderBottom: '1px solid #e5e7eb',
+      textAlign: 'left'
+    },
+    accuracyNote: {
+      marginTop: '12px',
+      fontSize: '12px',
+      color: '#6b7280'
+    },
     insightItem: {
       background: 'rgba(255, 255, 255, 0.1)',
       borderRadius: '8px',
@@ -694,10 +737,59 @@ const TeamAnalyticsTab = ({ selectedTeamId }) => {
         )}
       </div>
 
-      {/* Productivity Heatmap (if available) */}
-      {teamAnalytics?.completionCalendar && teamAnalytics.completionCalendar.length > 0 && !isShowingMemberAnalytics && (
+      {/* Effort-weighted workload and estimate accuracy (team view only) */}
+      {!isShowingMemberAnalytics && effortWorkload.length > 0 && (
+        <div style={styles.chartsGrid}>
+          <div style={{ ...styles.chartContainer, border: `1.5px solid ${borderColor}` }}>
+            <h3 style={styles.chartTitle}>
+              Remaining Effort: {estimates?.remainingEffort ?? 0}{unitLabel}
+              {estimates?.unestimatedTasks > 0 && ` (${estimates.unestimatedTasks} unestimated)`}
+            </h3>
+            <div style={styles.chartWrapper}>
+              <Bar data={effortData} options={{ ...chartOptions, indexAxis: 'y' }} />
+            </div>
+          </div>
+          {canViewIndividualAnalytics && memberAccuracy.length > 0 && (
+            <div style={{ ...styles.chartContainer, border: `1.5px solid ${borderColor}` }}>
+              <h3 style={styles.chartTitle}>Estimate Accuracy</h3>
+              <table style={styles.accuracyTable}>
+                <thead>
+                  <tr>
+                    <th style={styles.accuracyCell}>Member</th>
+                    <th style={styles.accuracyCell}>Estimated</th>
+                    <th style={styles.accuracyCell}>Tracked</th>
+                    <th style={styles.accuracyCell}>Accuracy</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {memberAccuracy.map(m => (
+                    <tr key={m._id._id}>
+                      <td style={styles.accuracyCell}>{m._id.name}</td>
+                      <td style={styles.accuracyCell}>{m.estimated}{unitLabel}</td>
+                      <td style={styles.accuracyCell}>{m.actualHours}h</td>
+                      <td style={styles.accuracyCell} title={m.ratio ? `${m.ratio}× the estimate` : undefined}>
+                        {m.accuracy !== null ? `${m.accuracy}%` : '--'}
+                        {m.ratio > 1.2 && ' ▲ under'}
+                        {m.ratio !== null && m.ratio < 0.8 && ' ▼ over'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {estimates?.unit === 'points' && (
+                <div style={styles.accuracyNote}>
+                  {estimates.hoursPerUnit ? `Team average: ${estimates.hoursPerUnit}h per point` : 'Not enough tracked time to calibrate points yet'}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Productivity Heatmap of tracked time (if any) */}
+      {teamTimesheet?.totalSeconds > 0 && !isShowingMemberAnalytics && (
         <div style={{ marginBottom: '32px' }}>
-          <ProductivityHeatmap data={teamAnalytics.completionCalendar} />
+          <ProductivityHeatmap data={toCalendarData(teamTimesheet.rows, 90)} />
         </div>
       )}
 
@@ -730,6 +822,13 @@ const TeamAnalyticsTab = ({ selectedTeamId }) => {
           </div>
         </div>
       </div>
+
+      {/* Team activity log */}
+      {team?._id && !isShowingMemberAnalytics && (
+        <div style={{ marginTop: '32px' }}>
+          <ActivityFeed teamId={team._id} title="Team Activity" />
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,117 @@
+/*
+  TeamEstimateSettings.jsx
+  Component for choosing how a team estimates tasks in TaskTracker+.
+  - Shows whether the team estimates in hours or story points.
+  - Lets admins/owners switch the unit through the team API.
+*/
+import React, { useState } from 'react';
+import { useSelector } from 'react-redux';
+import teamAPI from '../../services/teamAPI';
+import Notification from '../common/Notification';
+
+const UNITS = [
+  { value: 'hours', label: 'Hours', description: 'Estimates are compared directly with tracked time.' },
+  { value: 'points', label: 'Story points', description: 'Points are converted to hours at the team\'s average tracked hours per point.' }
+];
+
+const TeamEstimateSettings = ({ team, onTeamUpdate }) => {
+  const { user } = useSelector(state => state.auth);
+  const [isSaving, setIsSaving] = useState(false);
+  const [notification, setNotification] = useState({ isOpen: false, type: 'error', message: '' });
+
+  if (!team) return null;
+
+  const currentUserMember = team.members?.find(member =>
+    member.userId._id === user.id || member.userId._id === user.userId
+  );
+  const canManage = currentUserMember?.role === 'admin' || currentUserMember?.role === 'owner';
+  const unit = team.estimateUnit || 'hours';
+
+  const handleChange = async (value) => {
+    if (value === unit) return;
+    setIsSaving(true);
+    try {
+      await teamAPI.updateTeam(team._id, { estimateUnit: value });
+      if (onTeamUpdate) await onTeamUpdate();
+      setNotification({ isOpen: true, type: 'success', message: 'Estimate unit updated' });
+    } catch (error) {
+      setNotification({
+        isOpen: true,
+        type: 'error',
+        message: error.response?.data?.message || 'Failed to update estimate unit'
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const styles = {
+    container: {
+      background: 'white',
+      borderRadius: '16px',
+      padding: '24px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.05)',
+      border: '1px solid #e5e7eb',
+      marginTop: '24px'
+    },
+    title: {
+      fontSize: '18px',
+      fontWeight: '600',
+      color: '#1e293b',
+      margin: '0 0 8px 0'
+    },
+    subtitle: {
+      fontSize: '13px',
+      color: '#6b7280',
+      margin: '0 0 16px 0'
+    },
+    options: {
+      display: 'flex',
+      gap: '8px'
+    },
+    option: {
+      flex: 1,
+      padding: '10px 12px',
+      borderRadius: '8px',
+      border: '1px solid #d1d5db',
+      background: 'white',
+      fontSize: '14px',
+      fontWeight: '500',
+      color: '#374151',
+      cursor: canManage ? 'pointer' : 'default'
+    },
+    optionActive: {
+      border: '1px solid #2563eb',
+      background: '#eff6ff',
+      color: '#1d4ed8',
+      fontWeight: '600'
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <Notification
+        isOpen={notification.isOpen}
+        type={notification.type}
+        message={notification.message}
+        onClose={() => setNotification({ ...notification, isOpen: false })}
+      />
+      <h3 style={styles.title}>📏 Estimates</h3>
+      <p style={styles.subtitle}>{UNITS.find(option => option.value === unit)?.description}</p>
+      <div style={styles.options}>
+        {UNITS.map(option => (
+          <button
+            key={option.value}
+            style={{ ...styles.option, ...(option.value === unit ? styles.optionActive : {}), opacity: isSaving ? 0.6 : 1 }}
+            onClick={() => canManage && handleChange(option.value)}
+            disabled={!canManage || isSaving}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TeamEstimateSettings;
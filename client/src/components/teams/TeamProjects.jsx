@@ -0,0 +1,330 @@
+/*
+  TeamProjects.jsx
+  Component for managing a team's projects (milestones) in TaskTracker+.
+  - Lists projects with status, target date, progress, and forecast completion date.
+  - Lets admins/owners create, edit, and delete projects.
+*/
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { getProjects, createProject, updateProject, deleteProject } from '../../store/slices/projectSlice';
+import { subscribe } from '../../services/socket';
+import Notification from '../common/Notification';
+
+const EMPTY_PROJECTS = [];
+
+const STATUSES = [
+  { value: 'planned', label: 'Planned', color: '#6b7280' },
+  { value: 'active', label: 'Active', color: '#2563eb' },
+  { value: 'on-hold', label: 'On Hold', color: '#f59e0b' },
+  { value: 'completed', label: 'Completed', color: '#10b981' }
+];
+
+const EMPTY_FORM = { name: '', description: '', targetDate: '', status: 'active', color: '#8b5cf6' };
+
+const TeamProjects = ({ team }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector(state => state.auth);
+  const projects = useSelector(state => state.projects.byTeam[team?._id]) || EMPTY_PROJECTS;
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [notification, setNotification] = useState({ isOpen: false, type: 'error', message: '' });
+
+  useEffect(() => {
+    if (!team?._id) return;
+    dispatch(getProjects(team._id));
+    // Progress changes whenever the team's tasks or projects change
+    const refresh = (payload) => {
+      if ((payload.team?._id || payload.team) === team._id) dispatch(getProjects(team._id));
+    };
+    const unsubscribers = ['project:changed', 'task:created', 'task:updated', 'task:deleted']
+      .map(event => subscribe(event, refresh));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [dispatch, team?._id]);
+
+  if (!team) return null;
+
+  const currentUserMember = team.members?.find(member =>
+    member.userId._id === user.id || member.userId._id === user.userId
+  );
+  const canManage = currentUserMember?.role === 'admin' || currentUserMember?.role === 'owner';
+
+  const startEdit = (project) => {
+    setEditingId(project._id);
+    setForm({
+      name: project.name,
+      description: project.description || '',
+      targetDate: project.targetDate ? new Date(project.targetDate).toISOString().split('T')[0] : '',
+      status: project.status,
+      color: project.color || '#8b5cf6'
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      setNotification({ isOpen: true, type: 'error', message: 'Project name is required' });
+      return;
+    }
+    setIsSaving(true);
+    const projectData = { ...form, name: form.name.trim(), targetDate: form.targetDate || null };
+    const result = editingId === 'new'
+      ? await dispatch(createProject({ teamId: team._id, projectData }))
+      : await dispatch(updateProject({ teamId: team._id, projectId: editingId, projectData }));
+    setIsSaving(false);
+    if (result.error) {
+      setNotification({ isOpen: true, type: 'error', message: result.payload });
+      return;
+    }
+    cancelEdit();
+  };
+
+  const handleDelete = async (project) => {
+    if (!window.confirm(`Delete "${project.name}"? Its tasks stay in the team without a project.`)) return;
+    const result = await dispatch(deleteProject({ teamId: team._id, projectId: project._id }));
+    if (result.error) {
+      setNotification({ isOpen: true, type: 'error', message: result.payload });
+    }
+  };
+
+  const styles = {
+    container: {
+      background: 'white',
+      borderRadius: '16px',
+      padding: '24px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.05)',
+      border: '1px solid #e5e7eb',
+      marginTop: '24px'
+    },
+    header: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: '16px'
+    },
+    title: {
+      fontSize: '18px',
+      fontWeight: '600',
+      color: '#1e293b',
+      margin: 0
+    },
+    project: {
+      padding: '12px 0',
+      borderBottom: '1px solid #f3f4f6'
+    },
+    projectHeader: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '8px'
+    },
+    projectName: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      fontSize: '15px',
+      fontWeight: '600',
+      color: '#1e293b'
+    },
+    dot: {
+      width: '10px',
+      height: '10px',
+      borderRadius: '50%'
+    },
+    badge: {
+      padding: '2px 8px',
+      borderRadius: '9999px',
+      color: 'white',
+      fontSize: '11px',
+      fontWeight: '600'
+    },
+    description: {
+      fontSize: '13px',
+      color: '#6b7280',
+      margin: '4px 0 8px 0'
+    },
+    progressTrack: {
+      height: '8px',
+      background: '#e5e7eb',
+      borderRadius: '9999px',
+      overflow: 'hidden'
+    },
+    meta: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '12px',
+      marginTop: '6px',
+      fontSize: '12px',
+      color: '#6b7280'
+    },
+    form: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      padding: '12px',
+      background: '#f8fafc',
+      borderRadius: '10px',
+      marginBottom: '12px'
+    },
+    row: {
+      display: 'flex',
+      gap: '8px'
+    },
+    input: {
+      flex: 1,
+      padding: '8px 10px',
+      border: '1px solid #d1d5db',
+      borderRadius: '8px',
+      fontSize: '14px',
+      fontFamily: 'inherit'
+    },
+    primaryButton: {
+      padding: '8px 16px',
+      borderRadius: '8px',
+      border: 'none',
+      background: 'linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)',
+      color: 'white',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    linkButton: {
+      background: 'none',
+      border: 'none',
+      color: '#2563eb',
+      cursor: 'pointer',
+      fontSize: '12px',
+      padding: 0
+    },
+    empty: {
+      fontSize: '14px',
+      color: '#9ca3af',
+      fontStyle: 'italic'
+    }
+  };
+
+  const renderForm = () => (
+    <form style={styles.form} onSubmit={handleSave}>
+      <div style={styles.row}>
+        <input
+          style={styles.input}
+          value={form.name}
+          maxLength={60}
+          placeholder="Project name"
+          onChange={e => setForm({ ...form, name: e.target.value })}
+        />
+        <input
+          type="color"
+          style={{ ...styles.input, flex: '0 0 48px', padding: '2px' }}
+          value={form.color}
+          onChange={e => setForm({ ...form, color: e.target.value })}
+          aria-label="Project color"
+        />
+      </div>
+      <textarea
+        style={{ ...styles.input, minHeight: '60px', resize: 'vertical' }}
+        value={form.description}
+        maxLength={1000}
+        placeholder="Description (optional)"
+        onChange={e => setForm({ ...form, description: e.target.value })}
+      />
+      <div style={styles.row}>
+        <input
+          type="date"
+          style={styles.input}
+          value={form.targetDate}
+          onChange={e => setForm({ ...form, targetDate: e.target.value })}
+          aria-label="Target date"
+        />
+        <select style={styles.input} value={form.status} onChange={e => setForm({ ...form, status: e.target.value })}>
+          {STATUSES.map(status => (
+            <option key={status.value} value={status.value}>{status.label}</option>
+          ))}
+        </select>
+      </div>
+      <div style={styles.row}>
+        <button type="submit" style={{ ...styles.primaryButton, opacity: isSaving ? 0.6 : 1 }} disabled={isSaving}>
+          {editingId === 'new' ? 'Create Project' : 'Save'}
+        </button>
+        <button type="button" style={styles.linkButton} onClick={cancelEdit}>Cancel</button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div style={styles.container}>
+      <Notification
+        isOpen={notification.isOpen}
+        type={notification.type}
+        message={notification.message}
+        onClose={() => setNotification({ ...notification, isOpen: false })}
+      />
+      <div style={styles.header}>
+        <h3 style={styles.title}>📁 Projects</h3>
+        {canManage && editingId === null && (
+          <button style={styles.linkButton} onClick={() => { setForm(EMPTY_FORM); setEditingId('new'); }}>+ New project</button>
+        )}
+      </div>
+
+      {editingId === 'new' && renderForm()}
+      {projects.length === 0 && editingId !== 'new' && (
+        <div style={styles.empty}>No projects yet. Group related tasks into a project to track their progress.</div>
+      )}
+
+      {projects.map(project => {
+        if (editingId === project._id) return <div key={project._id}>{renderForm()}</div>;
+        const status = STATUSES.find(s => s.value === project.status) || STATUSES[1];
+        const { progress = {}, forecast = {} } = project;
+        const overdue = project.targetDate && project.status !== 'completed' && new Date(project.targetDate) < new Date();
+        return (
+          <div key={project._id} style={styles.project}>
+            <div style={styles.projectHeader}>
+              <div style={styles.projectName}>
+                <span style={{ ...styles.dot, background: project.color || '#8b5cf6' }} />
+                {project.name}
+                <span style={{ ...styles.badge, background: status.color }}>{status.label}</span>
+              </div>
+              {canManage && (
+                <div style={{ display: 'flex', gap: '12px' }}>
+                  <button style={styles.linkButton} onClick={() => startEdit(project)}>Edit</button>
+                  <button style={{ ...styles.linkButton, color: '#ef4444' }} onClick={() => handleDelete(project)}>Delete</button>
+                </div>
+              )}
+            </div>
+            {project.description && <p style={styles.description}>{project.description}</p>}
+            <div style={{ ...styles.progressTrack, marginTop: project.description ? 0 : '8px' }}>
+              <div style={{ width: `${progress.percent || 0}%`, height: '100%', background: project.color || '#8b5cf6' }} />
+            </div>
+            <div style={styles.meta}>
+              <span>{progress.percent || 0}% · {progress.completedTasks || 0}/{progress.totalTasks || 0} tasks</span>
+              {progress.effortPercent !== null && progress.effortPercent !== undefined && (
+                <span>{progress.effortPercent}% of estimated effort</span>
+              )}
+              {project.targetDate && (
+                <span style={overdue ? { color: '#ef4444' } : undefined}>
+                  🎯 Target {new Date(project.targetDate).toLocaleDateString()}
+                </span>
+              )}
+              {progress.totalTasks > 0 && (
+                <span style={forecast.onTrack === false ? { color: '#ef4444' } : undefined}>
+                  {progress.remainingTasks === 0
+                    ? '✅ All tasks done'
+                    : forecast.date
+                      ? `📈 Forecast ${new Date(forecast.date).toLocaleDateString()} (${forecast.tasksPerWeek}/week)`
+                      : '📈 No forecast yet (no recent completions)'}
+                </span>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TeamProjects;
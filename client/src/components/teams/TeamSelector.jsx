@@ -2,6 +2,7 @@
   TeamSelector.jsx
   Component for selecting the current team in TaskTracker+.
   - Allows users to switch between teams for analytics and task management.
+  - Narrows the current team to one of its projects (or to tasks outside every project).
   - Integrates with Redux for current team state and backend for team info.
   - Provides a user-friendly dropdown or list UI.
 */
@@ -9,11 +10,18 @@
 import React, { useState, useEffect } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { getUserTeams, setCurrentTeam } from '../../store/slices/teamSlice';
+import { getProjects, setSelectedProject } from '../../store/slices/projectSlice';
 import { useTheme } from '../../ThemeContext.jsx';
 
+const EMPTY_PROJECTS = [];
+
 const TeamSelector = () => {
   const dispatch = useDispatch();
   const { teams, currentTeam, isLoading } = useSelector(state => state.teams);
+  const projects = useSelector(state => state.projects.byTeam[currentTeam?._id]) || EMPTY_PROJECTS;
+  const selectedProjectId = useSelector(state =>
+    state.projects.selectedTeamId === currentTeam?._id ? state.projects.selectedProjectId : ''
+  );
   const [isOpen, setIsOpen] = useState(false);
   const { theme } = useTheme();
 
@@ -21,6 +29,14 @@ const TeamSelector = () => {
     dispatch(getUserTeams());
   }, [dispatch]);
 
+  useEffect(() => {
+    if (currentTeam?._id) dispatch(getProjects(currentTeam._id));
+  }, [dispatch, currentTeam?._id]);
+
+  const handleProjectSelect = (projectId) => {
+    dispatch(setSelectedProject({ teamId: currentTeam._id, projectId }));
+  };
+
   const handleTeamSelect = (team) => {
     dispatch(setCurrentTeam(team));
     setIsOpen(false);
@@ -29,7 +45,8 @@ const TeamSelector = () => {
   const styles = {
     container: {
       position: 'relative',
-      display: 'inline-block'
+      display: 'inline-flex',
+      alignItems: 'center'
     },
     selector: {
       display: 'flex',
@@ -81,6 +98,18 @@ const TeamSelector = () => {
       fontSize: '12px',
       fontWeight: 'bold'
     },
+    projectSelect: {
+      marginLeft: '8px',
+      padding: '8px 12px',
+      background: 'rgba(255, 255, 255, 0.1)',
+      borderRadius: '8px',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      color: theme === 'dark' ? '#f3f4f6' : '#1e293b',
+      fontSize: '14px',
+      fontWeight: '500',
+      cursor: 'pointer',
+      maxWidth: '220px'
+    },
     noTeams: {
       padding: '16px',
       textAlign: 'center',
@@ -153,6 +182,23 @@ const TeamSelector = () => {
           )}
         </div>
       )}
+
+      {currentTeam && projects.length > 0 && (
+        <select
+          style={styles.projectSelect}
+          value={selectedProjectId}
+          onChange={e => handleProjectSelect(e.target.value)}
+          aria-label="Project"
+        >
+          <option value="">📁 All projects</option>
+          <option value="none">No project</option>
+          {projects.map(project => (
+            <option key={project._id} value={project._id}>
+              {project.name} · {project.progress?.percent ?? 0}%
+            </option>
+          ))}
+        </select>
+      )}
     </div>
   );
 };
@@ -0,0 +1,571 @@
+/*
+  TeamSprintsTab.jsx
+  Tab component for planning team sprints in TaskTracker+.
+  - Lists the team's sprints and backlog with task counts and effort.
+  - Lets admins/owners create, close (rolling unfinished tasks over), and delete sprints.
+  - Shows the selected sprint's burndown and scope change, and velocity across closed sprints.
+*/
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Bar, Line } from 'react-chartjs-2';
+import {
+  getSprints,
+  createSprint,
+  deleteSprint,
+  closeSprint,
+  getSprintBurndown,
+  getSprintScope,
+  getTeamVelocity,
+  clearSprintReports
+} from '../../store/slices/sprintSlice';
+import { subscribe } from '../../services/socket';
+import Notification from '../common/Notification';
+import { useTheme } from '../../ThemeContext.jsx';
+
+const EMPTY_SPRINTS = [];
+
+const toDateInput = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const formatRange = (sprint) =>
+  `${new Date(sprint.startDate).toLocaleDateString()} – ${new Date(sprint.endDate).toLocaleDateString()}`;
+
+// Open sprints are "active" while today falls within their dates
+const getSprintState = (sprint) => {
+  if (sprint.status === 'closed') return 'closed';
+  const now = new Date();
+  if (new Date(sprint.startDate) > now) return 'planned';
+  return new Date(sprint.endDate) < now ? 'overdue' : 'active';
+};
+
+const STATE_COLORS = {
+  planned: '#6b7280',
+  active: '#2563eb',
+  overdue: '#f59e0b',
+  closed: '#10b981'
+};
+
+const TeamSprintsTab = ({ selectedTeamId }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector(state => state.auth);
+  const { teams, currentTeam } = useSelector(state => state.teams);
+  const teamSprints = useSelector(state => state.sprints.byTeam[selectedTeamId]);
+  const { burndown, scope, velocity } = useSelector(state => state.sprints);
+  const [selectedSprintId, setSelectedSprintId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ name: '', goal: '', startDate: '', endDate: '' });
+  const [rollOverTo, setRollOverTo] = useState('');
+  const [metric, setMetric] = useState('tasks');
+  const [notification, setNotification] = useState({ isOpen: false, type: 'error', message: '' });
+  const { theme } = useTheme();
+  const borderColor = theme === 'dark' ? '#4b5563' : '#d1d5db';
+
+  const team = teams?.find(t => t._id === selectedTeamId) || currentTeam;
+  const sprints = teamSprints?.sprints || EMPTY_SPRINTS;
+  const unitLabel = teamSprints?.unit === 'points' ? 'pts' : 'h';
+  const selectedSprint = sprints.find(s => s._id === selectedSprintId) || null;
+  const openSprints = sprints.filter(s => s.status === 'open');
+
+  const currentUserMember = team?.members?.find(member =>
+    (member.userId?._id || member.userId) === user?.id || (member.userId?._id || member.userId) === user?.userId
+  );
+  const canManage = currentUserMember?.role === 'admin' || currentUserMember?.role === 'owner';
+
+  useEffect(() => {
+    if (!selectedTeamId) return;
+    dispatch(getSprints(selectedTeamId));
+    dispatch(getTeamVelocity(selectedTeamId));
+    setSelectedSprintId(null);
+  }, [dispatch, selectedTeamId]);
+
+  // Default to the active sprint, else the most recent one
+  useEffect(() => {
+    if (selectedSprintId && sprints.some(s => s._id === selectedSprintId)) return;
+    const active = sprints.find(s => getSprintState(s) === 'active');
+    setSelectedSprintId((active || sprints[0])?._id || null);
+  }, [sprints, selectedSprintId]);
+
+  useEffect(() => {
+    if (!selectedTeamId || !selectedSprintId) {
+      dispatch(clearSprintReports());
+      return;
+    }
+    dispatch(getSprintBurndown({ teamId: selectedTeamId, sprintId: selectedSprintId }));
+    dispatch(getSprintScope({ teamId: selectedTeamId, sprintId: selectedSprintId }));
+  }, [dispatch, selectedTeamId, selectedSprintId, teamSprints]);
+
+  // Refetch when a teammate changes the team's sprints
+  useEffect(() => {
+    if (!selectedTeamId) return;
+    return subscribe('sprint:changed', (payload) => {
+      if (payload.team === selectedTeamId) {
+        dispatch(getSprints(selectedTeamId));
+        dispatch(getTeamVelocity(selectedTeamId));
+      }
+    });
+  }, [dispatch, selectedTeamId]);
+
+  const notify = (type, message) => setNotification({ isOpen: true, type, message });
+
+  const openForm = () => {
+    // Next sprint starts the day after the latest sprint ends and lasts two weeks
+    const latestEnd = sprints.reduce((latest, s) => Math.max(latest, new Date(s.endDate).getTime()), 0);
+    const start = latestEnd > Date.now() ? new Date(latestEnd + 24 * 60 * 60 * 1000) : new Date();
+    const end = new Date(start.getTime() + 13 * 24 * 60 * 60 * 1000);
+    setForm({ name: `Sprint ${sprints.length + 1}`, goal: '', startDate: toDateInput(start), endDate: toDateInput(end) });
+    setShowForm(true);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const startDate = new Date(`${form.startDate}T00:00`);
+    const endDate = new Date(`${form.endDate}T23:59:59`);
+    const result = await dispatch(createSprint({
+      teamId: selectedTeamId,
+      sprintData: { name: form.name, goal: form.goal, startDate: startDate.toISOString(), endDate: endDate.toISOString() }
+    }));
+    if (createSprint.rejected.match(result)) {
+      notify('error', result.payload);
+      return;
+    }
+    setShowForm(false);
+    setSelectedSprintId(result.payload._id);
+    notify('success', 'Sprint created');
+  };
+
+  const handleClose = async () => {
+    if (!selectedSprint) return;
+    const result = await dispatch(closeSprint({
+      teamId: selectedTeamId,
+      sprintId: selectedSprint._id,
+      rollOverTo: rollOverTo || undefined
+    }));
+    if (closeSprint.rejected.match(result)) {
+      notify('error', result.payload);
+      return;
+    }
+    const { rolledOverTasks, rolledOverTo } = result.payload;
+    const destination = rolledOverTo === 'backlog' ? 'the backlog' : rolledOverTo.name;
+    notify('success', rolledOverTasks > 0
+      ? `Sprint closed. ${rolledOverTasks} unfinished task${rolledOverTasks === 1 ? '' : 's'} moved to ${destination}.`
+      : 'Sprint closed. Every task was completed!');
+    setRollOverTo('');
+    dispatch(getTeamVelocity(selectedTeamId));
+  };
+
+  const handleDelete = async () => {
+    if (!selectedSprint || !window.confirm(`Delete "${selectedSprint.name}"? Its tasks go back to the backlog.`)) return;
+    const result = await dispatch(deleteSprint({ teamId: selectedTeamId, sprintId: selectedSprint._id }));
+    if (deleteSprint.rejected.match(result)) {
+      notify('error', result.payload);
+      return;
+    }
+    setSelectedSprintId(null);
+    dispatch(getTeamVelocity(selectedTeamId));
+  };
+
+  if (!selectedTeamId || !team) {
+    return (
+      <div style={{ textAlign: 'center', padding: '48px', color: '#64748b', fontSize: '18px', fontWeight: '500' }}>
+        Select a team to plan sprints.
+      </div>
+    );
+  }
+
+  const useEffort = metric === 'effort';
+  const burndownDays = burndown?.sprint?._id === selectedSprintId ? burndown.days : [];
+  const burndownData = {
+    labels: burndownDays.map(d => d.date),
+    datasets: [
+      {
+        label: useEffort ? `Remaining (${unitLabel})` : 'Remaining tasks',
+        data: burndownDays.map(d => (useEffort ? d.remainingEffort : d.remainingTasks)),
+        borderColor: '#2563eb',
+        backgroundColor: 'rgba(37, 99, 235, 0.1)',
+        fill: true,
+        tension: 0.2
+      },
+      {
+        label: 'Ideal',
+        data: burndownDays.map(d => (useEffort ? d.idealEffort : d.idealTasks)),
+        borderColor: '#9ca3af',
+        borderDash: [6, 4],
+        pointRadius: 0
+      },
+      {
+        label: 'Scope',
+        data: burndownDays.map(d => (useEffort ? d.scopeEffort : d.scopeTasks)),
+        borderColor: '#f59e0b',
+        pointRadius: 0,
+        stepped: true
+      }
+    ]
+  };
+
+  const velocitySprints = velocity?.sprints || [];
+  const velocityData = {
+    labels: velocitySprints.map(s => s.name),
+    datasets: [
+      {
+        label: useEffort ? `Committed (${unitLabel})` : 'Committed tasks',
+        data: velocitySprints.map(s => (useEffort ? s.committedEffort : s.committedTasks)),
+        backgroundColor: '#cbd5e1'
+      },
+      {
+        label: useEffort ? `Completed (${unitLabel})` : 'Completed tasks',
+        data: velocitySprints.map(s => (useEffort ? s.completedEffort : s.completedTasks)),
+        backgroundColor: '#10b981'
+      }
+    ]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { legend: { position: 'bottom', labels: { usePointStyle: true } } },
+    scales: { y: { beginAtZero: true } }
+  };
+
+  const sprintScope = scope?.sprint?._id === selectedSprintId ? scope : null;
+
+  const styles = {
+    container: {
+      width: '100%',
+      maxWidth: '1200px',
+      margin: '0 auto',
+      padding: '32px 24px',
+      boxSizing: 'border-box'
+    },
+    card: {
+      background: 'white',
+      borderRadius: '16px',
+      padding: '24px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.05)',
+      border: `1.5px solid ${borderColor}`,
+      marginBottom: '24px'
+    },
+    headerRow: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '12px',
+      flexWrap: 'wrap',
+      marginBottom: '16px'
+    },
+    title: {
+      fontSize: '18px',
+      fontWeight: '600',
+      color: '#1e293b',
+      margin: 0
+    },
+    sprintList: {
+      display: 'flex',
+      gap: '12px',
+      overflowX: 'auto',
+      paddingBottom: '4px'
+    },
+    sprintCard: {
+      minWidth: '200px',
+      padding: '12px 16px',
+      borderRadius: '12px',
+      border: '1px solid #e5e7eb',
+      background: '#f8fafc',
+      cursor: 'pointer',
+      textAlign: 'left'
+    },
+    sprintCardActive: {
+      border: '2px solid #2563eb',
+      background: '#eff6ff'
+    },
+    sprintName: {
+      fontSize: '14px',
+      fontWeight: '600',
+      color: '#1e293b',
+      marginBottom: '4px'
+    },
+    meta: {
+      fontSize: '12px',
+      color: '#6b7280'
+    },
+    badge: {
+      display: 'inline-block',
+      padding: '2px 8px',
+      borderRadius: '9999px',
+      color: 'white',
+      fontSize: '11px',
+      fontWeight: '600',
+      textTransform: 'capitalize',
+      marginLeft: '8px'
+    },
+    primaryButton: {
+      padding: '8px 16px',
+      borderRadius: '8px',
+      border: 'none',
+      background: 'linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)',
+      color: 'white',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    secondaryButton: {
+      padding: '8px 16px',
+      borderRadius: '8px',
+      border: '1px solid #d1d5db',
+      background: 'white',
+      color: '#374151',
+      fontSize: '14px',
+      fontWeight: '500',
+      cursor: 'pointer'
+    },
+    dangerButton: {
+      padding: '8px 16px',
+      borderRadius: '8px',
+      border: '1px solid #ef4444',
+      background: 'white',
+      color: '#ef4444',
+      fontSize: '14px',
+      fontWeight: '500',
+      cursor: 'pointer'
+    },
+    form: {
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+      gap: '12px',
+      marginTop: '16px',
+      alignItems: 'end'
+    },
+    label: {
+      display: 'block',
+      fontSize: '12px',
+      fontWeight: '600',
+      color: '#374151',
+      marginBottom: '4px'
+    },
+    input: {
+      width: '100%',
+      padding: '8px 10px',
+      border: '1px solid #d1d5db',
+      borderRadius: '8px',
+      fontSize: '14px',
+      fontFamily: 'inherit',
+      boxSizing: 'border-box'
+    },
+    goal: {
+      fontSize: '14px',
+      color: '#374151',
+      margin: '0 0 16px 0'
+    },
+    actions: {
+      display: 'flex',
+      gap: '8px',
+      alignItems: 'center',
+      flexWrap: 'wrap'
+    },
+    chartWrapper: {
+      height: '300px',
+      position: 'relative'
+    },
+    stats: {
+      display: 'flex',
+      gap: '24px',
+      flexWrap: 'wrap',
+      fontSize: '14px',
+      color: '#374151',
+      marginBottom: '12px'
+    },
+    changeItem: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      gap: '12px',
+      padding: '6px 0',
+      borderBottom: '1px solid #f1f5f9',
+      fontSize: '13px',
+      color: '#374151'
+    },
+    empty: {
+      fontSize: '14px',
+      color: '#9ca3af',
+      fontStyle: 'italic'
+    }
+  };
+
+  const renderChanges = (changes, sign) => changes.map((change, idx) => (
+    <div key={`${change.task._id}-${idx}`} style={styles.changeItem}>
+      <span>
+        {sign} {change.task.title}
+        {change.rollover && ' (rolled over)'}
+      </span>
+      <span style={styles.meta}>
+        {change.estimate ? `${change.estimate}${unitLabel} · ` : ''}
+        {change.by?.name || 'Someone'} · {new Date(change.at).toLocaleDateString()}
+      </span>
+    </div>
+  ));
+
+  return (
+    <div style={styles.container}>
+      <Notification
+        isOpen={notification.isOpen}
+        type={notification.type}
+        message={notification.message}
+        onClose={() => setNotification({ ...notification, isOpen: false })}
+      />
+
+      {/* Sprint list */}
+      <div style={styles.card}>
+        <div style={styles.headerRow}>
+          <h3 style={styles.title}>🏃 Sprints</h3>
+          <div style={styles.actions}>
+            <div style={styles.meta}>
+              Backlog: {teamSprints?.backlog?.totalTasks ?? 0} tasks
+              {teamSprints?.backlog?.effort > 0 && ` · ${teamSprints.backlog.effort}${unitLabel}`}
+            </div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              <button style={{ ...styles.secondaryButton, ...(metric === 'tasks' ? styles.sprintCardActive : {}) }} onClick={() => setMetric('tasks')}>Tasks</button>
+              <button style={{ ...styles.secondaryButton, ...(metric === 'effort' ? styles.sprintCardActive : {}) }} onClick={() => setMetric('effort')}>Effort</button>
+            </div>
+            {canManage && !showForm && (
+              <button style={styles.primaryButton} onClick={openForm}>+ New Sprint</button>
+            )}
+          </div>
+        </div>
+
+        {showForm && (
+          <form style={styles.form} onSubmit={handleCreate}>
+            <div>
+              <label style={styles.label}>Name</label>
+              <input style={styles.input} value={form.name} maxLength={60} required onChange={e => setForm({ ...form, name: e.target.value })} />
+            </div>
+            <div>
+              <label style={styles.label}>Start</label>
+              <input type="date" style={styles.input} value={form.startDate} required onChange={e => setForm({ ...form, startDate: e.target.value })} />
+            </div>
+            <div>
+              <label style={styles.label}>End</label>
+              <input type="date" style={styles.input} value={form.endDate} min={form.startDate} required onChange={e => setForm({ ...form, endDate: e.target.value })} />
+            </div>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={styles.label}>Goal</label>
+              <input style={styles.input} value={form.goal} maxLength={300} placeholder="What should this sprint achieve?" onChange={e => setForm({ ...form, goal: e.target.value })} />
+            </div>
+            <div style={styles.actions}>
+              <button type="submit" style={styles.primaryButton}>Create</button>
+              <button type="button" style={styles.secondaryButton} onClick={() => setShowForm(false)}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {sprints.length === 0 ? (
+          <div style={styles.empty}>No sprints yet. Tasks without a sprint stay in the backlog.</div>
+        ) : (
+          <div style={{ ...styles.sprintList, marginTop: showForm ? '16px' : 0 }}>
+            {[...sprints].reverse().map(sprint => {
+              const state = getSprintState(sprint);
+              return (
+                <button
+                  key={sprint._id}
+                  style={{ ...styles.sprintCard, ...(sprint._id === selectedSprintId ? styles.sprintCardActive : {}) }}
+                  onClick={() => setSelectedSprintId(sprint._id)}
+                >
+                  <div style={styles.sprintName}>
+                    {sprint.name}
+                    <span style={{ ...styles.badge, background: STATE_COLORS[state] }}>{state}</span>
+                  </div>
+                  <div style={styles.meta}>{formatRange(sprint)}</div>
+                  <div style={styles.meta}>
+                    {sprint.completedTasks}/{sprint.totalTasks} done
+                    {sprint.effort > 0 && ` · ${sprint.effort}${unitLabel}`}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Selected sprint */}
+      {selectedSprint && (
+        <div style={styles.card}>
+          <div style={styles.headerRow}>
+            <h3 style={styles.title}>{selectedSprint.name} · {formatRange(selectedSprint)}</h3>
+            {canManage && (
+              <div style={styles.actions}>
+                {selectedSprint.status === 'open' && (
+                  <>
+                    <select style={{ ...styles.input, width: 'auto' }} value={rollOverTo} onChange={e => setRollOverTo(e.target.value)}>
+                      <option value="">Unfinished → next sprint</option>
+                      <option value="backlog">Unfinished → backlog</option>
+                      {openSprints.filter(s => s._id !== selectedSprint._id).map(s => (
+                        <option key={s._id} value={s._id}>Unfinished → {s.name}</option>
+                      ))}
+                    </select>
+                    <button style={styles.primaryButton} onClick={handleClose}>Close Sprint</button>
+                  </>
+                )}
+                <button style={styles.dangerButton} onClick={handleDelete}>Delete</button>
+              </div>
+            )}
+          </div>
+          {selectedSprint.goal && <p style={styles.goal}>🎯 {selectedSprint.goal}</p>}
+          {selectedSprint.status === 'closed' && (
+            <div style={styles.stats}>
+              <span>Committed: <strong>{selectedSprint.summary?.committedTasks ?? 0}</strong> tasks</span>
+              <span>Completed: <strong>{selectedSprint.summary?.completedTasks ?? 0}</strong> tasks ({selectedSprint.summary?.completedEffort ?? 0}{unitLabel})</span>
+              <span>Rolled over: <strong>{selectedSprint.summary?.rolledOverTasks ?? 0}</strong></span>
+            </div>
+          )}
+          <div style={styles.chartWrapper}>
+            <Line data={burndownData} options={chartOptions} />
+          </div>
+        </div>
+      )}
+
+      {/* Scope change */}
+      {sprintScope && (
+        <div style={styles.card}>
+          <h3 style={{ ...styles.title, marginBottom: '12px' }}>🔀 Scope Change</h3>
+          <div style={styles.stats}>
+            <span>Committed: <strong>{sprintScope.committed.tasks}</strong> tasks ({sprintScope.committed.effort}{unitLabel})</span>
+            <span>Added: <strong>+{sprintScope.added.length}</strong> ({sprintScope.addedEffort}{unitLabel})</span>
+            <span>Removed: <strong>-{sprintScope.removed.length}</strong> ({sprintScope.removedEffort}{unitLabel})</span>
+            {sprintScope.changePercent !== null && (
+              <span>Net change: <strong>{sprintScope.changePercent > 0 ? '+' : ''}{sprintScope.changePercent}%</strong></span>
+            )}
+          </div>
+          {sprintScope.added.length + sprintScope.removed.length === 0 ? (
+            <div style={styles.empty}>No tasks were added or removed after the sprint started.</div>
+          ) : (
+            <div>
+              {renderChanges(sprintScope.added, '＋')}
+              {renderChanges(sprintScope.removed, '－')}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Velocity */}
+      <div style={styles.card}>
+        <div style={styles.headerRow}>
+          <h3 style={styles.title}>🚀 Velocity</h3>
+          {velocitySprints.length > 0 && (
+            <div style={styles.meta}>
+              Average: {velocity.averageCompletedTasks} tasks
+              {velocity.averageVelocity > 0 && ` · ${velocity.averageVelocity}${unitLabel}`} per sprint
+            </div>
+          )}
+        </div>
+        {velocitySprints.length === 0 ? (
+          <div style={styles.empty}>Close a sprint to start tracking velocity.</div>
+        ) : (
+          <div style={styles.chartWrapper}>
+            <Bar data={velocityData} options={chartOptions} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TeamSprintsTab;
@@ -4,15 +4,30 @@
   - Shows all tasks for the selected team with filtering and assignment.
   - Integrates with Redux and backend API for real-time team task management.
   - Supports admin/owner actions and analytics for team productivity.
+  - Offers a Kanban board with one column per workflow status (admins/owners drag cards).
+  - Offers a month/week calendar of due dates (admins/owners drag tasks to reschedule them).
+  - Admins/owners multi-select tasks in grid and list views and change them at once from a bulk action bar.
+  - Shows the team's trash bin; admins/owners restore deleted tasks or delete them for good.
+  - Bulk actions and board moves can be undone from the undo toast.
 */
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import TaskCard from '../tasks/TaskCard';
+import TaskBoard from '../tasks/TaskBoard';
+import TaskCalendar from '../tasks/TaskCalendar';
+import TaskDetailModal from '../tasks/TaskDetailModal';
 import CreateTeamTaskModal from '../tasks/CreateTeamTaskModal';
+import BulkActionBar from '../tasks/BulkActionBar';
+import TrashModal from '../tasks/TrashModal';
+import Notification from '../common/Notification';
 import { getTeamTasks, clearTeamTasks } from '../../store/slices/taskAssignmentSlice';
+import { getSprints } from '../../store/slices/sprintSlice';
+import { offerUndo } from '../../store/slices/undoSlice';
 import { canManageTeamTasks, isTeamOwner, isTeamAdmin } from '../../utils/roleValidation';
 import api from '../../services/api'; // Added import for api
+import { subscribe } from '../../services/socket';
 import { useTheme } from '../../ThemeContext.jsx';
+import { getCalendarQuery } from '../../utils/calendar';
 
 const STATUS_LABELS = {
   todo: 'To Do',
@@ -28,15 +43,33 @@ const PRIORITY_LABELS = {
   critical: 'Critical'
 };
 
+const EMPTY_SPRINTS = [];
+
+// Columns for teams without a saved workflow
+const DEFAULT_BOARD_COLUMNS = [
+  { key: 'todo', name: 'To Do', category: 'todo', color: '#6b7280' },
+  { key: 'in-progress', name: 'In Progress', category: 'in-progress', color: '#3b82f6' },
+  { key: 'completed', name: 'Completed', category: 'completed', color: '#10b981' }
+];
+const BOARD_PAGE_SIZE = 200;
+const CALENDAR_PAGE_SIZE = 500;
+
 const TeamTasksTab = () => {
   const dispatch = useDispatch();
   const { currentTeam, teams } = useSelector(state => state.teams);
   const team = teams.find(t => t._id === currentTeam._id);
   const { teamTasks, isLoadingTeamTasks, error } = useSelector(state => state.taskAssignment);
+  const teamSprints = useSelector(state => state.sprints.byTeam[currentTeam._id]?.sprints) || EMPTY_SPRINTS;
+  // Project picked in the team selector
+  const projectFilter = useSelector(state =>
+    state.projects.selectedTeamId === currentTeam._id ? state.projects.selectedProjectId : ''
+  );
   const user = useSelector(state => state.auth.user);
   const [showCreateModal, setShowCreateModal] = useState(false);
   // Add state for filters, sort, and pagination
   const [statusFilter, setStatusFilter] = useState('');
+  const [workflowFilter, setWorkflowFilter] = useState('');
+  const [sprintFilter, setSprintFilter] = useState('');
   const [assigneeFilter, setAssigneeFilter] = useState('');
   const [priorityFilter, setPriorityFilter] = useState('');
   const [searchFilter, setSearchFilter] = useState('');
@@ -47,9 +80,18 @@ const TeamTasksTab = () => {
   const [totalPages, setTotalPages] = useState(1);
   const [tasks, setTasks] = useState([]);
   const [view, setView] = useState('grid');
+  const [detailTask, setDetailTask] = useState(null);
+  const [moveError, setMoveError] = useState('');
+  const isBoardView = view === 'board';
+  const isCalendarView = view === 'calendar';
+  const [calendar, setCalendar] = useState(() => ({ anchor: new Date(), mode: 'month' }));
   const [activeTab, setActiveTab] = useState('active');
   const [statusCounts, setStatusCounts] = useState({ todo: 0, 'in-progress': 0, completed: 0, overdue: 0 });
   const [totalTasksCount, setTotalTasksCount] = useState(0);
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
+  const [isBulkUpdating, setIsBulkUpdating] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [notification, setNotification] = useState({ isOpen: false, type: '', message: '' });
   // Remove localTasks, fadingTaskIds, and any local filtering/slicing
   // Use paginatedTasks (from backend) directly for rendering
   // Use totalTasks and totalPages from backend for pagination and stats
@@ -103,16 +145,30 @@ const TeamTasksTab = () => {
     }
     
     if (statusFilter) params.append('status', statusFilter);
+    if (workflowFilter) params.append('workflowStatus', workflowFilter);
+    if (sprintFilter) params.append('sprint', sprintFilter);
+    if (projectFilter) params.append('project', projectFilter);
     if (assigneeFilter) params.append('assignedTo', assigneeFilter);
     if (priorityFilter) params.append('priority', priorityFilter);
     if (searchFilter) params.append('search', searchFilter);
-    if (sortBy) {
+    // The board shows every matching task in its saved order, the calendar every task due on the shown days
+    if (isBoardView) {
+      params.append('sortBy', 'rank');
+      params.append('sortOrder', 'asc');
+    } else if (isCalendarView) {
+      const { dueFrom, dueTo } = getCalendarQuery(calendar.anchor, calendar.mode);
+      params.append('dueFrom', dueFrom);
+      params.append('dueTo', dueTo);
+      params.append('sortBy', 'dueDate');
+      params.append('sortOrder', 'asc');
+    } else if (sortBy) {
       const [field, order] = sortBy.split('-');
       params.append('sortBy', field);
       params.append('sortOrder', order);
     }
-    params.append('page', page);
-    params.append('limit', pageSize);
+    const singlePageSize = isBoardView ? BOARD_PAGE_SIZE : isCalendarView ? CALENDAR_PAGE_SIZE : null;
+    params.append('page', singlePageSize ? 1 : page);
+    params.append('limit', singlePageSize || pageSize);
     try {
       const response = await api.get(`/tasks/team/${currentTeam._id}?${params.toString()}`);
       setTasks(response.data.tasks || []);
@@ -126,7 +182,13 @@ const TeamTasksTab = () => {
   // Fetch tasks from backend whenever filters/sort/page change
   useEffect(() => {
     fetchTeamTasks();
-  }, [currentTeam, activeTab, statusFilter, assigneeFilter, priorityFilter, searchFilter, sortBy, page]);
+  }, [currentTeam, activeTab, statusFilter, workflowFilter, sprintFilter, projectFilter, assigneeFilter, priorityFilter, searchFilter, sortBy, page, isBoardView, isCalendarView, calendar]);
+
+  // Load the team's sprints for the sprint filter
+  useEffect(() => {
+    if (currentTeam?._id) dispatch(getSprints(currentTeam._id));
+    setSprintFilter('');
+  }, [dispatch, currentTeam?._id]);
 
   // Fetch status counts when team changes or when tasks are updated
   useEffect(() => {
@@ -144,10 +206,33 @@ const TeamTasksTab = () => {
     return () => clearInterval(interval);
   }, [currentTeam]);
 
+  // Refetch when a teammate changes this team's tasks (pushed over socket.io)
+  const refreshFromSocket = useRef(null);
+  refreshFromSocket.current = () => {
+    fetchTeamTasks();
+    fetchStatusCounts();
+  };
+  useEffect(() => {
+    if (!currentTeam || !currentTeam._id) return;
+    const handleTaskEvent = (payload) => {
+      if ((payload.team?._id || payload.team) === currentTeam._id) {
+        refreshFromSocket.current();
+      }
+    };
+    const events = ['task:created', 'task:updated', 'task:deleted', 'task:assigned', 'sprint:changed'];
+    const unsubscribers = events.map(event => subscribe(event, handleTaskEvent));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [currentTeam]);
+
+  // A selection only makes sense for the list it was made in
+  useEffect(() => {
+    setSelectedTaskIds([]);
+  }, [currentTeam, activeTab, statusFilter, workflowFilter, sprintFilter, projectFilter, assigneeFilter, priorityFilter, searchFilter, sortBy, page, view]);
+
   // Reset to page 1 when filters or sort change
   useEffect(() => {
     setPage(1);
-  }, [statusFilter, assigneeFilter, priorityFilter, searchFilter, sortBy]);
+  }, [statusFilter, workflowFilter, sprintFilter, projectFilter, assigneeFilter, priorityFilter, searchFilter, sortBy]);
 
   // After creating a task, reset to page 1 and fetch
   const handleCreateTaskAndRefresh = async (taskData) => {
@@ -368,6 +453,69 @@ const TeamTasksTab = () => {
   const userId = user?.id || user?._id || user?.userId;
   const userRole = team?.members?.find(m => (m.userId?._id || m.userId) === userId)?.role;
   const canCreate = userRole === 'admin' || userRole === 'owner';
+
+  const boardColumns = team?.workflowStatuses?.length > 0 ? team.workflowStatuses : DEFAULT_BOARD_COLUMNS;
+  const getBoardColumnKey = (task) => {
+    const column = boardColumns.find(c => c.key === task.workflowStatus) || boardColumns.find(c => c.category === task.status);
+    return column?.key;
+  };
+
+  // Board drop: move the task to the column and position, then reload (other cards may be re-ranked)
+  const handleBoardMove = async (task, columnKey, position) => {
+    try {
+      await api.put(`/tasks/${task._id}`, { workflowStatus: columnKey, position });
+      setMoveError('');
+      if (columnKey !== getBoardColumnKey(task)) {
+        dispatch(offerUndo({ message: `"${task.title}" moved`, taskIds: [task._id] }));
+      }
+      await fetchTeamTasks();
+      await fetchStatusCounts();
+    } catch (err) {
+      setMoveError(err.response?.data?.message || 'Failed to move task');
+    }
+  };
+
+  // Calendar drop: move the due date to the chosen day (the server rejects past days too)
+  const handleReschedule = async (task, dayKey) => {
+    try {
+      await api.put(`/tasks/${task._id}`, { dueDate: dayKey });
+      setMoveError('');
+      await fetchTeamTasks();
+      await fetchStatusCounts();
+    } catch (err) {
+      setMoveError(err.response?.data?.message || 'Failed to reschedule task');
+    }
+  };
+  const handleSelectTask = (task) => {
+    setSelectedTaskIds(ids => ids.includes(task._id) ? ids.filter(id => id !== task._id) : [...ids, task._id]);
+  };
+
+  // Failed tasks stay selected so the user can see which ones were skipped and retry
+  const handleBulkAction = async (action, value) => {
+    setIsBulkUpdating(true);
+    try {
+      const response = await api.post('/tasks/bulk', { taskIds: selectedTaskIds, action, value });
+      const { message, failed, results } = response.data;
+      const firstFailure = results.find(item => !item.success);
+      setNotification({
+        isOpen: true,
+        type: failed > 0 ? 'error' : 'success',
+        message: firstFailure ? `${message}. ${firstFailure.message}` : message
+      });
+      setSelectedTaskIds(results.filter(item => !item.success).map(item => item.taskId));
+      const changedIds = results.filter(item => item.success && !item.unchanged).map(item => item.taskId);
+      if (changedIds.length > 0) dispatch(offerUndo({ message, taskIds: changedIds }));
+      await fetchTeamTasks();
+      await fetchStatusCounts();
+    } catch (err) {
+      setNotification({ isOpen: true, type: 'error', message: err.response?.data?.message || 'Failed to update tasks' });
+    } finally {
+      setIsBulkUpdating(false);
+    }
+  };
+
+  const allSelected = paginatedTasks.length > 0 && paginatedTasks.every(task => selectedTaskIds.includes(task._id));
+
   const { theme } = useTheme();
   const borderColor = theme === 'dark' ? '#4b5563' : '#d1d5db';
 
@@ -402,6 +550,12 @@ const TeamTasksTab = () => {
           >
             Archived Tasks
           </button>
+          <button
+            style={{ ...styles.clearFiltersButton, marginLeft: 'auto' }}
+            onClick={() => setShowTrash(true)}
+          >
+            🗑️ Trash
+          </button>
         </div>
         {/* Stats Grid with Total Tasks Card */}
         <div style={styles.statsGrid}>
@@ -474,6 +628,31 @@ const TeamTasksTab = () => {
                 <option value="overdue">Overdue</option>
               </select>
             </div>
+            {team?.workflowStatuses?.length > 0 && (
+              <div style={styles.filterGroup}>
+                <label style={styles.filterLabel}>Column</label>
+                <select style={styles.filterSelect} value={workflowFilter} onChange={e => setWorkflowFilter(e.target.value)}>
+                  <option value="">All Columns</option>
+                  {team.workflowStatuses.map(column => (
+                    <option key={column.key} value={column.key}>{column.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {teamSprints.length > 0 && (
+              <div style={styles.filterGroup}>
+                <label style={styles.filterLabel}>Sprint</label>
+                <select style={styles.filterSelect} value={sprintFilter} onChange={e => setSprintFilter(e.target.value)}>
+                  <option value="">All Sprints</option>
+                  <option value="backlog">Backlog</option>
+                  {teamSprints.map(sprint => (
+                    <option key={sprint._id} value={sprint._id}>
+                      {sprint.name}{sprint.status === 'closed' ? ' (closed)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
             <div style={styles.filterGroup}>
               <label style={styles.filterLabel}>Assignee</label>
               <select style={styles.filterSelect} value={assigneeFilter} onChange={e => setAssigneeFilter(e.target.value)}>
@@ -514,6 +693,8 @@ const TeamTasksTab = () => {
               <div style={{ display: 'flex', gap: '8px' }}>
                 <button style={{ ...styles.pageButton, ...(view === 'grid' ? styles.pageButtonActive : {}) }} onClick={() => setView('grid')}>Grid</button>
                 <button style={{ ...styles.pageButton, ...(view === 'list' ? styles.pageButtonActive : {}) }} onClick={() => setView('list')}>List</button>
+                <button style={{ ...styles.pageButton, ...(isBoardView ? styles.pageButtonActive : {}) }} onClick={() => setView('board')}>Board</button>
+                <button style={{ ...styles.pageButton, ...(isCalendarView ? styles.pageButtonActive : {}) }} onClick={() => setView('calendar')}>Calendar</button>
               </div>
             </div>
             {canCreate && (
@@ -560,9 +741,20 @@ const TeamTasksTab = () => {
         </div>
         {/* Error */}
         {error && <div style={styles.errorMessage}>{error}</div>}
+        {(isBoardView || isCalendarView) && moveError && <div style={styles.errorMessage}>{moveError}</div>}
         {/* Tasks List */}
         <div style={styles.tasksContainer}>
-          {paginatedTasks.length === 0 ? (
+          {isCalendarView ? (
+            <TaskCalendar
+              tasks={paginatedTasks}
+              anchor={calendar.anchor}
+              mode={calendar.mode}
+              onNavigate={setCalendar}
+              onReschedule={handleReschedule}
+              onTaskClick={setDetailTask}
+              canMove={task => canCreate && !task.isArchived}
+            />
+          ) : paginatedTasks.length === 0 ? (
             <div style={styles.emptyState}>
               <div style={styles.emptyIcon}>{activeTab === 'active' ? '📝' : '📦'}</div>
               <h3 style={styles.emptyTitle}>{activeTab === 'active' ? 'No tasks found' : 'No archived tasks found'}</h3>
@@ -572,6 +764,15 @@ const TeamTasksTab = () => {
                   : 'Create your first task to get started!'}
               </p>
             </div>
+          ) : isBoardView ? (
+            <TaskBoard
+              columns={boardColumns}
+              tasks={paginatedTasks}
+              getColumnKey={getBoardColumnKey}
+              onMove={handleBoardMove}
+              onTaskClick={setDetailTask}
+              canMove={task => canCreate && !task.isArchived}
+            />
           ) : (
             <div style={view === 'grid' ? styles.tasksGrid : styles.tasksList}>
               {paginatedTasks.map(task => (
@@ -610,6 +811,9 @@ const TeamTasksTab = () => {
                       fetchData();
                     }}
                     teamMembers={team?.members}
+                    workflow={team?.workflowStatuses}
+                    isSelected={selectedTaskIds.includes(task._id)}
+                    onSelect={canCreate ? handleSelectTask : null}
                   />
                 </div>
               ))}
@@ -617,7 +821,7 @@ const TeamTasksTab = () => {
           )}
         </div>
         {/* Pagination */}
-        {totalPages > 1 && (
+        {totalPages > 1 && !isBoardView && !isCalendarView && (
           <div style={styles.pagination}>
             <button
               style={{
@@ -646,6 +850,24 @@ const TeamTasksTab = () => {
             </button>
           </div>
         )}
+        {detailTask && (
+          <TaskDetailModal
+            isOpen={!!detailTask}
+            onClose={() => setDetailTask(null)}
+            task={detailTask}
+            teamMembers={team?.members}
+          />
+        )}
+        <TrashModal
+          isOpen={showTrash}
+          onClose={() => setShowTrash(false)}
+          teamId={currentTeam._id}
+          canManage={canCreate}
+          onRestored={async () => {
+            await fetchTeamTasks();
+            await fetchStatusCounts();
+          }}
+        />
         <CreateTeamTaskModal
           isOpen={showCreateModal}
           onClose={() => setShowCreateModal(false)}
@@ -653,6 +875,24 @@ const TeamTasksTab = () => {
           canCreate={canCreate}
           onSuccess={handleCreateTaskAndRefresh}
         />
+        {canCreate && !isBoardView && !isCalendarView && (
+          <BulkActionBar
+            selectedCount={selectedTaskIds.length}
+            allSelected={allSelected}
+            onToggleAll={() => setSelectedTaskIds(allSelected ? [] : paginatedTasks.map(task => task._id))}
+            onClear={() => setSelectedTaskIds([])}
+            onAction={handleBulkAction}
+            members={team?.members}
+            isArchivedView={activeTab === 'archived'}
+            isWorking={isBulkUpdating}
+          />
+        )}
+        <Notification
+          isOpen={notification.isOpen}
+          type={notification.type}
+          message={notification.message}
+          onClose={() => setNotification({ ...notification, isOpen: false })}
+        />
       </div>
     </div>
   );
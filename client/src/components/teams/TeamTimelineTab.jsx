@@ -0,0 +1,572 @@
+/*
+  TeamTimelineTab.jsx
+  Tab component for the team timeline (Gantt view) in TaskTracker+.
+  - Shows the team's tasks as bars from their start date to their due date, grouped by assignee.
+  - Draws dependencies between bars (red when a task starts before its blocker ends) and project milestones.
+  - Lets admins/owners drag a bar to move it, or drag its edges to change the start or due date.
+*/
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { getTeamTimeline } from '../../store/slices/taskAssignmentSlice';
+import api from '../../services/api';
+import { subscribe } from '../../services/socket';
+import Notification from '../common/Notification';
+import TaskDetailModal from '../tasks/TaskDetailModal';
+import { useTheme } from '../../ThemeContext.jsx';
+import { getDayOffset, getDueDayKey, isPastDay, shiftDayKey, toDayKey } from '../../utils/calendar';
+
+// Visible window lengths and the width of one day in each
+const ZOOM_LEVELS = [
+  { days: 14, dayWidth: 56, label: '2 weeks' },
+  { days: 42, dayWidth: 28, label: '6 weeks' },
+  { days: 91, dayWidth: 14, label: '3 months' }
+];
+
+const LABEL_WIDTH = 220;
+const HEADER_HEIGHT = 44;
+const GROUP_HEIGHT = 30;
+const ROW_HEIGHT = 34;
+const BAR_HEIGHT = 20;
+
+const STATUS_COLORS = {
+  todo: '#6b7280',
+  'in-progress': '#2563eb',
+  completed: '#10b981'
+};
+
+// First and last day a task occupies; tasks with one date occupy a single day
+const getTaskSpan = (task) => {
+  const startKey = getDueDayKey(task.startDate || task.dueDate);
+  const endKey = getDueDayKey(task.dueDate || task.startDate);
+  return { startKey, endKey };
+};
+
+const TeamTimelineTab = ({ selectedTeamId }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector(state => state.auth);
+  const { teams, currentTeam } = useSelector(state => state.teams);
+  const { timeline, isLoadingTimeline } = useSelector(state => state.taskAssignment);
+  // Project picked in the team selector
+  const projectFilter = useSelector(state =>
+    state.projects.selectedTeamId === selectedTeamId ? state.projects.selectedProjectId : ''
+  );
+  const [zoom, setZoom] = useState(1);
+  const [fromKey, setFromKey] = useState(() => shiftDayKey(toDayKey(new Date()), -7));
+  const [drag, setDrag] = useState(null); // { taskId, mode: 'move' | 'start' | 'end', originX, deltaDays }
+  const [detailTask, setDetailTask] = useState(null);
+  const [notification, setNotification] = useState({ isOpen: false, type: 'error', message: '' });
+  const { theme } = useTheme();
+  const isDark = theme === 'dark';
+  const borderColor = isDark ? '#4b5563' : '#d1d5db';
+
+  const team = teams?.find(t => t._id === selectedTeamId) || currentTeam;
+  const { days, dayWidth } = ZOOM_LEVELS[zoom];
+  const toKey = shiftDayKey(fromKey, days);
+  const currentUserMember = team?.members?.find(member =>
+    (member.userId?._id || member.userId) === user?.id || (member.userId?._id || member.userId) === user?.userId
+  );
+  const canManage = currentUserMember?.role === 'admin' || currentUserMember?.role === 'owner';
+
+  useEffect(() => {
+    if (!selectedTeamId) return;
+    dispatch(getTeamTimeline({ teamId: selectedTeamId, from: fromKey, to: toKey, project: projectFilter }));
+  }, [dispatch, selectedTeamId, fromKey, toKey, projectFilter]);
+
+  // Refetch when a teammate changes the team's tasks or projects
+  useEffect(() => {
+    if (!selectedTeamId) return;
+    const refresh = (payload) => {
+      if ((payload.team?._id || payload.team) === selectedTeamId) {
+        dispatch(getTeamTimeline({ teamId: selectedTeamId, from: fromKey, to: toKey, project: projectFilter }));
+      }
+    };
+    const unsubscribers = ['task:created', 'task:updated', 'task:deleted', 'task:assigned', 'project:changed']
+      .map(event => subscribe(event, refresh));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [dispatch, selectedTeamId, fromKey, toKey, projectFilter]);
+
+  const notify = (type, message) => setNotification({ isOpen: true, type, message });
+
+  // Only show a timeline loaded for this team and window
+  const isCurrent = timeline && timeline.teamId === selectedTeamId;
+  const tasks = isCurrent ? timeline.tasks : [];
+  const dependencies = isCurrent ? timeline.dependencies : [];
+  const milestones = isCurrent ? timeline.milestones : [];
+
+  // Rows: one header per assignee followed by their tasks (unassigned last)
+  const groups = new Map();
+  tasks.forEach(task => {
+    const key = task.assignedTo?._id || 'unassigned';
+    if (!groups.has(key)) groups.set(key, { name: task.assignedTo?.name || 'Unassigned', tasks: [] });
+    groups.get(key).tasks.push(task);
+  });
+  const sortedGroups = [...groups.entries()]
+    .sort(([a, ga], [b, gb]) => (a === 'unassigned') - (b === 'unassigned') || ga.name.localeCompare(gb.name));
+  const rows = [];
+  const taskRowY = new Map();
+  let y = 0;
+  sortedGroups.forEach(([key, group]) => {
+    rows.push({ type: 'group', key, name: group.name, count: group.tasks.length, y });
+    y += GROUP_HEIGHT;
+    group.tasks.forEach(task => {
+      rows.push({ type: 'task', key: task._id, task, y });
+      taskRowY.set(task._id, y + ROW_HEIGHT / 2);
+      y += ROW_HEIGHT;
+    });
+  });
+  const bodyHeight = Math.max(y, ROW_HEIGHT * 3);
+  const gridWidth = days * dayWidth;
+
+  // Day offsets of a task's bar, including the change being dragged
+  const getBarDays = (task) => {
+    const { startKey, endKey } = getTaskSpan(task);
+    let start = getDayOffset(fromKey, startKey);
+    let end = getDayOffset(fromKey, endKey);
+    if (drag?.taskId === task._id && drag.deltaDays) {
+      if (drag.mode !== 'end') start += drag.deltaDays;
+      if (drag.mode !== 'start') end += drag.deltaDays;
+      // An edge cannot be dragged past the other one
+      if (drag.mode === 'start') start = Math.min(start, end);
+      if (drag.mode === 'end') end = Math.max(start, end);
+    }
+    return { start, end };
+  };
+
+  // Drag handling lives on the window so the pointer can leave the bar
+  useEffect(() => {
+    if (!drag) return;
+    const handleMove = (e) => {
+      const deltaDays = Math.round((e.clientX - drag.originX) / dayWidth);
+      if (deltaDays !== drag.deltaDays) setDrag(current => current && { ...current, deltaDays });
+    };
+    const handleUp = () => {
+      const task = tasks.find(t => t._id === drag.taskId);
+      setDrag(null);
+      if (task && drag.deltaDays) saveDates(task, drag.mode, drag.deltaDays);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  });
+
+  const saveDates = async (task, mode, deltaDays) => {
+    const { startKey, endKey } = getTaskSpan(task);
+    const updates = {};
+    if (mode === 'move') {
+      if (task.startDate) updates.startDate = shiftDayKey(startKey, deltaDays);
+      if (task.dueDate) updates.dueDate = shiftDayKey(endKey, deltaDays);
+    } else if (mode === 'start') {
+      const newStart = shiftDayKey(startKey, deltaDays);
+      updates.startDate = newStart > endKey ? endKey : newStart;
+    } else {
+      const newEnd = shiftDayKey(endKey, deltaDays);
+      updates.dueDate = newEnd < startKey ? startKey : newEnd;
+    }
+    // Same day-only rule the server applies to due dates
+    if (updates.dueDate && isPastDay(updates.dueDate)) {
+      notify('error', 'Due date cannot be in the past');
+      return;
+    }
+    try {
+      await api.put(`/tasks/${task._id}`, updates);
+      dispatch(getTeamTimeline({ teamId: selectedTeamId, from: fromKey, to: toKey, project: projectFilter }));
+    } catch (err) {
+      notify('error', err.response?.data?.message || 'Failed to update task dates');
+    }
+  };
+
+  const startDrag = (e, task, mode) => {
+    if (!canManage || e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDrag({ taskId: task._id, mode, originX: e.clientX, deltaDays: 0 });
+  };
+
+  const shiftWindow = (direction) => setFromKey(key => shiftDayKey(key, direction * Math.max(7, Math.round(days / 2))));
+
+  if (!selectedTeamId) {
+    return (
+      <div style={{ textAlign: 'center', padding: '48px 24px', color: '#6b7280' }}>Select a team to see its timeline.</div>
+    );
+  }
+
+  const dayKeys = Array.from({ length: days }, (_, i) => shiftDayKey(fromKey, i));
+  const todayOffset = getDayOffset(fromKey, toDayKey(new Date()));
+
+  const styles = {
+    container: {
+      width: '100%',
+      maxWidth: '1200px',
+      margin: '0 auto',
+      padding: '32px 24px',
+      boxSizing: 'border-box'
+    },
+    card: {
+      background: isDark ? '#18181b' : 'white',
+      borderRadius: '16px',
+      padding: '24px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.05)',
+      border: `1.5px solid ${borderColor}`
+    },
+    headerRow: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: '12px',
+      marginBottom: '16px'
+    },
+    title: {
+      fontSize: '18px',
+      fontWeight: '600',
+      color: isDark ? '#f3f4f6' : '#1e293b',
+      margin: 0
+    },
+    controls: {
+      display: 'flex',
+      gap: '6px',
+      alignItems: 'center',
+      flexWrap: 'wrap'
+    },
+    button: {
+      padding: '6px 12px',
+      borderRadius: '8px',
+      border: '1px solid #d1d5db',
+      background: isDark ? '#1f2937' : 'white',
+      color: isDark ? '#e5e7eb' : '#374151',
+      fontSize: '13px',
+      cursor: 'pointer'
+    },
+    buttonActive: {
+      background: '#2563eb',
+      borderColor: '#2563eb',
+      color: 'white'
+    },
+    chart: {
+      display: 'flex',
+      border: `1px solid ${isDark ? '#374151' : '#e5e7eb'}`,
+      borderRadius: '12px',
+      overflow: 'hidden',
+      userSelect: drag ? 'none' : 'auto'
+    },
+    labels: {
+      flex: `0 0 ${LABEL_WIDTH}px`,
+      borderRight: `1px solid ${isDark ? '#374151' : '#e5e7eb'}`
+    },
+    labelHeader: {
+      height: `${HEADER_HEIGHT}px`,
+      borderBottom: `1px solid ${isDark ? '#374151' : '#e5e7eb'}`,
+      display: 'flex',
+      alignItems: 'center',
+      padding: '0 12px',
+      fontSize: '12px',
+      fontWeight: '600',
+      color: '#64748b'
+    },
+    groupLabel: {
+      height: `${GROUP_HEIGHT}px`,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      padding: '0 12px',
+      fontSize: '13px',
+      fontWeight: '600',
+      color: isDark ? '#f3f4f6' : '#1e293b',
+      background: isDark ? '#1f2937' : '#f8fafc'
+    },
+    taskLabel: {
+      height: `${ROW_HEIGHT}px`,
+      display: 'flex',
+      alignItems: 'center',
+      padding: '0 12px 0 24px',
+      fontSize: '13px',
+      color: isDark ? '#d1d5db' : '#374151',
+      whiteSpace: 'nowrap',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      cursor: 'pointer'
+    },
+    scroller: {
+      flex: 1,
+      overflowX: 'auto'
+    },
+    dayHeader: {
+      position: 'absolute',
+      top: 0,
+      height: `${HEADER_HEIGHT}px`,
+      width: `${dayWidth}px`,
+      borderLeft: `1px solid ${isDark ? '#374151' : '#f1f5f9'}`,
+      fontSize: '11px',
+      color: '#64748b',
+      textAlign: 'center',
+      boxSizing: 'border-box',
+      paddingTop: '4px'
+    },
+    bar: {
+      position: 'absolute',
+      height: `${BAR_HEIGHT}px`,
+      borderRadius: '6px',
+      color: 'white',
+      fontSize: '11px',
+      fontWeight: '600',
+      lineHeight: `${BAR_HEIGHT}px`,
+      padding: '0 8px',
+      boxSizing: 'border-box',
+      whiteSpace: 'nowrap',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      boxShadow: '0 1px 3px rgba(0, 0, 0, 0.15)'
+    },
+    handle: {
+      position: 'absolute',
+      top: 0,
+      width: '6px',
+      height: '100%',
+      cursor: 'ew-resize'
+    },
+    legend: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '16px',
+      marginTop: '12px',
+      fontSize: '12px',
+      color: '#64748b'
+    },
+    empty: {
+      padding: '32px',
+      textAlign: 'center',
+      color: '#9ca3af',
+      fontStyle: 'italic',
+      fontSize: '14px'
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <Notification
+        isOpen={notification.isOpen}
+        type={notification.type}
+        message={notification.message}
+        onClose={() => setNotification({ ...notification, isOpen: false })}
+      />
+      <div style={styles.card}>
+        <div style={styles.headerRow}>
+          <h3 style={styles.title}>🗓️ Timeline</h3>
+          <div style={styles.controls}>
+            <button style={styles.button} onClick={() => shiftWindow(-1)} aria-label="Earlier">‹</button>
+            <button style={styles.button} onClick={() => setFromKey(shiftDayKey(toDayKey(new Date()), -7))}>Today</button>
+            <button style={styles.button} onClick={() => shiftWindow(1)} aria-label="Later">›</button>
+            {ZOOM_LEVELS.map((level, index) => (
+              <button
+                key={level.days}
+                style={{ ...styles.button, ...(zoom === index ? styles.buttonActive : {}) }}
+                onClick={() => setZoom(index)}
+              >
+                {level.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div style={styles.chart}>
+          {/* Task labels */}
+          <div style={styles.labels}>
+            <div style={styles.labelHeader}>Assignee / Task</div>
+            {rows.map(row => (row.type === 'group' ? (
+              <div key={`group-${row.key}`} style={styles.groupLabel}>
+                <span>👤 {row.name}</span>
+                <span style={{ fontWeight: 400, color: '#64748b' }}>{row.count}</span>
+              </div>
+            ) : (
+              <div key={row.key} style={styles.taskLabel} title={row.task.title} onClick={() => setDetailTask(row.task)}>
+                {row.task.title}
+              </div>
+            )))}
+          </div>
+
+          {/* Day grid with bars, dependencies, and milestones */}
+          <div style={styles.scroller}>
+            <div style={{ position: 'relative', width: `${gridWidth}px`, height: `${HEADER_HEIGHT + bodyHeight}px` }}>
+              {dayKeys.map((dayKey, i) => {
+                const date = new Date(`${dayKey}T00:00:00`);
+                const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+                const showMonth = i === 0 || date.getDate() === 1;
+                return (
+                  <React.Fragment key={dayKey}>
+                    <div style={{ ...styles.dayHeader, left: `${i * dayWidth}px` }}>
+                      <div style={{ fontWeight: showMonth ? 600 : 400, height: '14px' }}>
+                        {showMonth ? date.toLocaleDateString(undefined, { month: 'short' }) : ''}
+                      </div>
+                      <div>{dayWidth >= 20 || date.getDay() === 1 ? date.getDate() : ''}</div>
+                    </div>
+                    {isWeekend && (
+                      <div style={{
+                        position: 'absolute',
+                        left: `${i * dayWidth}px`,
+                        top: `${HEADER_HEIGHT}px`,
+                        width: `${dayWidth}px`,
+                        height: `${bodyHeight}px`,
+                        background: isDark ? 'rgba(255, 255, 255, 0.03)' : 'rgba(15, 23, 42, 0.03)'
+                      }} />
+                    )}
+                  </React.Fragment>
+                );
+              })}
+
+              {/* Group bands */}
+              {rows.filter(row => row.type === 'group').map(row => (
+                <div key={`band-${row.key}`} style={{
+                  position: 'absolute',
+                  left: 0,
+                  top: `${HEADER_HEIGHT + row.y}px`,
+                  width: '100%',
+                  height: `${GROUP_HEIGHT}px`,
+                  background: isDark ? '#1f2937' : '#f8fafc'
+                }} />
+              ))}
+
+              {/* Today */}
+              {todayOffset >= 0 && todayOffset < days && (
+                <div style={{
+                  position: 'absolute',
+                  left: `${(todayOffset + 0.5) * dayWidth}px`,
+                  top: 0,
+                  width: '2px',
+                  height: `${HEADER_HEIGHT + bodyHeight}px`,
+                  background: '#ef4444',
+                  opacity: 0.6
+                }} title="Today" />
+              )}
+
+              {/* Milestones (project target dates) */}
+              {milestones.map(milestone => {
+                const offset = getDayOffset(fromKey, getDueDayKey(milestone.targetDate));
+                return (
+                  <div
+                    key={milestone._id}
+                    title={`🎯 ${milestone.name} – ${new Date(milestone.targetDate).toLocaleDateString()}`}
+                    style={{
+                      position: 'absolute',
+                      left: `${(offset + 0.5) * dayWidth - 1}px`,
+                      top: `${HEADER_HEIGHT - 10}px`,
+                      height: `${bodyHeight + 10}px`,
+                      borderLeft: `2px dashed ${milestone.color || '#8b5cf6'}`
+                    }}
+                  >
+                    <div style={{
+                      position: 'absolute',
+                      top: 0,
+                      left: '-7px',
+                      width: '12px',
+                      height: '12px',
+                      background: milestone.color || '#8b5cf6',
+                      transform: 'rotate(45deg)'
+                    }} />
+                  </div>
+                );
+              })}
+
+              {/* Dependencies: from the end of the blocker to the start of the blocked task */}
+              <svg
+                width={gridWidth}
+                height={bodyHeight}
+                style={{ position: 'absolute', left: 0, top: `${HEADER_HEIGHT}px`, pointerEvents: 'none' }}
+              >
+                <defs>
+                  <marker id="timeline-arrow" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                    <path d="M0,0 L8,4 L0,8 z" fill="#64748b" />
+                  </marker>
+                  <marker id="timeline-arrow-conflict" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                    <path d="M0,0 L8,4 L0,8 z" fill="#ef4444" />
+                  </marker>
+                </defs>
+                {dependencies.map(dep => {
+                  const blocker = tasks.find(t => t._id === dep.from);
+                  const blocked = tasks.find(t => t._id === dep.to);
+                  if (!blocker || !blocked) return null;
+                  const blockerDays = getBarDays(blocker);
+                  const blockedDays = getBarDays(blocked);
+                  const x1 = (blockerDays.end + 1) * dayWidth;
+                  const x2 = blockedDays.start * dayWidth;
+                  const y1 = taskRowY.get(blocker._id);
+                  const y2 = taskRowY.get(blocked._id);
+                  const conflict = blocked.status !== 'completed' && blockedDays.start <= blockerDays.end;
+                  return (
+                    <path
+                      key={`${dep.from}-${dep.to}`}
+                      d={`M ${x1} ${y1} H ${x1 + 8} V ${y2} H ${x2}`}
+                      fill="none"
+                      stroke={conflict ? '#ef4444' : '#64748b'}
+                      strokeWidth="1.5"
+                      strokeDasharray={conflict ? '4 3' : undefined}
+                      markerEnd={`url(#${conflict ? 'timeline-arrow-conflict' : 'timeline-arrow'})`}
+                    />
+                  );
+                })}
+              </svg>
+
+              {/* Bars */}
+              {rows.filter(row => row.type === 'task').map(({ task, y: rowY }) => {
+                const { start, end } = getBarDays(task);
+                const left = Math.max(start, 0) * dayWidth;
+                const right = Math.min(end + 1, days) * dayWidth;
+                if (right <= 0 || left >= gridWidth) return null;
+                const color = task.project?.color || STATUS_COLORS[task.status] || '#6b7280';
+                const isDragging = drag?.taskId === task._id;
+                return (
+                  <div
+                    key={task._id}
+                    title={`${task.title}\n${task.startDate ? new Date(task.startDate).toLocaleDateString() + ' – ' : ''}${task.dueDate ? new Date(task.dueDate).toLocaleDateString() : ''}`}
+                    onMouseDown={e => startDrag(e, task, 'move')}
+                    onDoubleClick={() => setDetailTask(task)}
+                    style={{
+                      ...styles.bar,
+                      left: `${left + 2}px`,
+                      width: `${Math.max(right - left - 4, 8)}px`,
+                      top: `${HEADER_HEIGHT + rowY + (ROW_HEIGHT - BAR_HEIGHT) / 2}px`,
+                      background: color,
+                      opacity: task.status === 'completed' ? 0.55 : 1,
+                      outline: task.isOverdue ? '2px solid #ef4444' : isDragging ? '2px solid #1e293b' : 'none',
+                      cursor: canManage ? (isDragging ? 'grabbing' : 'grab') : 'default'
+                    }}
+                  >
+                    {canManage && <div style={{ ...styles.handle, left: 0 }} onMouseDown={e => startDrag(e, task, 'start')} />}
+                    {task.status === 'completed' ? '✓ ' : ''}{task.title}
+                    {canManage && <div style={{ ...styles.handle, right: 0 }} onMouseDown={e => startDrag(e, task, 'end')} />}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+
+        {rows.length === 0 && (
+          <div style={styles.empty}>
+            {isLoadingTimeline ? 'Loading timeline…' : 'No tasks with start or due dates in this period.'}
+          </div>
+        )}
+
+        <div style={styles.legend}>
+          <span>Bars run from start date to due date{canManage ? ' · drag to move, drag an edge to change a date' : ''}</span>
+          <span><span style={{ color: '#ef4444' }}>▬</span> Today</span>
+          <span><span style={{ color: '#8b5cf6' }}>◆</span> Project milestone</span>
+          <span><span style={{ color: '#ef4444' }}>⇢</span> Task starts before its blocker is due</span>
+        </div>
+      </div>
+
+      {detailTask && (
+        <TaskDetailModal
+          isOpen={!!detailTask}
+          onClose={() => setDetailTask(null)}
+          task={detailTask}
+          teamMembers={team?.members}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TeamTimelineTab;
@@ -0,0 +1,264 @@
+/*
+  TeamWorkflowSettings.jsx
+  Component for managing a team's workflow columns in TaskTracker+.
+  - Lists the team's ordered workflow statuses and their categories.
+  - Lets admins/owners add, rename, recolor, reorder, and remove columns.
+  - Saves the whole workflow at once through the team API.
+*/
+import React, { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import teamAPI from '../../services/teamAPI';
+import Notification from '../common/Notification';
+
+const CATEGORIES = [
+  { value: 'todo', label: 'Not started' },
+  { value: 'in-progress', label: 'Active' },
+  { value: 'completed', label: 'Done' }
+];
+
+const DEFAULT_WORKFLOW = [
+  { key: 'todo', name: 'To Do', category: 'todo', color: '#6b7280' },
+  { key: 'in-progress', name: 'In Progress', category: 'in-progress', color: '#3b82f6' },
+  { key: 'completed', name: 'Completed', category: 'completed', color: '#10b981' }
+];
+
+const TeamWorkflowSettings = ({ team, onTeamUpdate }) => {
+  const { user } = useSelector(state => state.auth);
+  const [statuses, setStatuses] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [notification, setNotification] = useState({ isOpen: false, type: 'error', message: '' });
+
+  useEffect(() => {
+    const workflow = team?.workflowStatuses?.length ? team.workflowStatuses : DEFAULT_WORKFLOW;
+    setStatuses(workflow.map(status => ({ ...status })));
+  }, [team]);
+
+  if (!team) return null;
+
+  const currentUserMember = team.members?.find(member =>
+    member.userId._id === user.id || member.userId._id === user.userId
+  );
+  const canManage = currentUserMember?.role === 'admin' || currentUserMember?.role === 'owner';
+
+  const updateStatus = (index, field, value) => {
+    setStatuses(prev => prev.map((status, i) => (i === index ? { ...status, [field]: value } : status)));
+  };
+
+  const moveStatus = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= statuses.length) return;
+    setStatuses(prev => {
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const removeStatus = (index) => {
+    setStatuses(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const addStatus = () => {
+    setStatuses(prev => [...prev, { name: '', category: 'in-progress', color: '#8b5cf6' }]);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await teamAPI.updateWorkflow(team._id, statuses);
+      if (onTeamUpdate) await onTeamUpdate();
+      setNotification({ isOpen: true, type: 'success', message: 'Workflow updated successfully' });
+    } catch (error) {
+      setNotification({
+        isOpen: true,
+        type: 'error',
+        message: error.response?.data?.message || 'Failed to update workflow'
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const styles = {
+    container: {
+      background: 'white',
+      borderRadius: '16px',
+      padding: '24px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.05)',
+      border: '1px solid #e5e7eb',
+      marginTop: '24px'
+    },
+    header: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: '16px'
+    },
+    title: {
+      fontSize: '18px',
+      fontWeight: '600',
+      color: '#1e293b',
+      margin: 0
+    },
+    subtitle: {
+      fontSize: '13px',
+      color: '#6b7280',
+      margin: '0 0 16px 0'
+    },
+    row: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      padding: '8px',
+      borderRadius: '8px',
+      background: '#f8fafc',
+      marginBottom: '8px'
+    },
+    input: {
+      flex: 1,
+      minWidth: 0,
+      padding: '8px 10px',
+      border: '1px solid #d1d5db',
+      borderRadius: '6px',
+      fontSize: '14px'
+    },
+    select: {
+      padding: '8px 10px',
+      border: '1px solid #d1d5db',
+      borderRadius: '6px',
+      fontSize: '13px',
+      background: 'white'
+    },
+    colorInput: {
+      width: '32px',
+      height: '32px',
+      padding: 0,
+      border: 'none',
+      background: 'none',
+      cursor: 'pointer'
+    },
+    iconButton: {
+      background: 'none',
+      border: 'none',
+      cursor: 'pointer',
+      fontSize: '14px',
+      color: '#6b7280',
+      padding: '4px'
+    },
+    swatch: {
+      width: '12px',
+      height: '12px',
+      borderRadius: '50%',
+      flexShrink: 0
+    },
+    readOnlyName: {
+      flex: 1,
+      fontSize: '14px',
+      color: '#1e293b'
+    },
+    categoryLabel: {
+      fontSize: '12px',
+      color: '#6b7280'
+    },
+    buttonRow: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      marginTop: '16px'
+    },
+    addButton: {
+      background: '#f3f4f6',
+      border: '1px solid #d1d5db',
+      padding: '8px 16px',
+      borderRadius: '6px',
+      fontSize: '14px',
+      fontWeight: '500',
+      cursor: 'pointer'
+    },
+    saveButton: {
+      background: 'linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)',
+      color: 'white',
+      border: 'none',
+      padding: '8px 16px',
+      borderRadius: '6px',
+      fontSize: '14px',
+      fontWeight: '500',
+      cursor: 'pointer'
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <Notification
+        isOpen={notification.isOpen}
+        type={notification.type}
+        message={notification.message}
+        onClose={() => setNotification({ ...notification, isOpen: false })}
+      />
+      <div style={styles.header}>
+        <h3 style={styles.title}>🗂️ Workflow</h3>
+      </div>
+      <p style={styles.subtitle}>
+        Each column counts as not started, active or done for analytics and overdue tracking.
+        A column's category can only change while it holds no tasks.
+      </p>
+
+      {statuses.map((status, index) => (
+        canManage ? (
+          <div key={status.key || `new-${index}`} style={styles.row}>
+            <input
+              type="color"
+              style={styles.colorInput}
+              value={status.color || '#6b7280'}
+              onChange={e => updateStatus(index, 'color', e.target.value)}
+              title="Column color"
+            />
+            <input
+              style={styles.input}
+              value={status.name}
+              onChange={e => updateStatus(index, 'name', e.target.value)}
+              placeholder="Column name"
+              maxLength={30}
+            />
+            <select
+              style={styles.select}
+              value={status.category}
+              onChange={e => updateStatus(index, 'category', e.target.value)}
+            >
+              {CATEGORIES.map(category => (
+                <option key={category.value} value={category.value}>{category.label}</option>
+              ))}
+            </select>
+            <button style={styles.iconButton} onClick={() => moveStatus(index, -1)} disabled={index === 0} title="Move up">▲</button>
+            <button style={styles.iconButton} onClick={() => moveStatus(index, 1)} disabled={index === statuses.length - 1} title="Move down">▼</button>
+            <button style={{ ...styles.iconButton, color: '#ef4444' }} onClick={() => removeStatus(index)} title="Remove column">✕</button>
+          </div>
+        ) : (
+          <div key={status.key} style={styles.row}>
+            <span style={{ ...styles.swatch, background: status.color || '#6b7280' }} />
+            <span style={styles.readOnlyName}>{status.name}</span>
+            <span style={styles.categoryLabel}>
+              {CATEGORIES.find(category => category.value === status.category)?.label}
+            </span>
+          </div>
+        )
+      ))}
+
+      {canManage && (
+        <div style={styles.buttonRow}>
+          <button style={styles.addButton} onClick={addStatus} disabled={statuses.length >= 12}>
+            ➕ Add Column
+          </button>
+          <button
+            style={{ ...styles.saveButton, opacity: isSaving ? 0.6 : 1 }}
+            onClick={handleSave}
+            disabled={isSaving}
+          >
+            {isSaving ? 'Saving...' : 'Save Workflow'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TeamWorkflowSettings;
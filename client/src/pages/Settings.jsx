@@ -2,6 +2,7 @@
   Settings.jsx
   User settings page for TaskTracker+.
   - Allows users to update profile, password, theme, billing, and integrations.
+  - Shows calendar feed URLs (with token regeneration) and imports tasks from .ics files.
   - Handles subscription management and payment methods (mock-functional).
   - Integrates with Redux and backend for user preferences and account actions.
 */
@@ -12,11 +13,21 @@ import Navbar from '../components/common/Navbar';
 import { logout, updateProfile, updatePreferences as updatePreferencesAction } from '../store/slices/authSlice';
 import Notification from '../components/common/Notification';
 import { useTheme } from '../ThemeContext.jsx';
-import { deleteAccount } from '../services/api';
+import {
+  deleteAccount,
+  updateUserPreferences,
+  getCalendarFeeds,
+  regenerateCalendarFeed,
+  regenerateTeamCalendarFeed,
+  importCalendarTasks
+} from '../services/api';
 import ManageSubscriptionModal from '../components/common/ManageSubscriptionModal';
 import PaymentMethodModal from '../components/common/PaymentMethodModal';
 import dayjs from 'dayjs';
 
+// IANA timezones offered for deadline reminders
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+
 const IntegrationModal = ({ isOpen, onClose, provider, onConnect }) => {
   const providerNames = {
     slack: 'Slack',
@@ -58,11 +69,12 @@ const Settings = () => {
   });
   
   const [preferences, setPreferences] = useState({
-    emailNotifications: true,
-    pushNotifications: true,
+    emailNotifications: user?.preferences?.notifications?.email ?? true,
+    pushNotifications: user?.preferences?.notifications?.push ?? true,
     darkMode: false,
     autoArchive: true,
-    taskReminders: true
+    taskReminders: user?.preferences?.notifications?.taskReminders ?? true,
+    timezone: user?.preferences?.timezone || 'UTC'
   });
 
   const [dangerZone, setDangerZone] = useState({
@@ -92,6 +104,20 @@ const Settings = () => {
     github: { connected: false, user: null }
   });
   const [integrationModal, setIntegrationModal] = useState({ open: false, provider: null });
+  // { user: { url }, teams: [{ teamId, name, url, canRegenerate }] }
+  const [calendarFeeds, setCalendarFeeds] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  useEffect(() => {
+    if (activeTab !== 'integrations' || calendarFeeds) return;
+    getCalendarFeeds()
+      .then(res => setCalendarFeeds(res.data))
+      .catch(error => setNotification({
+        isOpen: true,
+        type: 'error',
+        message: error.response?.data?.message || 'Failed to load calendar feeds'
+      }));
+  }, [activeTab, calendarFeeds]);
 
   const PLAN_FEATURES = {
     Personal: [
@@ -185,10 +211,46 @@ const Settings = () => {
     }
   };
 
-  const handlePreferenceChange = (key, value) => {
+  const handlePreferenceChange = async (key, value) => {
     if (key === 'darkMode') {
       toggleTheme();
       dispatch(updatePreferencesAction({ theme: value ? 'dark' : 'light' }));
+    } else if (['emailNotifications', 'pushNotifications', 'taskReminders'].includes(key)) {
+      // Notification channels are stored on the server so it can respect them
+      const next = { ...preferences, [key]: value };
+      const notifications = {
+        email: next.emailNotifications,
+        push: next.pushNotifications,
+        taskReminders: next.taskReminders
+      };
+      setPreferences(next);
+      try {
+        await updateUserPreferences({ notifications });
+        dispatch(updatePreferencesAction({ notifications }));
+        setNotification({ isOpen: true, type: 'success', message: 'Preference updated!' });
+      } catch (error) {
+        setPreferences(preferences);
+        setNotification({
+          isOpen: true,
+          type: 'error',
+          message: error.response?.data?.message || 'Failed to update preference'
+        });
+      }
+    } else if (key === 'timezone') {
+      // Reminders are sent during daytime hours in this timezone
+      setPreferences(prev => ({ ...prev, timezone: value }));
+      try {
+        await updateUserPreferences({ timezone: value });
+        dispatch(updatePreferencesAction({ timezone: value }));
+        setNotification({ isOpen: true, type: 'success', message: 'Timezone updated!' });
+      } catch (error) {
+        setPreferences(preferences);
+        setNotification({
+          isOpen: true,
+          type: 'error',
+          message: error.response?.data?.message || 'Failed to update timezone'
+        });
+      }
     } else {
       setPreferences(prev => ({ ...prev, [key]: value }));
       setNotification({
@@ -230,6 +292,57 @@ const Settings = () => {
     }
   };
 
+  const handleCopyFeedUrl = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setNotification({ isOpen: true, type: 'success', message: 'Feed URL copied!' });
+    } catch {
+      setNotification({ isOpen: true, type: 'error', message: 'Could not copy the feed URL' });
+    }
+  };
+
+  // A new token replaces the old one, so calendars subscribed to the old URL stop updating
+  const handleRegenerateFeed = async (teamId = null) => {
+    if (!window.confirm('Regenerate this feed URL? Calendars subscribed to the current URL will stop updating.')) return;
+    try {
+      const res = teamId ? await regenerateTeamCalendarFeed(teamId) : await regenerateCalendarFeed();
+      setCalendarFeeds(prev => (teamId
+        ? { ...prev, teams: prev.teams.map(team => (team.teamId === teamId ? { ...team, url: res.data.url } : team)) }
+        : { ...prev, user: { url: res.data.url } }));
+      setNotification({ isOpen: true, type: 'success', message: res.data.message });
+    } catch (error) {
+      setNotification({
+        isOpen: true,
+        type: 'error',
+        message: error.response?.data?.message || 'Failed to regenerate feed URL'
+      });
+    }
+  };
+
+  const handleImportCalendar = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setIsImporting(true);
+    try {
+      const res = await importCalendarTasks(await file.text());
+      const { imported, skipped } = res.data;
+      setNotification({
+        isOpen: true,
+        type: 'success',
+        message: `Imported ${imported} task${imported === 1 ? '' : 's'}${skipped ? ` (${skipped} past-due item${skipped === 1 ? '' : 's'} skipped)` : ''}`
+      });
+    } catch (error) {
+      setNotification({
+        isOpen: true,
+        type: 'error',
+        message: error.response?.data?.message || 'Failed to import calendar file'
+      });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
   const closeNotification = () => {
     setNotification({ ...notification, isOpen: false });
   };
@@ -662,6 +775,24 @@ const Settings = () => {
           </span>
         </label>
       </div>
+      <div style={{ ...styles.preferenceItem, border: 'none', borderBottom: `1px solid #f3f4f6` }}>
+        <div style={{ flex: 1, padding: '0 16px 0 0', background: 'transparent' }}>
+          <div style={styles.preferenceLabel}>Timezone</div>
+          <div style={styles.preferenceDescription}>Deadline reminders arrive during your daytime hours</div>
+        </div>
+        <select
+          style={{ ...styles.input, width: '220px' }}
+          value={preferences.timezone}
+          onChange={(e) => handlePreferenceChange('timezone', e.target.value)}
+        >
+          {!TIMEZONES.includes(preferences.timezone) && (
+            <option value={preferences.timezone}>{preferences.timezone}</option>
+          )}
+          {TIMEZONES.map(tz => (
+            <option key={tz} value={tz}>{tz.replace(/_/g, ' ')}</option>
+          ))}
+        </select>
+      </div>
     </div>
   );
 
@@ -694,7 +825,7 @@ const Settings = () => {
       <div style={{ ...styles.preferenceItem, border: 'none', borderBottom: `1px solid #f3f4f6` }}>
         <div style={{ flex: 1, padding: '0 16px 0 0', background: 'transparent' }}>
           <div style={styles.preferenceLabel}>Push Notifications</div>
-          <div style={styles.preferenceDescription}>Receive browser push notifications</div>
+          <div style={styles.preferenceDescription}>Show notifications in the bell menu</div>
         </div>
         <label style={styles.switch}>
           <input
@@ -752,6 +883,54 @@ const Settings = () => {
           )}
         </div>
       ))}
+      <h3 style={{ ...styles.sectionTitle, marginTop: '32px' }}>📅 Calendar Feeds</h3>
+      <p style={{ color: '#6b7280', fontSize: '14px', margin: '0 0 16px 0' }}>
+        Subscribe to these read-only URLs in any calendar app to see tasks with due dates. Anyone with a URL can read its feed, so regenerate it if it has been shared.
+      </p>
+      {!calendarFeeds ? (
+        <p style={{ color: '#9ca3af', fontSize: '14px' }}>Loading feeds...</p>
+      ) : (
+        [
+          { key: 'user', label: 'My Tasks', url: calendarFeeds.user.url, canRegenerate: true, teamId: null },
+          ...calendarFeeds.teams.map(team => ({ key: team.teamId, label: team.name, url: team.url, canRegenerate: team.canRegenerate, teamId: team.teamId }))
+        ].map(feed => (
+          <div key={feed.key} style={{ ...styles.integrationCard, border: 'none' }}>
+            <div style={styles.integrationHeader}>
+              <div style={styles.integrationName}>{feed.label}</div>
+              {feed.teamId && <span style={{ ...styles.integrationStatus, ...styles.statusDisconnected }}>Team</span>}
+            </div>
+            <input
+              style={{ ...styles.input, fontSize: '13px', fontFamily: 'monospace' }}
+              value={feed.url}
+              readOnly
+              onFocus={e => e.target.select()}
+              aria-label={`${feed.label} feed URL`}
+            />
+            <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+              <button style={{ ...styles.button, padding: '8px 16px', fontSize: '12px' }} onClick={() => handleCopyFeedUrl(feed.url)}>
+                Copy URL
+              </button>
+              {feed.canRegenerate && (
+                <button style={{ ...styles.dangerButton, padding: '8px 16px', fontSize: '12px' }} onClick={() => handleRegenerateFeed(feed.teamId)}>
+                  Regenerate
+                </button>
+              )}
+            </div>
+          </div>
+        ))
+      )}
+      <div style={{ ...styles.integrationCard, border: 'none' }}>
+        <div style={styles.integrationHeader}>
+          <div style={styles.integrationName}>Import from Calendar</div>
+        </div>
+        <p style={{ color: '#6b7280', fontSize: '14px', margin: 0 }}>
+          Create personal tasks from the events and to-dos in an .ics file. Items due before today are skipped.
+        </p>
+        <label style={{ ...styles.button, display: 'inline-block', marginTop: '12px', padding: '8px 16px', fontSize: '12px', ...(isImporting ? styles.buttonDisabled : {}) }}>
+          {isImporting ? 'Importing...' : 'Choose .ics file'}
+          <input type="file" accept=".ics,text/calendar" style={{ display: 'none' }} onChange={handleImportCalendar} disabled={isImporting} />
+        </label>
+      </div>
       <IntegrationModal
         isOpen={integrationModal.open}
         provider={integrationModal.provider}
@@ -17,11 +17,18 @@ import { useLocation, useNavigate } from 'react-router-dom';
 import TeamTasksTab from '../components/teams/TeamTasksTab';
 import teamAPI from '../services/teamAPI';
 import TeamAnalyticsTab from '../components/teams/TeamAnalyticsTab';
+import TeamSprintsTab from '../components/teams/TeamSprintsTab';
+import TeamTimelineTab from '../components/teams/TeamTimelineTab';
+import TeamWorkflowSettings from '../components/teams/TeamWorkflowSettings';
+import TeamEstimateSettings from '../components/teams/TeamEstimateSettings';
+import TeamProjects from '../components/teams/TeamProjects';
 import { useTheme } from '../ThemeContext';
 
 const TABS = [
   { key: 'overview', label: 'Team Overview' },
   { key: 'tasks', label: 'Team Tasks' },
+  { key: 'sprints', label: 'Sprints' },
+  { key: 'timeline', label: 'Timeline' },
   { key: 'analytics', label: 'Team Analytics' },
   { key: 'invitations', label: 'Invitations' }
 ];
@@ -29,12 +36,16 @@ const TABS = [
 const tabRoutes = {
   overview: '/teams',
   tasks: '/teams/tasks',
+  sprints: '/teams/sprints',
+  timeline: '/teams/timeline',
   analytics: '/teams/analytics',
   invitations: '/teams/invitations',
 };
 
 const getTabFromPath = (pathname) => {
   if (pathname.endsWith('/tasks')) return 'tasks';
+  if (pathname.endsWith('/sprints')) return 'sprints';
+  if (pathname.endsWith('/timeline')) return 'timeline';
   if (pathname.endsWith('/analytics')) return 'analytics';
   if (pathname.endsWith('/invitations')) return 'invitations';
   return 'overview';
@@ -447,7 +458,12 @@ const Teams = () => {
               {/* Right Column - Team Details */}
               <div style={styles.rightColumn}>
                 {currentTeam ? (
-                  <TeamMemberList team={currentTeam} onTeamUpdate={handleTeamUpdate} />
+                  <>
+                    <TeamMemberList team={currentTeam} onTeamUpdate={handleTeamUpdate} />
+                    <TeamProjects team={currentTeam} />
+                    <TeamWorkflowSettings team={currentTeam} onTeamUpdate={handleTeamUpdate} />
+                    <TeamEstimateSettings team={currentTeam} onTeamUpdate={handleTeamUpdate} />
+                  </>
                 ) : (
                   <div style={styles.selectTeamPrompt}>
                     <div style={{ fontSize: '48px', marginBottom: '16px' }}>👈</div>
@@ -479,6 +495,12 @@ const Teams = () => {
         {selectedTab === 'tasks' && (
           <TeamTasksTab selectedTeamId={selectedTeamId} onTeamSelect={handleTeamSelect} onTeamUpdate={handleTeamUpdate} />
         )}
+        {selectedTab === 'sprints' && (
+          <TeamSprintsTab selectedTeamId={selectedTeamId} />
+        )}
+        {selectedTab === 'timeline' && (
+          <TeamTimelineTab selectedTeamId={selectedTeamId} />
+        )}
         {selectedTab === 'analytics' && (
           <TeamAnalyticsTab selectedTeamId={selectedTeamId} />
         )}
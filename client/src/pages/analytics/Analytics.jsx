@@ -9,6 +9,8 @@ import React, { useEffect } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { useNavigate, Link, useLocation } from 'react-router-dom';
 import { getTaskAnalytics, getTasks } from '../../store/slices/taskSlice';
+import { getTimesheet } from '../../store/slices/timeSlice';
+import { toCalendarData, toHours } from '../../utils/timeFormat';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -55,8 +57,8 @@ const Analytics = () => {
   const location = useLocation();
   const { user } = useSelector((state) => state.auth);
   const analytics = useSelector((state) => state.tasks.analytics);
-  const { tasks, archivedTasks } = useSelector((state) => state.tasks);
   const [personalTasks, setPersonalTasks] = React.useState([]);
+  const [timesheet, setTimesheet] = React.useState(null);
   const { theme } = useTheme();
 
   useEffect(() => {
@@ -67,6 +69,16 @@ const Analytics = () => {
         setPersonalTasks(res.payload.tasks);
       }
     });
+    // Tracked time for the heatmap and peak hours (last 90 days, in the browser's timezone)
+    dispatch(getTimesheet({
+      from: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString(),
+      groupBy: 'day',
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    })).then(res => {
+      if (res && res.payload && res.payload.rows) {
+        setTimesheet(res.payload);
+      }
+    });
   }, [dispatch]);
 
   const handleLogout = () => {
@@ -278,52 +290,6 @@ const Analytics = () => {
     avgCompletionTime !== null && avgCompletionTime > 24 ? { icon: '⏰', text: 'Reduce average completion time below 1 day' } : null,
   ].filter(Boolean);
 
-  // Combine and sort tasks by updatedAt/createdAt for recent activity
-  const allTasks = [...(tasks || []), ...(archivedTasks || [])];
-  const recentTaskActivities = allTasks
-    .flatMap(task => {
-      const activities = [];
-      if (task.createdAt) {
-        activities.push({
-          action: 'created',
-          task: task.title,
-          time: new Date(task.createdAt).toLocaleString(),
-          icon: '➕',
-          date: new Date(task.createdAt)
-        });
-      }
-      if (task.updatedAt && task.updatedAt !== task.createdAt) {
-        activities.push({
-          action: 'updated',
-          task: task.title,
-          time: new Date(task.updatedAt).toLocaleString(),
-          icon: '✏️',
-          date: new Date(task.updatedAt)
-        });
-      }
-      if (task.status === 'completed' && task.completedAt) {
-        activities.push({
-          action: 'completed',
-          task: task.title,
-          time: new Date(task.completedAt).toLocaleString(),
-          icon: '✅',
-          date: new Date(task.completedAt)
-        });
-      }
-      if (task.isArchived && task.archivedAt) {
-        activities.push({
-          action: 'archived',
-          task: task.title,
-          time: new Date(task.archivedAt).toLocaleString(),
-          icon: '🗂️',
-          date: new Date(task.archivedAt)
-        });
-      }
-      return activities;
-    })
-    .sort((a, b) => b.date - a.date)
-    .slice(0, 10);
-
   // Build velocity data for last 12 weeks from analytics.completionTrend
   let velocityData = null;
   if (analytics.completionTrend && analytics.completionTrend.length > 0) {
@@ -454,21 +420,9 @@ const Analytics = () => {
         }}>
           {/* Productivity Heatmap and Peak Performance Hours in the same box, heatmap always shown */}
           <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', minWidth: 340, maxWidth: 520, width: '100%' }}>
-            <ProductivityHeatmap data={analytics.completionCalendar} velocityData={velocityData} />
+            <ProductivityHeatmap data={toCalendarData(timesheet?.rows, 90)} velocityData={velocityData} />
             <div style={{ marginTop: 32, width: '100%' }}>
-              <PeakPerformanceHours hourlyData={(() => {
-                // Build hourlyData from completionCalendar (last 90 days)
-                if (!analytics.completionCalendar) return Array(24).fill(0);
-                if (!Array.isArray(analytics.completedTasksLast90Days)) return Array(24).fill(0);
-                const hours = Array(24).fill(0);
-                analytics.completedTasksLast90Days.forEach(task => {
-                  if (task.completedAt) {
-                    const hour = new Date(task.completedAt).getHours();
-                    hours[hour]++;
-                  }
-                });
-                return hours;
-              })()} />
+              <PeakPerformanceHours hourlyData={(timesheet?.hourly || Array(24).fill(0)).map(toHours)} />
             </div>
           </div>
           <AnalyticsCharts
@@ -615,7 +569,7 @@ const Analytics = () => {
 
         {/* ACTIVITY SECTION - Also clearly separated */}
         <div style={{ marginTop: 40, marginBottom: 40 }}>
-          <ActivityFeed activities={recentTaskActivities} />
+          <ActivityFeed />
         </div>
 
         {/* Loading and Error States */}
@@ -4,16 +4,57 @@
   - Allows users to view, filter, and manage their personal tasks.
   - Integrates with Redux for state management and backend API for data sync.
   - Supports task creation, editing, archiving, and analytics.
+  - Offers grid, list, and Kanban board views (drag cards to change status and order).
+  - Offers a month/week calendar view (drag tasks to another day to reschedule them).
+  - Multi-select in grid and list views, with a bulk action bar for status, priority, tags, archive, and delete.
+  - Deleted tasks go to a trash bin, where they can be restored until they are purged.
+  - Status changes, deletes, archives, and bulk actions can be undone from the undo toast.
+  - Filters live in the URL, so any filtered list can be shared as a link; "More filters" adds multiple
+    statuses and priorities, tags, assignee (team tasks), due and created date ranges, and overdue tasks.
+  - Filters can be saved as named views (personal or shared with a team) and pinned in the sidebar.
+  - Search accepts a query language (tag:, priority:, due:<7d, assignee:@me, is:overdue, "phrases") with
+    autocomplete; free text is ranked by relevance.
+  - Single-key shortcuts (press ? for the list): j/k to move between tasks, Enter to open, e to edit,
+    c to complete, a to archive, n for a new task, / to search, [ and ] to change page, 1-4 to change view.
 */
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate, Link, useLocation } from 'react-router-dom';
-import { getTasks, setFilters, clearFilters, deleteTask, getTaskStats, getArchivedTasks } from '../../store/slices/taskSlice';
+import { getTasks, setFilters, deleteTask, getTaskStats, getArchivedTasks, updateTask, archiveTask, bulkUpdateTasks } from '../../store/slices/taskSlice';
+import { offerUndo } from '../../store/slices/undoSlice';
+import { getUserTeams } from '../../store/slices/teamSlice';
 import { logout } from '../../store/slices/authSlice';
 import TaskForm from '../../components/tasks/TaskForm';
 import TaskCard from '../../components/tasks/TaskCard';
+import TaskBoard from '../../components/tasks/TaskBoard';
+import TaskCalendar from '../../components/tasks/TaskCalendar';
+import TaskDetailModal from '../../components/tasks/TaskDetailModal';
+import BulkActionBar from '../../components/tasks/BulkActionBar';
+import TrashModal from '../../components/tasks/TrashModal';
+import TaskFilterPanel from '../../components/tasks/TaskFilterPanel';
+import SavedViewsSidebar from '../../components/tasks/SavedViewsSidebar';
+import TaskSearchBox from '../../components/tasks/TaskSearchBox';
+import Notification from '../../components/common/Notification';
+import ShortcutHelp from '../../components/common/ShortcutHelp';
 import Navbar from '../../components/common/Navbar';
 import { useTheme } from '../../ThemeContext.jsx';
+import { getCalendarQuery } from '../../utils/calendar';
+import { parseTaskFilters, toFilterSearch, toTaskQuery, countActiveFilters } from '../../utils/taskFilters';
+import { hasFreeText } from '../../utils/taskSearch';
+import { GLOBAL_SHORTCUTS, TASK_SHORTCUTS, isTypingTarget } from '../../utils/shortcuts';
+
+const BOARD_COLUMNS = [
+  { key: 'todo', name: 'To Do', color: '#6b7280' },
+  { key: 'in-progress', name: 'In Progress', color: '#2563eb' },
+  { key: 'completed', name: 'Completed', color: '#10b981' }
+];
+
+// The board shows tasks in their saved order, on a single page
+const BOARD_QUERY = { sortBy: 'rank', sortOrder: 'asc', limit: 200, page: 1 };
+// The calendar shows every task due in the visible month/week
+const CALENDAR_QUERY = { sortBy: 'dueDate', sortOrder: 'asc', limit: 500, page: 1 };
+// Views in the order of the 1-4 shortcuts
+const VIEWS = ['grid', 'list', 'board', 'calendar'];
 
 const TasksPage = () => {
   const dispatch = useDispatch();
@@ -25,21 +66,34 @@ const TasksPage = () => {
     error,
     pagination,
     filters,
-    stats
+    stats,
+    isBulkUpdating
   } = useSelector((state) => state.tasks);
   
   const { user } = useSelector((state) => state.auth);
+  const teams = useSelector((state) => state.teams.teams);
+  const lastUndone = useSelector((state) => state.undo.lastUndone);
   const { theme } = useTheme();
   const borderColor = theme === 'dark' ? '#4b5563' : '#d1d5db';
 
   const [showCreateForm, setShowCreateForm] = useState(false);
-  const [view, setView] = useState('grid'); // 'grid' or 'list'
+  const [view, setView] = useState('grid'); // 'grid', 'list', 'board' or 'calendar'
+  const [detailTask, setDetailTask] = useState(null);
+  const [calendar, setCalendar] = useState(() => ({ anchor: new Date(), mode: 'month' }));
   const [openDropdownTaskId, setOpenDropdownTaskId] = useState(null);
   const [selectedStatusBox, setSelectedStatusBox] = useState(null);
   const [fadedOutTaskIds, setFadedOutTaskIds] = useState([]);
   const [showArchived, setShowArchived] = useState(false);
   const [archivedStatusFilter, setArchivedStatusFilter] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showMoreFilters, setShowMoreFilters] = useState(false);
+  const [notification, setNotification] = useState({ isOpen: false, type: '', message: '' });
+  const [focusedTaskId, setFocusedTaskId] = useState(null);
+  const [editTask, setEditTask] = useState(null);
+  const [showShortcutHelp, setShowShortcutHelp] = useState(false);
+  const searchInputRef = useRef(null);
 
   // 🔥 NEW: Get colors for different statuses
   const getStatusColor = (status) => {
@@ -56,11 +110,11 @@ const TasksPage = () => {
   const getCurrentFilterInfo = () => {
     if (filters.overdue) {
       return { text: '- OVERDUE', color: getStatusColor('overdue') };
-    } else if (filters.status) {
-      const statusText = filters.status.replace('-', ' ').toUpperCase();
+    } else if (filters.status.length === 1) {
+      const statusText = filters.status[0].replace('-', ' ').toUpperCase();
       return { 
         text: `- ${statusText}`, 
-        color: getStatusColor(filters.status) 
+        color: getStatusColor(filters.status[0]) 
       };
     }
     return null;
@@ -68,14 +122,26 @@ const TasksPage = () => {
 
   const filterInfo = getCurrentFilterInfo();
 
+  const isBoard = view === 'board' && !showArchived;
+  const isCalendar = view === 'calendar' && !showArchived;
+  // Board and calendar views keep their own sort, page size, and due-date window on top of the current filters
+  const getViewQuery = (calendarView = calendar) => {
+    if (isBoard) return BOARD_QUERY;
+    if (isCalendar) return { ...CALENDAR_QUERY, ...getCalendarQuery(calendarView.anchor, calendarView.mode) };
+    return {};
+  };
+  // The calendar's visible window replaces the due date range while it is shown
+  const fetchTasks = (taskFilters, calendarView) => dispatch(getTasks({ ...toTaskQuery(taskFilters), ...getViewQuery(calendarView) }));
+  // Read by the URL effect, which should not rerun when the calendar page changes
+  const viewQuery = useRef({});
+  viewQuery.current = getViewQuery();
+
   // 🔥 SIMPLIFIED: Handle URL changes and API calls in one effect
   useEffect(() => {
     if (showArchived) {
       dispatch(getArchivedTasks({})); // Always fetch all archived tasks
     } else {
       const params = new URLSearchParams(location.search);
-      const status = params.get('status') || '';
-      const overdue = params.get('overdue') === 'true';
       const shouldCreate = params.get('create') === 'true';
       
       // 🔥 NEW: Auto-open create modal if create=true in URL
@@ -86,31 +152,38 @@ const TasksPage = () => {
         return; // Exit early for create modal
       }
       
-      // 🔥 CRITICAL FIX: Build completely fresh filters
-      const freshFilters = {
-        view: 'personal',
-        status: overdue ? '' : status,
-        priority: '',
-        assignedTo: '',
-        search: '',
-        sortBy: 'createdAt',
-        sortOrder: 'desc',
-        overdue: overdue,
-        includeArchived: false,
-        page: 1
-      };
+      // 🔥 CRITICAL FIX: Build completely fresh filters (the URL is the source of truth)
+      const freshFilters = parseTaskFilters(location.search);
       
       // Set filters and fetch data immediately with the new filters
       dispatch(setFilters(freshFilters));
-      dispatch(getTasks(freshFilters)); // Use freshFilters directly instead of Redux state
+      dispatch(getTasks({ ...toTaskQuery(freshFilters), ...viewQuery.current })); // Use freshFilters directly instead of Redux state
       dispatch(getTaskStats());
     }
-  }, [showArchived, dispatch, navigate, location.search]);
+  }, [showArchived, isBoard, isCalendar, dispatch, navigate, location.search]);
 
   useEffect(() => {
     setFadedOutTaskIds([]);
   }, [location.search]);
 
+  // Teams for the team filter and for sharing views
+  useEffect(() => {
+    dispatch(getUserTeams());
+  }, [dispatch]);
+
+  // Undone tasks may be back in the list (e.g. a status change was reverted) and counts have changed
+  useEffect(() => {
+    if (!lastUndone) return;
+    setFadedOutTaskIds(ids => ids.filter(id => !lastUndone.taskIds.includes(id)));
+    dispatch(getTaskStats());
+  }, [lastUndone, dispatch]);
+
+  // A selection and the keyboard focus only make sense for the list they were made in
+  useEffect(() => {
+    setSelectedTaskIds([]);
+    setFocusedTaskId(null);
+  }, [location.search, showArchived, view]);
+
   useEffect(() => {
     // If navigated from dashboard with showArchived, set showArchived state
     if (location.state && location.state.showArchived) {
@@ -127,43 +200,47 @@ const TasksPage = () => {
     navigate('/login');
   };
 
+  // Shows the tasks for a set of filters by putting them in the URL; the URL effect fetches them
+  const showFilters = (nextFilters, { replace = false } = {}) => {
+    const search = toFilterSearch(nextFilters);
+    navigate(search ? `/tasks?${search}` : '/tasks', { replace });
+  };
+
   // 🔥 IMPROVED: Manual filter changes (from dropdowns/inputs)
   const handleFilterChange = (newFilters) => {
-    // Clear URL params to avoid conflicts
-    navigate('/tasks', { replace: true });
     // Merge new filters with current filters
     const mergedFilters = {
       ...filters,
       ...newFilters,
-      page: 1 // Always reset to first page on filter change
+      page: newFilters.page || 1 // Reset to first page on filter change
     };
-    dispatch(setFilters(mergedFilters));
-    dispatch(getTasks(mergedFilters));
-    dispatch(getTaskStats());
+    showFilters(mergedFilters, { replace: true });
+  };
+
+  // Searches with free text are ranked by relevance unless another order was picked
+  const handleSearch = (search) => {
+    let { sortBy, sortOrder } = filters;
+    if (hasFreeText(search) && sortBy === 'createdAt' && sortOrder === 'desc') {
+      sortBy = 'relevance';
+    } else if (!hasFreeText(search) && sortBy === 'relevance') {
+      sortBy = 'createdAt';
+      sortOrder = 'desc';
+    }
+    handleFilterChange({ search, sortBy, sortOrder });
   };
 
   const handleClearFilters = () => {
     navigate('/tasks', { replace: true }); // Clear URL
-    const defaultFilters = {
-      view: 'personal',
-      status: '',
-      priority: '',
-      assignedTo: '',
-      search: '',
-      sortBy: 'createdAt',
-      sortOrder: 'desc',
-      overdue: false,
-      includeArchived: false,
-      page: 1
-    };
-    
-    dispatch(setFilters(defaultFilters));
-    dispatch(getTasks(defaultFilters)); // Use fresh filters directly
-    dispatch(getTaskStats());
+  };
+
+  // Saved views open in the active task list; this adds a history entry so Back returns to the previous view
+  const handleApplyView = (viewFilters) => {
+    setShowArchived(false);
+    showFilters(viewFilters);
   };
 
   const handleDeleteTask = (taskId) => {
-    if (window.confirm('Are you sure you want to delete this task?')) {
+    if (window.confirm('Move this task to the trash?')) {
       dispatch(deleteTask(taskId)).then(() => {
         // Refresh data after delete
         refreshData();
@@ -176,11 +253,69 @@ const TasksPage = () => {
     if (showArchived) {
       dispatch(getArchivedTasks({})); // Refresh all archived tasks and stats
     } else {
-      dispatch(getTasks({ ...filters, view: 'personal' }));
+      fetchTasks(filters);
       dispatch(getTaskStats());
     }
   };
 
+  // Board drop: save the new status and position, then reload since other cards may have been re-ranked
+  const handleBoardMove = async (task, status, position) => {
+    const result = await dispatch(updateTask({ taskId: task._id, taskData: { status, position } }));
+    if (result.error) return; // The card goes back and the error is shown above the board
+    if (status !== task.status) {
+      dispatch(offerUndo({ message: `"${task.title}" moved to ${BOARD_COLUMNS.find(c => c.key === status).name}`, taskIds: [task._id] }));
+    }
+    fetchTasks(filters);
+    dispatch(getTaskStats());
+  };
+
+  const handleCalendarNavigate = (next) => {
+    setCalendar(next);
+    fetchTasks(filters, next);
+  };
+
+  // Calendar drop: move the due date to the chosen day (the server rejects past days too)
+  const handleReschedule = async (task, dayKey) => {
+    const result = await dispatch(updateTask({ taskId: task._id, taskData: { dueDate: dayKey } }));
+    if (!result.error) dispatch(getTaskStats());
+  };
+
+  const handleSelectTask = (task) => {
+    setSelectedTaskIds(ids => ids.includes(task._id) ? ids.filter(id => id !== task._id) : [...ids, task._id]);
+  };
+
+  // Failed tasks stay selected so the user can see which ones were skipped and retry
+  const handleBulkAction = async (action, value) => {
+    const result = await dispatch(bulkUpdateTasks({ taskIds: selectedTaskIds, action, value }));
+    if (result.error) return; // Shown in the error banner
+    const { message, failed, results } = result.payload;
+    const firstFailure = results.find(item => !item.success);
+    setNotification({
+      isOpen: true,
+      type: failed > 0 ? 'error' : 'success',
+      message: firstFailure ? `${message}. ${firstFailure.message}` : message
+    });
+    setSelectedTaskIds(results.filter(item => !item.success).map(item => item.taskId));
+    refreshData();
+  };
+
+  // Keyboard "complete": completes the task, or reopens it if it is already completed
+  const handleToggleComplete = async (task) => {
+    const status = task.status === 'completed' ? 'todo' : 'completed';
+    const result = await dispatch(updateTask({ taskId: task._id, taskData: { status } }));
+    if (result.error) return; // e.g. a blocked task; shown in the error banner
+    handleTaskFadeOut(task._id);
+    refreshData();
+  };
+
+  // Keyboard "archive": archives an active task, or restores an archived one; focus moves to the next task
+  const handleToggleArchive = async (task, nextFocusId) => {
+    const result = await dispatch(archiveTask(task._id));
+    if (result.error) return;
+    setFocusedTaskId(nextFocusId);
+    refreshData();
+  };
+
   const getPriorityColor = (priority) => {
     switch (priority) {
       case 'low': return '#10b981';
@@ -222,7 +357,7 @@ const TasksPage = () => {
   };
 
   // Only fade out tasks when a status filter is active
-  const isFilteredByStatus = filters.status || filters.overdue;
+  const isFilteredByStatus = filters.status.length > 0 || filters.overdue;
 
   const archivedTasks = useSelector((state) => state.tasks.archivedTasks);
 
@@ -246,15 +381,82 @@ const TasksPage = () => {
         return task.status === archivedStatusFilter;
       })
     : tasks.filter(task => {
-        if (filters.overdue) {
-          return task.status !== 'completed' && task.dueDate && new Date(task.dueDate) < new Date();
+        if (filters.overdue && !(task.status !== 'completed' && task.dueDate && new Date(task.dueDate) < new Date())) {
+          return false;
         }
-        if (filters.status) {
-          return task.status === filters.status;
+        if (filters.status.length > 0) {
+          return filters.status.includes(task.status);
         }
         return true;
       });
 
+  const activeFilterCount = countActiveFilters(filters);
+
+  const selectableTaskIds = displayedTasks
+    .filter(task => !(isFilteredByStatus && fadedOutTaskIds.includes(task._id)))
+    .map(task => task._id);
+  const allSelected = selectableTaskIds.length > 0 && selectableTaskIds.every(id => selectedTaskIds.includes(id));
+
+  // Single-key shortcuts; j/k focus moves through the cards of the grid and list views
+  const keyboardTaskIds = isBoard || isCalendar ? [] : selectableTaskIds;
+  const focusedTask = displayedTasks.find(task => task._id === focusedTaskId) || null;
+  const moveFocus = (step) => {
+    if (keyboardTaskIds.length === 0) return;
+    const index = keyboardTaskIds.indexOf(focusedTaskId);
+    const next = index === -1
+      ? (step > 0 ? 0 : keyboardTaskIds.length - 1)
+      : Math.min(Math.max(index + step, 0), keyboardTaskIds.length - 1);
+    setFocusedTaskId(keyboardTaskIds[next]);
+  };
+
+  const handleShortcut = (e) => {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+    // Open dialogs keep the keyboard to themselves
+    if (showCreateForm || editTask || detailTask || showTrash || showShortcutHelp || notification.isOpen) return;
+    // Enter on a focused button or link keeps clicking it
+    if (e.key === 'Enter' && e.target !== document.body) return;
+
+    const focusIndex = keyboardTaskIds.indexOf(focusedTaskId);
+    const shortcuts = {
+      j: () => moveFocus(1),
+      ArrowDown: () => moveFocus(1),
+      k: () => moveFocus(-1),
+      ArrowUp: () => moveFocus(-1),
+      Enter: () => focusedTask && setDetailTask(focusedTask),
+      o: () => focusedTask && setDetailTask(focusedTask),
+      e: () => focusedTask && !showArchived && setEditTask(focusedTask),
+      c: () => focusedTask && !showArchived && handleToggleComplete(focusedTask),
+      a: () => focusedTask && handleToggleArchive(
+        focusedTask,
+        keyboardTaskIds[focusIndex + 1] || keyboardTaskIds[focusIndex - 1] || null
+      ),
+      n: () => !showArchived && setShowCreateForm(true),
+      '/': () => searchInputRef.current?.focus(),
+      '[': () => !isBoard && !isCalendar && pagination.hasPrev && handleFilterChange({ page: pagination.currentPage - 1 }),
+      ']': () => !isBoard && !isCalendar && pagination.hasNext && handleFilterChange({ page: pagination.currentPage + 1 }),
+      '?': () => setShowShortcutHelp(true),
+      Escape: () => setFocusedTaskId(null)
+    };
+    const digit = Number(e.key);
+    if (digit >= 1 && digit <= VIEWS.length) {
+      setView(VIEWS[digit - 1]);
+    } else if (shortcuts[e.key]) {
+      // Arrows scroll the page as usual when there are no cards to move through
+      if (e.key.startsWith('Arrow') && keyboardTaskIds.length === 0) return;
+      e.preventDefault();
+      shortcuts[e.key]();
+    }
+  };
+
+  // The listener is added once and always calls the latest handler
+  const shortcutHandler = useRef(handleShortcut);
+  shortcutHandler.current = handleShortcut;
+  useEffect(() => {
+    const handleKeyDown = (e) => shortcutHandler.current(e);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
   // Sync archivedStatusFilter with URL
   useEffect(() => {
     if (showArchived) {
@@ -462,7 +664,14 @@ const TasksPage = () => {
       background: '#2563eb',
       color: 'white'
     },
+    layout: {
+      display: 'flex',
+      maxWidth: '1464px',
+      margin: '0 auto'
+    },
     main: {
+      flex: 1,
+      minWidth: 0,
       maxWidth: '1200px',
       margin: '0 auto',
       padding: '32px 24px'
@@ -633,275 +842,349 @@ const TasksPage = () => {
   return (
     <div className="tasks-root min-h-screen w-full bg-white text-black dark:bg-gray-900 dark:text-white">
       <Navbar user={user} handleLogout={handleLogout} />
-      {/* Main Content */}
-      <div style={styles.main}>
-        {/* Stats - Live Updates with Color Coding */}
-        <div style={styles.statsGrid}>
-          {showArchived ? (
-            <>
-              <div style={{ ...styles.statCard, cursor: 'pointer', border: `1.5px solid ${borderColor}` }} onClick={() => handleArchivedStatusBoxClick('')}>
-                <div style={styles.statLabel}>Archived Tasks</div>
-                <div style={styles.statValue}>{archivedTasks.length}</div>
-              </div>
-              <div style={{ ...styles.statCard, cursor: 'pointer', border: `1.5px solid ${borderColor}` }} onClick={() => handleArchivedStatusBoxClick('todo')}>
-                <div style={styles.statLabel}>To Do (Archived)</div>
-                <div style={{ ...styles.statValue, color: getStatusColor('todo') }}>{getArchivedStatusCount('todo')}</div>
-              </div>
-              <div style={{ ...styles.statCard, cursor: 'pointer', border: `1.5px solid ${borderColor}` }} onClick={() => handleArchivedStatusBoxClick('in-progress')}>
-                <div style={styles.statLabel}>In Progress (Archived)</div>
-                <div style={{ ...styles.statValue, color: getStatusColor('in-progress') }}>{getArchivedStatusCount('in-progress')}</div>
-              </div>
-              <div style={{ ...styles.statCard, cursor: 'pointer', border: `1.5px solid ${borderColor}` }} onClick={() => handleArchivedStatusBoxClick('completed')}>
-                <div style={styles.statLabel}>Completed (Archived)</div>
-                <div style={{ ...styles.statValue, color: getStatusColor('completed') }}>{getArchivedStatusCount('completed')}</div>
-              </div>
-              <div style={{ ...styles.statCard, cursor: 'pointer', border: `1.5px solid ${borderColor}` }} onClick={() => handleArchivedStatusBoxClick('overdue')}>
-                <div style={styles.statLabel}>Overdue (Archived)</div>
-                <div style={{ ...styles.statValue, color: getStatusColor('overdue') }}>{getArchivedStatusCount('overdue')}</div>
-              </div>
-            </>
-          ) : (
-            <>
-              <div
-                style={{ ...styles.statCard, textDecoration: 'none', color: 'inherit', cursor: 'pointer', border: `1.5px solid ${borderColor}` }}
-                onClick={() => navigate('/tasks')}
-              >
-                <div style={styles.statLabel}>Total Tasks</div>
-                <div style={styles.statValue}>{stats.total || 0}</div>
-              </div>
-              <div
-                style={{ ...styles.statCard, textDecoration: 'none', color: 'inherit', cursor: 'pointer', border: `1.5px solid ${borderColor}` }}
-                onClick={() => navigate('/tasks?status=todo')}
-              >
-                <div style={styles.statLabel}>To Do</div>
-                <div style={{ ...styles.statValue, color: getStatusColor('todo') }}>{getStatusCount('todo')}</div>
+      <div style={styles.layout}>
+        <SavedViewsSidebar filters={filters} onApply={handleApplyView} teams={teams} />
+        {/* Main Content */}
+        <div style={styles.main}>
+          {/* Stats - Live Updates with Color Coding */}
+          <div style={styles.statsGrid}>
+            {showArchived ? (
+              <>
+                <div style={{ ...styles.statCard, cursor: 'pointer', border: `1.5px solid ${borderColor}` }} onClick={() => handleArchivedStatusBoxClick('')}>
+                  <div style={styles.statLabel}>Archived Tasks</div>
+                  <div style={styles.statValue}>{archivedTasks.length}</div>
+                </div>
+                <div style={{ ...styles.statCard, cursor: 'pointer', border: `1.5px solid ${borderColor}` }} onClick={() => handleArchivedStatusBoxClick('todo')}>
+                  <div style={styles.statLabel}>To Do (Archived)</div>
+                  <div style={{ ...styles.statValue, color: getStatusColor('todo') }}>{getArchivedStatusCount('todo')}</div>
+                </div>
+                <div style={{ ...styles.statCard, cursor: 'pointer', border: `1.5px solid ${borderColor}` }} onClick={() => handleArchivedStatusBoxClick('in-progress')}>
+                  <div style={styles.statLabel}>In Progress (Archived)</div>
+                  <div style={{ ...styles.statValue, color: getStatusColor('in-progress') }}>{getArchivedStatusCount('in-progress')}</div>
+                </div>
+                <div style={{ ...styles.statCard, cursor: 'pointer', border: `1.5px solid ${borderColor}` }} onClick={() => handleArchivedStatusBoxClick('completed')}>
+                  <div style={styles.statLabel}>Completed (Archived)</div>
+                  <div style={{ ...styles.statValue, color: getStatusColor('completed') }}>{getArchivedStatusCount('completed')}</div>
+                </div>
+                <div style={{ ...styles.statCard, cursor: 'pointer', border: `1.5px solid ${borderColor}` }} onClick={() => handleArchivedStatusBoxClick('overdue')}>
+                  <div style={styles.statLabel}>Overdue (Archived)</div>
+                  <div style={{ ...styles.statValue, color: getStatusColor('overdue') }}>{getArchivedStatusCount('overdue')}</div>
+                </div>
+              </>
+            ) : (
+              <>
+                <div
+                  style={{ ...styles.statCard, textDecoration: 'none', color: 'inherit', cursor: 'pointer', border: `1.5px solid ${borderColor}` }}
+                  onClick={() => navigate('/tasks')}
+                >
+                  <div style={styles.statLabel}>Total Tasks</div>
+                  <div style={styles.statValue}>{stats.total || 0}</div>
+                </div>
+                <div
+                  style={{ ...styles.statCard, textDecoration: 'none', color: 'inherit', cursor: 'pointer', border: `1.5px solid ${borderColor}` }}
+                  onClick={() => navigate('/tasks?status=todo')}
+                >
+                  <div style={styles.statLabel}>To Do</div>
+                  <div style={{ ...styles.statValue, color: getStatusColor('todo') }}>{getStatusCount('todo')}</div>
+                </div>
+                <div
+                  style={{ ...styles.statCard, textDecoration: 'none', color: 'inherit', cursor: 'pointer', border: `1.5px solid ${borderColor}` }}
+                  onClick={() => navigate('/tasks?status=in-progress')}
+                >
+                  <div style={styles.statLabel}>In Progress</div>
+                  <div style={{ ...styles.statValue, color: getStatusColor('in-progress') }}>{getStatusCount('in-progress')}</div>
+                </div>
+                <div
+                  style={{ ...styles.statCard, textDecoration: 'none', color: 'inherit', cursor: 'pointer', border: `1.5px solid ${borderColor}` }}
+                  onClick={() => navigate('/tasks?status=completed')}
+                >
+                  <div style={styles.statLabel}>Completed</div>
+                  <div style={{ ...styles.statValue, color: getStatusColor('completed') }}>{getStatusCount('completed')}</div>
+                </div>
+                <div
+                  style={{ ...styles.statCard, textDecoration: 'none', color: 'inherit', cursor: 'pointer', border: `1.5px solid ${borderColor}` }}
+                  onClick={() => navigate('/tasks?overdue=true')}
+                >
+                  <div style={styles.statLabel}>Overdue</div>
+                  <div style={{ ...styles.statValue, color: getStatusColor('overdue') }}>{stats.overdue || 0}</div>
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Filters */}
+          <div style={{ ...styles.filtersSection, border: `1.5px solid ${borderColor}` }}>
+            <div style={styles.filtersGrid}>
+              <div style={styles.filterGroup}>
+                <label style={styles.filterLabel}>Status</label>
+                <select
+                  style={styles.filterSelect}
+                  value={filters.overdue ? 'overdue' : filters.status.length > 1 ? 'multiple' : (filters.status[0] || '')}
+                  onChange={(e) => {
+                    if (e.target.value === 'overdue') {
+                      handleFilterChange({ status: [], overdue: true });
+                    } else {
+                      handleFilterChange({ status: e.target.value ? [e.target.value] : [], overdue: false });
+                    }
+                  }}
+                >
+                  <option value="">All Statuses</option>
+                  {filters.status.length > 1 && <option value="multiple" disabled>Several statuses</option>}
+                  <option value="todo">To Do</option>
+                  <option value="in-progress">In Progress</option>
+                  <option value="completed">Completed</option>
+                  <option value="overdue">Overdue</option>
+                </select>
               </div>
-              <div
-                style={{ ...styles.statCard, textDecoration: 'none', color: 'inherit', cursor: 'pointer', border: `1.5px solid ${borderColor}` }}
-                onClick={() => navigate('/tasks?status=in-progress')}
-              >
-                <div style={styles.statLabel}>In Progress</div>
-                <div style={{ ...styles.statValue, color: getStatusColor('in-progress') }}>{getStatusCount('in-progress')}</div>
+              <div style={styles.filterGroup}>
+                <label style={styles.filterLabel}>Priority</label>
+                <select
+                  style={styles.filterSelect}
+                  value={filters.priority.length > 1 ? 'multiple' : (filters.priority[0] || '')}
+                  onChange={(e) => handleFilterChange({ priority: e.target.value ? [e.target.value] : [] })}
+                >
+                  <option value="">All Priorities</option>
+                  {filters.priority.length > 1 && <option value="multiple" disabled>Several priorities</option>}
+                  <option value="low">Low</option>
+                  <option value="medium">Medium</option>
+                  <option value="high">High</option>
+                </select>
               </div>
-              <div
-                style={{ ...styles.statCard, textDecoration: 'none', color: 'inherit', cursor: 'pointer', border: `1.5px solid ${borderColor}` }}
-                onClick={() => navigate('/tasks?status=completed')}
-              >
-                <div style={styles.statLabel}>Completed</div>
-                <div style={{ ...styles.statValue, color: getStatusColor('completed') }}>{getStatusCount('completed')}</div>
+              <div style={styles.filterGroup}>
+                <label style={styles.filterLabel}>Search</label>
+                <TaskSearchBox
+                  style={styles.filterInput}
+                  value={filters.search}
+                  onSearch={handleSearch}
+                  inputRef={searchInputRef}
+                  teamId={filters.team}
+                  members={teams.find(team => team._id === filters.team)?.members}
+                />
               </div>
-              <div
-                style={{ ...styles.statCard, textDecoration: 'none', color: 'inherit', cursor: 'pointer', border: `1.5px solid ${borderColor}` }}
-                onClick={() => navigate('/tasks?overdue=true')}
-              >
-                <div style={styles.statLabel}>Overdue</div>
-                <div style={{ ...styles.statValue, color: getStatusColor('overdue') }}>{stats.overdue || 0}</div>
+              <div style={styles.filterGroup}>
+                <label style={styles.filterLabel}>Sort By</label>
+                <select
+                  style={styles.filterSelect}
+                  value={`${filters.sortBy}-${filters.sortOrder}`}
+                  onChange={(e) => {
+                    const [sortBy, sortOrder] = e.target.value.split('-');
+                    handleFilterChange({ sortBy, sortOrder });
+                  }}
+                >
+                  {hasFreeText(filters.search) && <option value="relevance-desc">Best Match</option>}
+                  <option value="createdAt-desc">Newest First</option>
+                  <option value="createdAt-asc">Oldest First</option>
+                  <option value="dueDate-asc">Due Date (Oldest First)</option>
+                  <option value="dueDate-desc">Due Date (Latest First)</option>
+                  <option value="priority-desc">High Priority</option>
+                  <option value="title-asc">Title A-Z</option>
+                </select>
               </div>
-            </>
-          )}
-        </div>
-
-        {/* Filters */}
-        <div style={{ ...styles.filtersSection, border: `1.5px solid ${borderColor}` }}>
-          <div style={styles.filtersGrid}>
-            <div style={styles.filterGroup}>
-              <label style={styles.filterLabel}>Status</label>
-              <select
-                style={styles.filterSelect}
-                value={filters.overdue ? 'overdue' : filters.status}
-                onChange={(e) => {
-                  if (e.target.value === 'overdue') {
-                    handleFilterChange({ status: '', overdue: true });
-                  } else {
-                    handleFilterChange({ status: e.target.value, overdue: false });
-                  }
-                }}
-              >
-                <option value="">All Statuses</option>
-                <option value="todo">To Do</option>
-                <option value="in-progress">In Progress</option>
-                <option value="completed">Completed</option>
-                <option value="overdue">Overdue</option>
-              </select>
-            </div>
-            <div style={styles.filterGroup}>
-              <label style={styles.filterLabel}>Priority</label>
-              <select
-                style={styles.filterSelect}
-                value={filters.priority}
-                onChange={(e) => handleFilterChange({ priority: e.target.value })}
-              >
-                <option value="">All Priorities</option>
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
-              </select>
-            </div>
-            <div style={styles.filterGroup}>
-              <label style={styles.filterLabel}>Search</label>
-              <input
-                style={styles.filterInput}
-                type="text"
-                placeholder="Search tasks..."
-                value={filters.search}
-                onChange={(e) => handleFilterChange({ search: e.target.value })}
-              />
             </div>
-            <div style={styles.filterGroup}>
-              <label style={styles.filterLabel}>Sort By</label>
-              <select
-                style={styles.filterSelect}
-                value={filters.overdue ? 'overdue-asc' : `${filters.sortBy}-${filters.sortOrder}`}
-                onChange={(e) => {
-                  const [sortBy, sortOrder] = e.target.value.split('-');
-                  if (sortBy === 'overdue') {
-                    handleFilterChange({ sortBy: 'dueDate', sortOrder: 'asc', overdue: true });
-                  } else {
-                    handleFilterChange({ sortBy, sortOrder, overdue: false });
-                  }
-                }}
+            {showMoreFilters && (
+              <TaskFilterPanel filters={filters} onChange={handleFilterChange} teams={teams} />
+            )}
+            {/* Action buttons row below filters */}
+            <div style={{ display: 'flex', gap: '12px', marginTop: 24, flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between' }}>
+              <button
+                style={{ ...styles.clearFiltersButton, minWidth: 110 }}
+                onClick={handleClearFilters}
               >
-                <option value="createdAt-desc">Newest First</option>
-                <option value="createdAt-asc">Oldest First</option>
-                <option value="dueDate-asc">Due Date (Oldest First)</option>
-                <option value="dueDate-desc">Due Date (Latest First)</option>
-                <option value="priority-desc">High Priority</option>
-                <option value="title-asc">Title A-Z</option>
-              </select>
-            </div>
-          </div>
-          {/* Action buttons row below filters */}
-          <div style={{ display: 'flex', gap: '12px', marginTop: 24, flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between' }}>
-            <button
-              style={{ ...styles.clearFiltersButton, minWidth: 110 }}
-              onClick={handleClearFilters}
-            >
-              Clear Filters
-            </button>
-            <div style={{ display: 'flex', gap: '12px', alignItems: 'center', marginLeft: 'auto' }}>
-              {!showArchived && (
-                <button
-                  style={{ ...styles.createButton, minWidth: 120, padding: '8px 16px', fontSize: '14px' }}
-                  onClick={() => setShowCreateForm(true)}
-                >
-                  ➕ Create Task
-                </button>
-              )}
+                Clear Filters
+              </button>
               <button
-                style={{ ...styles.createButton, minWidth: 120, padding: '8px 16px', fontSize: '14px' }}
-                onClick={() => setShowArchived((prev) => !prev)}
+                style={{ ...styles.clearFiltersButton, minWidth: 110 }}
+                onClick={() => setShowMoreFilters(open => !open)}
               >
-                {showArchived ? 'Show Active Tasks' : 'Show Archived Tasks'}
+                {showMoreFilters ? 'Fewer Filters' : 'More Filters'}
+                {activeFilterCount > 0 && ` (${activeFilterCount})`}
               </button>
-              <div style={{ ...styles.viewToggle, minWidth: 120, maxWidth: 180 }}>
+              <div style={{ display: 'flex', gap: '12px', alignItems: 'center', marginLeft: 'auto' }}>
+                {!showArchived && (
+                  <button
+                    style={{ ...styles.createButton, minWidth: 120, padding: '8px 16px', fontSize: '14px' }}
+                    onClick={() => setShowCreateForm(true)}
+                  >
+                    ➕ Create Task
+                  </button>
+                )}
                 <button
-                  style={{
-                    ...styles.viewButton,
-                    ...(view === 'grid' ? styles.viewButtonActive : {}),
-                    width: '50%'
-                  }}
-                  onClick={() => setView('grid')}
+                  style={{ ...styles.createButton, minWidth: 120, padding: '8px 16px', fontSize: '14px' }}
+                  onClick={() => setShowArchived((prev) => !prev)}
                 >
-                  🟦 Grid
+                  {showArchived ? 'Show Active Tasks' : 'Show Archived Tasks'}
                 </button>
                 <button
-                  style={{
-                    ...styles.viewButton,
-                    ...(view === 'list' ? styles.viewButtonActive : {}),
-                    width: '50%'
-                  }}
-                  onClick={() => setView('list')}
+                  style={{ ...styles.clearFiltersButton, padding: '8px 16px' }}
+                  onClick={() => setShowTrash(true)}
                 >
-                  📋 List
+                  🗑️ Trash
                 </button>
-              </div>
-            </div>
-          </div>
-        </div>
-
-        {/* Error Message */}
-        {error && (
-          <div style={styles.errorMessage}>
-            {error}
-          </div>
-        )}
-
-        {/* Tasks */}
-        <div style={styles.tasksContainer}>
-          {displayedTasks.length === 0 ? (
-            <div style={styles.emptyState}>
-              <div style={styles.emptyIcon}>📝</div>
-              <h3 style={styles.emptyTitle}>{showArchived ? 'No archived tasks found.' : 'No tasks found'}</h3>
-              {!showArchived && (
-                <>
-                  <p style={styles.emptyText}>
-                    {Object.keys(filters).some(key => filters[key] && key !== 'sortBy' && key !== 'sortOrder' && key !== 'includeArchived') 
-                      ? 'Try adjusting your filters or create a new task.'
-                      : 'Create your first task to get started!'
-                    }
-                  </p>
+                <div style={{ ...styles.viewToggle, minWidth: 240, maxWidth: 380 }}>
                   <button
-                    style={{ ...baseActionButton, background: 'linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)', color: 'white' }}
-                    onClick={() => setShowCreateForm(true)}
+                    style={{
+                      ...styles.viewButton,
+                      ...(view === 'grid' ? styles.viewButtonActive : {}),
+                      width: '25%'
+                    }}
+                    onClick={() => setView('grid')}
+                  >
+                    🟦 Grid
+                  </button>
+                  <button
+                    style={{
+                      ...styles.viewButton,
+                      ...(view === 'list' ? styles.viewButtonActive : {}),
+                      width: '25%'
+                    }}
+                    onClick={() => setView('list')}
+                  >
+                    📋 List
+                  </button>
+                  <button
+                    style={{
+                      ...styles.viewButton,
+                      ...(view === 'board' ? styles.viewButtonActive : {}),
+                      width: '25%'
+                    }}
+                    onClick={() => setView('board')}
+                  >
+                    🗂️ Board
+                  </button>
+                  <button
+                    style={{
+                      ...styles.viewButton,
+                      ...(view === 'calendar' ? styles.viewButtonActive : {}),
+                      width: '25%'
+                    }}
+                    onClick={() => setView('calendar')}
                   >
-                    ➕ Create Your First Task
+                    📅 Calendar
                   </button>
-                </>
-              )}
+                </div>
+              </div>
             </div>
-          ) : (
-            <div style={view === 'grid' ? styles.tasksGrid : styles.tasksList}>
-              {displayedTasks
-                .filter(task => !(isFilteredByStatus && fadedOutTaskIds.includes(task._id)))
-                .map((task) => (
-                  <TaskCard
-                    key={task._id}
-                    task={task}
-                    onDelete={handleDeleteTask}
-                    view={view}
-                    showActions={openDropdownTaskId === task._id}
-                    setShowActions={(open) => setOpenDropdownTaskId(open ? task._id : null)}
-                    onUpdate={refreshData}
-                    onFadeOut={handleTaskFadeOut}
-                    isArchived={showArchived}
-                  />
-                ))}
+          </div>
+
+          {/* Error Message */}
+          {error && (
+            <div style={styles.errorMessage}>
+              {error}
             </div>
           )}
-        </div>
 
-        {/* Pagination */}
-        {pagination.totalPages > 1 && (
-          <div style={styles.pagination}>
-            <button
-              style={{
-                ...baseActionButton,
-                opacity: pagination.hasPrev ? 1 : 0.5,
-                cursor: pagination.hasPrev ? 'pointer' : 'not-allowed'
-              }}
-              disabled={!pagination.hasPrev}
-              onClick={() => handleFilterChange({ page: pagination.currentPage - 1 })}
-            >
-              Previous
-            </button>
-            <span style={styles.pageInfo}>
-              Page {pagination.currentPage} of {pagination.totalPages}
-            </span>
-            <button
-              style={{
-                ...baseActionButton,
-                opacity: pagination.hasNext ? 1 : 0.5,
-                cursor: pagination.hasNext ? 'pointer' : 'not-allowed'
-              }}
-              disabled={!pagination.hasNext}
-              onClick={() => handleFilterChange({ page: pagination.currentPage + 1 })}
-            >
-              Next
-            </button>
+          {/* Tasks */}
+          <div style={styles.tasksContainer}>
+            {isCalendar ? (
+              <TaskCalendar
+                tasks={displayedTasks}
+                anchor={calendar.anchor}
+                mode={calendar.mode}
+                onNavigate={handleCalendarNavigate}
+                onReschedule={handleReschedule}
+                onTaskClick={setDetailTask}
+              />
+            ) : displayedTasks.length === 0 ? (
+              <div style={styles.emptyState}>
+                <div style={styles.emptyIcon}>📝</div>
+                <h3 style={styles.emptyTitle}>{showArchived ? 'No archived tasks found.' : 'No tasks found'}</h3>
+                {!showArchived && (
+                  <>
+                    <p style={styles.emptyText}>
+                      {activeFilterCount > 0
+                        ? 'Try adjusting your filters or create a new task.'
+                        : 'Create your first task to get started!'
+                      }
+                    </p>
+                    <button
+                      style={{ ...baseActionButton, background: 'linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%)', color: 'white' }}
+                      onClick={() => setShowCreateForm(true)}
+                    >
+                      ➕ Create Your First Task
+                    </button>
+                  </>
+                )}
+              </div>
+            ) : isBoard ? (
+              <TaskBoard
+                columns={BOARD_COLUMNS}
+                tasks={displayedTasks}
+                getColumnKey={task => task.status}
+                onMove={handleBoardMove}
+                onTaskClick={setDetailTask}
+              />
+            ) : (
+              <div style={view === 'grid' ? styles.tasksGrid : styles.tasksList}>
+                {displayedTasks
+                  .filter(task => !(isFilteredByStatus && fadedOutTaskIds.includes(task._id)))
+                  .map((task) => (
+                    <TaskCard
+                      key={task._id}
+                      task={task}
+                      onDelete={handleDeleteTask}
+                      view={view}
+                      showActions={openDropdownTaskId === task._id}
+                      setShowActions={(open) => setOpenDropdownTaskId(open ? task._id : null)}
+                      onUpdate={refreshData}
+                      onFadeOut={handleTaskFadeOut}
+                      isArchived={showArchived}
+                      isSelected={selectedTaskIds.includes(task._id)}
+                      onSelect={handleSelectTask}
+                      isFocused={task._id === focusedTaskId}
+                    />
+                  ))}
+              </div>
+            )}
           </div>
-        )}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && !isBoard && !isCalendar && (
+            <div style={styles.pagination}>
+              <button
+                style={{
+                  ...baseActionButton,
+                  opacity: pagination.hasPrev ? 1 : 0.5,
+                  cursor: pagination.hasPrev ? 'pointer' : 'not-allowed'
+                }}
+                disabled={!pagination.hasPrev}
+                onClick={() => handleFilterChange({ page: pagination.currentPage - 1 })}
+              >
+                Previous
+              </button>
+              <span style={styles.pageInfo}>
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                style={{
+                  ...baseActionButton,
+                  opacity: pagination.hasNext ? 1 : 0.5,
+                  cursor: pagination.hasNext ? 'pointer' : 'not-allowed'
+                }}
+                disabled={!pagination.hasNext}
+                onClick={() => handleFilterChange({ page: pagination.currentPage + 1 })}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
       </div>
 
+      {/* Detail view for a task clicked on the board or calendar, or opened from the keyboard */}
+      {detailTask && (
+        <TaskDetailModal
+          isOpen={!!detailTask}
+          onClose={() => setDetailTask(null)}
+          task={detailTask}
+        />
+      )}
+
+      <TrashModal
+        isOpen={showTrash}
+        onClose={() => setShowTrash(false)}
+        onRestored={refreshData}
+      />
+
       {/* Create Task Modal */}
       {showCreateForm && (
         <TaskForm
@@ -916,6 +1199,45 @@ const TasksPage = () => {
         />
       )}
 
+      {/* Edit form opened from the keyboard */}
+      {editTask && (
+        <TaskForm
+          isOpen={!!editTask}
+          onClose={() => setEditTask(null)}
+          onSuccess={() => { setEditTask(null); refreshData(); }}
+          task={editTask}
+          mode="edit"
+        />
+      )}
+
+      <ShortcutHelp
+        isOpen={showShortcutHelp}
+        onClose={() => setShowShortcutHelp(false)}
+        sections={[
+          { title: 'Tasks page', shortcuts: TASK_SHORTCUTS },
+          { title: 'Everywhere', shortcuts: GLOBAL_SHORTCUTS }
+        ]}
+      />
+
+      {!isBoard && !isCalendar && (
+        <BulkActionBar
+          selectedCount={selectedTaskIds.length}
+          allSelected={allSelected}
+          onToggleAll={() => setSelectedTaskIds(allSelected ? [] : selectableTaskIds)}
+          onClear={() => setSelectedTaskIds([])}
+          onAction={handleBulkAction}
+          isArchivedView={showArchived}
+          isWorking={isBulkUpdating}
+        />
+      )}
+
+      <Notification
+        isOpen={notification.isOpen}
+        type={notification.type}
+        message={notification.message}
+        onClose={() => setNotification({ ...notification, isOpen: false })}
+      />
+
       {successMessage && (
         <div style={{position:'fixed',top:80,right:40,zIndex:1000,background:'#10b981',color:'white',padding:'16px 32px',borderRadius:12,boxShadow:'0 4px 24px rgba(16,185,129,0.18)',fontWeight:600,fontSize:16}}>
           {successMessage}
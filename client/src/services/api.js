@@ -60,4 +60,12 @@ export const deleteAccount = () => api.delete('/users/me');
 
 export const updateUserPreferences = (prefs) => api.patch('/users/me/preferences', prefs);
 
+export const getCalendarFeeds = () => api.get('/calendar/feeds');
+
+export const regenerateCalendarFeed = () => api.post('/calendar/feeds/user/regenerate');
+
+export const regenerateTeamCalendarFeed = (teamId) => api.post(`/calendar/feeds/teams/${teamId}/regenerate`);
+
+export const importCalendarTasks = (ics) => api.post('/tasks/import', { ics });
+
 export default api;
\ No newline at end of file
@@ -0,0 +1,42 @@
+/*
+  socket.js
+  socket.io client for TaskTracker+ frontend.
+  - Opens one authenticated connection per session using the stored JWT.
+  - Lets components subscribe to real-time task events from the backend.
+*/
+
+import { io } from 'socket.io-client';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || API_URL.replace(/\/api\/?$/, '');
+
+// Created lazily and connected explicitly, so components can subscribe before login finishes
+let socket = null;
+
+const getSocket = () => {
+  if (!socket) {
+    socket = io(SOCKET_URL, {
+      autoConnect: false,
+      withCredentials: true,
+      // Read the token on every (re)connect so a fresh login is picked up
+      auth: (cb) => cb({ token: localStorage.getItem('token') })
+    });
+  }
+  return socket;
+};
+
+export const connectSocket = () => {
+  const s = getSocket();
+  if (!s.connected) s.connect();
+};
+
+export const disconnectSocket = () => {
+  if (socket) socket.disconnect();
+};
+
+// Subscribe to a server event; returns the unsubscribe function
+export const subscribe = (event, handler) => {
+  const s = getSocket();
+  s.on(event, handler);
+  return () => s.off(event, handler);
+};
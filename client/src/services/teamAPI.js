@@ -30,7 +30,27 @@ export const teamAPI = {
   
   changeMemberRole: (teamId, memberId, role) => api.put(`/teams/${teamId}/members/${memberId}/role`, { role }),
   
-  transferOwnership: (teamId, memberId) => api.put(`/teams/${teamId}/transfer-ownership/${memberId}`)
+  transferOwnership: (teamId, memberId) => api.put(`/teams/${teamId}/transfer-ownership/${memberId}`),
+  
+  updateWorkflow: (teamId, statuses) => api.put(`/teams/${teamId}/workflow`, { statuses }),
+
+  getSprints: (teamId) => api.get(`/teams/${teamId}/sprints`),
+
+  createSprint: (teamId, sprintData) => api.post(`/teams/${teamId}/sprints`, sprintData),
+
+  updateSprint: (teamId, sprintId, sprintData) => api.put(`/teams/${teamId}/sprints/${sprintId}`, sprintData),
+
+  deleteSprint: (teamId, sprintId) => api.delete(`/teams/${teamId}/sprints/${sprintId}`),
+
+  closeSprint: (teamId, sprintId, rollOverTo) => api.post(`/teams/${teamId}/sprints/${sprintId}/close`, { rollOverTo }),
+
+  getProjects: (teamId) => api.get(`/teams/${teamId}/projects`),
+
+  createProject: (teamId, projectData) => api.post(`/teams/${teamId}/projects`, projectData),
+
+  updateProject: (teamId, projectId, projectData) => api.put(`/teams/${teamId}/projects/${projectId}`, projectData),
+
+  deleteProject: (teamId, projectId) => api.delete(`/teams/${teamId}/projects/${projectId}`)
 };
 
 export default teamAPI;
\ No newline at end of file
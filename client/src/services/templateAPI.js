@@ -0,0 +1,23 @@
+/*
+  templateAPI.js
+  API service for task templates in TaskTracker+ frontend.
+  - Handles HTTP requests for personal and team template CRUD.
+  - Creates all tasks of a template or template bundle at once.
+*/
+
+import api from './api';
+
+export const templateAPI = {
+  // teamId: null for personal templates
+  getTemplates: (teamId = null) => api.get('/templates', { params: teamId ? { team: teamId } : {} }),
+
+  createTemplate: (templateData) => api.post('/templates', templateData),
+
+  updateTemplate: (templateId, templateData) => api.put(`/templates/${templateId}`, templateData),
+
+  deleteTemplate: (templateId) => api.delete(`/templates/${templateId}`),
+
+  instantiateTemplate: (templateId, options = {}) => api.post(`/templates/${templateId}/instantiate`, options)
+};
+
+export default templateAPI;
@@ -0,0 +1,24 @@
+/*
+  viewAPI.js
+  API service for saved task views in TaskTracker+ frontend.
+  - Handles HTTP requests for personal and team-shared view CRUD.
+  - Pins and unpins views in the user's sidebar.
+*/
+
+import api from './api';
+
+export const viewAPI = {
+  // Personal views and the views shared with the user's teams
+  getViews: () => api.get('/views'),
+
+  // viewData: { name, filters, team } (team: null for a personal view)
+  createView: (viewData) => api.post('/views', viewData),
+
+  updateView: (viewId, viewData) => api.put(`/views/${viewId}`, viewData),
+
+  deleteView: (viewId) => api.delete(`/views/${viewId}`),
+
+  pinView: (viewId, pinned) => api.put(`/views/${viewId}/pin`, { pinned })
+};
+
+export default viewAPI;
@@ -0,0 +1,97 @@
+/*
+  notificationSlice.js
+  Redux slice for in-app notifications in TaskTracker+ frontend.
+  - Fetches the current user's notifications and unread count via async thunks.
+  - Marks one or all notifications as read.
+  - Receives new notifications pushed over socket.io.
+*/
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../../services/api';
+
+// Async thunks
+export const getNotifications = createAsyncThunk(
+  'notifications/getNotifications',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/notifications', { params });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch notifications');
+    }
+  }
+);
+
+export const markNotificationRead = createAsyncThunk(
+  'notifications/markNotificationRead',
+  async (notificationId, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/notifications/${notificationId}/read`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to mark notification as read');
+    }
+  }
+);
+
+export const markAllNotificationsRead = createAsyncThunk(
+  'notifications/markAllNotificationsRead',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.put('/notifications/read-all');
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to mark notifications as read');
+    }
+  }
+);
+
+const initialState = {
+  items: [],
+  unreadCount: 0,
+  isLoading: false,
+  error: null
+};
+
+const notificationSlice = createSlice({
+  name: 'notifications',
+  initialState,
+  reducers: {
+    // Pushed over socket.io when the server creates a notification for this user
+    notificationReceived: (state, action) => {
+      if (state.items.some(n => n._id === action.payload._id)) return;
+      state.items.unshift(action.payload);
+      if (!action.payload.isRead) state.unreadCount += 1;
+    },
+    clearNotifications: () => initialState
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getNotifications.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(getNotifications.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.items = action.payload.notifications || [];
+        state.unreadCount = action.payload.unreadCount || 0;
+      })
+      .addCase(getNotifications.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(markNotificationRead.fulfilled, (state, action) => {
+        const index = state.items.findIndex(n => n._id === action.payload._id);
+        if (index !== -1 && !state.items[index].isRead) {
+          state.items[index] = { ...state.items[index], isRead: true, readAt: action.payload.readAt };
+          state.unreadCount = Math.max(state.unreadCount - 1, 0);
+        }
+      })
+      .addCase(markAllNotificationsRead.fulfilled, (state) => {
+        state.items = state.items.map(n => ({ ...n, isRead: true }));
+        state.unreadCount = 0;
+      });
+  }
+});
+
+export const { notificationReceived, clearNotifications } = notificationSlice.actions;
+export default notificationSlice.reducer;
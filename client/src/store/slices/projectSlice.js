@@ -0,0 +1,126 @@
+/*
+  projectSlice.js
+  Redux slice for team projects (milestones) in TaskTracker+ frontend.
+  - Loads a team's projects with their progress and forecast completion dates.
+  - Creates, updates, and deletes projects.
+  - Tracks the project picked in the team selector (cleared when the team changes).
+*/
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import teamAPI from '../../services/teamAPI';
+import { setCurrentTeam } from './teamSlice';
+
+// Async thunks
+export const getProjects = createAsyncThunk(
+  'projects/getProjects',
+  async (teamId, { rejectWithValue }) => {
+    try {
+      const response = await teamAPI.getProjects(teamId);
+      return { teamId, projects: response.data.projects };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch projects');
+    }
+  }
+);
+
+export const createProject = createAsyncThunk(
+  'projects/createProject',
+  async ({ teamId, projectData }, { rejectWithValue }) => {
+    try {
+      const response = await teamAPI.createProject(teamId, projectData);
+      return { teamId, project: response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create project');
+    }
+  }
+);
+
+export const updateProject = createAsyncThunk(
+  'projects/updateProject',
+  async ({ teamId, projectId, projectData }, { rejectWithValue }) => {
+    try {
+      const response = await teamAPI.updateProject(teamId, projectId, projectData);
+      return { teamId, project: response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update project');
+    }
+  }
+);
+
+export const deleteProject = createAsyncThunk(
+  'projects/deleteProject',
+  async ({ teamId, projectId }, { rejectWithValue }) => {
+    try {
+      await teamAPI.deleteProject(teamId, projectId);
+      return { teamId, projectId };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete project');
+    }
+  }
+);
+
+const initialState = {
+  // Project lists keyed by team id
+  byTeam: {},
+  // '' for all tasks, 'none' for tasks outside every project, or a project id
+  selectedProjectId: '',
+  // Team the selected project belongs to
+  selectedTeamId: null,
+  isLoading: false,
+  error: null
+};
+
+const projectSlice = createSlice({
+  name: 'projects',
+  initialState,
+  reducers: {
+    // payload: { teamId, projectId }
+    setSelectedProject: (state, action) => {
+      state.selectedProjectId = action.payload.projectId || '';
+      state.selectedTeamId = action.payload.teamId;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(setCurrentTeam, (state, action) => {
+        const teamId = action.payload?._id || null;
+        if (teamId !== state.selectedTeamId) {
+          state.selectedProjectId = '';
+          state.selectedTeamId = teamId;
+        }
+      })
+      .addCase(getProjects.pending, (state) => {
+        state.isLoading = true;
+      })
+      .addCase(getProjects.fulfilled, (state, action) => {
+        state.byTeam[action.payload.teamId] = action.payload.projects;
+        state.isLoading = false;
+        state.error = null;
+        // Forget a selected project that no longer exists
+        const { selectedProjectId, selectedTeamId } = state;
+        if (selectedTeamId === action.payload.teamId && selectedProjectId && selectedProjectId !== 'none' &&
+          !action.payload.projects.some(p => p._id === selectedProjectId)) {
+          state.selectedProjectId = '';
+        }
+      })
+      .addCase(getProjects.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(createProject.fulfilled, (state, action) => {
+        const { teamId, project } = action.payload;
+        state.byTeam[teamId] = [...(state.byTeam[teamId] || []), project];
+      })
+      .addCase(updateProject.fulfilled, (state, action) => {
+        const { teamId, project } = action.payload;
+        state.byTeam[teamId] = (state.byTeam[teamId] || []).map(p => (p._id === project._id ? project : p));
+      })
+      .addCase(deleteProject.fulfilled, (state, action) => {
+        const { teamId, projectId } = action.payload;
+        state.byTeam[teamId] = (state.byTeam[teamId] || []).filter(p => p._id !== projectId);
+        if (state.selectedProjectId === projectId) state.selectedProjectId = '';
+      });
+  }
+});
+
+export const { setSelectedProject } = projectSlice.actions;
+export default projectSlice.reducer;
@@ -0,0 +1,160 @@
+/*
+  sprintSlice.js
+  Redux slice for team sprints in TaskTracker+ frontend.
+  - Loads a team's sprints (with task counts) and backlog size.
+  - Creates, updates, deletes, and closes sprints (refetching the list afterwards).
+  - Stores sprint burndown, scope change, and team velocity reports.
+*/
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../../services/api';
+import teamAPI from '../../services/teamAPI';
+
+// Async thunks
+export const getSprints = createAsyncThunk(
+  'sprints/getSprints',
+  async (teamId, { rejectWithValue }) => {
+    try {
+      const response = await teamAPI.getSprints(teamId);
+      return { teamId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch sprints');
+    }
+  }
+);
+
+export const createSprint = createAsyncThunk(
+  'sprints/createSprint',
+  async ({ teamId, sprintData }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await teamAPI.createSprint(teamId, sprintData);
+      dispatch(getSprints(teamId));
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create sprint');
+    }
+  }
+);
+
+export const updateSprint = createAsyncThunk(
+  'sprints/updateSprint',
+  async ({ teamId, sprintId, sprintData }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await teamAPI.updateSprint(teamId, sprintId, sprintData);
+      dispatch(getSprints(teamId));
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update sprint');
+    }
+  }
+);
+
+export const deleteSprint = createAsyncThunk(
+  'sprints/deleteSprint',
+  async ({ teamId, sprintId }, { dispatch, rejectWithValue }) => {
+    try {
+      await teamAPI.deleteSprint(teamId, sprintId);
+      dispatch(getSprints(teamId));
+      return sprintId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete sprint');
+    }
+  }
+);
+
+export const closeSprint = createAsyncThunk(
+  'sprints/closeSprint',
+  async ({ teamId, sprintId, rollOverTo }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await teamAPI.closeSprint(teamId, sprintId, rollOverTo);
+      dispatch(getSprints(teamId));
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to close sprint');
+    }
+  }
+);
+
+export const getSprintBurndown = createAsyncThunk(
+  'sprints/getSprintBurndown',
+  async ({ teamId, sprintId }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/tasks/analytics/team/${teamId}/sprints/${sprintId}/burndown`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch sprint burndown');
+    }
+  }
+);
+
+export const getSprintScope = createAsyncThunk(
+  'sprints/getSprintScope',
+  async ({ teamId, sprintId }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/tasks/analytics/team/${teamId}/sprints/${sprintId}/scope`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch sprint scope change');
+    }
+  }
+);
+
+export const getTeamVelocity = createAsyncThunk(
+  'sprints/getTeamVelocity',
+  async (teamId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/tasks/analytics/team/${teamId}/velocity`);
+      return { teamId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch team velocity');
+    }
+  }
+);
+
+const initialState = {
+  // Sprint lists keyed by team id: { sprints, backlog, unit }
+  byTeam: {},
+  burndown: null,
+  scope: null,
+  velocity: null,
+  isLoading: false,
+  error: null
+};
+
+const sprintSlice = createSlice({
+  name: 'sprints',
+  initialState,
+  reducers: {
+    clearSprintReports: (state) => {
+      state.burndown = null;
+      state.scope = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getSprints.pending, (state) => {
+        state.isLoading = true;
+      })
+      .addCase(getSprints.fulfilled, (state, action) => {
+        const { teamId, sprints, backlog, unit } = action.payload;
+        state.byTeam[teamId] = { sprints, backlog, unit };
+        state.isLoading = false;
+        state.error = null;
+      })
+      .addCase(getSprints.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(getSprintBurndown.fulfilled, (state, action) => {
+        state.burndown = action.payload;
+      })
+      .addCase(getSprintScope.fulfilled, (state, action) => {
+        state.scope = action.payload;
+      })
+      .addCase(getTeamVelocity.fulfilled, (state, action) => {
+        state.velocity = action.payload;
+      });
+  }
+});
+
+export const { clearSprintReports } = sprintSlice.actions;
+export default sprintSlice.reducer;
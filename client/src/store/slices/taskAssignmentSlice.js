@@ -3,6 +3,7 @@
   Redux slice for managing task assignment and team analytics in TaskTracker+ frontend.
   - Handles fetching, assigning, and tracking tasks within teams via async thunks.
   - Stores team analytics, workload, trends, and member performance data.
+  - Loads the team timeline (tasks, dependencies, and milestones in a date window).
   - Integrates with backend API for real-time team collaboration and analytics.
 */
 
@@ -118,6 +119,30 @@ export const getTeamMemberAnalytics = createAsyncThunk(
   }
 );
 
+export const getTeamDependencyGraph = createAsyncThunk(
+  'taskAssignment/getTeamDependencyGraph',
+  async (teamId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/tasks/team/${teamId}/dependencies`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch dependency graph');
+    }
+  }
+);
+
+export const getTeamTimeline = createAsyncThunk(
+  'taskAssignment/getTeamTimeline',
+  async ({ teamId, from, to, project }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/tasks/team/${teamId}/timeline`, { params: { from, to, project: project || undefined } });
+      return { teamId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch team timeline');
+    }
+  }
+);
+
 const initialState = {
   selectedTeamId: null,
   teamTasks: [],
@@ -132,7 +157,11 @@ const initialState = {
   teamTrends: null,
   analyticsLoading: false,
   teamMemberAnalytics: null,
-  selectedMemberId: null
+  selectedMemberId: null,
+  dependencyGraph: null,
+  // { teamId, from, to, tasks, dependencies, milestones }
+  timeline: null,
+  isLoadingTimeline: false
 };
 
 const taskAssignmentSlice = createSlice({
@@ -153,6 +182,19 @@ const taskAssignmentSlice = createSlice({
     },
     clearErrors: (state) => {
       state.error = null;
+    },
+    // Real-time events pushed over socket.io: keep the loaded team list current
+    teamTaskReceived: (state, action) => {
+      const task = action.payload;
+      const taskIndex = state.teamTasks.findIndex(t => t._id === task._id);
+      if (taskIndex !== -1) {
+        state.teamTasks[taskIndex] = { ...state.teamTasks[taskIndex], ...task };
+      } else if (task.team && task.team === state.selectedTeamId) {
+        state.teamTasks.push(task);
+      }
+    },
+    teamTaskRemoved: (state, action) => {
+      state.teamTasks = state.teamTasks.filter(t => t._id !== action.payload.taskId);
     }
   },
   extraReducers: (builder) => {
@@ -204,6 +246,7 @@ const taskAssignmentSlice = createSlice({
       .addCase(getTeamTasks.fulfilled, (state, action) => {
         state.isLoadingTeamTasks = false;
         state.teamTasks = action.payload.tasks || [];
+        state.selectedTeamId = action.meta.arg.teamId;
       })
       .addCase(getTeamTasks.rejected, (state, action) => {
         state.isLoadingTeamTasks = false;
@@ -216,7 +259,10 @@ const taskAssignmentSlice = createSlice({
       })
       .addCase(createTeamTask.fulfilled, (state, action) => {
         state.isCreatingTeamTask = false;
-        state.teamTasks.push(action.payload);
+        // The socket event for this task may have arrived first
+        if (!state.teamTasks.some(t => t._id === action.payload._id)) {
+          state.teamTasks.push(action.payload);
+        }
       })
       .addCase(createTeamTask.rejected, (state, action) => {
         state.isCreatingTeamTask = false;
@@ -273,9 +319,30 @@ const taskAssignmentSlice = createSlice({
         state.analyticsLoading = false;
         state.teamMemberAnalytics = null;
         state.error = action.payload;
+      })
+      // Get Team Dependency Graph
+      .addCase(getTeamDependencyGraph.fulfilled, (state, action) => {
+        state.dependencyGraph = action.payload;
+      })
+      .addCase(getTeamDependencyGraph.rejected, (state, action) => {
+        state.dependencyGraph = null;
+        state.error = action.payload;
+      })
+      // Get Team Timeline
+      .addCase(getTeamTimeline.pending, (state) => {
+        state.isLoadingTimeline = true;
+      })
+      .addCase(getTeamTimeline.fulfilled, (state, action) => {
+        state.isLoadingTimeline = false;
+        state.timeline = action.payload;
+      })
+      .addCase(getTeamTimeline.rejected, (state, action) => {
+        state.isLoadingTimeline = false;
+        state.timeline = null;
+        state.error = action.payload;
       });
   }
 });
 
-export const { setSelectedTeam, setSelectedMember, clearTeamTasks, clearErrors } = taskAssignmentSlice.actions;
+export const { setSelectedTeam, setSelectedMember, clearTeamTasks, clearErrors, teamTaskReceived, teamTaskRemoved } = taskAssignmentSlice.actions;
 export default taskAssignmentSlice.reducer;
@@ -2,11 +2,13 @@
   taskSlice.js
   Redux slice for managing all task-related state in TaskTracker+ frontend.
   - Handles fetching, creating, updating, archiving, and deleting tasks via async thunks.
+  - Reverts the last change of one or more tasks (undo) and puts them back into the loaded lists.
   - Stores analytics, stats, filters, and pagination for personal and team tasks.
   - Integrates with backend API for data sync and analytics.
 */
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import api, { fetchArchivedTasks } from '../../services/api';
+import { DEFAULT_TASK_FILTERS } from '../../utils/taskFilters';
 
 // Async thunks for API calls
 export const getTasks = createAsyncThunk(
@@ -94,6 +96,36 @@ export const archiveTask = createAsyncThunk(
   }
 );
 
+// Applies one change to many tasks; resolves to { message, succeeded, failed, results: [{ taskId, success, message? }] }
+export const bulkUpdateTasks = createAsyncThunk(
+  'tasks/bulkUpdateTasks',
+  async ({ taskIds, action, value }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/tasks/bulk', { taskIds, action, value });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update tasks');
+    }
+  }
+);
+
+// Undoes the last change of each task; resolves to { results: [{ taskId, success, message?, task?, deleted? }] }
+export const revertTaskChanges = createAsyncThunk(
+  'tasks/revertTaskChanges',
+  async (taskIds, { rejectWithValue }) => {
+    try {
+      if (taskIds.length === 1) {
+        const response = await api.post(`/tasks/${taskIds[0]}/revert`);
+        return { results: [{ taskId: taskIds[0], ...response.data }] };
+      }
+      const response = await api.post('/tasks/bulk', { taskIds, action: 'revert' });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to undo');
+    }
+  }
+);
+
 export const getTaskStats = createAsyncThunk(
   'tasks/getTaskStats',
   async (_, { rejectWithValue }) => {
@@ -136,8 +168,172 @@ export const getTaskAnalytics = createAsyncThunk(
   }
 );
 
+export const getSubtasks = createAsyncThunk(
+  'tasks/getSubtasks',
+  async (taskId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/subtasks`);
+      return { taskId, subtasks: response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch subtasks');
+    }
+  }
+);
+
+export const createSubtask = createAsyncThunk(
+  'tasks/createSubtask',
+  async ({ taskId, taskData }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/subtasks`, taskData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create subtask');
+    }
+  }
+);
+
+export const addChecklistItem = createAsyncThunk(
+  'tasks/addChecklistItem',
+  async ({ taskId, text }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/checklist`, { text });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to add checklist item');
+    }
+  }
+);
+
+export const updateChecklistItem = createAsyncThunk(
+  'tasks/updateChecklistItem',
+  async ({ taskId, itemId, updates }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/tasks/${taskId}/checklist/${itemId}`, updates);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update checklist item');
+    }
+  }
+);
+
+export const deleteChecklistItem = createAsyncThunk(
+  'tasks/deleteChecklistItem',
+  async ({ taskId, itemId }, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/tasks/${taskId}/checklist/${itemId}`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete checklist item');
+    }
+  }
+);
+
+// Replace a task in the list and current task after a server update
+export const getTaskDependencies = createAsyncThunk(
+  'tasks/getTaskDependencies',
+  async (taskId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/dependencies`);
+      return { taskId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch dependencies');
+    }
+  }
+);
+
+export const addTaskDependency = createAsyncThunk(
+  'tasks/addTaskDependency',
+  async ({ taskId, blockerId }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/dependencies`, { blockerId });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to add dependency');
+    }
+  }
+);
+
+export const removeTaskDependency = createAsyncThunk(
+  'tasks/removeTaskDependency',
+  async ({ taskId, blockerId }, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/tasks/${taskId}/dependencies/${blockerId}`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to remove dependency');
+    }
+  }
+);
+
+export const getComments = createAsyncThunk(
+  'tasks/getComments',
+  async (taskId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/comments`);
+      return { taskId, comments: response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch comments');
+    }
+  }
+);
+
+export const addComment = createAsyncThunk(
+  'tasks/addComment',
+  async ({ taskId, body }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/comments`, { body });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to add comment');
+    }
+  }
+);
+
+export const updateComment = createAsyncThunk(
+  'tasks/updateComment',
+  async ({ taskId, commentId, body }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/tasks/${taskId}/comments/${commentId}`, { body });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update comment');
+    }
+  }
+);
+
+export const deleteComment = createAsyncThunk(
+  'tasks/deleteComment',
+  async ({ taskId, commentId }, { rejectWithValue }) => {
+    try {
+      await api.delete(`/tasks/${taskId}/comments/${commentId}`);
+      return { taskId, commentId };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete comment');
+    }
+  }
+);
+
+// Whether a task belongs in the task list: the filtered team's tasks, or personal tasks
+const isInListScope = (state, task) => {
+  const teamId = task.team?._id || task.team || '';
+  return state.filters.team ? teamId === state.filters.team : !teamId;
+};
+
+const replaceTask = (state, updatedTask) => {
+  const taskIndex = state.tasks.findIndex(task => task._id === updatedTask._id);
+  if (taskIndex !== -1) {
+    state.tasks[taskIndex] = updatedTask;
+  }
+  if (state.currentTask && state.currentTask._id === updatedTask._id) {
+    state.currentTask = updatedTask;
+  }
+};
+
 const initialState = {
   tasks: [],
+  subtasks: {}, // Child tasks keyed by parent task ID
+  dependencies: {}, // { blockedBy, blocks } keyed by task ID
+  comments: {}, // Comment threads keyed by task ID
   archivedTasks: [],
   currentTask: null,
   stats: {
@@ -155,22 +351,14 @@ const initialState = {
     hasNext: false,
     hasPrev: false
   },
-  filters: {
-    status: '',
-    priority: '',
-    assignedTo: '',
-    search: '',
-    sortBy: 'createdAt',
-    sortOrder: 'desc',
-    includeArchived: false, // 🔥 NEW: Add includeArchived filter
-    overdue: false,
-    page: 1
-  },
+  // Task list filters; the tasks page keeps them in sync with its URL
+  filters: { ...DEFAULT_TASK_FILTERS },
   isLoading: false,
   isCreating: false,
   isUpdating: false,
   isDeleting: false,
   isArchiving: false,
+  isBulkUpdating: false,
   error: null,
   analytics: {
     statusDistribution: { todo: 0, 'in-progress': 0, completed: 0, overdue: 0, archived: 0 },
@@ -225,6 +413,39 @@ const taskSlice = createSlice({
       if (state.currentTask && state.currentTask._id === taskId) {
         state.currentTask = { ...state.currentTask, ...updates };
       }
+    },
+    // Real-time events pushed over socket.io by other sessions
+    taskCreatedRemotely: (state, action) => {
+      const task = action.payload;
+      if (!isInListScope(state, task) || state.tasks.some(t => t._id === task._id)) return;
+      state.tasks.unshift(task);
+      state.pagination.totalTasks += 1;
+    },
+    taskUpdatedRemotely: (state, action) => {
+      const task = action.payload;
+      const taskIndex = state.tasks.findIndex(t => t._id === task._id);
+      if (taskIndex !== -1) {
+        // Drop it from the list when it moved in or out of the archive
+        if (!!task.isArchived !== !!state.filters.includeArchived) {
+          state.tasks.splice(taskIndex, 1);
+        } else {
+          state.tasks[taskIndex] = { ...state.tasks[taskIndex], ...task };
+        }
+      }
+      if (state.currentTask && state.currentTask._id === task._id) {
+        state.currentTask = { ...state.currentTask, ...task };
+      }
+    },
+    taskDeletedRemotely: (state, action) => {
+      const { taskId } = action.payload;
+      if (state.tasks.some(t => t._id === taskId)) {
+        state.tasks = state.tasks.filter(t => t._id !== taskId);
+        state.pagination.totalTasks -= 1;
+      }
+      state.archivedTasks = state.archivedTasks.filter(t => t._id !== taskId);
+      if (state.currentTask && state.currentTask._id === taskId) {
+        state.currentTask = null;
+      }
     }
   },
   extraReducers: (builder) => {
@@ -265,8 +486,11 @@ const taskSlice = createSlice({
       })
       .addCase(createTask.fulfilled, (state, action) => {
         state.isCreating = false;
-        state.tasks.unshift(action.payload);
-        state.pagination.totalTasks += 1;
+        // The socket event for this task may have arrived first
+        if (!state.tasks.some(task => task._id === action.payload._id)) {
+          state.tasks.unshift(action.payload);
+          state.pagination.totalTasks += 1;
+        }
       })
       .addCase(createTask.rejected, (state, action) => {
         state.isCreating = false;
@@ -344,6 +568,37 @@ const taskSlice = createSlice({
         state.error = action.payload;
       })
       
+      // Bulk update (the page refetches afterwards)
+      .addCase(bulkUpdateTasks.pending, (state) => {
+        state.isBulkUpdating = true;
+        state.error = null;
+      })
+      .addCase(bulkUpdateTasks.fulfilled, (state) => {
+        state.isBulkUpdating = false;
+      })
+      .addCase(bulkUpdateTasks.rejected, (state, action) => {
+        state.isBulkUpdating = false;
+        state.error = action.payload;
+      })
+
+      // Revert (undo): reverted tasks may move back into, or out of, the active and archived lists
+      .addCase(revertTaskChanges.fulfilled, (state, action) => {
+        const placeTask = (list, taskId, task, belongs) => {
+          const index = list.findIndex(t => t._id === taskId);
+          if (index !== -1 && belongs) list[index] = task;
+          else if (index !== -1) list.splice(index, 1);
+          else if (belongs) list.unshift(task);
+        };
+        action.payload.results.filter(result => result.success).forEach(({ taskId, task }) => {
+          const isPersonal = !!task && !task.team;
+          placeTask(state.tasks, taskId, task, !!task && isInListScope(state, task) && !!task.isArchived === !!state.filters.includeArchived);
+          placeTask(state.archivedTasks, taskId, task, isPersonal && !!task.isArchived);
+          if (state.currentTask && state.currentTask._id === taskId) {
+            state.currentTask = task || null;
+          }
+        });
+      })
+
       // Get task stats
       .addCase(getTaskStats.pending, (state) => {
         // Don't set loading for stats - it's background data
@@ -388,6 +643,91 @@ const taskSlice = createSlice({
       .addCase(getTaskAnalytics.rejected, (state, action) => {
         state.analytics.analyticsLoading = false;
         state.analytics.analyticsError = action.payload;
+      })
+
+      // Subtasks
+      .addCase(getSubtasks.fulfilled, (state, action) => {
+        state.subtasks[action.payload.taskId] = action.payload.subtasks;
+      })
+      .addCase(getSubtasks.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(createSubtask.pending, (state) => {
+        state.isCreating = true;
+        state.error = null;
+      })
+      .addCase(createSubtask.fulfilled, (state, action) => {
+        state.isCreating = false;
+        const { subtask, parent } = action.payload;
+        state.subtasks[parent._id] = [...(state.subtasks[parent._id] || []), subtask];
+        replaceTask(state, parent);
+      })
+      .addCase(createSubtask.rejected, (state, action) => {
+        state.isCreating = false;
+        state.error = action.payload;
+      })
+
+      // Checklist items
+      .addCase(addChecklistItem.fulfilled, (state, action) => {
+        replaceTask(state, action.payload);
+      })
+      .addCase(addChecklistItem.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(updateChecklistItem.fulfilled, (state, action) => {
+        replaceTask(state, action.payload);
+      })
+      .addCase(updateChecklistItem.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(deleteChecklistItem.fulfilled, (state, action) => {
+        replaceTask(state, action.payload);
+      })
+      .addCase(deleteChecklistItem.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Dependencies
+      .addCase(getTaskDependencies.fulfilled, (state, action) => {
+        const { taskId, blockedBy, blocks } = action.payload;
+        state.dependencies[taskId] = { blockedBy, blocks };
+      })
+      .addCase(getTaskDependencies.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(addTaskDependency.fulfilled, (state, action) => {
+        replaceTask(state, action.payload);
+        const existing = state.dependencies[action.payload._id];
+        if (existing) existing.blockedBy = action.payload.blockedBy;
+      })
+      .addCase(addTaskDependency.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(removeTaskDependency.fulfilled, (state, action) => {
+        replaceTask(state, action.payload);
+        const existing = state.dependencies[action.payload._id];
+        if (existing) existing.blockedBy = action.payload.blockedBy;
+      })
+      .addCase(removeTaskDependency.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Comments
+      .addCase(getComments.fulfilled, (state, action) => {
+        state.comments[action.payload.taskId] = action.payload.comments;
+      })
+      .addCase(addComment.fulfilled, (state, action) => {
+        const taskId = action.payload.task;
+        state.comments[taskId] = [...(state.comments[taskId] || []), action.payload];
+      })
+      .addCase(updateComment.fulfilled, (state, action) => {
+        const thread = state.comments[action.payload.task] || [];
+        const index = thread.findIndex(comment => comment._id === action.payload._id);
+        if (index !== -1) thread[index] = action.payload;
+      })
+      .addCase(deleteComment.fulfilled, (state, action) => {
+        const { taskId, commentId } = action.payload;
+        state.comments[taskId] = (state.comments[taskId] || []).filter(comment => comment._id !== commentId);
       });
   }
 });
@@ -399,7 +739,10 @@ export const {
   clearFilters,
   setCurrentTask,
   clearCurrentTask,
-  optimisticUpdateTask
+  optimisticUpdateTask,
+  taskCreatedRemotely,
+  taskUpdatedRemotely,
+  taskDeletedRemotely
 } = taskSlice.actions;
 
 export default taskSlice.reducer;
\ No newline at end of file
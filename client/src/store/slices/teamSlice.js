@@ -111,6 +111,9 @@ const teamSlice = createSlice({
     setCurrentTeam: (state, action) => {
       state.currentTeam = action.payload;
       state.selectedTeamId = action.payload?._id;
+      // Keep the team list in sync with freshly loaded team settings
+      const index = state.teams.findIndex(team => team._id === action.payload?._id);
+      if (index !== -1) state.teams[index] = { ...state.teams[index], ...action.payload };
       try {
         localStorage.setItem('currentTeam', JSON.stringify(action.payload));
       } catch {}
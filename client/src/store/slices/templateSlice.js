@@ -0,0 +1,126 @@
+/*
+  templateSlice.js
+  Redux slice for task templates in TaskTracker+ frontend.
+  - Loads personal templates and each team's shared templates.
+  - Creates, updates, and deletes templates, and creates tasks from a template or bundle.
+*/
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import templateAPI from '../../services/templateAPI';
+
+// Templates are listed per scope: a team id, or 'personal'
+const getScope = (teamId) => teamId || 'personal';
+
+// Async thunks
+export const getTemplates = createAsyncThunk(
+  'templates/getTemplates',
+  async (teamId = null, { rejectWithValue }) => {
+    try {
+      const response = await templateAPI.getTemplates(teamId);
+      return { scope: getScope(teamId), templates: response.data.templates };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch templates');
+    }
+  }
+);
+
+export const createTemplate = createAsyncThunk(
+  'templates/createTemplate',
+  async (templateData, { rejectWithValue }) => {
+    try {
+      const response = await templateAPI.createTemplate(templateData);
+      return { scope: getScope(templateData.team), template: response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to save template');
+    }
+  }
+);
+
+export const updateTemplate = createAsyncThunk(
+  'templates/updateTemplate',
+  async ({ templateId, templateData }, { rejectWithValue }) => {
+    try {
+      const response = await templateAPI.updateTemplate(templateId, templateData);
+      return { scope: getScope(response.data.team), template: response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update template');
+    }
+  }
+);
+
+export const deleteTemplate = createAsyncThunk(
+  'templates/deleteTemplate',
+  async ({ templateId, teamId = null }, { rejectWithValue }) => {
+    try {
+      await templateAPI.deleteTemplate(templateId);
+      return { scope: getScope(teamId), templateId };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete template');
+    }
+  }
+);
+
+// options: { startDate, assignedTo }; resolves to { message, tasks }
+export const instantiateTemplate = createAsyncThunk(
+  'templates/instantiateTemplate',
+  async ({ templateId, options }, { rejectWithValue }) => {
+    try {
+      const response = await templateAPI.instantiateTemplate(templateId, options);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create tasks from template');
+    }
+  }
+);
+
+const initialState = {
+  // Template lists keyed by scope (team id or 'personal')
+  byScope: {},
+  isLoading: false,
+  isInstantiating: false,
+  error: null
+};
+
+const templateSlice = createSlice({
+  name: 'templates',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(getTemplates.pending, (state) => {
+        state.isLoading = true;
+      })
+      .addCase(getTemplates.fulfilled, (state, action) => {
+        state.byScope[action.payload.scope] = action.payload.templates;
+        state.isLoading = false;
+        state.error = null;
+      })
+      .addCase(getTemplates.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(createTemplate.fulfilled, (state, action) => {
+        const { scope, template } = action.payload;
+        state.byScope[scope] = [...(state.byScope[scope] || []), template]
+          .sort((a, b) => a.name.localeCompare(b.name));
+      })
+      .addCase(updateTemplate.fulfilled, (state, action) => {
+        const { scope, template } = action.payload;
+        state.byScope[scope] = (state.byScope[scope] || []).map(t => (t._id === template._id ? template : t));
+      })
+      .addCase(deleteTemplate.fulfilled, (state, action) => {
+        const { scope, templateId } = action.payload;
+        state.byScope[scope] = (state.byScope[scope] || []).filter(t => t._id !== templateId);
+      })
+      .addCase(instantiateTemplate.pending, (state) => {
+        state.isInstantiating = true;
+      })
+      .addCase(instantiateTemplate.fulfilled, (state) => {
+        state.isInstantiating = false;
+      })
+      .addCase(instantiateTemplate.rejected, (state) => {
+        state.isInstantiating = false;
+      });
+  }
+});
+
+export default templateSlice.reducer;
@@ -0,0 +1,165 @@
+/*
+  timeSlice.js
+  Redux slice for time tracking in TaskTracker+ frontend.
+  - Tracks the current user's running timer (at most one) and starts/stops it.
+  - Loads, adds, and deletes a task's time entries.
+  - Keeps task totals in the task lists in sync after each change.
+*/
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../../services/api';
+import { taskUpdatedRemotely } from './taskSlice';
+import { teamTaskReceived } from './taskAssignmentSlice';
+
+// Push a task's new tracked total into the personal and team task lists
+const syncTaskTotal = (dispatch, taskId, timeSpent) => {
+  dispatch(taskUpdatedRemotely({ _id: taskId, timeSpent }));
+  dispatch(teamTaskReceived({ _id: taskId, timeSpent }));
+};
+
+// Async thunks
+export const getRunningTimer = createAsyncThunk(
+  'time/getRunningTimer',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/tasks/time/running');
+      return response.data.entry;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch running timer');
+    }
+  }
+);
+
+export const startTimer = createAsyncThunk(
+  'time/startTimer',
+  async (taskId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/time/start`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to start timer');
+    }
+  }
+);
+
+export const stopTimer = createAsyncThunk(
+  'time/stopTimer',
+  async (_, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.post('/tasks/time/stop');
+      const { entry, timeSpent } = response.data;
+      syncTaskTotal(dispatch, entry.task?._id || entry.task, timeSpent);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to stop timer');
+    }
+  }
+);
+
+export const getTimeEntries = createAsyncThunk(
+  'time/getTimeEntries',
+  async (taskId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/time`);
+      return { taskId, entries: response.data.entries };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch time entries');
+    }
+  }
+);
+
+export const addTimeEntry = createAsyncThunk(
+  'time/addTimeEntry',
+  async ({ taskId, startedAt, endedAt, note }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/time`, { startedAt, endedAt, note });
+      syncTaskTotal(dispatch, taskId, response.data.timeSpent);
+      return { taskId, entry: response.data.entry };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to add time entry');
+    }
+  }
+);
+
+export const deleteTimeEntry = createAsyncThunk(
+  'time/deleteTimeEntry',
+  async ({ taskId, entryId }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/tasks/${taskId}/time/${entryId}`);
+      syncTaskTotal(dispatch, taskId, response.data.timeSpent);
+      return { taskId, entryId };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete time entry');
+    }
+  }
+);
+
+export const getTimesheet = createAsyncThunk(
+  'time/getTimesheet',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/tasks/time/timesheet', { params });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch timesheet');
+    }
+  }
+);
+
+const initialState = {
+  runningEntry: null,
+  entries: {},
+  error: null
+};
+
+const timeSlice = createSlice({
+  name: 'time',
+  initialState,
+  reducers: {
+    // The running timer was started or stopped in another tab or device
+    timerChanged: (state, action) => {
+      state.runningEntry = action.payload.entry || null;
+    },
+    clearTimeTracking: () => initialState
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getRunningTimer.fulfilled, (state, action) => {
+        state.runningEntry = action.payload || null;
+      })
+      .addCase(startTimer.fulfilled, (state, action) => {
+        state.runningEntry = action.payload;
+        state.error = null;
+      })
+      .addCase(startTimer.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(stopTimer.fulfilled, (state, action) => {
+        const { entry } = action.payload;
+        const taskId = entry.task?._id || entry.task;
+        state.runningEntry = null;
+        if (state.entries[taskId]) {
+          state.entries[taskId] = [entry, ...state.entries[taskId].filter(e => e._id !== entry._id)];
+        }
+      })
+      .addCase(stopTimer.rejected, (state, action) => {
+        // Nothing is running any more (e.g. stopped elsewhere)
+        state.runningEntry = null;
+        state.error = action.payload;
+      })
+      .addCase(getTimeEntries.fulfilled, (state, action) => {
+        state.entries[action.payload.taskId] = action.payload.entries;
+      })
+      .addCase(addTimeEntry.fulfilled, (state, action) => {
+        const { taskId, entry } = action.payload;
+        state.entries[taskId] = [entry, ...(state.entries[taskId] || [])]
+          .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+      })
+      .addCase(deleteTimeEntry.fulfilled, (state, action) => {
+        const { taskId, entryId } = action.payload;
+        state.entries[taskId] = (state.entries[taskId] || []).filter(entry => entry._id !== entryId);
+      });
+  }
+});
+
+export const { timerChanged, clearTimeTracking } = timeSlice.actions;
+export default timeSlice.reducer;
@@ -0,0 +1,116 @@
+/*
+  undoSlice.js
+  Redux slice for the undo toast in TaskTracker+ frontend.
+  - Offers an undo after a task is deleted, archived or restored, has its status changed, or is (re)assigned, and after bulk actions.
+  - Holds one offer at a time; a newer action replaces the previous offer.
+  - Reports the outcome of an undo (the revert itself is the tasks slice's revertTaskChanges thunk).
+*/
+import { createSlice, nanoid } from '@reduxjs/toolkit';
+import { updateTask, deleteTask, archiveTask, bulkUpdateTasks, revertTaskChanges } from './taskSlice';
+import { assignTask, unassignTask, reassignTask } from './taskAssignmentSlice';
+
+// How long the undo toast stays up; well within the server's revert window
+export const UNDO_TIMEOUT_MS = 8000;
+
+// updateTask calls that only change status (quick status menus) can be undone. Board moves are offered
+// by the board itself, since a move within a column changes nothing that could be reverted.
+const STATUS_CHANGE_FIELDS = ['status', 'workflowStatus', 'overrideBlockers'];
+const isStatusChange = (taskData = {}) =>
+  ('status' in taskData || 'workflowStatus' in taskData) &&
+  Object.keys(taskData).every(field => STATUS_CHANGE_FIELDS.includes(field));
+
+const STATUS_LABELS = {
+  todo: 'To Do',
+  'in-progress': 'In Progress',
+  completed: 'Completed'
+};
+
+const makeOffer = (id, message, taskIds) => ({ id, message, taskIds });
+
+const initialState = {
+  offer: null,
+  isReverting: false,
+  // Outcome of the last undo, shown briefly: { id, type: 'success' | 'error', message }
+  result: null,
+  // Tasks the last successful undo changed, so pages can refresh what they derive from them
+  lastUndone: null
+};
+
+const undoSlice = createSlice({
+  name: 'undo',
+  initialState,
+  reducers: {
+    // For changes made without the task thunks, e.g. through the team task list
+    offerUndo: {
+      reducer: (state, action) => {
+        state.offer = action.payload;
+      },
+      prepare: ({ message, taskIds }) => ({ payload: makeOffer(nanoid(), message, taskIds) })
+    },
+    dismissUndo: (state) => {
+      state.offer = null;
+    },
+    clearUndoResult: (state) => {
+      state.result = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(deleteTask.fulfilled, (state, action) => {
+        state.offer = makeOffer(action.meta.requestId, 'Task moved to trash', [action.payload]);
+      })
+      .addCase(archiveTask.fulfilled, (state, action) => {
+        const message = action.payload.isArchived ? 'Task archived' : 'Task restored from archive';
+        state.offer = makeOffer(action.meta.requestId, message, [action.payload._id]);
+      })
+      .addCase(updateTask.fulfilled, (state, action) => {
+        if (!isStatusChange(action.meta.arg.taskData)) return;
+        const label = STATUS_LABELS[action.payload.status] || action.payload.status;
+        state.offer = makeOffer(action.meta.requestId, `"${action.payload.title}" moved to ${label}`, [action.payload._id]);
+      })
+      .addCase(assignTask.fulfilled, (state, action) => {
+        state.offer = makeOffer(action.meta.requestId, 'Task assigned', [action.meta.arg.taskId]);
+      })
+      .addCase(unassignTask.fulfilled, (state, action) => {
+        state.offer = makeOffer(action.meta.requestId, 'Task unassigned', [action.meta.arg.taskId]);
+      })
+      .addCase(reassignTask.fulfilled, (state, action) => {
+        state.offer = makeOffer(action.meta.requestId, 'Task reassigned', [action.meta.arg.taskId]);
+      })
+      .addCase(bulkUpdateTasks.fulfilled, (state, action) => {
+        const taskIds = action.payload.results
+          .filter(result => result.success && !result.unchanged)
+          .map(result => result.taskId);
+        if (taskIds.length > 0) {
+          state.offer = makeOffer(action.meta.requestId, action.payload.message, taskIds);
+        }
+      })
+
+      // Undo
+      .addCase(revertTaskChanges.pending, (state) => {
+        state.isReverting = true;
+        state.offer = null;
+      })
+      .addCase(revertTaskChanges.fulfilled, (state, action) => {
+        state.isReverting = false;
+        const { results } = action.payload;
+        const reverted = results.filter(result => result.success);
+        const firstFailure = results.find(result => !result.success);
+        state.result = {
+          id: action.meta.requestId,
+          type: firstFailure ? 'error' : 'success',
+          message: firstFailure
+            ? `Undid ${reverted.length} of ${results.length}. ${firstFailure.message}`
+            : 'Undone'
+        };
+        state.lastUndone = { id: action.meta.requestId, taskIds: reverted.map(result => result.taskId) };
+      })
+      .addCase(revertTaskChanges.rejected, (state, action) => {
+        state.isReverting = false;
+        state.result = { id: action.meta.requestId, type: 'error', message: action.payload };
+      });
+  }
+});
+
+export const { offerUndo, dismissUndo, clearUndoResult } = undoSlice.actions;
+export default undoSlice.reducer;
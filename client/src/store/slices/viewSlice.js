@@ -0,0 +1,133 @@
+/*
+  viewSlice.js
+  Redux slice for saved task views in TaskTracker+ frontend.
+  - Loads the user's personal views and the views shared with their teams.
+  - Saves, renames, updates, and deletes views, and pins them to the tasks sidebar.
+*/
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import viewAPI from '../../services/viewAPI';
+
+const sortByName = (views) => views.sort((a, b) => a.name.localeCompare(b.name));
+
+// Async thunks
+export const getViews = createAsyncThunk(
+  'views/getViews',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await viewAPI.getViews();
+      return response.data.views;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch views');
+    }
+  }
+);
+
+export const createView = createAsyncThunk(
+  'views/createView',
+  async (viewData, { rejectWithValue }) => {
+    try {
+      const response = await viewAPI.createView(viewData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to save view');
+    }
+  }
+);
+
+export const updateView = createAsyncThunk(
+  'views/updateView',
+  async ({ viewId, viewData }, { rejectWithValue }) => {
+    try {
+      const response = await viewAPI.updateView(viewId, viewData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update view');
+    }
+  }
+);
+
+export const deleteView = createAsyncThunk(
+  'views/deleteView',
+  async (viewId, { rejectWithValue }) => {
+    try {
+      await viewAPI.deleteView(viewId);
+      return viewId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete view');
+    }
+  }
+);
+
+export const pinView = createAsyncThunk(
+  'views/pinView',
+  async ({ viewId, pinned }, { rejectWithValue }) => {
+    try {
+      const response = await viewAPI.pinView(viewId, pinned);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to pin view');
+    }
+  }
+);
+
+const initialState = {
+  views: [],
+  isLoading: false,
+  error: null
+};
+
+const viewSlice = createSlice({
+  name: 'views',
+  initialState,
+  reducers: {
+    clearViewError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getViews.pending, (state) => {
+        state.isLoading = true;
+      })
+      .addCase(getViews.fulfilled, (state, action) => {
+        state.views = action.payload;
+        state.isLoading = false;
+        state.error = null;
+      })
+      .addCase(getViews.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(createView.fulfilled, (state, action) => {
+        state.views = sortByName([...state.views, action.payload]);
+        state.error = null;
+      })
+      .addCase(updateView.fulfilled, (state, action) => {
+        state.views = sortByName(state.views.map(view => (view._id === action.payload._id ? action.payload : view)));
+        state.error = null;
+      })
+      .addCase(deleteView.fulfilled, (state, action) => {
+        state.views = state.views.filter(view => view._id !== action.payload);
+        state.error = null;
+      })
+      // Pins show right away and are put back if the server refuses
+      .addCase(pinView.pending, (state, action) => {
+        const view = state.views.find(v => v._id === action.meta.arg.viewId);
+        if (view) view.isPinned = action.meta.arg.pinned;
+      })
+      .addCase(pinView.rejected, (state, action) => {
+        const view = state.views.find(v => v._id === action.meta.arg.viewId);
+        if (view) view.isPinned = !action.meta.arg.pinned;
+        state.error = action.payload;
+      })
+      .addMatcher(
+        (action) => [createView.rejected.type, updateView.rejected.type, deleteView.rejected.type].includes(action.type),
+        (state, action) => {
+          state.error = action.payload;
+        }
+      );
+  }
+});
+
+export const { clearViewError } = viewSlice.actions;
+export default viewSlice.reducer;
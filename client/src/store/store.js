@@ -3,6 +3,13 @@ import authReducer from './slices/authSlice';
 import taskReducer from './slices/taskSlice';
 import teamReducer from './slices/teamSlice';
 import taskAssignmentReducer from './slices/taskAssignmentSlice';
+import notificationReducer from './slices/notificationSlice';
+import timeReducer from './slices/timeSlice';
+import sprintReducer from './slices/sprintSlice';
+import projectReducer from './slices/projectSlice';
+import templateReducer from './slices/templateSlice';
+import undoReducer from './slices/undoSlice';
+import viewReducer from './slices/viewSlice';
 
 export const store = configureStore({
   reducer: {
@@ -10,5 +17,12 @@ export const store = configureStore({
     tasks: taskReducer, 
     teams: teamReducer,
     taskAssignment: taskAssignmentReducer,
+    notifications: notificationReducer,
+    time: timeReducer,
+    sprints: sprintReducer,
+    projects: projectReducer,
+    templates: templateReducer,
+    undo: undoReducer,
+    views: viewReducer,
   },
 });
\ No newline at end of file
@@ -0,0 +1,100 @@
+// Utility functions for the task calendar and timeline views
+
+/**
+ * Returns the calendar day key ('YYYY-MM-DD') of a task due date.
+ * Due dates are saved as date-only values (midnight UTC), so the UTC date is the due day.
+ * @param {string|Date} dueDate - The task's due date.
+ * @returns {string|null}
+ */
+export function getDueDayKey(dueDate) {
+  if (!dueDate) return null;
+  const date = new Date(dueDate);
+  return isNaN(date) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Returns the day key ('YYYY-MM-DD') of a local calendar day.
+ * @param {Date} day - A day shown on the calendar.
+ * @returns {string}
+ */
+export function toDayKey(day) {
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Whether a day is before today. Matches the server's due date rule, which compares days only,
+ * so tasks can be rescheduled to today but not earlier.
+ * @param {string} dayKey - The day ('YYYY-MM-DD').
+ * @returns {boolean}
+ */
+export function isPastDay(dayKey) {
+  return dayKey < toDayKey(new Date());
+}
+
+/**
+ * Returns the days shown for a month (whole weeks, Sunday first) or for the week of the anchor day.
+ * @param {Date} anchor - Any day in the month or week to show.
+ * @param {'month'|'week'} mode - Calendar mode.
+ * @returns {Date[]}
+ */
+export function getCalendarDays(anchor, mode) {
+  const first = mode === 'week'
+    ? new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate())
+    : new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  first.setDate(first.getDate() - first.getDay());
+  let count = 7;
+  if (mode !== 'week') {
+    const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+    const lastShown = new Date(last);
+    lastShown.setDate(last.getDate() + (6 - last.getDay()));
+    count = Math.round((lastShown - first) / (24 * 60 * 60 * 1000)) + 1;
+  }
+  return Array.from({ length: count }, (_, i) => new Date(first.getFullYear(), first.getMonth(), first.getDate() + i));
+}
+
+/**
+ * Returns the due date query window for a calendar page: { dueFrom, dueTo } as date-only strings,
+ * with dueTo exclusive.
+ * @param {Date} anchor - Any day in the month or week shown.
+ * @param {'month'|'week'} mode - Calendar mode.
+ * @returns {{ dueFrom: string, dueTo: string }}
+ */
+export function getCalendarQuery(anchor, mode) {
+  const days = getCalendarDays(anchor, mode);
+  const end = new Date(days[days.length - 1]);
+  end.setDate(end.getDate() + 1);
+  return { dueFrom: toDayKey(days[0]), dueTo: toDayKey(end) };
+}
+
+/**
+ * Moves the calendar anchor by a number of months or weeks.
+ * @param {Date} anchor - The current anchor day.
+ * @param {'month'|'week'} mode - Calendar mode.
+ * @param {number} step - How many months/weeks to move (negative goes back).
+ * @returns {Date}
+ */
+export function shiftCalendar(anchor, mode, step) {
+  return mode === 'week'
+    ? new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + 7 * step)
+    : new Date(anchor.getFullYear(), anchor.getMonth() + step, 1);
+}
+
+/**
+ * Moves a day key by a number of days, e.g. shiftDayKey('2024-01-31', 1) is '2024-02-01'.
+ * @param {string} dayKey - The day ('YYYY-MM-DD').
+ * @param {number} days - Days to move (negative goes back).
+ * @returns {string}
+ */
+export function shiftDayKey(dayKey, days) {
+  return new Date(Date.parse(dayKey) + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+/**
+ * Returns how many days a day key lies after another one (negative when before).
+ * @param {string} fromKey - The reference day ('YYYY-MM-DD').
+ * @param {string} dayKey - The day to measure ('YYYY-MM-DD').
+ * @returns {number}
+ */
+export function getDayOffset(fromKey, dayKey) {
+  return Math.round((Date.parse(dayKey) - Date.parse(fromKey)) / (24 * 60 * 60 * 1000));
+}
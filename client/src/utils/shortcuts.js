@@ -0,0 +1,40 @@
+// Keyboard shortcuts: the lists shown in the help overlay, and helpers for key handlers
+
+export const GLOBAL_SHORTCUTS = [
+  { keys: ['Ctrl/⌘', 'K'], description: 'Open the command palette' }
+];
+
+// Single-key shortcuts on the tasks page
+export const TASK_SHORTCUTS = [
+  { keys: ['j', '↓'], description: 'Next task' },
+  { keys: ['k', '↑'], description: 'Previous task' },
+  { keys: ['Enter', 'o'], description: 'Open the task' },
+  { keys: ['e'], description: 'Edit the task' },
+  { keys: ['c'], description: 'Complete the task (or reopen a completed one)' },
+  { keys: ['a'], description: 'Archive the task (or restore an archived one)' },
+  { keys: ['n'], description: 'New task' },
+  { keys: ['/'], description: 'Search' },
+  { keys: ['[', ']'], description: 'Previous / next page' },
+  { keys: ['1', '2', '3', '4'], description: 'Grid, list, board, or calendar view' },
+  { keys: ['?'], description: 'Show keyboard shortcuts' },
+  { keys: ['Esc'], description: 'Close this help, or clear the task focus' }
+];
+
+/**
+ * Whether a key event comes from a field the user is typing in, where shortcuts must not fire.
+ * @param {EventTarget} target - The event target
+ * @returns {boolean}
+ */
+export function isTypingTarget(target) {
+  if (!target || !target.tagName) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+}
+
+/**
+ * Whether a key event is the command palette shortcut (Ctrl+K, or ⌘K on a Mac).
+ * @param {KeyboardEvent} event - The key event
+ * @returns {boolean}
+ */
+export function isPaletteShortcut(event) {
+  return (event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k';
+}
@@ -0,0 +1,175 @@
+// Utility functions for the task list filters, their URL form, and saved views
+import { shiftDayKey } from './calendar';
+
+export const TASK_STATUSES = [
+  { value: 'todo', label: 'To Do' },
+  { value: 'in-progress', label: 'In Progress' },
+  { value: 'completed', label: 'Completed' }
+];
+
+export const TASK_PRIORITIES = [
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' }
+];
+
+// Filters a saved view stores (everything but paging and archive mode)
+export const VIEW_FILTER_KEYS = [
+  'team', 'status', 'priority', 'tags', 'tagMode', 'assignedTo', 'dueFrom', 'dueTo',
+  'createdFrom', 'createdTo', 'noDueDate', 'overdue', 'search', 'sortBy', 'sortOrder'
+];
+
+export const DEFAULT_TASK_FILTERS = {
+  view: 'personal',
+  team: '', // Team whose tasks are listed ('' = personal tasks)
+  status: [],
+  priority: [],
+  tags: [],
+  tagMode: 'any',
+  assignedTo: '', // A user id, 'me', or 'unassigned' (team tasks only)
+  dueFrom: '', // 'YYYY-MM-DD' days, both ends included
+  dueTo: '',
+  createdFrom: '',
+  createdTo: '',
+  noDueDate: false,
+  overdue: false,
+  search: '',
+  sortBy: 'createdAt',
+  sortOrder: 'desc',
+  includeArchived: false,
+  page: 1
+};
+
+const LIST_KEYS = ['status', 'priority', 'tags'];
+const BOOLEAN_KEYS = ['noDueDate', 'overdue'];
+const STRING_KEYS = ['team', 'tagMode', 'assignedTo', 'dueFrom', 'dueTo', 'createdFrom', 'createdTo', 'search', 'sortBy', 'sortOrder'];
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Reads task filters from a URL query string, e.g. '?status=todo,in-progress&overdue=true'.
+ * Missing or malformed values fall back to the defaults.
+ * @param {string} search - location.search
+ * @returns {object} Complete filters
+ */
+export function parseTaskFilters(search) {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_TASK_FILTERS };
+  LIST_KEYS.forEach(key => {
+    if (params.has(key)) filters[key] = splitList(params.get(key));
+  });
+  filters.status = filters.status.filter(status => TASK_STATUSES.some(s => s.value === status));
+  filters.priority = filters.priority.filter(priority => TASK_PRIORITIES.some(p => p.value === priority));
+  STRING_KEYS.forEach(key => {
+    if (params.get(key)) filters[key] = params.get(key);
+  });
+  ['dueFrom', 'dueTo', 'createdFrom', 'createdTo'].forEach(key => {
+    if (!DAY_KEY_PATTERN.test(filters[key])) filters[key] = '';
+  });
+  BOOLEAN_KEYS.forEach(key => {
+    filters[key] = params.get(key) === 'true';
+  });
+  const page = parseInt(params.get('page'), 10);
+  if (page > 1) filters.page = page;
+  return filters;
+}
+
+/**
+ * Writes the filters that differ from the defaults as a URL query string (without '?'),
+ * so the current list can be shared as a link.
+ * @param {object} filters - Task filters
+ * @returns {string}
+ */
+export function toFilterSearch(filters) {
+  const params = new URLSearchParams();
+  LIST_KEYS.forEach(key => {
+    if (filters[key]?.length > 0) params.set(key, filters[key].join(','));
+  });
+  STRING_KEYS.forEach(key => {
+    if (filters[key] && filters[key] !== DEFAULT_TASK_FILTERS[key]) params.set(key, filters[key]);
+  });
+  BOOLEAN_KEYS.forEach(key => {
+    if (filters[key]) params.set(key, 'true');
+  });
+  if (filters.page > 1) params.set('page', String(filters.page));
+  // Commas are valid in a query string and keep shared links readable
+  return params.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * Builds the GET /api/tasks query for the filters. Lists become comma-separated values, and the
+ * inclusive day ranges become the server's windows, which exclude their end.
+ * Creation days are local days, so they are sent as local midnight.
+ * @param {object} filters - Task filters
+ * @returns {object}
+ */
+export function toTaskQuery(filters) {
+  const localMidnight = (dayKey) => new Date(`${dayKey}T00:00:00`).toISOString();
+  const query = {
+    ...filters,
+    status: (filters.status || []).join(','),
+    priority: (filters.priority || []).join(','),
+    tags: (filters.tags || []).join(','),
+    tagMode: filters.tags?.length > 0 ? filters.tagMode : '',
+    assignedTo: filters.team ? filters.assignedTo : '',
+    dueTo: filters.dueTo ? shiftDayKey(filters.dueTo, 1) : '',
+    createdFrom: filters.createdFrom ? localMidnight(filters.createdFrom) : '',
+    createdTo: filters.createdTo ? localMidnight(shiftDayKey(filters.createdTo, 1)) : ''
+  };
+  // Tasks without a due date have no due range
+  if (filters.noDueDate) {
+    query.dueFrom = '';
+    query.dueTo = '';
+  }
+  return query;
+}
+
+/**
+ * Returns the part of the filters a saved view stores.
+ * @param {object} filters - Task filters
+ * @returns {object}
+ */
+export function getViewFilters(filters) {
+  return VIEW_FILTER_KEYS.reduce((acc, key) => {
+    acc[key] = filters[key] ?? DEFAULT_TASK_FILTERS[key];
+    return acc;
+  }, {});
+}
+
+/**
+ * Returns the filters a saved view applies, as complete task filters on the first page.
+ * @param {object} view - A saved view from the API
+ * @returns {object}
+ */
+export function getFiltersFromView(view) {
+  const saved = view.filters || {};
+  return {
+    ...DEFAULT_TASK_FILTERS,
+    ...getViewFilters({ ...DEFAULT_TASK_FILTERS, ...saved }),
+    team: saved.team?._id || saved.team || ''
+  };
+}
+
+/**
+ * Whether two sets of filters show the same tasks in the same order (paging aside).
+ * @param {object} a - Task filters
+ * @param {object} b - Task filters
+ * @returns {boolean}
+ */
+export function isSameFilters(a, b) {
+  return toFilterSearch({ ...a, page: 1 }) === toFilterSearch({ ...b, page: 1 });
+}
+
+/**
+ * Counts the filters that narrow the list (sorting and the team scope are not counted).
+ * @param {object} filters - Task filters
+ * @returns {number}
+ */
+export function countActiveFilters(filters) {
+  return LIST_KEYS.filter(key => filters[key]?.length > 0).length +
+    BOOLEAN_KEYS.filter(key => filters[key]).length +
+    ['assignedTo', 'search'].filter(key => filters[key]).length +
+    (filters.dueFrom || filters.dueTo ? 1 : 0) +
+    (filters.createdFrom || filters.createdTo ? 1 : 0);
+}
@@ -0,0 +1,126 @@
+// Utility functions for the task search box: autocomplete for the search query language
+// (e.g. `tag:frontend priority:high due:<7d assignee:@me is:overdue "exact phrase"`), parsed by the server
+
+export const SEARCH_KEYS = [
+  { key: 'tag', hint: 'Has a tag' },
+  { key: 'priority', hint: 'low, medium, high' },
+  { key: 'status', hint: 'todo, in-progress, completed, open' },
+  { key: 'due', hint: 'Due date, e.g. <7d, today, 2026-12-31, none' },
+  { key: 'created', hint: 'Created, e.g. <7d (less than 7 days ago)' },
+  { key: 'assignee', hint: '@me, none, or a member\'s email' },
+  { key: 'is', hint: 'overdue, open, done, unassigned, subtask' }
+];
+
+const FIXED_VALUES = {
+  priority: ['low', 'medium', 'high'],
+  status: ['todo', 'in-progress', 'completed', 'open'],
+  due: ['today', 'tomorrow', '<7d', '<30d', '>30d', 'overdue', 'none'],
+  created: ['today', 'yesterday', '<7d', '<30d', '>30d'],
+  is: ['overdue', 'open', 'done', 'unassigned', 'subtask']
+};
+// Keys whose values can be listed with commas
+const LIST_KEYS = ['tag', 'priority', 'status'];
+const MAX_SUGGESTIONS = 8;
+const KEY_TERM_PATTERN = new RegExp(`(^|\\s)(${SEARCH_KEYS.map(({ key }) => key).join('|')}):("[^"]*"?|\\S*)`, 'gi');
+
+/**
+ * Returns the word the caret is in: its start and end in the query, and its text.
+ * @param {string} query - The search box text
+ * @param {number} caret - The caret position
+ * @returns {{ start: number, end: number, text: string }}
+ */
+export function getTokenAt(query, caret) {
+  const start = query.lastIndexOf(' ', caret - 1) + 1;
+  const nextSpace = query.indexOf(' ', caret);
+  const end = nextSpace === -1 ? query.length : nextSpace;
+  return { start, end, text: query.slice(start, end) };
+}
+
+/**
+ * Autocomplete suggestions for the word at the caret: search keys while typing a key,
+ * and values once the key is complete. Tags and members come from the current task list's scope.
+ * @param {string} query - The search box text
+ * @param {number} caret - The caret position
+ * @param {object} sources - { tags: string[], members: [{ name, email }] }
+ * @returns {Array<{ label: string, hint: string, replacement: string, complete: boolean }>}
+ *   `replacement` replaces the word; `complete` is true when it finishes a key:value pair
+ */
+export function getSearchSuggestions(query, caret, { tags = [], members = [] } = {}) {
+  const { text } = getTokenAt(query, caret);
+  if (text.startsWith('"')) return [];
+
+  const colon = text.indexOf(':');
+  if (colon === -1) {
+    const partial = text.toLowerCase();
+    if (!partial) return [];
+    return SEARCH_KEYS
+      .filter(({ key }) => key.startsWith(partial) && key !== partial)
+      .map(({ key, hint }) => ({ label: `${key}:`, hint, replacement: `${key}:`, complete: false }));
+  }
+
+  const key = text.slice(0, colon).toLowerCase();
+  if (!SEARCH_KEYS.some(item => item.key === key)) return [];
+  const value = text.slice(colon + 1);
+  // For lists, only the part after the last comma is being typed
+  const listStart = LIST_KEYS.includes(key) ? value.lastIndexOf(',') + 1 : 0;
+  const done = value.slice(0, listStart);
+  const partial = value.slice(listStart).replace(/^@/, '').toLowerCase();
+
+  let options;
+  if (key === 'tag') {
+    options = tags.map(tag => ({ value: tag, hint: 'Tag' }));
+  } else if (key === 'assignee') {
+    options = [
+      { value: '@me', hint: 'Assigned to you' },
+      { value: 'none', hint: 'Unassigned' },
+      ...members.filter(member => member.email).map(member => ({ value: member.email, hint: member.name || '' }))
+    ];
+  } else {
+    options = FIXED_VALUES[key].map(option => ({ value: option, hint: '' }));
+  }
+
+  const alreadyListed = done.toLowerCase().split(',');
+  return options
+    .filter(option => {
+      const candidate = option.value.replace(/^@/, '').toLowerCase();
+      return candidate.startsWith(partial) && !alreadyListed.includes(option.value.toLowerCase());
+    })
+    .slice(0, MAX_SUGGESTIONS)
+    .map(option => {
+      // Values with spaces need quotes
+      const formatted = /\s/.test(option.value) ? `"${option.value}"` : option.value;
+      return {
+        label: `${key}:${done}${formatted}`,
+        hint: option.hint,
+        replacement: `${key}:${done}${formatted}`,
+        complete: true
+      };
+    });
+}
+
+/**
+ * Replaces the word at the caret with a suggestion.
+ * @param {string} query - The search box text
+ * @param {number} caret - The caret position
+ * @param {object} suggestion - A suggestion from getSearchSuggestions
+ * @returns {{ query: string, caret: number }} The new text and caret position
+ */
+export function applySearchSuggestion(query, caret, suggestion) {
+  const { start, end } = getTokenAt(query, caret);
+  const rest = query.slice(end);
+  // A finished key:value pair is followed by a space, ready for the next term
+  const separator = suggestion.complete && !rest.startsWith(' ') ? ' ' : '';
+  const before = query.slice(0, start) + suggestion.replacement + separator;
+  return { query: before + rest, caret: before.length + (suggestion.complete && rest.startsWith(' ') ? 1 : 0) };
+}
+
+/**
+ * Whether a query has free text besides key:value terms (so results can be ranked by relevance).
+ * @param {string} query - The search text
+ * @returns {boolean}
+ */
+export function hasFreeText(query) {
+  return (query || '')
+    .replace(KEY_TERM_PATTERN, ' ')
+    .trim().length > 0;
+}
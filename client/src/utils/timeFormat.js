@@ -0,0 +1,53 @@
+// Utility functions for displaying tracked time
+
+/**
+ * Formats a duration as hours and minutes, e.g. "2h 05m" or "45m".
+ * @param {number} seconds - The duration in seconds.
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  const totalMinutes = Math.floor((seconds || 0) / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `${minutes}m`;
+  return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+}
+
+/**
+ * Formats a duration as decimal hours for charts and timesheets, e.g. 1.5.
+ * @param {number} seconds - The duration in seconds.
+ * @returns {number}
+ */
+export function toHours(seconds) {
+  return Math.round(((seconds || 0) / 3600) * 100) / 100;
+}
+
+/**
+ * Returns the seconds elapsed on a running timer entry.
+ * @param {Object} entry - The running time entry (with startedAt).
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {number}
+ */
+export function getElapsedSeconds(entry, now = Date.now()) {
+  if (!entry?.startedAt) return 0;
+  return Math.max(0, Math.floor((now - new Date(entry.startedAt).getTime()) / 1000));
+}
+
+/**
+ * Turns timesheet rows grouped by day into one { date, count } value per day (count in hours),
+ * covering the last `days` days including today. Days without tracked time get a count of 0.
+ * @param {Array} rows - Timesheet rows ({ key: 'YYYY-MM-DD', totalSeconds }).
+ * @param {number} days - How many days to cover.
+ * @returns {Array}
+ */
+export function toCalendarData(rows = [], days = 90) {
+  const secondsByDay = new Map(rows.map(row => [row.key, row.totalSeconds]));
+  const result = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const day = new Date();
+    day.setDate(day.getDate() - i);
+    const date = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+    result.push({ date, count: toHours(secondsByDay.get(date)) });
+  }
+  return result;
+}
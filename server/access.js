@@ -0,0 +1,51 @@
+/*
+  access.js
+  Shared access checks for the TaskTracker+ controllers.
+  - Loads a team the user belongs to, optionally requiring an admin/owner role.
+  - Loads a task the user may see: team tasks need team membership, personal tasks need the assignee or creator.
+  Each loader returns the loaded documents, or { error: { status, message } } for the controller to send.
+*/
+const mongoose = require('mongoose');
+const Task = require('./models/Task');
+const Team = require('./models/Team');
+
+// Load a team and check the user is a member. With `adminAction` (e.g. 'manage sprints'), the user must
+// also be an admin/owner, and the action names what they were refused. Malformed ids count as not found.
+async function loadTeamForUser(teamId, userId, adminAction = null) {
+  const team = mongoose.Types.ObjectId.isValid(teamId) ? await Team.findById(teamId) : null;
+  if (!team) {
+    return { error: { status: 404, message: 'Team not found' } };
+  }
+  if (!team.isUserMember(userId)) {
+    return { error: { status: 403, message: 'You are not a member of this team' } };
+  }
+  if (adminAction && !team.isUserAdmin(userId)) {
+    return { error: { status: 403, message: `Only team admins can ${adminAction}` } };
+  }
+  return { team };
+}
+
+// Load a task and check the user can see it (team member, or assignee/creator of a personal task)
+async function loadTaskForUser(taskId, userId) {
+  const task = await Task.findById(taskId);
+  if (!task) {
+    return { error: { status: 404, message: 'Task not found' } };
+  }
+  if (task.team) {
+    const team = await Team.findById(task.team);
+    if (!team || !team.isUserMember(userId)) {
+      return { error: { status: 403, message: 'You are not a member of this team' } };
+    }
+    return { task, team };
+  }
+  const isOwner = [task.assignedTo, task.createdBy].some(id => id && id.toString() === userId.toString());
+  if (!isOwner) {
+    return { error: { status: 403, message: 'Not authorized to view this task' } };
+  }
+  return { task, team: null };
+}
+
+module.exports = {
+  loadTeamForUser,
+  loadTaskForUser
+};
@@ -0,0 +1,99 @@
+/*
+  activityController.js
+  Express controller for the task activity log in TaskTracker+ backend.
+  - Serves paginated audit trail entries per task, per team, and for the current user.
+  - Entries are written by taskController; this controller only reads them.
+*/
+const Task = require('../models/Task');
+const Team = require('../models/Team');
+const ActivityLog = require('../models/ActivityLog');
+
+// @desc    Get the activity log for a task
+// @route   GET /api/tasks/:id/activity
+// @access  Private (Team member or task owner)
+const getTaskActivity = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (task.team) {
+      const team = await Team.findById(task.team);
+      if (!team || !team.isUserMember(userId)) {
+        return res.status(403).json({ message: 'You are not a member of this team' });
+      }
+    } else if (![task.assignedTo, task.createdBy].some(id => id && id.toString() === userId.toString())) {
+      return res.status(403).json({ message: 'Not authorized to view this task' });
+    }
+
+    res.json(await getActivityPage({ task: task._id }, req.query));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching task activity', error: error.message });
+  }
+};
+
+// @desc    Get the activity log for all tasks of a team
+// @route   GET /api/tasks/team/:teamId/activity
+// @access  Private (Team member)
+const getTeamActivity = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const team = await Team.findById(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    if (!team.isUserMember(userId)) {
+      return res.status(403).json({ message: 'You are not a member of this team' });
+    }
+
+    res.json(await getActivityPage({ team: team._id }, req.query));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching team activity', error: error.message });
+  }
+};
+
+// @desc    Get the current user's own task activity
+// @route   GET /api/tasks/activity/me
+// @access  Private
+const getMyActivity = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    res.json(await getActivityPage({ actor: userId }, req.query));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching activity', error: error.message });
+  }
+};
+
+// Utility: Load one page of activity entries (newest first) with pagination info
+async function getActivityPage(filter, { page = 1, limit = 20 }) {
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+  const lim = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [activities, totalActivities] = await Promise.all([
+    ActivityLog.find(filter)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((currentPage - 1) * lim)
+      .limit(lim),
+    ActivityLog.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.ceil(totalActivities / lim);
+  return {
+    activities,
+    pagination: {
+      currentPage,
+      totalPages,
+      totalActivities,
+      hasNext: currentPage < totalPages,
+      hasPrev: currentPage > 1
+    }
+  };
+}
+
+module.exports = {
+  getTaskActivity,
+  getTeamActivity,
+  getMyActivity
+};
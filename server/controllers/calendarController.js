@@ -0,0 +1,175 @@
+/*
+  calendarController.js
+  Express controller for calendar (.ics) feeds in TaskTracker+ backend.
+  - Serves read-only feeds of a user's or a team's tasks with due dates, addressed by a secret token.
+  - Lists the current user's feed URLs and regenerates feed tokens (team feeds: admins/owners only).
+*/
+const crypto = require('crypto');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { buildCalendar } = require('../ics');
+
+// Most tasks a single feed returns (the latest due dates win)
+const MAX_FEED_TASKS = 1000;
+// How long calendar apps may cache a feed, in seconds
+const FEED_MAX_AGE = 300;
+
+// @desc    Get a user's calendar feed
+// @route   GET /api/calendar/users/:token.ics
+// @access  Public (feed token)
+const getUserFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token, isDeleted: { $ne: true } });
+    if (!user) return res.status(404).json({ message: 'Calendar feed not found' });
+
+    // Team tasks only while the user is still on the team
+    const teamIds = await Team.find({ 'members.userId': user._id, isActive: true }).distinct('_id');
+    const tasks = await Task.find({
+      assignedTo: user._id,
+      isArchived: { $ne: true },
+      dueDate: { $ne: null },
+      $or: [
+        { team: null },
+        { team: { $exists: false } },
+        { team: { $in: teamIds } }
+      ]
+    })
+      .sort({ dueDate: -1 })
+      .limit(MAX_FEED_TASKS)
+      .lean();
+
+    sendCalendar(res, buildCalendar(tasks, {
+      name: `TaskTracker+ · ${user.name}`,
+      getUrl: task => `${getClientUrl()}/${task.team ? 'teams' : 'tasks'}`,
+      component: req.query.component
+    }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error building calendar feed', error: error.message });
+  }
+};
+
+// @desc    Get a team's calendar feed
+// @route   GET /api/calendar/teams/:token.ics
+// @access  Public (feed token)
+const getTeamFeed = async (req, res) => {
+  try {
+    const team = await Team.findOne({ calendarToken: req.params.token, isActive: true });
+    if (!team) return res.status(404).json({ message: 'Calendar feed not found' });
+
+    const tasks = await Task.find({ team: team._id, isArchived: { $ne: true }, dueDate: { $ne: null } })
+      .sort({ dueDate: -1 })
+      .limit(MAX_FEED_TASKS)
+      .lean();
+
+    sendCalendar(res, buildCalendar(tasks, {
+      name: `TaskTracker+ · ${team.name}`,
+      getUrl: () => `${getClientUrl()}/teams`,
+      component: req.query.component
+    }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error building calendar feed', error: error.message });
+  }
+};
+
+// @desc    Get the current user's feed URLs (personal and one per team), creating missing tokens
+// @route   GET /api/calendar/feeds
+// @access  Private
+const getCalendarFeeds = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const userToken = await ensureCalendarToken(User, userId);
+    const teams = await Team.find({ 'members.userId': userId, isActive: true }).sort({ name: 1 });
+    const teamFeeds = await Promise.all(teams.map(async team => ({
+      teamId: team._id,
+      name: team.name,
+      url: getFeedUrl(req, 'teams', await ensureCalendarToken(Team, team._id)),
+      canRegenerate: team.isUserAdmin(userId)
+    })));
+
+    res.json({ user: { url: getFeedUrl(req, 'users', userToken) }, teams: teamFeeds });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching calendar feeds', error: error.message });
+  }
+};
+
+// @desc    Replace the current user's feed token (the old feed URL stops working)
+// @route   POST /api/calendar/feeds/user/regenerate
+// @access  Private
+const regenerateUserFeed = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const user = await User.findByIdAndUpdate(userId, { $set: { calendarToken: createCalendarToken() } }, { new: true })
+      .select('+calendarToken');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json({ message: 'Calendar feed URL regenerated', url: getFeedUrl(req, 'users', user.calendarToken) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error regenerating calendar feed', error: error.message });
+  }
+};
+
+// @desc    Replace a team's feed token (the old feed URL stops working)
+// @route   POST /api/calendar/feeds/teams/:teamId/regenerate
+// @access  Private (Team admin/owner)
+const regenerateTeamFeed = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const team = await Team.findById(req.params.teamId);
+    if (!team || !team.isActive) return res.status(404).json({ message: 'Team not found' });
+    if (!team.isUserAdmin(userId)) {
+      return res.status(403).json({ message: 'Only team admins can regenerate the team calendar feed' });
+    }
+
+    const calendarToken = createCalendarToken();
+    await Team.updateOne({ _id: team._id }, { $set: { calendarToken } });
+    res.json({ message: 'Team calendar feed URL regenerated', url: getFeedUrl(req, 'teams', calendarToken) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error regenerating calendar feed', error: error.message });
+  }
+};
+
+// Utility: new unguessable feed token
+function createCalendarToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Utility: the user's or team's feed token, created on first use
+async function ensureCalendarToken(Model, id) {
+  const created = await Model.findOneAndUpdate(
+    { _id: id, calendarToken: { $exists: false } },
+    { $set: { calendarToken: createCalendarToken() } },
+    { new: true }
+  ).select('+calendarToken');
+  if (created) return created.calendarToken;
+  const existing = await Model.findById(id).select('+calendarToken');
+  return existing?.calendarToken;
+}
+
+// Utility: absolute feed URL; calendar apps fetch it directly, so it cannot be relative
+function getFeedUrl(req, kind, token) {
+  const apiUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}/api`;
+  return `${apiUrl}/calendar/${kind}/${token}.ics`;
+}
+
+function getClientUrl() {
+  return process.env.CLIENT_URL || 'http://localhost:5173';
+}
+
+// Utility: send an .ics document
+function sendCalendar(res, calendar) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="tasks.ics"',
+    'Cache-Control': `private, max-age=${FEED_MAX_AGE}`
+  });
+  res.send(calendar);
+}
+
+module.exports = {
+  getUserFeed,
+  getTeamFeed,
+  getCalendarFeeds,
+  regenerateUserFeed,
+  regenerateTeamFeed
+};
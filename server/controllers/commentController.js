@@ -0,0 +1,192 @@
+/*
+  commentController.js
+  Express controller for task comments in TaskTracker+ backend.
+  - Handles listing, creating, editing, and deleting comments on a task.
+  - Restricts access to team members (team tasks) or the assignee/creator (personal tasks).
+  - Resolves @name mentions to team members and notifies them.
+*/
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const { loadTaskForUser } = require('../access');
+
+// @desc    Get comments for a task
+// @route   GET /api/tasks/:id/comments
+// @access  Private (Team member or task owner)
+const getComments = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { task, error } = await loadTaskForUser(req.params.id, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const comments = await Comment.find({ task: task._id })
+      .populate('author', 'name email')
+      .populate('mentions', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json(comments);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching comments', error: error.message });
+  }
+};
+
+// @desc    Add a comment to a task
+// @route   POST /api/tasks/:id/comments
+// @access  Private (Team member or task owner)
+const createComment = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { body } = req.body;
+    if (!body || body.trim().length === 0) {
+      return res.status(400).json({ message: 'Comment text is required' });
+    }
+
+    const { task, team, error } = await loadTaskForUser(req.params.id, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const participants = await getTaskParticipants(task, team);
+    const mentions = resolveMentions(body, participants);
+
+    const comment = new Comment({
+      task: task._id,
+      author: userId,
+      body: body.trim(),
+      mentions
+    });
+    await comment.save();
+
+    await Notification.notifyUsers(mentions, {
+      type: 'mention',
+      message: `${req.user.name || 'Someone'} mentioned you on "${task.title}"`,
+      actor: userId,
+      task: task._id,
+      team: task.team
+    });
+
+    await comment.populate('author', 'name email');
+    await comment.populate('mentions', 'name email');
+    res.status(201).json(comment);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error creating comment', error: error.message });
+  }
+};
+
+// @desc    Edit a comment
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @access  Private (Comment author)
+const updateComment = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { body } = req.body;
+    if (!body || body.trim().length === 0) {
+      return res.status(400).json({ message: 'Comment text is required' });
+    }
+
+    const { task, team, error } = await loadTaskForUser(req.params.id, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    if (comment.author.toString() !== userId.toString()) {
+      return res.status(403).json({ message: 'You can only edit your own comments' });
+    }
+
+    // Only users newly mentioned by the edit get a notification
+    const participants = await getTaskParticipants(task, team);
+    const mentions = resolveMentions(body, participants);
+    const previous = new Set(comment.mentions.map(id => id.toString()));
+    const added = mentions.filter(id => !previous.has(id.toString()));
+
+    comment.body = body.trim();
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await Notification.notifyUsers(added, {
+      type: 'mention',
+      message: `${req.user.name || 'Someone'} mentioned you on "${task.title}"`,
+      actor: userId,
+      task: task._id,
+      team: task.team
+    });
+
+    await comment.populate('author', 'name email');
+    await comment.populate('mentions', 'name email');
+    res.json(comment);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error updating comment', error: error.message });
+  }
+};
+
+// @desc    Delete a comment
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @access  Private (Comment author or team admin/owner)
+const deleteComment = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { task, team, error } = await loadTaskForUser(req.params.id, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    const isAuthor = comment.author.toString() === userId.toString();
+    if (!isAuthor && !(team && team.isUserAdmin(userId))) {
+      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    }
+
+    await Comment.deleteOne({ _id: comment._id });
+    res.json({ message: 'Comment deleted successfully', commentId: comment._id });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting comment', error: error.message });
+  }
+};
+
+// Utility: Users who can be mentioned on a task (team members, or assignee and creator)
+async function getTaskParticipants(task, team) {
+  const ids = team
+    ? team.members.map(member => member.userId._id || member.userId)
+    : [task.assignedTo, task.createdBy].filter(Boolean);
+  return User.find({ _id: { $in: ids }, isDeleted: { $ne: true } }, 'name email');
+}
+
+// Utility: Resolve @name mentions in a comment body to user IDs.
+// Matches a participant's full name or the local part of their email, longest names first.
+function resolveMentions(body, participants) {
+  let text = body.toLowerCase();
+  const handles = participants
+    .flatMap(user => [user.name, user.email && user.email.split('@')[0]]
+      .filter(Boolean)
+      .map(handle => ({ handle: handle.toLowerCase(), userId: user._id })))
+    .sort((a, b) => b.handle.length - a.handle.length);
+
+  const mentioned = new Set();
+  handles.forEach(({ handle, userId }) => {
+    const escaped = handle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(^|\\s)@${escaped}(?=$|[\\s,;:!?)]|\\.(\\s|$))`, 'g');
+    if (pattern.test(text)) {
+      mentioned.add(userId.toString());
+      // Blank out the match so "@John Smith" doesn't also mention "John"
+      text = text.replace(pattern, '$1');
+    }
+  });
+  return [...mentioned];
+}
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+};
@@ -0,0 +1,93 @@
+/*
+  notificationController.js
+  Express controller for in-app notifications in TaskTracker+ backend.
+  - Lists the current user's notifications with an unread count.
+  - Marks one or all notifications as read.
+*/
+const Notification = require('../models/Notification');
+
+// @desc    Get the current user's notifications (newest first)
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const filter = { recipient: userId };
+    if (unread === 'true') filter.isRead = false;
+
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const lim = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [notifications, totalNotifications, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('actor', 'name email')
+        .populate('task', 'title')
+        .populate('team', 'name')
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * lim)
+        .limit(lim),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ recipient: userId, isRead: false })
+    ]);
+
+    const totalPages = Math.ceil(totalNotifications / lim);
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage,
+        totalPages,
+        totalNotifications,
+        hasNext: currentPage < totalPages,
+        hasPrev: currentPage > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching notifications', error: error.message });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private (Recipient)
+const markNotificationRead = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: userId });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    res.json(notification);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating notification', error: error.message });
+  }
+};
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const result = await Notification.updateMany(
+      { recipient: userId, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating notifications', error: error.message });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
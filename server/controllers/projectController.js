@@ -0,0 +1,202 @@
+/*
+  projectController.js
+  Express controller for team projects (milestones) in TaskTracker+ backend.
+  - Creates, updates, deletes, and lists a team's projects (admins/owners manage, members read).
+  - Reports each project's progress and a forecast completion date from its recent pace.
+*/
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { emitToTeam } = require('../socket');
+const { loadTeamForUser } = require('../access');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Completions in this window set the pace used for forecasts
+const FORECAST_WINDOW_DAYS = 28;
+const PROJECT_FIELDS = ['name', 'description', 'targetDate', 'status', 'color'];
+
+// @desc    Get a team's projects with progress and forecasts
+// @route   GET /api/teams/:id/projects
+// @access  Private (Team member)
+const getProjects = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, error } = await loadTeamForUser(req.params.id, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const projects = await Project.find({ team: team._id })
+      .populate('createdBy', 'name email')
+      .sort({ status: 1, targetDate: 1, createdAt: -1 })
+      .lean();
+
+    res.json({ projects: await withProgress(team._id, projects) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching projects', error: error.message });
+  }
+};
+
+// @desc    Get a single project with progress and forecast
+// @route   GET /api/teams/:id/projects/:projectId
+// @access  Private (Team member)
+const getProject = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, project, error } = await loadProjectForUser(req.params.id, req.params.projectId, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    await project.populate('createdBy', 'name email');
+    const [projectWithProgress] = await withProgress(team._id, [project.toObject()]);
+    res.json(projectWithProgress);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching project', error: error.message });
+  }
+};
+
+// @desc    Create a project
+// @route   POST /api/teams/:id/projects
+// @access  Private (Team admin/owner)
+const createProject = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, error } = await loadTeamForUser(req.params.id, userId, 'manage projects');
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const project = new Project({ team: team._id, createdBy: userId });
+    applyProjectFields(project, req.body);
+    await project.save();
+    emitToTeam(team._id, 'project:changed', { team: team._id, project: project._id });
+
+    const [projectWithProgress] = await withProgress(team._id, [project.toObject()]);
+    res.status(201).json(projectWithProgress);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error creating project', error: error.message });
+  }
+};
+
+// @desc    Update a project
+// @route   PUT /api/teams/:id/projects/:projectId
+// @access  Private (Team admin/owner)
+const updateProject = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, project, error } = await loadProjectForUser(req.params.id, req.params.projectId, userId, true);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    applyProjectFields(project, req.body);
+    await project.save();
+    emitToTeam(team._id, 'project:changed', { team: team._id, project: project._id });
+
+    const [projectWithProgress] = await withProgress(team._id, [project.toObject()]);
+    res.json(projectWithProgress);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error updating project', error: error.message });
+  }
+};
+
+// @desc    Delete a project; its tasks stay in the team without a project
+// @route   DELETE /api/teams/:id/projects/:projectId
+// @access  Private (Team admin/owner)
+const deleteProject = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, project, error } = await loadProjectForUser(req.params.id, req.params.projectId, userId, true);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    await Task.updateMany({ project: project._id }, { $set: { project: null } }, { includeDeleted: true });
+    await project.deleteOne();
+    emitToTeam(team._id, 'project:changed', { team: team._id, project: project._id });
+
+    res.json({ message: 'Project deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting project', error: error.message });
+  }
+};
+
+// Utility: Load a team's project for a user (see loadTeamForUser)
+async function loadProjectForUser(teamId, projectId, userId, adminOnly = false) {
+  const { team, error } = await loadTeamForUser(teamId, userId, adminOnly ? 'manage projects' : null);
+  if (error) return { error };
+  const project = mongoose.Types.ObjectId.isValid(projectId)
+    ? await Project.findOne({ _id: projectId, team: team._id })
+    : null;
+  if (!project) {
+    return { error: { status: 404, message: 'Project not found' } };
+  }
+  return { team, project };
+}
+
+// Utility: Copy the editable fields present in a request body; an empty target date clears it
+function applyProjectFields(project, body) {
+  PROJECT_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    project[field] = field === 'targetDate' ? (body.targetDate || null) : body[field];
+  });
+}
+
+// Utility: Attach progress and forecast figures to projects.
+// Progress is the share of completed tasks (and of estimated effort when tasks are estimated).
+// The forecast extends the last FORECAST_WINDOW_DAYS' completion pace over the remaining tasks;
+// it is null when nothing was completed recently.
+async function withProgress(teamId, projects) {
+  if (projects.length === 0) return [];
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FORECAST_WINDOW_DAYS * DAY_MS);
+  const stats = await Task.aggregate([
+    { $match: { team: new mongoose.Types.ObjectId(teamId.toString()), project: { $in: projects.map(p => p._id) }, isArchived: { $ne: true } } },
+    { $group: {
+      _id: '$project',
+      totalTasks: { $sum: 1 },
+      completedTasks: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+      recentlyCompleted: { $sum: { $cond: [{ $and: [{ $eq: ['$status', 'completed'] }, { $gte: ['$completedAt', windowStart] }] }, 1, 0] } },
+      lastCompletedAt: { $max: { $cond: [{ $eq: ['$status', 'completed'] }, '$completedAt', null] } },
+      totalEffort: { $sum: { $ifNull: ['$estimate', 0] } },
+      completedEffort: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, { $ifNull: ['$estimate', 0] }, 0] } }
+    } }
+  ]);
+  const statsByProject = new Map(stats.map(s => [s._id.toString(), s]));
+
+  return projects.map(project => {
+    const s = statsByProject.get(project._id.toString()) || {
+      totalTasks: 0, completedTasks: 0, recentlyCompleted: 0, lastCompletedAt: null, totalEffort: 0, completedEffort: 0
+    };
+    const remainingTasks = s.totalTasks - s.completedTasks;
+    const tasksPerDay = s.recentlyCompleted / FORECAST_WINDOW_DAYS;
+    let forecastDate = null;
+    if (s.totalTasks > 0 && remainingTasks === 0) {
+      forecastDate = s.lastCompletedAt;
+    } else if (tasksPerDay > 0) {
+      forecastDate = new Date(now.getTime() + Math.ceil(remainingTasks / tasksPerDay) * DAY_MS);
+    }
+    return {
+      ...project,
+      progress: {
+        totalTasks: s.totalTasks,
+        completedTasks: s.completedTasks,
+        remainingTasks,
+        percent: s.totalTasks > 0 ? Math.round((s.completedTasks / s.totalTasks) * 100) : 0,
+        effortPercent: s.totalEffort > 0 ? Math.round((s.completedEffort / s.totalEffort) * 100) : null
+      },
+      forecast: {
+        date: forecastDate,
+        tasksPerWeek: Math.round(tasksPerDay * 7 * 10) / 10,
+        onTrack: project.targetDate && forecastDate ? new Date(forecastDate) <= new Date(project.targetDate) : null
+      }
+    };
+  });
+}
+
+module.exports = {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject
+};
@@ -0,0 +1,214 @@
+/*
+  savedViewController.js
+  Express controller for saved task views in TaskTracker+ backend.
+  - Lists the user's personal views and the views shared with their teams.
+  - Creates, updates, and deletes views; shared views are managed by their creator and team admins/owners.
+  - Pins and unpins a view in the user's sidebar.
+*/
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const SavedView = require('../models/SavedView');
+const { emitToTeam } = require('../socket');
+const { loadTeamForUser } = require('../access');
+
+const VIEW_FILTER_FIELDS = [
+  'team', 'status', 'priority', 'tags', 'tagMode', 'assignedTo', 'dueFrom', 'dueTo',
+  'createdFrom', 'createdTo', 'noDueDate', 'overdue', 'search', 'sortBy', 'sortOrder'
+];
+const DAY_KEY_FIELDS = ['dueFrom', 'dueTo', 'createdFrom', 'createdTo'];
+
+// @desc    Get the user's personal views and the views shared with their teams
+// @route   GET /api/views
+// @access  Private
+const getViews = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const user = await User.findById(userId, 'teams');
+    const teamIds = user && user.teams ? user.teams : [];
+
+    const [views, teams] = await Promise.all([
+      SavedView.find({
+        $or: [
+          { createdBy: userId, team: null },
+          { team: { $in: teamIds } }
+        ]
+      })
+        .populate('createdBy', 'name email')
+        .populate('team', 'name')
+        .sort({ name: 1 }),
+      Team.find({ _id: { $in: teamIds } }, 'members')
+    ]);
+    const adminTeamIds = teams.filter(team => team.isUserAdmin(userId)).map(team => team._id.toString());
+
+    res.json({ views: views.map(view => toViewResponse(view, userId, adminTeamIds)) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching views', error: error.message });
+  }
+};
+
+// @desc    Save a personal view, or a team view when `team` is set
+// @route   POST /api/views
+// @access  Private (Team member for team views)
+const createView = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    let team = null;
+    if (req.body.team) {
+      const result = await loadTeamForUser(req.body.team, userId);
+      if (result.error) return res.status(result.error.status).json({ message: result.error.message });
+      team = result.team;
+    }
+
+    // Saving a view pins it for its creator
+    const view = new SavedView({ team: team?._id || null, createdBy: userId, pinnedBy: [userId] });
+    const fieldError = await applyViewFields(view, req.body, userId);
+    if (fieldError) return res.status(400).json({ message: fieldError });
+    await view.save();
+    if (team) emitToTeam(team._id, 'view:changed', { team: team._id, view: view._id });
+
+    await view.populate('createdBy', 'name email');
+    await view.populate('team', 'name');
+    res.status(201).json(toViewResponse(view, userId, team ? [team._id.toString()] : []));
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error saving view', error: error.message });
+  }
+};
+
+// @desc    Rename a view or replace its filters
+// @route   PUT /api/views/:id
+// @access  Private (Owner, or team admin/owner)
+const updateView = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { view, team, error } = await loadViewForUser(req.params.id, userId, true);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const fieldError = await applyViewFields(view, req.body, userId);
+    if (fieldError) return res.status(400).json({ message: fieldError });
+    await view.save();
+    if (team) emitToTeam(team._id, 'view:changed', { team: team._id, view: view._id });
+
+    await view.populate('createdBy', 'name email');
+    await view.populate('team', 'name');
+    res.json(toViewResponse(view, userId, team ? [team._id.toString()] : []));
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error updating view', error: error.message });
+  }
+};
+
+// @desc    Delete a view
+// @route   DELETE /api/views/:id
+// @access  Private (Owner, or team admin/owner)
+const deleteView = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { view, team, error } = await loadViewForUser(req.params.id, userId, true);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    await view.deleteOne();
+    if (team) emitToTeam(team._id, 'view:changed', { team: team._id, view: view._id });
+    res.json({ message: 'View deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting view', error: error.message });
+  }
+};
+
+// @desc    Pin a view to the user's sidebar, or unpin it with { pinned: false }
+// @route   PUT /api/views/:id/pin
+// @access  Private (Owner, or team member)
+const pinView = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { view, error } = await loadViewForUser(req.params.id, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const pinned = req.body.pinned !== false;
+    await SavedView.updateOne(
+      { _id: view._id },
+      pinned ? { $addToSet: { pinnedBy: userId } } : { $pull: { pinnedBy: userId } }
+    );
+    res.json({ viewId: view._id, isPinned: pinned });
+  } catch (error) {
+    res.status(500).json({ message: 'Error pinning view', error: error.message });
+  }
+};
+
+// Utility: load a view the user can see (or manage, with `manage`).
+// Returns { view, team } or { error: { status, message } }.
+async function loadViewForUser(viewId, userId, manage = false) {
+  if (!mongoose.Types.ObjectId.isValid(viewId)) {
+    return { error: { status: 400, message: 'Invalid view id' } };
+  }
+  const view = await SavedView.findById(viewId);
+  const isCreator = view && view.createdBy.toString() === userId.toString();
+  if (!view || (!view.team && !isCreator)) {
+    return { error: { status: 404, message: 'View not found' } };
+  }
+  if (!view.team) return { view, team: null };
+
+  const { team, error } = await loadTeamForUser(view.team, userId);
+  if (error) return { error };
+  if (manage && !isCreator && !team.isUserAdmin(userId)) {
+    return { error: { status: 403, message: 'Only the view creator or team admins can change this view' } };
+  }
+  return { view, team };
+}
+
+// Utility: copy the name and the known filters from a request body onto a view.
+// A view may only list tasks of a team the user belongs to; a shared view only its own team's tasks.
+// Returns an error message, or null.
+async function applyViewFields(view, body, userId) {
+  if (body.name !== undefined) view.name = body.name;
+  if (body.filters === undefined) return null;
+  if (!body.filters || typeof body.filters !== 'object' || Array.isArray(body.filters)) {
+    return 'View filters must be an object';
+  }
+
+  const filters = VIEW_FILTER_FIELDS.reduce((acc, field) => {
+    if (body.filters[field] !== undefined) acc[field] = body.filters[field];
+    return acc;
+  }, {});
+  const badDay = DAY_KEY_FIELDS.find(field => filters[field] && !/^\d{4}-\d{2}-\d{2}$/.test(filters[field]));
+  if (badDay) return `${badDay} must be a day (YYYY-MM-DD)`;
+
+  if (filters.team) {
+    if (view.team && filters.team.toString() !== view.team.toString()) {
+      return 'A team view can only show that team\'s tasks';
+    }
+    const { error } = await loadTeamForUser(filters.team, userId);
+    if (error) return error.message;
+  } else {
+    filters.team = null;
+  }
+  view.filters = filters;
+  return null;
+}
+
+// Utility: a view as returned to a user, with whether they pinned it and may change it
+function toViewResponse(view, userId, adminTeamIds) {
+  const { pinnedBy, ...rest } = view.toObject();
+  const teamId = view.team ? (view.team._id || view.team).toString() : null;
+  const creatorId = (view.createdBy._id || view.createdBy).toString();
+  return {
+    ...rest,
+    isPinned: (pinnedBy || []).some(id => id.toString() === userId.toString()),
+    canManage: creatorId === userId.toString() || (!!teamId && adminTeamIds.includes(teamId))
+  };
+}
+
+module.exports = {
+  getViews,
+  createView,
+  updateView,
+  deleteView,
+  pinView
+};
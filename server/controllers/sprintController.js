@@ -0,0 +1,440 @@
+/*
+  sprintController.js
+  Express controller for team sprints in TaskTracker+ backend.
+  - Creates, updates, deletes, and lists a team's sprints (admins/owners manage, members read).
+  - Closes sprints, rolling unfinished tasks over to another sprint or back to the backlog.
+  - Reports sprint burndown, velocity across closed sprints, and scope change.
+*/
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Sprint = require('../models/Sprint');
+const { emitToTeam } = require('../socket');
+const { loadTeamForUser } = require('../access');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SPRINT_DAYS = 90;
+const DEFAULT_VELOCITY_SPRINTS = 6;
+const MAX_VELOCITY_SPRINTS = 20;
+
+// @desc    Get a team's sprints with task counts
+// @route   GET /api/teams/:id/sprints
+// @access  Private (Team member)
+const getSprints = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, error } = await loadTeamForUser(req.params.id, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const sprints = await Sprint.find({ team: team._id }, '-scopeLog')
+      .populate('createdBy', 'name email')
+      .sort({ startDate: -1 })
+      .lean();
+
+    const counts = await Task.aggregate([
+      { $match: { team: team._id, isArchived: { $ne: true } } },
+      { $group: {
+        _id: '$sprint',
+        totalTasks: { $sum: 1 },
+        completedTasks: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        effort: { $sum: { $ifNull: ['$estimate', 0] } }
+      } }
+    ]);
+    const countsBySprint = new Map(counts.map(c => [c._id ? c._id.toString() : null, c]));
+    const withCounts = (key) => {
+      const { totalTasks = 0, completedTasks = 0, effort = 0 } = countsBySprint.get(key) || {};
+      return { totalTasks, completedTasks, effort };
+    };
+
+    res.json({
+      sprints: sprints.map(sprint => ({ ...sprint, ...withCounts(sprint._id.toString()) })),
+      backlog: withCounts(null),
+      unit: team.estimateUnit || 'hours'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching sprints', error: error.message });
+  }
+};
+
+// @desc    Create a sprint
+// @route   POST /api/teams/:id/sprints
+// @access  Private (Team admin/owner)
+const createSprint = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, error } = await loadTeamForUser(req.params.id, userId, 'manage sprints');
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const { name, goal, startDate, endDate } = req.body;
+    const rangeError = validateSprintRange(startDate, endDate);
+    if (rangeError) return res.status(400).json({ message: rangeError });
+
+    const sprint = await Sprint.create({
+      team: team._id,
+      name,
+      goal,
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+      createdBy: userId
+    });
+    emitToTeam(team._id, 'sprint:changed', { team: team._id, sprint: sprint._id });
+
+    res.status(201).json(sprint);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error creating sprint', error: error.message });
+  }
+};
+
+// @desc    Update a sprint's name, goal, or dates
+// @route   PUT /api/teams/:id/sprints/:sprintId
+// @access  Private (Team admin/owner)
+const updateSprint = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, sprint, error } = await loadSprintForUser(req.params.id, req.params.sprintId, userId, true);
+    if (error) return res.status(error.status).json({ message: error.message });
+    if (sprint.status === 'closed') {
+      return res.status(400).json({ message: 'Closed sprints cannot be edited' });
+    }
+
+    ['name', 'goal'].forEach(field => {
+      if (req.body[field] !== undefined) sprint[field] = req.body[field];
+    });
+    if (req.body.startDate !== undefined || req.body.endDate !== undefined) {
+      const startDate = req.body.startDate ?? sprint.startDate;
+      const endDate = req.body.endDate ?? sprint.endDate;
+      const rangeError = validateSprintRange(startDate, endDate);
+      if (rangeError) return res.status(400).json({ message: rangeError });
+      sprint.startDate = new Date(startDate);
+      sprint.endDate = new Date(endDate);
+    }
+    await sprint.save();
+    emitToTeam(team._id, 'sprint:changed', { team: team._id, sprint: sprint._id });
+
+    res.json(sprint);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error updating sprint', error: error.message });
+  }
+};
+
+// @desc    Delete a sprint; its tasks go back to the backlog
+// @route   DELETE /api/teams/:id/sprints/:sprintId
+// @access  Private (Team admin/owner)
+const deleteSprint = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, sprint, error } = await loadSprintForUser(req.params.id, req.params.sprintId, userId, true);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    await Task.updateMany({ sprint: sprint._id }, { $set: { sprint: null } }, { includeDeleted: true });
+    await sprint.deleteOne();
+    emitToTeam(team._id, 'sprint:changed', { team: team._id, sprint: sprint._id });
+
+    res.json({ message: 'Sprint deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting sprint', error: error.message });
+  }
+};
+
+// @desc    Close a sprint and roll its unfinished tasks over
+// @route   POST /api/teams/:id/sprints/:sprintId/close
+// @access  Private (Team admin/owner)
+// Body: { rollOverTo } - a sprint id or 'backlog'; defaults to the next open sprint, else the backlog
+const closeSprint = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, sprint, error } = await loadSprintForUser(req.params.id, req.params.sprintId, userId, true);
+    if (error) return res.status(error.status).json({ message: error.message });
+    if (sprint.status === 'closed') {
+      return res.status(400).json({ message: 'Sprint is already closed' });
+    }
+
+    let target = null;
+    const { rollOverTo } = req.body;
+    if (rollOverTo && rollOverTo !== 'backlog') {
+      if (!mongoose.Types.ObjectId.isValid(rollOverTo) || rollOverTo.toString() === sprint._id.toString()) {
+        return res.status(400).json({ message: 'Invalid sprint to roll over to' });
+      }
+      target = await Sprint.findOne({ _id: rollOverTo, team: team._id, status: 'open' });
+      if (!target) {
+        return res.status(400).json({ message: 'Sprint to roll over to must be an open sprint in this team' });
+      }
+    } else if (!rollOverTo) {
+      target = await Sprint.findOne({
+        team: team._id,
+        status: 'open',
+        _id: { $ne: sprint._id },
+        startDate: { $gte: sprint.startDate }
+      }).sort({ startDate: 1 });
+    }
+
+    const closedAt = new Date();
+    const unfinished = await Task.find(
+      { sprint: sprint._id, status: { $ne: 'completed' }, isArchived: { $ne: true } },
+      '_id estimate'
+    );
+    await Task.updateMany(
+      { _id: { $in: unfinished.map(task => task._id) } },
+      { $set: { sprint: target ? target._id : null } }
+    );
+    await Sprint.recordMove(unfinished, null, target ? target._id : null, userId, true);
+    unfinished.forEach(task => sprint.scopeLog.push({
+      task: task._id,
+      change: 'removed',
+      estimate: task.estimate ?? null,
+      rollover: true,
+      by: userId,
+      at: closedAt
+    }));
+
+    // Freeze the sprint's totals for velocity reports
+    const { committed, completed } = await getSprintTotals(sprint, closedAt);
+    sprint.status = 'closed';
+    sprint.closedAt = closedAt;
+    sprint.summary = {
+      committedTasks: committed.tasks,
+      committedEffort: committed.effort,
+      completedTasks: completed.tasks,
+      completedEffort: completed.effort,
+      rolledOverTasks: unfinished.length
+    };
+    await sprint.save();
+
+    emitToTeam(team._id, 'sprint:changed', { team: team._id, sprint: sprint._id });
+
+    res.json({
+      sprint,
+      rolledOverTo: target ? { _id: target._id, name: target.name } : 'backlog',
+      rolledOverTasks: unfinished.length
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error closing sprint', error: error.message });
+  }
+};
+
+// @desc    Get a sprint's burndown (remaining tasks and effort per day)
+// @route   GET /api/tasks/analytics/team/:teamId/sprints/:sprintId/burndown
+// @access  Private (Team member)
+const getSprintBurndown = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, sprint, error } = await loadSprintForUser(req.params.teamId, req.params.sprintId, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const tasks = await getScopeTasks(sprint);
+    const { committed } = await getSprintTotals(sprint, sprint.closedAt || new Date(), tasks);
+    const lastDay = startOfDay(sprint.endDate);
+    const cutoff = sprint.closedAt || new Date();
+    const totalDays = Math.round((lastDay - startOfDay(sprint.startDate)) / DAY_MS) + 1;
+
+    const days = [];
+    for (let i = 0; i < totalDays; i++) {
+      const day = new Date(startOfDay(sprint.startDate).getTime() + i * DAY_MS);
+      const dayEnd = new Date(day.getTime() + DAY_MS - 1);
+      // Ideal line burns the committed scope down evenly to zero on the last day
+      const idealShare = totalDays > 1 ? 1 - i / (totalDays - 1) : 0;
+      const point = {
+        date: day.toISOString().slice(0, 10),
+        idealTasks: round(committed.tasks * idealShare),
+        idealEffort: round(committed.effort * idealShare),
+        remainingTasks: null,
+        remainingEffort: null,
+        scopeTasks: null,
+        scopeEffort: null
+      };
+      if (day <= cutoff) {
+        const at = dayEnd < cutoff ? dayEnd : cutoff;
+        const scope = [...sprint.getScopeAt(at).keys()].map(id => tasks.get(id)).filter(Boolean);
+        const remaining = scope.filter(task => !isCompletedBy(task, at));
+        point.scopeTasks = scope.length;
+        point.scopeEffort = round(sumEffort(scope));
+        point.remainingTasks = remaining.length;
+        point.remainingEffort = round(sumEffort(remaining));
+      }
+      days.push(point);
+    }
+
+    res.json({
+      sprint: { _id: sprint._id, name: sprint.name, goal: sprint.goal, startDate: sprint.startDate, endDate: sprint.endDate, status: sprint.status },
+      unit: team.estimateUnit || 'hours',
+      committed,
+      days
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching sprint burndown', error: error.message });
+  }
+};
+
+// @desc    Get a team's velocity across its most recent closed sprints
+// @route   GET /api/tasks/analytics/team/:teamId/velocity?limit=6
+// @access  Private (Team member)
+const getTeamVelocity = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, error } = await loadTeamForUser(req.params.teamId, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_VELOCITY_SPRINTS, 1), MAX_VELOCITY_SPRINTS);
+    const sprints = (await Sprint.find({ team: team._id, status: 'closed' }, '-scopeLog')
+      .sort({ startDate: -1 })
+      .limit(limit)
+      .lean()).reverse();
+
+    const average = (field) => sprints.length > 0
+      ? round(sprints.reduce((sum, sprint) => sum + (sprint.summary?.[field] || 0), 0) / sprints.length)
+      : 0;
+
+    res.json({
+      unit: team.estimateUnit || 'hours',
+      sprints: sprints.map(sprint => ({
+        _id: sprint._id,
+        name: sprint.name,
+        startDate: sprint.startDate,
+        endDate: sprint.endDate,
+        ...sprint.summary
+      })),
+      averageVelocity: average('completedEffort'),
+      averageCompletedTasks: average('completedTasks')
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching team velocity', error: error.message });
+  }
+};
+
+// @desc    Get the tasks added to or removed from a sprint after it started
+// @route   GET /api/tasks/analytics/team/:teamId/sprints/:sprintId/scope
+// @access  Private (Team member)
+const getSprintScopeChange = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { team, sprint, error } = await loadSprintForUser(req.params.teamId, req.params.sprintId, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    await sprint.populate([
+      { path: 'scopeLog.task', select: 'title status' },
+      { path: 'scopeLog.by', select: 'name email' }
+    ]);
+    const { committed } = await getSprintTotals(sprint, sprint.closedAt || new Date());
+
+    // Rolling unfinished work out of a closed sprint is not a scope change
+    const changes = sprint.scopeLog
+      .filter(entry => entry.at > sprint.startDate && entry.task && !(entry.rollover && entry.change === 'removed'))
+      .map(entry => ({
+        task: { _id: entry.task._id, title: entry.task.title, status: entry.task.status },
+        change: entry.change,
+        estimate: entry.estimate,
+        rollover: entry.rollover,
+        by: entry.by,
+        at: entry.at
+      }));
+    const added = changes.filter(change => change.change === 'added');
+    const removed = changes.filter(change => change.change === 'removed');
+    const addedEffort = round(sumEffort(added));
+    const removedEffort = round(sumEffort(removed));
+
+    res.json({
+      sprint: { _id: sprint._id, name: sprint.name, startDate: sprint.startDate, endDate: sprint.endDate, status: sprint.status },
+      unit: team.estimateUnit || 'hours',
+      committed,
+      added,
+      removed,
+      addedEffort,
+      removedEffort,
+      netTasks: added.length - removed.length,
+      netEffort: round(addedEffort - removedEffort),
+      // Net change relative to the committed scope, in percent of tasks
+      changePercent: committed.tasks > 0 ? Math.round(((added.length - removed.length) / committed.tasks) * 100) : null
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching sprint scope change', error: error.message });
+  }
+};
+
+// Utility: Load a team's sprint for a user (see loadTeamForUser)
+async function loadSprintForUser(teamId, sprintId, userId, adminOnly = false) {
+  const { team, error } = await loadTeamForUser(teamId, userId, adminOnly ? 'manage sprints' : null);
+  if (error) return { error };
+  const sprint = mongoose.Types.ObjectId.isValid(sprintId)
+    ? await Sprint.findOne({ _id: sprintId, team: team._id })
+    : null;
+  if (!sprint) {
+    return { error: { status: 404, message: 'Sprint not found' } };
+  }
+  return { team, sprint };
+}
+
+// Utility: Check sprint dates; returns an error message or null
+function validateSprintRange(startDate, endDate) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (!startDate || !endDate || isNaN(start) || isNaN(end)) {
+    return 'Valid start and end dates are required';
+  }
+  if (end <= start) {
+    return 'End date must be after the start date';
+  }
+  if (end - start > MAX_SPRINT_DAYS * DAY_MS) {
+    return `Sprints cannot be longer than ${MAX_SPRINT_DAYS} days`;
+  }
+  return null;
+}
+
+// Utility: Every task that was ever in the sprint, keyed by id
+async function getScopeTasks(sprint) {
+  const ids = [...new Set(sprint.scopeLog.map(entry => entry.task.toString()))];
+  const tasks = await Task.find({ _id: { $in: ids } }, 'title status estimate completedAt').lean();
+  return new Map(tasks.map(task => [task._id.toString(), task]));
+}
+
+// Utility: Committed scope (at the sprint start) and work completed in the sprint by `at`
+async function getSprintTotals(sprint, at, tasks = null) {
+  const scopeTasks = tasks || await getScopeTasks(sprint);
+  const committed = [...sprint.getScopeAt(sprint.startDate).keys()].map(id => scopeTasks.get(id)).filter(Boolean);
+  const completed = [...sprint.getScopeAt(at).keys()]
+    .map(id => scopeTasks.get(id))
+    .filter(task => task && isCompletedBy(task, at));
+  return {
+    committed: { tasks: committed.length, effort: round(sumEffort(committed)) },
+    completed: { tasks: completed.length, effort: round(sumEffort(completed)) }
+  };
+}
+
+// Utility: Whether a task had been completed at a point in time
+function isCompletedBy(task, at) {
+  return task.status === 'completed' && !!task.completedAt && new Date(task.completedAt) <= at;
+}
+
+// Utility: Sum of estimates (unestimated tasks count as 0)
+function sumEffort(items) {
+  return items.reduce((sum, item) => sum + (item.estimate > 0 ? item.estimate : 0), 0);
+}
+
+// Utility: Midnight (server time) of a date
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+// Utility: Round to two decimals
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  getSprints,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  closeSprint,
+  getSprintBurndown,
+  getTeamVelocity,
+  getSprintScopeChange
+};
@@ -9,6 +9,29 @@ const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const User = require('../models/User');
 const Team = require('../models/Team');
+const Sprint = require('../models/Sprint');
+const Project = require('../models/Project');
+const ActivityLog = require('../models/ActivityLog');
+const Notification = require('../models/Notification');
+const { emitToUser, broadcastTaskEvent } = require('../socket');
+const { TRASH_RETENTION_DAYS, getPurgeDate, purgeTask } = require('../trash');
+const { sendTemplateToUser } = require('../mail');
+const { parseCalendar } = require('../ics');
+const { parseTaskSearch, escapeRegex } = require('../taskSearch');
+
+// Gap left between board ranks, and the smallest gap still split before a column is respread
+const RANK_STEP = 1000;
+const MIN_RANK_GAP = 1e-6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest date window the team timeline returns at once
+const MAX_TIMELINE_DAYS = 366;
+// Most tasks one .ics import creates
+const MAX_IMPORT_TASKS = 200;
+// Most tasks one bulk request changes, and the changes it can make
+const MAX_BULK_TASKS = 200;
+const BULK_ACTIONS = ['status', 'priority', 'addTags', 'removeTags', 'assign', 'archive', 'unarchive', 'delete', 'revert'];
+// How long after a change its author can still revert it
+const REVERT_WINDOW_MS = 10 * 60 * 1000;
 
 // @desc    Get all tasks for user
 // @route   GET /api/tasks
@@ -19,8 +42,19 @@ const getTasks = async (req, res) => {
     const view = req.query.view || 'personal';
     let filter = {};
     
-    // Enforce best practice: default to personal tasks if no view specified
-    if (!req.query.view || req.query.view === 'personal') {
+    if (req.query.team) {
+      // A single team's tasks (saved views and filters scoped to a team)
+      if (!mongoose.Types.ObjectId.isValid(req.query.team)) {
+        return res.status(400).json({ message: 'Invalid team id' });
+      }
+      const team = await Team.findById(req.query.team);
+      if (!team) return res.status(404).json({ message: 'Team not found' });
+      if (!team.isUserMember(userId)) {
+        return res.status(403).json({ message: 'You are not a member of this team' });
+      }
+      filter = { team: team._id };
+    } else if (!req.query.view || req.query.view === 'personal') {
+      // Enforce best practice: default to personal tasks if no view specified
       filter = getPersonalTasksFilter(userId);
     } else if (view === 'assigned') {
       filter = { assignedTo: userId };
@@ -44,29 +78,43 @@ const getTasks = async (req, res) => {
       };
     }
     // Merge with other filters (status, priority, etc.)
-    const { status, priority, search, sortBy = 'createdAt', sortOrder = 'desc', page = 1, limit = 9, includeArchived = false, overdue = false } = req.query;
+    const { sortBy = 'createdAt', sortOrder = 'desc', page = 1, limit = 9, includeArchived = false } = req.query;
     
     if (!includeArchived || includeArchived === 'false') {
       filter.isArchived = { $ne: true };
     }
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-    if (search) {
-      filter.$or = filter.$or || [];
-      filter.$or.push(
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      );
+    if (req.query.parentTask) filter.parentTask = req.query.parentTask;
+    // Conditions that may clash with the scope's own $or are combined with $and
+    const conditions = getTaskListConditions(req.query, userId);
+    if (conditions.error) return res.status(400).json({ message: conditions.error });
+    // `search` is a query such as `tag:frontend due:<7d "exact phrase"` (see taskSearch.js)
+    let textSearch = '';
+    if (req.query.search) {
+      const parsed = await parseTaskSearch(req.query.search, { userId, findUserIds });
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      conditions.push(...parsed.conditions);
+      textSearch = parsed.text;
     }
+    if (conditions.length > 0) filter.$and = conditions;
+    if (textSearch) filter.$text = { $search: textSearch };
     
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const lim = parseInt(limit);
     const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-    const tasks = await Task.find(filter)
+    if (sortBy === 'relevance') {
+      // Best text matches first; without search text this is just newest first
+      if (textSearch) sort.score = { $meta: 'textScore' };
+      sort.createdAt = -1;
+    } else {
+      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    }
+    // Unranked tasks keep their creation order on the board
+    if (sortBy === 'rank') sort.createdAt = 1;
+    const tasks = await Task.find(filter, textSearch ? { score: { $meta: 'textScore' } } : null)
       .populate('assignedTo', 'name email')
       .populate('createdBy', 'name email')
+      .populate('blockedBy', 'title status isArchived')
       .sort(sort)
       .skip(skip)
       .limit(lim);
@@ -80,7 +128,7 @@ const getTasks = async (req, res) => {
       hasNext: page < totalPages,
       hasPrev: page > 1
     };
-    res.json({ tasks, pagination });
+    res.json({ tasks: await Task.withProgress(tasks), pagination });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching tasks', error: error.message });
   }
@@ -121,7 +169,12 @@ const createTask = async (req, res) => {
       priority = 'medium',
       assignedTo,
       dueDate,
-      tags
+      startDate,
+      tags,
+      checklist,
+      autoCompleteFromSubtasks,
+      recurrence,
+      estimate
     } = req.body;
 
     // Validate required fields
@@ -138,20 +191,32 @@ const createTask = async (req, res) => {
       assignedTo: assignedTo || userId,
       createdBy: userId,
       dueDate: dueDate ? new Date(dueDate) : null,
-      tags: tags || []
+      startDate: startDate ? new Date(startDate) : null,
+      tags: tags || [],
+      checklist: checklist || [],
+      autoCompleteFromSubtasks: !!autoCompleteFromSubtasks,
+      recurrence: normalizeRecurrence(recurrence),
+      estimate: normalizeEstimate(estimate)
     };
 
     // Validate due date
     if (taskData.dueDate && taskData.dueDate < new Date()) {
       return res.status(400).json({ message: 'Due date cannot be in the past' });
     }
+    const dateRangeError = getDateRangeError(taskData.startDate, taskData.dueDate);
+    if (dateRangeError) {
+      return res.status(400).json({ message: dateRangeError });
+    }
 
     const task = new Task(taskData);
     await task.save();
+    await ActivityLog.record(task, userId, 'created');
+    await notifyAssignmentChange(task, null, req.user);
 
     // Populate the task before sending response
     await task.populate('assignedTo', 'name email');
     await task.populate('createdBy', 'name email');
+    broadcastTaskEvent('task:created', task);
 
     res.status(201).json(task);
   } catch (error) {
@@ -163,6 +228,63 @@ const createTask = async (req, res) => {
   }
 };
 
+// @desc    Create personal tasks from the events and to-dos of an .ics file
+// @route   POST /api/tasks/import
+// @access  Private
+const importTasks = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { ics } = req.body;
+    if (typeof ics !== 'string' || !ics.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({ message: 'A valid .ics calendar file is required' });
+    }
+
+    const items = parseCalendar(ics);
+    if (items.length === 0) {
+      return res.status(400).json({ message: 'No events or to-dos found in the calendar file' });
+    }
+    if (items.length > MAX_IMPORT_TASKS) {
+      return res.status(400).json({ message: `A calendar file can create at most ${MAX_IMPORT_TASKS} tasks` });
+    }
+
+    // Items due before today cannot become tasks, since due dates may not be in the past
+    const importable = items.filter(item => !Task.isPastDueDate(item.dueDate));
+    const tasks = [];
+    for (const item of importable) {
+      const task = new Task({
+        title: item.title.slice(0, 100),
+        description: item.description.slice(0, 1000),
+        status: item.status,
+        priority: item.priority,
+        assignedTo: userId,
+        createdBy: userId,
+        dueDate: item.dueDate,
+        startDate: item.startDate,
+        tags: item.tags.map(tag => tag.slice(0, 20))
+      });
+      await task.save();
+      await ActivityLog.record(task, userId, 'created');
+      await task.populate('assignedTo', 'name email');
+      await task.populate('createdBy', 'name email');
+      broadcastTaskEvent('task:created', task);
+      tasks.push(task);
+    }
+
+    res.status(201).json({
+      message: `Imported ${tasks.length} task${tasks.length === 1 ? '' : 's'}`,
+      imported: tasks.length,
+      skipped: items.length - tasks.length,
+      tasks
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error importing tasks', error: error.message });
+  }
+};
+
 // @desc    Update task
 // @route   PUT /api/tasks/:id
 // @access  Private
@@ -178,8 +300,9 @@ const updateTask = async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
     // If team task, check team admin/owner
+    let team = null;
     if (task.team) {
-      const team = await Team.findById(task.team);
+      team = await Team.findById(task.team);
       if (!team || !team.isUserAdmin(userId)) {
         return res.status(403).json({ message: 'Not authorized to update this team task' });
       }
@@ -189,15 +312,116 @@ const updateTask = async (req, res) => {
         return res.status(403).json({ message: 'Not authorized to update this task' });
       }
     }
-    // Validate due date if provided
-    if (updates.dueDate) {
-      const due = new Date(updates.dueDate);
-      const now = new Date();
-      due.setHours(0,0,0,0);
-      now.setHours(0,0,0,0);
-      if (due < now) {
-        return res.status(400).json({ message: 'Due date cannot be in the past' });
+    // Team tasks move between workflow columns; the column decides the status category
+    if (team && updates.workflowStatus) {
+      const column = team.getWorkflowColumn(updates.workflowStatus);
+      if (!column) {
+        return res.status(400).json({ message: `Unknown workflow status "${updates.workflowStatus}"` });
       }
+      updates.status = column.category;
+    } else if (updates.status && updates.status !== task.status) {
+      updates.workflowStatus = null;
+    } else {
+      delete updates.workflowStatus;
+    }
+    // Validate due date if provided (same day-only rule as the schema validator)
+    if (updates.dueDate && Task.isPastDueDate(updates.dueDate)) {
+      return res.status(400).json({ message: 'Due date cannot be in the past' });
+    }
+    // A start date may be in the past, but not after the due date
+    if (updates.startDate !== undefined) {
+      updates.startDate = updates.startDate || null;
+    }
+    if (updates.startDate !== undefined || updates.dueDate !== undefined) {
+      const dateRangeError = getDateRangeError(
+        updates.startDate !== undefined ? updates.startDate : task.startDate,
+        updates.dueDate !== undefined ? updates.dueDate : task.dueDate
+      );
+      if (dateRangeError) {
+        return res.status(400).json({ message: dateRangeError });
+      }
+    }
+    // Child tasks and dependencies are linked through their own endpoints only
+    delete updates.parentTask;
+    delete updates.blockedBy;
+    // Tracked time and reminder state are maintained by the server
+    delete updates.timeSpent;
+    delete updates.reminders;
+    // Tasks go to the trash only through DELETE, which records who deleted them and logs it
+    delete updates.deletedAt;
+    delete updates.deletedBy;
+    if (updates.estimate !== undefined) {
+      updates.estimate = normalizeEstimate(updates.estimate);
+    }
+    // Only team tasks belong to projects; an empty value removes the task from its project
+    if (updates.project !== undefined) {
+      updates.project = updates.project || null;
+      if (updates.project && valuesDiffer(task.project, updates.project)) {
+        const projectError = !team
+          ? 'Only team tasks can belong to a project'
+          : await getProjectAssignmentError(team, updates.project);
+        if (projectError) return res.status(400).json({ message: projectError });
+      }
+    }
+    // Only team tasks can be planned in a sprint; an empty value moves the task to the backlog
+    if (updates.sprint !== undefined) {
+      updates.sprint = updates.sprint || null;
+      if (updates.sprint && valuesDiffer(task.sprint, updates.sprint)) {
+        const sprintError = !team
+          ? 'Only team tasks can be planned in a sprint'
+          : await getSprintAssignmentError(team, updates.sprint);
+        if (sprintError) return res.status(400).json({ message: sprintError });
+      }
+    }
+    // Board drag-and-drop places the task between its new neighbours; ranks are never set directly
+    if (updates.position) {
+      updates.rank = await getRankBetween(task, updates.position.previousId, updates.position.nextId);
+    } else {
+      delete updates.rank;
+    }
+    delete updates.position;
+    const overrideBlockers = updates.overrideBlockers === true || updates.overrideBlockers === 'true';
+    delete updates.overrideBlockers;
+    // Refuse to start or complete a task while one of its blockers is still open
+    if (['in-progress', 'completed'].includes(updates.status) && updates.status !== task.status && !overrideBlockers) {
+      const openBlockers = await Task.getOpenBlockers(task);
+      if (openBlockers.length > 0) {
+        return res.status(409).json({
+          message: `Task is blocked by: ${openBlockers.map(b => b.title).join(', ')}`,
+          blockers: openBlockers
+        });
+      }
+    }
+    // Recurring series: "this" edits only this occurrence, "future" edits the series going forward
+    const recurrenceScope = updates.recurrenceScope === 'future' ? 'future' : 'this';
+    delete updates.recurrenceScope;
+    delete updates.recurrenceSeriesId;
+    delete updates.nextOccurrence;
+    if (task.recurrence || updates.recurrence) {
+      let template = null;
+      if (task.recurrence && recurrenceScope === 'this') {
+        // Remember the series values this edit overrides so the next occurrence ignores it
+        template = { ...(task.recurrence.template || {}) };
+        [...Task.RECURRING_FIELDS, 'dueDate'].forEach(field => {
+          if (updates[field] !== undefined && !(field in template) && valuesDiffer(task[field], updates[field])) {
+            template[field] = task[field];
+          }
+        });
+        if (Object.keys(template).length === 0) template = null;
+      }
+      if (updates.recurrence !== undefined) {
+        const rule = normalizeRecurrence(updates.recurrence);
+        updates.recurrence = rule ? { ...rule, occurrence: task.recurrence?.occurrence || 1, template } : null;
+      } else if (task.recurrence) {
+        updates['recurrence.template'] = template;
+      }
+    }
+    // Stamp completedAt on checklist items (findByIdAndUpdate skips the save hook)
+    if (Array.isArray(updates.checklist)) {
+      updates.checklist = updates.checklist.map(item => ({
+        ...item,
+        completedAt: item.isCompleted ? (item.completedAt || new Date()) : null
+      }));
     }
     // Update task
     let setCompletedAt = {};
@@ -215,8 +439,19 @@ const updateTask = async (req, res) => {
         { new: true, runValidators: true }
       )
         .populate('assignedTo', 'name email')
-        .populate('createdBy', 'name email');
-      res.json(updatedTask);
+        .populate('createdBy', 'name email')
+        .populate('blockedBy', 'title status isArchived');
+      const changes = getFieldChanges(task, updatedTask, Object.keys({ ...updates, ...setCompletedAt }));
+      if (changes.length > 0) {
+        await ActivityLog.record(updatedTask, userId, 'updated', changes);
+      }
+      if (updates.sprint !== undefined && valuesDiffer(task.sprint, updatedTask.sprint)) {
+        await Sprint.recordMove(updatedTask, task.sprint, updatedTask.sprint, userId);
+      }
+      await notifyAssignmentChange(updatedTask, task.assignedTo, req.user);
+      const [taskWithProgress] = await Task.withProgress([updatedTask]);
+      broadcastTaskEvent('task:updated', taskWithProgress);
+      res.json(taskWithProgress);
     } catch (error) {
       if (error.name === 'ValidationError') {
         const messages = Object.values(error.errors).map(err => err.message);
@@ -229,7 +464,7 @@ const updateTask = async (req, res) => {
   }
 };
 
-// @desc    Delete task
+// @desc    Delete task (moves it to the trash, where it can be restored until it is purged)
 // @route   DELETE /api/tasks/:id
 // @access  Private
 const deleteTask = async (req, res) => {
@@ -253,8 +488,8 @@ const deleteTask = async (req, res) => {
         return res.status(403).json({ message: 'Not authorized to delete this task' });
       }
     }
-    await Task.findByIdAndDelete(id);
-    res.json({ message: 'Task deleted successfully', taskId: id });
+    await removeTask(task, userId);
+    res.json({ message: 'Task moved to trash', taskId: id });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting task', error: error.message });
   }
@@ -284,16 +519,7 @@ const archiveTask = async (req, res) => {
         return res.status(403).json({ message: 'Not authorized to archive this task' });
       }
     }
-    const updatedTask = await Task.findByIdAndUpdate(
-      id,
-      { 
-        isArchived: !task.isArchived,
-        archivedAt: !task.isArchived ? new Date() : null
-      },
-      { new: true }
-    )
-    .populate('assignedTo', 'name email')
-    .populate('createdBy', 'name email');
+    const updatedTask = await setTaskArchived(task, !task.isArchived, userId);
     const action = updatedTask.isArchived ? 'archived' : 'restored';
     res.json({
       ...updatedTask.toObject(),
@@ -304,6 +530,214 @@ const archiveTask = async (req, res) => {
   }
 };
 
+// @desc    Get trashed tasks: the user's personal tasks, or a team's tasks with ?team=<teamId>
+// @route   GET /api/tasks/trash
+// @access  Private (Team member for team trash)
+const getTrash = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    let filter = getPersonalTasksFilter(userId);
+    delete filter.isArchived; // Archived tasks can be trashed too
+    if (req.query.team) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.team)) {
+        return res.status(400).json({ message: 'Invalid team id' });
+      }
+      const team = await Team.findById(req.query.team);
+      if (!team) return res.status(404).json({ message: 'Team not found' });
+      if (!team.isUserMember(userId)) {
+        return res.status(403).json({ message: 'You are not a member of this team' });
+      }
+      filter = { team: team._id };
+    }
+
+    const tasks = await Task.find({ ...filter, deletedAt: { $ne: null } })
+      .populate('assignedTo', 'name email')
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 });
+    res.json({
+      tasks: tasks.map(task => ({ ...task.toObject(), purgeAt: getPurgeDate(task.deletedAt) })),
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching trash', error: error.message });
+  }
+};
+
+// @desc    Get the tags used on the user's personal tasks, or on a team's tasks with ?team=<teamId>
+//          (suggestions for the search box)
+// @route   GET /api/tasks/tags
+// @access  Private (Team member for team tags)
+const getTaskTags = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    let filter = getPersonalTasksFilter(userId);
+    delete filter.isArchived;
+    if (req.query.team) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.team)) {
+        return res.status(400).json({ message: 'Invalid team id' });
+      }
+      const team = await Team.findById(req.query.team);
+      if (!team) return res.status(404).json({ message: 'Team not found' });
+      if (!team.isUserMember(userId)) {
+        return res.status(403).json({ message: 'You are not a member of this team' });
+      }
+      filter = { team: team._id };
+    }
+
+    const tags = await Task.distinct('tags', filter);
+    res.json({ tags: tags.filter(Boolean).sort((a, b) => a.localeCompare(b)) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching tags', error: error.message });
+  }
+};
+
+// @desc    Restore a task from the trash
+// @route   POST /api/tasks/:id/restore
+// @access  Private (Assignee, or team admin/owner)
+const restoreTask = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const task = await findTrashedTask(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found in trash' });
+    }
+    if (!(await canModifyTask(task, userId))) {
+      return res.status(403).json({ message: 'Not authorized to restore this task' });
+    }
+
+    const restored = await Task.findOneAndUpdate(
+      { _id: task._id, deletedAt: { $ne: null } },
+      { deletedAt: null, deletedBy: null },
+      { new: true }
+    )
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email');
+    if (!restored) {
+      return res.status(404).json({ message: 'Task not found in trash' });
+    }
+    await ActivityLog.record(restored, userId, 'restored', [
+      { field: 'deletedAt', before: task.deletedAt, after: null }
+    ]);
+    const [taskWithProgress] = await Task.withProgress([restored]);
+    // Restored tasks reappear in lists the same way new ones do
+    broadcastTaskEvent('task:created', taskWithProgress);
+    res.json({ ...taskWithProgress, message: 'Task restored' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error restoring task', error: error.message });
+  }
+};
+
+// @desc    Permanently delete a task that is in the trash
+// @route   DELETE /api/tasks/:id/purge
+// @access  Private (Assignee, or team admin/owner)
+const purgeTrashedTask = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const task = await findTrashedTask(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found in trash' });
+    }
+    if (!(await canModifyTask(task, userId))) {
+      return res.status(403).json({ message: 'Not authorized to delete this task' });
+    }
+    await purgeTask(task, userId);
+    res.json({ message: 'Task permanently deleted', taskId: task._id });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting task', error: error.message });
+  }
+};
+
+// @desc    Revert the last recorded change of a task (undo), restoring the previous field values.
+//          Only the user who made the change can revert it, within REVERT_WINDOW_MS, and only while
+//          the task still has the values that change set.
+// @route   POST /api/tasks/:id/revert
+// @access  Private (Assignee, or team admin/owner)
+const revertTask = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const task = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? (await Task.findById(req.params.id)) || (await findTrashedTask(req.params.id))
+      : null;
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canModifyTask(task, userId))) {
+      return res.status(403).json({ message: 'Not authorized to change this task' });
+    }
+    const result = await revertLastChange(task, userId, req.user);
+    if (!result.success) {
+      return res.status(409).json({ message: result.message });
+    }
+    res.json({ ...result, message: 'Change reverted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error reverting task', error: error.message });
+  }
+};
+
+// @desc    Apply one change to many tasks: status, priority, add/remove tags, assignee, archive, delete,
+//          or revert (undo each task's last change).
+//          Permissions are checked per task (same rules as updateTask) and each task reports its own result.
+// @route   POST /api/tasks/bulk
+// @access  Private
+const bulkUpdateTasks = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { taskIds, action, value } = req.body;
+    const overrideBlockers = req.body.overrideBlockers === true || req.body.overrideBlockers === 'true';
+
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+      return res.status(400).json({ message: 'Select at least one task' });
+    }
+    const ids = [...new Set(taskIds.map(String))];
+    if (ids.length > MAX_BULK_TASKS) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_TASKS} tasks can be changed at once` });
+    }
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `Unknown bulk action "${action}"` });
+    }
+    const valueError = getBulkValueError(action, value);
+    if (valueError) return res.status(400).json({ message: valueError });
+
+    const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const tasks = await Task.find({ _id: { $in: validIds } });
+    // Reverting a bulk delete needs the tasks that are now in the trash
+    if (action === 'revert') {
+      tasks.push(...await Task.find({ _id: { $in: validIds }, deletedAt: { $ne: null } }));
+    }
+    const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+    const teams = new Map();
+
+    const results = [];
+    for (const taskId of ids) {
+      const task = tasksById.get(taskId);
+      try {
+        if (!task) {
+          results.push({ taskId, success: false, message: 'Task not found' });
+        } else if (!(await canModifyTask(task, userId))) {
+          results.push({ taskId, success: false, message: 'Not authorized to change this task' });
+        } else {
+          results.push({ taskId, ...(await applyBulkAction(task, action, value, { userId, actor: req.user, teams, overrideBlockers })) });
+        }
+      } catch (error) {
+        const message = error.name === 'ValidationError'
+          ? Object.values(error.errors).map(err => err.message).join(', ')
+          : error.message;
+        results.push({ taskId, success: false, message });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    res.json({
+      message: `${succeeded} of ${results.length} task${results.length === 1 ? '' : 's'} updated`,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating tasks', error: error.message });
+  }
+};
+
 // @desc    Get task statistics
 // @route   GET /api/tasks/stats
 // @access  Private
@@ -658,7 +1092,13 @@ const assignTask = async (req, res) => {
     const assignedById = req.user.userId || req.user.id;
     const task = await Task.findById(taskId);
     if (!task) return res.status(404).json({ message: 'Task not found' });
+    const previousAssignee = task.assignedTo;
     await task.assignToMember(assignToId, assignedById);
+    await ActivityLog.record(task, assignedById, 'assigned', [
+      { field: 'assignedTo', before: previousAssignee, after: task.assignedTo }
+    ]);
+    await broadcastAssignment(task, previousAssignee);
+    await notifyAssignmentChange(task, previousAssignee, req.user);
     res.json({ message: 'Task assigned', task });
   } catch (error) {
     res.status(500).json({ message: 'Error assigning task', error: error.message });
@@ -671,9 +1111,16 @@ const assignTask = async (req, res) => {
 const unassignTask = async (req, res) => {
   try {
     const { taskId } = req.params;
+    const userId = req.user.userId || req.user.id;
     const task = await Task.findById(taskId);
     if (!task) return res.status(404).json({ message: 'Task not found' });
+    const previousAssignee = task.assignedTo;
     await task.unassign();
+    await ActivityLog.record(task, userId, 'unassigned', [
+      { field: 'assignedTo', before: previousAssignee, after: null }
+    ]);
+    await broadcastAssignment(task, previousAssignee);
+    await notifyAssignmentChange(task, previousAssignee, req.user);
     res.json({ message: 'Task unassigned', task });
   } catch (error) {
     res.status(500).json({ message: 'Error unassigning task', error: error.message });
@@ -690,7 +1137,13 @@ const reassignTask = async (req, res) => {
     const assignedById = req.user.userId || req.user.id;
     const task = await Task.findById(taskId);
     if (!task) return res.status(404).json({ message: 'Task not found' });
+    const previousAssignee = task.assignedTo;
     await task.reassign(newUserId, assignedById);
+    await ActivityLog.record(task, assignedById, 'reassigned', [
+      { field: 'assignedTo', before: previousAssignee, after: task.assignedTo }
+    ]);
+    await broadcastAssignment(task, previousAssignee);
+    await notifyAssignmentChange(task, previousAssignee, req.user);
     res.json({ message: 'Task reassigned', task });
   } catch (error) {
     res.status(500).json({ message: 'Error reassigning task', error: error.message });
@@ -733,7 +1186,17 @@ const getTeamTasks = async (req, res) => {
     }
 
     if (status) filter.status = status;
+    if (req.query.workflowStatus) {
+      Object.assign(filter, getWorkflowStatusFilter(team, req.query.workflowStatus));
+    }
     if (priority) filter.priority = priority;
+    if (req.query.parentTask) filter.parentTask = req.query.parentTask;
+    // sprint=backlog lists the tasks not planned in any sprint
+    if (req.query.sprint) filter.sprint = req.query.sprint === 'backlog' ? null : req.query.sprint;
+    // project=none lists the tasks outside every project
+    if (req.query.project) filter.project = req.query.project === 'none' ? null : req.query.project;
+    const dueDateFilter = getDueDateFilter(req.query.dueFrom, req.query.dueTo);
+    if (dueDateFilter) filter.dueDate = dueDateFilter;
     if (search) {
       filter.$or = [
         { title: { $regex: search, $options: 'i' } },
@@ -746,10 +1209,13 @@ const getTeamTasks = async (req, res) => {
     const lim = parseInt(limit);
     const sort = {};
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    if (sortBy === 'rank') sort.createdAt = 1;
 
     const tasks = await Task.find(filter)
       .populate('assignedTo', 'name email')
       .populate('createdBy', 'name email')
+      .populate('project', 'name color')
+      .populate('blockedBy', 'title status isArchived')
       .sort(sort)
       .skip(skip)
       .limit(lim);
@@ -765,7 +1231,7 @@ const getTeamTasks = async (req, res) => {
       hasPrev: page > 1
     };
 
-    res.json({ tasks, pagination });
+    res.json({ tasks: await Task.withProgress(tasks), pagination });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching team tasks', error: error.message });
   }
@@ -814,7 +1280,15 @@ const createTeamTask = async (req, res) => {
       priority = 'medium',
       assignedTo,
       dueDate,
-      tags
+      startDate,
+      tags,
+      checklist,
+      autoCompleteFromSubtasks,
+      recurrence,
+      workflowStatus,
+      estimate,
+      sprint,
+      project
     } = req.body;
 
     // Validate required fields
@@ -832,30 +1306,63 @@ const createTeamTask = async (req, res) => {
       return res.status(403).json({ message: 'You are not a member of this team' });
     }
 
+    // A workflow column, when given, decides the status category
+    const column = workflowStatus ? team.getWorkflowColumn(workflowStatus) : null;
+    if (workflowStatus && !column) {
+      return res.status(400).json({ message: `Unknown workflow status "${workflowStatus}"` });
+    }
+
+    if (sprint) {
+      const sprintError = await getSprintAssignmentError(team, sprint);
+      if (sprintError) return res.status(400).json({ message: sprintError });
+    }
+    if (project) {
+      const projectError = await getProjectAssignmentError(team, project);
+      if (projectError) return res.status(400).json({ message: projectError });
+    }
+
     // Create task object
     const taskData = {
       title: title.trim(),
       description: description?.trim(),
-      status,
+      status: column ? column.category : status,
+      workflowStatus: column ? column.key : null,
       priority,
       assignedTo: assignedTo || userId,
       createdBy: userId,
       team: teamId,
       dueDate: dueDate ? new Date(dueDate) : null,
-      tags: tags || []
+      startDate: startDate ? new Date(startDate) : null,
+      tags: tags || [],
+      checklist: checklist || [],
+      autoCompleteFromSubtasks: !!autoCompleteFromSubtasks,
+      recurrence: normalizeRecurrence(recurrence),
+      estimate: normalizeEstimate(estimate),
+      sprint: sprint || null,
+      project: project || null
     };
 
     // Validate due date
     if (taskData.dueDate && taskData.dueDate < new Date()) {
       return res.status(400).json({ message: 'Due date cannot be in the past' });
     }
+    const dateRangeError = getDateRangeError(taskData.startDate, taskData.dueDate);
+    if (dateRangeError) {
+      return res.status(400).json({ message: dateRangeError });
+    }
 
     const task = new Task(taskData);
     await task.save();
+    await ActivityLog.record(task, userId, 'created');
+    if (task.sprint) {
+      await Sprint.recordMove(task, null, task.sprint, userId);
+    }
+    await notifyAssignmentChange(task, null, req.user);
 
     // Populate the task before sending response
     await task.populate('assignedTo', 'name email');
     await task.populate('createdBy', 'name email');
+    broadcastTaskEvent('task:created', task);
 
     res.status(201).json(task);
   } catch (error) {
@@ -950,15 +1457,45 @@ const getTeamAnalytics = async (req, res) => {
     const tasksCompletedLastWeek = await Task.countDocuments({ team: teamId, isArchived: { $ne: true }, status: 'completed', completedAt: { $gte: startOfLastWeek, $lt: endOfLastWeek } });
     // Team efficiency score (custom: completionRate * (1 - overdue/total))
     const efficiencyScore = completionRate * (1 - (overdueCount / (totalTasks || 1)));
+    // Distribution across the team's own workflow columns
+    const workflowAgg = await Task.aggregate([
+      { $match: { team: new mongoose.Types.ObjectId(teamId), isArchived: { $ne: true } } },
+      { $group: { _id: { status: '$status', workflowStatus: '$workflowStatus' }, count: { $sum: 1 } } }
+    ]);
+    const workflowDistribution = team.getWorkflow().map(column => ({
+      key: column.key,
+      name: column.name,
+      category: column.category,
+      color: column.color,
+      count: 0
+    }));
+    workflowAgg.forEach(({ _id, count }) => {
+      const column = (_id.workflowStatus && team.getWorkflowColumn(_id.workflowStatus)) || team.getDefaultWorkflowStatus(_id.status);
+      const entry = column && workflowDistribution.find(c => c.key === column.key);
+      if (entry) entry.count += count;
+    });
+    // Estimates vs tracked time, remaining effort, and effort-weighted workload
+    const effort = await getTeamEffort(team);
     res.json({
       statusDistribution,
+      workflowDistribution,
       completionRate,
       avgCompletionTime,
       overdueAgg,
       memberPerfAgg: populatedMemberPerfAgg,
       tasksCompletedThisWeek,
       tasksCompletedLastWeek,
-      efficiencyScore
+      efficiencyScore,
+      estimates: {
+        unit: effort.unit,
+        hoursPerUnit: effort.hoursPerUnit,
+        remainingEffort: effort.remainingEffort,
+        unestimatedTasks: effort.unestimatedTasks,
+        memberAccuracy: effort.members.map(({ _id, accuracy }) => ({ _id, ...accuracy }))
+      },
+      effortWorkload: effort.members.map(({ _id, openTasks, remainingEffort, unestimatedTasks, share }) => ({
+        _id, openTasks, remainingEffort, unestimatedTasks, share
+      }))
     });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching team analytics', error: error.message });
@@ -975,13 +1512,17 @@ const getTeamWorkloadDistribution = async (req, res) => {
     const team = await Team.findById(teamId);
     if (!team) return res.status(404).json({ message: 'Team not found' });
     if (!team.isUserMember(userId)) return res.status(403).json({ message: 'You are not a member of this team' });
-    // Workload: count of tasks per member
-    const workloadAgg = await Task.aggregate([
-      { $match: { team: new mongoose.Types.ObjectId(teamId), isArchived: { $ne: true } } },
-      { $group: { _id: '$assignedTo', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
-    res.json({ workload: workloadAgg });
+    // Workload: remaining estimated effort per member; `count` is the member's total task count
+    const effort = await getTeamEffort(team);
+    const workload = effort.members.map(member => ({
+      _id: member._id,
+      count: member.totalTasks,
+      openTasks: member.openTasks,
+      effort: member.remainingEffort,
+      unestimatedTasks: member.unestimatedTasks,
+      share: member.share
+    }));
+    res.json({ workload, unit: effort.unit });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching team workload', error: error.message });
   }
@@ -1149,6 +1690,908 @@ const getTeamMemberAnalytics = async (req, res) => {
   }
 };
 
+// @desc    Get child tasks of a task
+// @route   GET /api/tasks/:id/subtasks
+// @access  Private (Task member)
+const getSubtasks = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId || req.user.id;
+    const parent = await Task.findById(id);
+    if (!parent) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canViewTask(parent, userId))) {
+      return res.status(403).json({ message: 'Not authorized to view this task' });
+    }
+    const subtasks = await Task.find({ parentTask: id, isArchived: { $ne: true } })
+      .populate('assignedTo', 'name email')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: 1 });
+    res.json(await Task.withProgress(subtasks));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching subtasks', error: error.message });
+  }
+};
+
+// @desc    Create a child task under a task
+// @route   POST /api/tasks/:id/subtasks
+// @access  Private (Team admin/owner or assignee)
+const createSubtask = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId || req.user.id;
+    const { title, description, priority = 'medium', assignedTo, dueDate, tags, estimate } = req.body;
+
+    if (!title || title.trim().length === 0) {
+      return res.status(400).json({ message: 'Task title is required' });
+    }
+    const parent = await Task.findById(id);
+    if (!parent) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canModifyTask(parent, userId))) {
+      return res.status(403).json({ message: 'Not authorized to add subtasks to this task' });
+    }
+
+    // Child tasks inherit the parent's team and visibility
+    const subtask = new Task({
+      title: title.trim(),
+      description: description?.trim(),
+      priority,
+      assignedTo: assignedTo || parent.assignedTo || userId,
+      createdBy: userId,
+      team: parent.team,
+      visibility: parent.visibility,
+      parentTask: parent._id,
+      dueDate: dueDate ? new Date(dueDate) : null,
+      tags: tags || [],
+      estimate: normalizeEstimate(estimate)
+    });
+    await subtask.save();
+    await ActivityLog.record(subtask, userId, 'created');
+    await notifyAssignmentChange(subtask, null, req.user);
+    await subtask.populate('assignedTo', 'name email');
+    await subtask.populate('createdBy', 'name email');
+    broadcastTaskEvent('task:created', subtask);
+
+    const [parentWithProgress] = await Task.withProgress([parent]);
+    res.status(201).json({ subtask, parent: parentWithProgress });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error creating subtask', error: error.message });
+  }
+};
+
+// @desc    Add a checklist item to a task
+// @route   POST /api/tasks/:id/checklist
+// @access  Private (Team admin/owner or assignee)
+const addChecklistItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId || req.user.id;
+    const { text } = req.body;
+
+    if (!text || text.trim().length === 0) {
+      return res.status(400).json({ message: 'Checklist item text is required' });
+    }
+    const task = await Task.findById(id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canModifyTask(task, userId))) {
+      return res.status(403).json({ message: 'Not authorized to update this task' });
+    }
+    task.checklist.push({ text: text.trim() });
+    await task.save();
+    res.status(201).json(await populateWithProgress(task));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error adding checklist item', error: error.message });
+  }
+};
+
+// @desc    Update (rename or check off) a checklist item
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @access  Private (Team admin/owner or assignee)
+const updateChecklistItem = async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+    const userId = req.user.userId || req.user.id;
+    const { text, isCompleted } = req.body;
+
+    const task = await Task.findById(id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canModifyTask(task, userId))) {
+      return res.status(403).json({ message: 'Not authorized to update this task' });
+    }
+    const item = task.checklist.id(itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+    if (text !== undefined) {
+      if (!text.trim()) {
+        return res.status(400).json({ message: 'Checklist item text is required' });
+      }
+      item.text = text.trim();
+    }
+    if (isCompleted !== undefined) item.isCompleted = !!isCompleted;
+    await task.save();
+    res.json(await populateWithProgress(task));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error updating checklist item', error: error.message });
+  }
+};
+
+// @desc    Remove a checklist item
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @access  Private (Team admin/owner or assignee)
+const deleteChecklistItem = async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+    const userId = req.user.userId || req.user.id;
+
+    const task = await Task.findById(id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canModifyTask(task, userId))) {
+      return res.status(403).json({ message: 'Not authorized to update this task' });
+    }
+    const item = task.checklist.id(itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+    item.deleteOne();
+    await task.save();
+    res.json(await populateWithProgress(task));
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting checklist item', error: error.message });
+  }
+};
+
+// @desc    Get a task's dependencies (blocked by / blocks)
+// @route   GET /api/tasks/:id/dependencies
+// @access  Private (Task member)
+const getTaskDependencies = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId || req.user.id;
+    const task = await Task.findById(id).populate('blockedBy', 'title status dueDate isArchived');
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canViewTask(task, userId))) {
+      return res.status(403).json({ message: 'Not authorized to view this task' });
+    }
+    const blocks = await Task.find({ blockedBy: id, isArchived: { $ne: true } }, 'title status dueDate');
+    res.json({ blockedBy: task.blockedBy, blocks, isBlocked: task.isBlocked });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching task dependencies', error: error.message });
+  }
+};
+
+// @desc    Mark a task as blocked by another task
+// @route   POST /api/tasks/:id/dependencies
+// @access  Private (Team admin/owner or assignee)
+const addTaskDependency = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId || req.user.id;
+    const { blockerId } = req.body;
+
+    if (!blockerId || !mongoose.Types.ObjectId.isValid(blockerId)) {
+      return res.status(400).json({ message: 'A valid blocking task is required' });
+    }
+    if (blockerId.toString() === id.toString()) {
+      return res.status(400).json({ message: 'A task cannot block itself' });
+    }
+    const [task, blocker] = await Promise.all([Task.findById(id), Task.findById(blockerId)]);
+    if (!task || !blocker) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canModifyTask(task, userId))) {
+      return res.status(403).json({ message: 'Not authorized to update this task' });
+    }
+    if (!isSameDependencyScope(task, blocker)) {
+      return res.status(400).json({ message: 'Dependencies must be between tasks of the same team or the same owner\'s personal tasks' });
+    }
+    if (task.blockedBy.some(b => b.toString() === blockerId.toString())) {
+      return res.status(400).json({ message: 'Dependency already exists' });
+    }
+    if (await Task.wouldCreateDependencyCycle(task._id, blocker._id)) {
+      return res.status(400).json({ message: 'This dependency would create a cycle' });
+    }
+
+    task.blockedBy.push(blocker._id);
+    await task.save();
+    await task.populate('blockedBy', 'title status isArchived');
+    res.status(201).json(await populateWithProgress(task));
+  } catch (error) {
+    res.status(500).json({ message: 'Error adding task dependency', error: error.message });
+  }
+};
+
+// @desc    Remove a blocking task from a task
+// @route   DELETE /api/tasks/:id/dependencies/:blockerId
+// @access  Private (Team admin/owner or assignee)
+const removeTaskDependency = async (req, res) => {
+  try {
+    const { id, blockerId } = req.params;
+    const userId = req.user.userId || req.user.id;
+    const task = await Task.findById(id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canModifyTask(task, userId))) {
+      return res.status(403).json({ message: 'Not authorized to update this task' });
+    }
+    task.blockedBy = task.blockedBy.filter(b => b.toString() !== blockerId.toString());
+    await task.save();
+    await task.populate('blockedBy', 'title status isArchived');
+    res.json(await populateWithProgress(task));
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing task dependency', error: error.message });
+  }
+};
+
+// @desc    Get the dependency graph of a team's tasks
+// @route   GET /api/tasks/team/:teamId/dependencies
+// @access  Private (Team member)
+const getTeamDependencyGraph = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const userId = req.user.userId || req.user.id;
+    const team = await Team.findById(teamId);
+    if (!team) return res.status(404).json({ message: 'Team not found' });
+    if (!team.isUserMember(userId)) return res.status(403).json({ message: 'You are not a member of this team' });
+
+    const tasks = await Task.find({ team: teamId, isArchived: { $ne: true } }, 'title status dueDate assignedTo blockedBy')
+      .populate('assignedTo', 'name email');
+    const taskIds = new Set(tasks.map(t => t._id.toString()));
+    const statusById = new Map(tasks.map(t => [t._id.toString(), t.status]));
+
+    const nodes = tasks.map(t => ({
+      _id: t._id,
+      title: t.title,
+      status: t.status,
+      dueDate: t.dueDate,
+      assignedTo: t.assignedTo,
+      isBlocked: t.status !== 'completed' && t.blockedBy.some(b => statusById.has(b.toString()) && statusById.get(b.toString()) !== 'completed')
+    }));
+    // Edges point from the blocking task to the task it blocks
+    const edges = tasks.flatMap(t => t.blockedBy
+      .filter(b => taskIds.has(b.toString()))
+      .map(b => ({ from: b, to: t._id })));
+
+    res.json({ nodes, edges });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching dependency graph', error: error.message });
+  }
+};
+
+// @desc    Get a team's tasks planned in a date window, with their dependencies and project milestones
+// @route   GET /api/tasks/team/:teamId/timeline?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private (Team member)
+const getTeamTimeline = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const userId = req.user.userId || req.user.id;
+    const team = await Team.findById(teamId);
+    if (!team) return res.status(404).json({ message: 'Team not found' });
+    if (!team.isUserMember(userId)) return res.status(403).json({ message: 'You are not a member of this team' });
+
+    const { from, to, error } = getTimelineWindow(req.query.from, req.query.to);
+    if (error) return res.status(400).json({ message: error });
+
+    // A task spans startDate..dueDate; tasks with only one of the two occupy that day
+    const filter = {
+      team: teamId,
+      isArchived: { $ne: true },
+      $or: [
+        { startDate: { $ne: null, $lt: to }, dueDate: { $ne: null, $gte: from } },
+        { startDate: null, dueDate: { $gte: from, $lt: to } },
+        { dueDate: null, startDate: { $gte: from, $lt: to } }
+      ]
+    };
+    if (req.query.assignedTo) filter.assignedTo = req.query.assignedTo;
+    if (req.query.project) filter.project = req.query.project === 'none' ? null : req.query.project;
+    if (req.query.sprint) filter.sprint = req.query.sprint === 'backlog' ? null : req.query.sprint;
+
+    const tasks = await Task.find(filter)
+      .populate('assignedTo', 'name email')
+      .populate('project', 'name color')
+      .populate('blockedBy', 'title status isArchived')
+      .sort({ startDate: 1, dueDate: 1, createdAt: 1 });
+    const taskIds = new Set(tasks.map(t => t._id.toString()));
+    // Edges point from the blocking task to the task it blocks (both in the window)
+    const dependencies = tasks.flatMap(t => t.blockedBy
+      .filter(b => b && taskIds.has(b._id.toString()))
+      .map(b => ({ from: b._id, to: t._id })));
+    const milestones = await Project.find({ team: teamId, targetDate: { $gte: from, $lt: to } }, 'name color status targetDate')
+      .sort({ targetDate: 1 });
+
+    res.json({ from, to, tasks: await Task.withProgress(tasks), dependencies, milestones });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching team timeline', error: error.message });
+  }
+};
+
+// Utility: Check if a user may modify a task (same rules as updateTask)
+// Team tasks require team admin/owner; personal tasks require the assignee.
+async function canModifyTask(task, userId) {
+  if (task.team) {
+    const team = await Team.findById(task.team);
+    return !!(team && team.isUserAdmin(userId));
+  }
+  return !!task.assignedTo && task.assignedTo.toString() === userId.toString();
+}
+
+// Utility: Check if a user may view a task (team member, assignee or creator)
+async function canViewTask(task, userId) {
+  if (task.team) {
+    const team = await Team.findById(task.team);
+    return !!(team && team.isUserMember(userId));
+  }
+  return [task.assignedTo, task.createdBy].some(id => id && id.toString() === userId.toString());
+}
+
+// Utility: Build the task filter for one of a team's workflow columns.
+// Tasks without a column sit in the first column of their status category.
+function getWorkflowStatusFilter(team, key) {
+  const column = team.getWorkflowColumn(key);
+  if (!column) return { workflowStatus: key };
+  const defaultColumn = team.getDefaultWorkflowStatus(column.category);
+  if (defaultColumn && defaultColumn.key === column.key) {
+    return { status: column.category, workflowStatus: { $in: [column.key, null] } };
+  }
+  return { status: column.category, workflowStatus: column.key };
+}
+
+// Utility: Keep only the recurrence rule fields a client may set
+function normalizeRecurrence(rule) {
+  if (!rule || !rule.frequency) return null;
+  return {
+    frequency: rule.frequency,
+    interval: rule.interval ? Number(rule.interval) : 1,
+    byWeekday: Array.isArray(rule.byWeekday) ? rule.byWeekday.map(Number) : [],
+    byMonthDay: rule.byMonthDay ? Number(rule.byMonthDay) : null,
+    until: rule.until ? new Date(rule.until) : null,
+    count: rule.count ? Number(rule.count) : null
+  };
+}
+
+// Utility: Normalize an estimate from a request body; blank or non-numeric values clear it
+function normalizeEstimate(estimate) {
+  if (estimate === null || estimate === undefined || estimate === '') return null;
+  const value = Number(estimate);
+  return Number.isFinite(value) ? value : null;
+}
+
+// Utility: Check a task can be planned in a sprint; returns an error message or null
+async function getSprintAssignmentError(team, sprintId) {
+  const sprint = mongoose.Types.ObjectId.isValid(sprintId)
+    ? await Sprint.findOne({ _id: sprintId, team: team._id }, 'status')
+    : null;
+  if (!sprint) return 'Sprint not found in this team';
+  if (sprint.status === 'closed') return 'Tasks cannot be added to a closed sprint';
+  return null;
+}
+
+// Utility: Check a task can be added to a project; returns an error message or null
+async function getProjectAssignmentError(team, projectId) {
+  const project = mongoose.Types.ObjectId.isValid(projectId)
+    ? await Project.exists({ _id: projectId, team: team._id })
+    : null;
+  return project ? null : 'Project not found in this team';
+}
+
+// Utility: Compare a stored task field with an incoming update value
+function valuesDiffer(current, incoming) {
+  if (current instanceof Date) {
+    return !incoming || current.getTime() !== new Date(incoming).getTime();
+  }
+  return JSON.stringify(current ?? null) !== JSON.stringify(incoming ?? null);
+}
+
+// Utility: Build activity log entries for the updated fields that actually changed.
+// Populated references are stored as IDs; internal bookkeeping paths are skipped.
+function getFieldChanges(before, after, fields) {
+  return fields
+    .filter(field => !['_id', '__v', 'createdAt', 'updatedAt', 'recurrence.template', 'rank'].includes(field))
+    .map(field => ({ field, before: toLogValue(before.get(field)), after: toLogValue(after.get(field)) }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+// Utility: The form a field value is stored in the activity log (populated references as IDs)
+function toLogValue(value) {
+  if (value && value._id && !Array.isArray(value)) return value._id;
+  if (value && typeof value.toObject === 'function') return value.toObject();
+  return value ?? null;
+}
+
+// Utility: Undo the task's most recent activity log entry by writing back its `before` values.
+// Returns { success, message?, task?, deleted?, restored? }.
+async function revertLastChange(task, userId, actor) {
+  const entry = await ActivityLog.findOne({ task: task._id }).sort({ createdAt: -1 });
+  if (!entry || entry.changes.length === 0 || ['created', 'reverted'].includes(entry.action)) {
+    return { success: false, message: 'There is no change to revert' };
+  }
+  if (!entry.actor || entry.actor.toString() !== userId.toString()) {
+    return { success: false, message: 'The last change was made by someone else' };
+  }
+  if (Date.now() - entry.createdAt.getTime() > REVERT_WINDOW_MS) {
+    return { success: false, message: 'This change is too old to revert' };
+  }
+  // Refuse if the task has changed since (e.g. through a path that isn't logged)
+  const changedSince = entry.changes.some(change =>
+    JSON.stringify(toLogValue(task.get(change.field))) !== JSON.stringify(change.after ?? null)
+  );
+  if (changedSince) {
+    return { success: false, message: 'The task has changed since, so this change cannot be reverted' };
+  }
+
+  const updates = {};
+  entry.changes.forEach(change => { updates[change.field] = change.before; });
+  if ('isArchived' in updates) updates.archivedAt = updates.isArchived ? new Date() : null;
+  if ('deletedAt' in updates) updates.deletedBy = updates.deletedAt ? userId : null;
+  if ('assignedTo' in updates) {
+    Object.assign(updates, getAssignmentRevert(task, updates.assignedTo, userId));
+  }
+  // Reopening a completed recurring task takes back the occurrence its completion created,
+  // unless that occurrence has been completed too
+  let spawnedOccurrence = null;
+  if ('status' in updates && task.status === 'completed' && updates.status !== 'completed' && task.nextOccurrence) {
+    spawnedOccurrence = await Task.findById(task.nextOccurrence);
+    if (!spawnedOccurrence || spawnedOccurrence.status !== 'completed') updates.nextOccurrence = null;
+  }
+
+  // No validators: the previous values were valid when they were saved (a due date may have passed since)
+  const updatedTask = await Task.findOneAndUpdate(
+    { _id: task._id, deletedAt: task.deletedAt || null },
+    updates,
+    { new: true }
+  )
+    .populate('assignedTo', 'name email')
+    .populate('createdBy', 'name email')
+    .populate('blockedBy', 'title status isArchived');
+  if (!updatedTask) {
+    return { success: false, message: 'The task has changed since, so this change cannot be reverted' };
+  }
+  await ActivityLog.record(updatedTask, userId, 'reverted',
+    entry.changes.map(change => ({ field: change.field, before: change.after, after: change.before })));
+  if ('assignedTo' in updates) {
+    await notifyAssignmentChange(updatedTask, task.assignedTo, actor);
+  }
+  if (spawnedOccurrence && updates.nextOccurrence === null) {
+    await removeTask(spawnedOccurrence, userId);
+  }
+
+  if (updatedTask.deletedAt) {
+    broadcastTaskEvent('task:deleted', updatedTask, { taskId: updatedTask._id, team: updatedTask.team });
+    return { success: true, deleted: true };
+  }
+  const [taskWithProgress] = await Task.withProgress([updatedTask]);
+  broadcastTaskEvent(task.deletedAt ? 'task:created' : 'task:updated', taskWithProgress);
+  return { success: true, task: taskWithProgress, restored: !!task.deletedAt };
+}
+
+// Utility: Extra updates that record a reverted assignment in the assignment history,
+// the same way reassigning does: the previous assignee's entry is closed and the restored one opened
+function getAssignmentRevert(task, assignedTo, userId) {
+  const now = new Date();
+  const entries = [];
+  if (task.assignedTo) {
+    entries.push({
+      assignedTo: task.assignedTo,
+      assignedBy: userId,
+      assignmentDate: task.assignmentDate,
+      unassignedDate: now
+    });
+  }
+  if (assignedTo) {
+    entries.push({ assignedTo, assignedBy: userId, assignmentDate: now });
+  }
+  return {
+    assignmentDate: assignedTo ? now : null,
+    $push: { assignmentHistory: { $each: entries } }
+  };
+}
+
+// Utility: Error message when a task's start date falls after its due date
+function getDateRangeError(startDate, dueDate) {
+  if (!startDate) return null;
+  const start = new Date(startDate);
+  if (isNaN(start)) return 'Start date is invalid';
+  if (!dueDate) return null;
+  return start > new Date(dueDate) ? 'Start date cannot be after the due date' : null;
+}
+
+// Utility: Parse a timeline window [from, to). Defaults to a week back and five weeks ahead;
+// windows are capped at MAX_TIMELINE_DAYS.
+function getTimelineWindow(fromParam, toParam) {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const from = fromParam ? new Date(fromParam) : new Date(today.getTime() - 7 * DAY_MS);
+  const to = toParam ? new Date(toParam) : new Date(from.getTime() + 42 * DAY_MS);
+  if (isNaN(from) || isNaN(to)) return { error: 'Invalid timeline window' };
+  if (to <= from) return { error: 'Timeline window must end after it starts' };
+  if (to - from > MAX_TIMELINE_DAYS * DAY_MS) {
+    return { error: `Timeline window cannot exceed ${MAX_TIMELINE_DAYS} days` };
+  }
+  return { from, to };
+}
+
+// Utility: Mongo filter for due dates in [from, to); invalid or missing bounds are ignored
+function getDueDateFilter(from, to) {
+  const filter = {};
+  if (from && !isNaN(new Date(from))) filter.$gte = new Date(from);
+  if (to && !isNaN(new Date(to))) filter.$lt = new Date(to);
+  return Object.keys(filter).length > 0 ? filter : null;
+}
+
+// Utility: Conditions for the task list filters in a GET /api/tasks query.
+// status, priority, and tags are comma-separated lists; tagMode 'all' needs every tag (default any).
+// assignedTo is a user id, 'me', or 'unassigned'. dueFrom/dueTo and createdFrom/createdTo are
+// date windows (end excluded). noDueDate keeps tasks without a due date; overdue keeps open tasks
+// past due. Returns a list of conditions, or { error } for a malformed value.
+function getTaskListConditions(query, userId) {
+  const conditions = [];
+  const toList = (value) => (Array.isArray(value) ? value.join(',') : String(value || ''))
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  const statuses = toList(query.status);
+  if (statuses.length > 0) conditions.push({ status: { $in: statuses } });
+  const priorities = toList(query.priority);
+  if (priorities.length > 0) conditions.push({ priority: { $in: priorities } });
+  const tags = toList(query.tags);
+  if (tags.length > 0) {
+    conditions.push({ tags: query.tagMode === 'all' ? { $all: tags } : { $in: tags } });
+  }
+
+  if (query.assignedTo === 'unassigned') {
+    conditions.push({ assignedTo: null });
+  } else if (query.assignedTo === 'me') {
+    conditions.push({ assignedTo: userId });
+  } else if (query.assignedTo) {
+    if (!mongoose.Types.ObjectId.isValid(query.assignedTo)) return { error: 'Invalid assignee id' };
+    conditions.push({ assignedTo: query.assignedTo });
+  }
+
+  if (query.noDueDate === 'true') {
+    conditions.push({ dueDate: null });
+  } else {
+    // dueFrom/dueTo also limit the list to a due-date window (calendar view)
+    const dueDateFilter = getDueDateFilter(query.dueFrom, query.dueTo);
+    if (dueDateFilter) conditions.push({ dueDate: dueDateFilter });
+  }
+  if (query.overdue === 'true') {
+    conditions.push({ status: { $ne: 'completed' }, dueDate: { $lt: new Date() } });
+  }
+  const createdFilter = getDueDateFilter(query.createdFrom, query.createdTo);
+  if (createdFilter) conditions.push({ createdAt: createdFilter });
+  return conditions;
+}
+
+// Utility: Ids of the users an assignee search term (assignee:jane, assignee:"Jane Doe") refers to,
+// matched by email or by whole name, ignoring case
+async function findUserIds(handle) {
+  const pattern = new RegExp(`^${escapeRegex(handle)}$`, 'i');
+  const users = await User.find({ $or: [{ email: pattern }, { name: pattern }] }, '_id').limit(20);
+  return users.map(user => user._id);
+}
+
+// Utility: Board rank placing a task between the tasks now above (previousId) and below (nextId) it.
+// Neighbours outside the task's board (its team, or its owner's personal tasks) are ignored.
+// When the neighbours are unranked or too close to split, the board's ranks are respread first.
+async function getRankBetween(task, previousId, nextId) {
+  const scope = task.team ? { team: task.team, isArchived: { $ne: true } } : getPersonalTasksFilter(task.assignedTo);
+  const loadNeighbours = () => Promise.all([previousId, nextId].map(id =>
+    id && mongoose.Types.ObjectId.isValid(id) && id.toString() !== task._id.toString()
+      ? Task.findOne({ ...scope, _id: id }, 'rank')
+      : null
+  ));
+  const pickRank = ([previous, next]) => {
+    if (!previous && !next) return Date.now();
+    if ((previous && previous.rank === null) || (next && next.rank === null)) return null;
+    if (!next) return previous.rank + RANK_STEP;
+    if (!previous) return next.rank - RANK_STEP;
+    return next.rank - previous.rank > MIN_RANK_GAP ? (previous.rank + next.rank) / 2 : null;
+  };
+
+  const rank = pickRank(await loadNeighbours());
+  if (rank !== null) return rank;
+  await rebalanceRanks(scope);
+  return pickRank(await loadNeighbours()) ?? Date.now();
+}
+
+// Utility: Respread the ranks of a board's tasks RANK_STEP apart, keeping their current order
+async function rebalanceRanks(scope) {
+  const tasks = await Task.find(scope, '_id').sort({ rank: 1, createdAt: 1 }).lean();
+  if (tasks.length === 0) return;
+  await Task.bulkWrite(tasks.map((t, i) => ({
+    updateOne: { filter: { _id: t._id }, update: { $set: { rank: (i + 1) * RANK_STEP } } }
+  })));
+}
+
+// Utility: Broadcast an assignment change with the assignee populated.
+// Personal tasks also notify the previous assignee, who has lost the task.
+async function broadcastAssignment(task, previousAssignee) {
+  const populated = await Task.findById(task._id)
+    .populate('assignedTo', 'name email')
+    .populate('createdBy', 'name email');
+  if (!populated) return;
+  broadcastTaskEvent('task:assigned', populated);
+  if (!task.team && previousAssignee && previousAssignee.toString() !== (task.assignedTo || '').toString()) {
+    emitToUser(previousAssignee, 'task:assigned', populated);
+  }
+}
+
+// Utility: Notify the new assignee (in-app and by email), and the previous one when the task moves away.
+// Nobody is notified about their own actions, so self-assignment stays quiet.
+async function notifyAssignmentChange(task, previousAssignee, actor) {
+  const currentAssignee = task.assignedTo?._id || task.assignedTo || null;
+  if (String(currentAssignee || '') === String(previousAssignee || '')) return;
+  const base = {
+    actor: actor.userId || actor.id,
+    task: task._id,
+    team: task.team?._id || task.team || null
+  };
+  if (currentAssignee) {
+    await Notification.notifyUsers([currentAssignee], {
+      ...base,
+      type: 'assigned',
+      message: `${actor.name || 'Someone'} assigned you "${task.title}"`
+    });
+    if (currentAssignee.toString() !== String(base.actor)) {
+      const [assignee, team] = await Promise.all([
+        User.findById(currentAssignee, 'name email preferences'),
+        base.team ? Team.findById(base.team, 'name') : null
+      ]);
+      await sendTemplateToUser(assignee, 'taskAssigned', {
+        assignerName: actor.name,
+        taskTitle: task.title,
+        teamName: team?.name,
+        dueDate: task.dueDate
+      });
+    }
+  }
+  if (previousAssignee) {
+    await Notification.notifyUsers([previousAssignee], {
+      ...base,
+      type: 'unassigned',
+      message: currentAssignee
+        ? `"${task.title}" was reassigned to someone else`
+        : `You were unassigned from "${task.title}"`
+    });
+  }
+}
+
+// Utility: Dependencies are allowed within one team, or within one owner's personal tasks
+function isSameDependencyScope(task, blocker) {
+  if (task.team || blocker.team) {
+    return !!task.team && !!blocker.team && task.team.toString() === blocker.team.toString();
+  }
+  return !!task.assignedTo && !!blocker.assignedTo && task.assignedTo.toString() === blocker.assignedTo.toString();
+}
+
+// Utility: Populate a saved task and attach rolled-up progress for API responses
+async function populateWithProgress(task) {
+  await task.populate('assignedTo', 'name email');
+  await task.populate('createdBy', 'name email');
+  const [taskWithProgress] = await Task.withProgress([task]);
+  return taskWithProgress;
+}
+
+// Utility: Effort figures for a team's active tasks, per assignee (sorted by remaining effort).
+// Open tasks without an estimate count as the team's average estimate (1 unit with no estimates yet).
+// Accuracy compares estimates with tracked time on completed tasks; point estimates are converted
+// to hours at the team's overall hours-per-point rate.
+async function getTeamEffort(team) {
+  const unit = team.estimateUnit || 'hours';
+  const tasks = await Task.find(
+    { team: team._id, isArchived: { $ne: true } },
+    'assignedTo status estimate timeSpent'
+  ).lean();
+
+  const estimated = tasks.filter(t => t.estimate > 0);
+  const defaultEstimate = estimated.length > 0
+    ? estimated.reduce((sum, t) => sum + t.estimate, 0) / estimated.length
+    : 1;
+  const calibration = estimated.filter(t => t.status === 'completed' && t.timeSpent > 0);
+  const calibrationUnits = calibration.reduce((sum, t) => sum + t.estimate, 0);
+  const hoursPerUnit = unit === 'hours'
+    ? 1
+    : (calibrationUnits > 0 ? calibration.reduce((sum, t) => sum + t.timeSpent / 3600, 0) / calibrationUnits : null);
+
+  const byMember = new Map();
+  for (const task of tasks) {
+    const key = task.assignedTo ? task.assignedTo.toString() : null;
+    if (!byMember.has(key)) {
+      byMember.set(key, { totalTasks: 0, openTasks: 0, remainingEffort: 0, unestimatedTasks: 0, estimatedTasks: 0, estimated: 0, actualHours: 0 });
+    }
+    const member = byMember.get(key);
+    member.totalTasks++;
+    if (task.status !== 'completed') {
+      member.openTasks++;
+      member.remainingEffort += task.estimate > 0 ? task.estimate : defaultEstimate;
+      if (!(task.estimate > 0)) member.unestimatedTasks++;
+    } else if (task.estimate > 0 && task.timeSpent > 0) {
+      member.estimatedTasks++;
+      member.estimated += task.estimate;
+      member.actualHours += task.timeSpent / 3600;
+    }
+  }
+
+  const users = await User.find({ _id: { $in: [...byMember.keys()].filter(Boolean) } }, 'name email');
+  const round = (value) => Math.round(value * 100) / 100;
+  const remainingEffort = [...byMember.values()].reduce((sum, m) => sum + m.remainingEffort, 0);
+  const members = [...byMember.entries()].map(([key, m]) => {
+    const user = key && users.find(u => u._id.toString() === key);
+    const expectedHours = hoursPerUnit ? m.estimated * hoursPerUnit : null;
+    return {
+      _id: key ? { _id: key, name: user?.name || 'Unknown Member', email: user?.email } : null,
+      totalTasks: m.totalTasks,
+      openTasks: m.openTasks,
+      remainingEffort: round(m.remainingEffort),
+      unestimatedTasks: m.unestimatedTasks,
+      share: remainingEffort > 0 ? round((m.remainingEffort / remainingEffort) * 100) : 0,
+      accuracy: {
+        estimatedTasks: m.estimatedTasks,
+        estimated: round(m.estimated),
+        actualHours: round(m.actualHours),
+        // Tracked hours per estimated hour: above 1 means the member underestimates
+        ratio: expectedHours ? round(m.actualHours / expectedHours) : null,
+        // 100 when tracked time matches the estimate exactly
+        accuracy: expectedHours && m.actualHours > 0
+          ? Math.round((Math.min(expectedHours, m.actualHours) / Math.max(expectedHours, m.actualHours)) * 100)
+          : null
+      }
+    };
+  }).sort((a, b) => b.remainingEffort - a.remainingEffort);
+
+  return {
+    unit,
+    hoursPerUnit: hoursPerUnit === null ? null : round(hoursPerUnit),
+    remainingEffort: round(remainingEffort),
+    unestimatedTasks: members.reduce((sum, m) => sum + m.unestimatedTasks, 0),
+    members
+  };
+}
+
+// Utility: Check the value sent with a bulk action. Returns an error message, or null.
+function getBulkValueError(action, value) {
+  if (action === 'status' && !['todo', 'in-progress', 'completed'].includes(value)) {
+    return 'Status must be todo, in-progress, or completed';
+  }
+  if (action === 'priority' && !['low', 'medium', 'high'].includes(value)) {
+    return 'Priority must be low, medium, or high';
+  }
+  if (['addTags', 'removeTags'].includes(action) &&
+    (!Array.isArray(value) || value.length === 0 || !value.every(tag => typeof tag === 'string' && tag.trim()))) {
+    return 'Provide at least one tag';
+  }
+  if (action === 'assign' && !mongoose.Types.ObjectId.isValid(value)) {
+    return 'A valid assignee is required';
+  }
+  return null;
+}
+
+// Utility: Apply one bulk action to a task the user may modify.
+// Returns { success, message?, task? }; `teams` caches teams between tasks.
+async function applyBulkAction(task, action, value, { userId, actor, teams, overrideBlockers }) {
+  if (action === 'revert') {
+    return revertLastChange(task, userId, actor);
+  }
+  if (action === 'delete') {
+    await removeTask(task, userId);
+    return { success: true, deleted: true };
+  }
+  if (action === 'archive' || action === 'unarchive') {
+    const archived = action === 'archive';
+    if (!!task.isArchived === archived) return { success: true, unchanged: true };
+    return { success: true, task: await setTaskArchived(task, archived, userId) };
+  }
+
+  const updates = {};
+  if (action === 'status') {
+    if (task.status === value) return { success: true, unchanged: true };
+    // Same rule as updateTask: open blockers keep a task from starting or completing
+    if (['in-progress', 'completed'].includes(value) && !overrideBlockers) {
+      const openBlockers = await Task.getOpenBlockers(task);
+      if (openBlockers.length > 0) {
+        return { success: false, message: `Task is blocked by: ${openBlockers.map(b => b.title).join(', ')}` };
+      }
+    }
+    updates.status = value;
+    updates.workflowStatus = null;
+    if (value === 'completed' && !task.completedAt) updates.completedAt = new Date();
+    if (value !== 'completed' && task.completedAt) updates.completedAt = undefined;
+  } else if (action === 'priority') {
+    updates.priority = value;
+  } else if (action === 'addTags') {
+    updates.tags = [...new Set([...(task.tags || []), ...value.map(tag => tag.trim())])];
+  } else if (action === 'removeTags') {
+    const removed = value.map(tag => tag.trim());
+    updates.tags = (task.tags || []).filter(tag => !removed.includes(tag));
+  } else if (action === 'assign') {
+    if (task.team) {
+      const teamId = task.team.toString();
+      if (!teams.has(teamId)) teams.set(teamId, await Team.findById(teamId));
+      const team = teams.get(teamId);
+      if (!team || !team.isUserMember(value)) {
+        return { success: false, message: 'Assignee is not a member of this task\'s team' };
+      }
+    }
+    updates.assignedTo = value;
+  }
+  if (!Object.keys(updates).some(field => valuesDiffer(task[field], updates[field]))) {
+    return { success: true, unchanged: true };
+  }
+
+  const updatedTask = await Task.findByIdAndUpdate(task._id, updates, { new: true, runValidators: true })
+    .populate('assignedTo', 'name email')
+    .populate('createdBy', 'name email')
+    .populate('blockedBy', 'title status isArchived');
+  const changes = getFieldChanges(task, updatedTask, Object.keys(updates));
+  if (changes.length > 0) {
+    await ActivityLog.record(updatedTask, userId, 'updated', changes);
+  }
+  await notifyAssignmentChange(updatedTask, task.assignedTo, actor);
+  const [taskWithProgress] = await Task.withProgress([updatedTask]);
+  broadcastTaskEvent('task:updated', taskWithProgress);
+  return { success: true, task: taskWithProgress };
+}
+
+// Utility: Move a task to the trash. Its subtasks and dependents keep pointing at it
+// so a restore brings everything back; the purge detaches them.
+async function removeTask(task, userId) {
+  const id = task._id;
+  const deletedAt = new Date();
+  await Task.updateOne({ _id: id }, { deletedAt, deletedBy: userId });
+  await ActivityLog.record(task, userId, 'deleted', [{ field: 'deletedAt', before: null, after: deletedAt }]);
+  broadcastTaskEvent('task:deleted', task, { taskId: id, team: task.team });
+}
+
+// Utility: Find a task in the trash by id (null for invalid ids)
+function findTrashedTask(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return Task.findOne({ _id: id, deletedAt: { $ne: null } });
+}
+
+// Utility: Archive or restore a task. Returns the updated task (assignee and creator populated).
+async function setTaskArchived(task, isArchived, userId) {
+  const updatedTask = await Task.findByIdAndUpdate(
+    task._id,
+    {
+      isArchived,
+      archivedAt: isArchived ? new Date() : null
+    },
+    { new: true }
+  )
+    .populate('assignedTo', 'name email')
+    .populate('createdBy', 'name email');
+  await ActivityLog.record(updatedTask, userId, isArchived ? 'archived' : 'restored', [
+    { field: 'isArchived', before: task.isArchived, after: updatedTask.isArchived }
+  ]);
+  broadcastTaskEvent('task:updated', updatedTask);
+  return updatedTask;
+}
+
 // Utility: Get filter for personal tasks (used everywhere for consistency)
 function getPersonalTasksFilter(userId) {
   return {
@@ -1165,9 +2608,16 @@ module.exports = {
   getTasks,
   getTask,
   createTask,
+  importTasks,
   updateTask,
   deleteTask,
   archiveTask,
+  getTrash,
+  getTaskTags,
+  restoreTask,
+  purgeTrashedTask,
+  revertTask,
+  bulkUpdateTasks,
   getTaskStats,
   getArchivedTasks,
   getTaskAnalytics,
@@ -1182,5 +2632,15 @@ module.exports = {
   getTeamAnalytics,
   getTeamWorkloadDistribution,
   getTeamProductivityTrends,
-  getTeamMemberAnalytics
+  getTeamMemberAnalytics,
+  getSubtasks,
+  createSubtask,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  getTeamDependencyGraph,
+  getTeamTimeline
 };
\ No newline at end of file
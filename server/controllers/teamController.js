@@ -9,6 +9,9 @@ const mongoose = require('mongoose');
 const Team = require('../models/Team');
 const User = require('../models/User');
 const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const { sendTemplate } = require('../mail');
+const { joinTeamRoom, leaveTeamRoom } = require('../socket');
 
 // @desc    Get user's teams
 // @route   GET /api/teams
@@ -60,6 +63,7 @@ const createTeam = async (req, res) => {
 
     await team.save();
     await team.populate('members.userId', 'name email');
+    joinTeamRoom(userId, team._id);
     
     // Set as user's current team
     await User.findByIdAndUpdate(userId, { currentTeam: team._id });
@@ -107,7 +111,7 @@ const updateTeam = async (req, res) => {
   try {
     const userId = req.user.userId || req.user.id;
     const { id } = req.params;
-    const { name, description } = req.body;
+    const { name, description, estimateUnit } = req.body;
 
     const team = await Team.findById(id);
     if (!team) {
@@ -121,6 +125,12 @@ const updateTeam = async (req, res) => {
 
     if (name) team.name = name.trim();
     if (description !== undefined) team.description = description?.trim();
+    if (estimateUnit !== undefined) {
+      if (!['hours', 'points'].includes(estimateUnit)) {
+        return res.status(400).json({ message: 'Estimate unit must be hours or points' });
+      }
+      team.estimateUnit = estimateUnit;
+    }
 
     await team.save();
     await team.populate('members.userId', 'name email');
@@ -131,6 +141,116 @@ const updateTeam = async (req, res) => {
   }
 };
 
+// @desc    Replace the team's ordered workflow columns
+// @route   PUT /api/teams/:id/workflow
+// @access  Private (Admin only)
+const updateTeamWorkflow = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { id } = req.params;
+    const { statuses } = req.body;
+
+    const team = await Team.findById(id);
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!team.isUserAdmin(userId)) {
+      return res.status(403).json({ message: 'Only admins can manage workflow statuses' });
+    }
+
+    if (!Array.isArray(statuses) || statuses.length === 0 || statuses.length > 12) {
+      return res.status(400).json({ message: 'A workflow needs between 1 and 12 statuses' });
+    }
+    const categories = ['todo', 'in-progress', 'completed'];
+    for (const status of statuses) {
+      if (typeof status?.name !== 'string' || !status.name.trim()) {
+        return res.status(400).json({ message: 'Every workflow status needs a name' });
+      }
+      if (!categories.includes(status.category)) {
+        return res.status(400).json({ message: `Invalid category for "${status.name}"` });
+      }
+    }
+    const missing = categories.filter(category => !statuses.some(s => s.category === category));
+    if (missing.length > 0) {
+      return res.status(400).json({ message: `Workflow needs at least one status in each category (missing: ${missing.join(', ')})` });
+    }
+    const names = statuses.map(s => s.name.trim().toLowerCase());
+    if (new Set(names).size !== names.length) {
+      return res.status(400).json({ message: 'Workflow status names must be unique' });
+    }
+
+    // Existing columns keep their key so tasks stay in place; new ones get one from their name
+    const previous = team.getWorkflow();
+    const usedKeys = new Set();
+    const nextWorkflow = statuses.map(status => {
+      let key = previous.some(p => p.key === status.key) ? status.key : slugifyStatusName(status.name);
+      const base = key;
+      let suffix = 2;
+      while (usedKeys.has(key)) key = `${base}-${suffix++}`;
+      usedKeys.add(key);
+      return {
+        key,
+        name: status.name.trim(),
+        category: status.category,
+        color: status.color || '#6b7280'
+      };
+    });
+
+    // A column's category can only change while it is empty: moving its tasks to another category
+    // would complete or reopen them without the activity log, recurrence, and parent roll-up of a task update
+    for (const column of previous) {
+      const updated = nextWorkflow.find(c => c.key === column.key);
+      if (updated && updated.category !== column.category) {
+        const taskCount = await Task.countDocuments({ team: id, workflowStatus: column.key });
+        if (taskCount > 0) {
+          return res.status(400).json({
+            message: `Move the ${taskCount} task${taskCount === 1 ? '' : 's'} out of "${column.name}" before changing its category`
+          });
+        }
+      }
+    }
+
+    // Move tasks out of removed columns into the first column of the same category
+    // (trashed tasks too, so a restored task doesn't come back into a missing column)
+    for (const column of previous) {
+      if (!nextWorkflow.some(c => c.key === column.key)) {
+        const fallback = nextWorkflow.find(c => c.category === column.category);
+        await Task.updateMany(
+          { team: id, workflowStatus: column.key },
+          { workflowStatus: fallback.key },
+          { includeDeleted: true }
+        );
+      }
+    }
+    // Tasks without a column sat in the old first column of their category; pin them there
+    for (const category of categories) {
+      const oldDefault = previous.find(c => c.category === category);
+      const newDefault = nextWorkflow.find(c => c.category === category);
+      if (oldDefault && newDefault && oldDefault.key !== newDefault.key) {
+        const target = nextWorkflow.find(c => c.key === oldDefault.key && c.category === category) || newDefault;
+        await Task.updateMany(
+          { team: id, status: category, workflowStatus: null },
+          { workflowStatus: target.key },
+          { includeDeleted: true }
+        );
+      }
+    }
+
+    team.workflowStatuses = nextWorkflow;
+    await team.save();
+    await team.populate('members.userId', 'name email');
+
+    res.json(team);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error updating workflow', error: error.message });
+  }
+};
+
 // @desc    Invite user to team by email
 // @route   POST /api/teams/:id/invite
 // @access  Private (Admin only)
@@ -182,8 +302,29 @@ const inviteToTeam = async (req, res) => {
     });
     await inviteeUser.save();
 
+    await Notification.notifyUsers([inviteeUser._id], {
+      type: 'invitation',
+      message: `${req.user.name || 'Someone'} invited you to join "${team.name}"`,
+      actor: userId,
+      team: team._id
+    });
+
+    // Email the invitee too; a delivery failure shouldn't undo the invitation
+    let emailSent = true;
+    try {
+      await sendTemplate(inviteeUser.email, 'invitation', {
+        inviterName: req.user.name,
+        teamName: team.name,
+        role
+      });
+    } catch (error) {
+      emailSent = false;
+      console.error('Invitation email error:', error.message);
+    }
+
     res.json({ 
       message: 'Invitation sent successfully',
+      emailSent,
       invitedUser: {
         name: inviteeUser.name,
         email: inviteeUser.email
@@ -252,6 +393,7 @@ const acceptInvitation = async (req, res) => {
     }
 
     await team.populate('members.userId', 'name email');
+    joinTeamRoom(userId, team._id);
 
     res.json({ 
       message: 'Invitation accepted successfully', 
@@ -325,6 +467,7 @@ const removeMember = async (req, res) => {
     await User.findByIdAndUpdate(memberId, { 
       $unset: { currentTeam: 1 } 
     });
+    leaveTeamRoom(memberId, team._id);
 
     res.json({ message: 'Member removed successfully' });
   } catch (error) {
@@ -372,6 +515,7 @@ const leaveTeam = async (req, res) => {
 
     // Clear current team for user
     await User.findByIdAndUpdate(userId, { $unset: { currentTeam: 1 } });
+    leaveTeamRoom(userId, team._id);
 
     res.json({ message: 'Left team successfully' });
   } catch (error) {
@@ -416,8 +560,17 @@ const changeMemberRole = async (req, res) => {
       }
     }
 
+    const previousRole = member.role;
     member.role = role;
     await team.save();
+    if (previousRole !== role) {
+      await Notification.notifyUsers([member.userId], {
+        type: 'role-changed',
+        message: `Your role in "${team.name}" changed from ${previousRole} to ${role}`,
+        actor: userId,
+        team: team._id
+      });
+    }
     await team.populate('members.userId', 'name email');
     res.json({ message: 'Role updated successfully', team });
   } catch (error) {
@@ -453,6 +606,12 @@ const transferOwnership = async (req, res) => {
     // Set new owner
     newOwner.role = 'owner';
     await team.save();
+    await Notification.notifyUsers([newOwner.userId], {
+      type: 'role-changed',
+      message: `You are now the owner of "${team.name}"`,
+      actor: userId,
+      team: team._id
+    });
     await team.populate('members.userId', 'name email');
     res.json({ message: 'Ownership transferred successfully', team });
   } catch (error) {
@@ -460,6 +619,11 @@ const transferOwnership = async (req, res) => {
   }
 };
 
+// Utility: Turn a workflow status name into a stable key
+function slugifyStatusName(name) {
+  return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'status';
+}
+
 module.exports = {
   getUserTeams,
   createTeam,
@@ -472,5 +636,6 @@ module.exports = {
   removeMember,
   leaveTeam,
   changeMemberRole,
-  transferOwnership
-};
\ No newline at end of file
+  transferOwnership,
+  updateTeamWorkflow
+};
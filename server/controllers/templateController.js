@@ -0,0 +1,265 @@
+/*
+  templateController.js
+  Express controller for task templates and template bundles in TaskTracker+ backend.
+  - Creates, updates, deletes, and lists personal templates and a team's shared templates.
+  - Instantiates a template, creating all of its tasks at once with due dates relative to a start day.
+  - Team templates are used by any member; their creator and team admins/owners manage them.
+*/
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const ActivityLog = require('../models/ActivityLog');
+const Notification = require('../models/Notification');
+const { emitToTeam, emitToUser } = require('../socket');
+const { loadTeamForUser } = require('../access');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TEMPLATE_TASK_FIELDS = ['title', 'description', 'priority', 'tags', 'dueOffsetDays', 'checklist', 'assignee'];
+
+// @desc    Get personal templates, or a team's templates with ?team=<teamId>
+// @route   GET /api/templates
+// @access  Private (Team member for team templates)
+const getTemplates = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    let filter = { createdBy: userId, team: null };
+    if (req.query.team) {
+      const { team, error } = await loadTeamForUser(req.query.team, userId);
+      if (error) return res.status(error.status).json({ message: error.message });
+      filter = { team: team._id };
+    }
+
+    const templates = await TaskTemplate.find(filter)
+      .populate('createdBy', 'name email')
+      .populate('tasks.assignee', 'name email')
+      .sort({ name: 1 });
+    res.json({ templates });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching templates', error: error.message });
+  }
+};
+
+// @desc    Create a personal or team template
+// @route   POST /api/templates
+// @access  Private (Team member for team templates)
+const createTemplate = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    let team = null;
+    if (req.body.team) {
+      const result = await loadTeamForUser(req.body.team, userId);
+      if (result.error) return res.status(result.error.status).json({ message: result.error.message });
+      team = result.team;
+    }
+
+    const template = new TaskTemplate({ team: team?._id || null, createdBy: userId });
+    const fieldError = applyTemplateFields(template, req.body, team);
+    if (fieldError) return res.status(400).json({ message: fieldError });
+    await template.save();
+    if (team) emitToTeam(team._id, 'template:changed', { team: team._id, template: template._id });
+
+    await template.populate('createdBy', 'name email');
+    await template.populate('tasks.assignee', 'name email');
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error creating template', error: error.message });
+  }
+};
+
+// @desc    Update a template (name, description, or its tasks)
+// @route   PUT /api/templates/:id
+// @access  Private (Owner, or team admin/owner)
+const updateTemplate = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { template, team, error } = await loadTemplateForUser(req.params.id, userId, true);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const fieldError = applyTemplateFields(template, req.body, team);
+    if (fieldError) return res.status(400).json({ message: fieldError });
+    await template.save();
+    if (team) emitToTeam(team._id, 'template:changed', { team: team._id, template: template._id });
+
+    await template.populate('createdBy', 'name email');
+    await template.populate('tasks.assignee', 'name email');
+    res.json(template);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error updating template', error: error.message });
+  }
+};
+
+// @desc    Delete a template (tasks created from it are kept)
+// @route   DELETE /api/templates/:id
+// @access  Private (Owner, or team admin/owner)
+const deleteTemplate = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { template, team, error } = await loadTemplateForUser(req.params.id, userId, true);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    await template.deleteOne();
+    if (team) emitToTeam(team._id, 'template:changed', { team: team._id, template: template._id });
+    res.json({ message: 'Template deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting template', error: error.message });
+  }
+};
+
+// @desc    Create all of a template's tasks. Due dates count from `startDate` (default today);
+//          `assignedTo` assigns every task of a team template to one member.
+// @route   POST /api/templates/:id/instantiate
+// @access  Private (Owner, or team member)
+const instantiateTemplate = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { template, team, error } = await loadTemplateForUser(req.params.id, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const { startDate, assignedTo } = req.body;
+    const baseDate = new Date(startDate || new Date().toISOString().split('T')[0]);
+    if (isNaN(baseDate)) {
+      return res.status(400).json({ message: 'Invalid start date' });
+    }
+    // Start dates are calendar days at UTC midnight, so they are compared with today's UTC day
+    if (baseDate.toISOString().slice(0, 10) < new Date().toISOString().slice(0, 10)) {
+      return res.status(400).json({ message: 'Start date cannot be in the past' });
+    }
+    if (assignedTo && (!team || !team.isUserMember(assignedTo))) {
+      return res.status(400).json({ message: 'Tasks can only be assigned to team members' });
+    }
+
+    const tasks = template.tasks.map(blueprint => {
+      // A default assignee who has left the team falls back to whoever uses the template
+      const defaultAssignee = team && blueprint.assignee && team.isUserMember(blueprint.assignee)
+        ? blueprint.assignee
+        : userId;
+      return new Task({
+        title: blueprint.title,
+        description: blueprint.description,
+        priority: blueprint.priority,
+        tags: blueprint.tags,
+        checklist: blueprint.checklist.map(item => ({ text: item.text })),
+        dueDate: blueprint.dueOffsetDays != null ? new Date(baseDate.getTime() + blueprint.dueOffsetDays * DAY_MS) : null,
+        assignedTo: team ? (assignedTo || defaultAssignee) : userId,
+        createdBy: userId,
+        team: team?._id || null
+      });
+    });
+    // The bundle is created whole or not at all: every task is validated before any is saved,
+    // and if a save still fails, the tasks saved so far are removed again
+    for (const task of tasks) {
+      await task.validate();
+    }
+    const saved = [];
+    try {
+      for (const task of tasks) {
+        await task.save();
+        saved.push(task);
+      }
+    } catch (saveError) {
+      await Task.deleteMany({ _id: { $in: saved.map(task => task._id) } });
+      throw saveError;
+    }
+
+    // The whole bundle exists now; a failed activity entry or notification is logged, not undone
+    for (const task of tasks) {
+      try {
+        await ActivityLog.record(task, userId, 'created');
+        await Notification.notifyUsers([task.assignedTo], {
+          actor: userId,
+          task: task._id,
+          team: task.team,
+          type: 'assigned',
+          message: `${req.user.name || 'Someone'} assigned you "${task.title}"`
+        });
+      } catch (error) {
+        console.error(`Activity or notification for template task ${task._id} failed:`, error.message);
+      }
+      await task.populate('assignedTo', 'name email');
+      await task.populate('createdBy', 'name email');
+      if (team) {
+        emitToTeam(team._id, 'task:created', task);
+      } else {
+        emitToUser(userId, 'task:created', task);
+      }
+    }
+
+    res.status(201).json({
+      message: `Created ${tasks.length} task${tasks.length === 1 ? '' : 's'} from "${template.name}"`,
+      tasks
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error creating tasks from template', error: error.message });
+  }
+};
+
+// Utility: load a template the user can see (or manage, with `manage`).
+// Returns { template, team } or { error: { status, message } }.
+async function loadTemplateForUser(templateId, userId, manage = false) {
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    return { error: { status: 400, message: 'Invalid template id' } };
+  }
+  const template = await TaskTemplate.findById(templateId);
+  const isCreator = template && template.createdBy.toString() === userId.toString();
+  if (!template || (!template.team && !isCreator)) {
+    return { error: { status: 404, message: 'Template not found' } };
+  }
+  if (!template.team) return { template, team: null };
+
+  const { team, error } = await loadTeamForUser(template.team, userId);
+  if (error) return { error };
+  if (manage && !isCreator && !team.isUserAdmin(userId)) {
+    return { error: { status: 403, message: 'Only the template creator or team admins can change this template' } };
+  }
+  return { template, team };
+}
+
+// Utility: copy the editable fields from a request body onto a template.
+// Returns an error message, or null.
+function applyTemplateFields(template, body, team) {
+  if (body.name !== undefined) template.name = body.name;
+  if (body.description !== undefined) template.description = body.description;
+  if (body.tasks !== undefined) {
+    if (!Array.isArray(body.tasks)) return 'Template tasks must be a list';
+    const tasks = body.tasks.map(task => TEMPLATE_TASK_FIELDS.reduce((acc, field) => {
+      if (task?.[field] !== undefined) acc[field] = task[field];
+      return acc;
+    }, {}));
+    for (const task of tasks) {
+      if (!task.assignee) {
+        task.assignee = null;
+      } else if (!team) {
+        return 'Personal templates cannot have a default assignee';
+      } else if (!team.isUserMember(task.assignee)) {
+        return 'Default assignees must be team members';
+      }
+      if (task.dueOffsetDays === '' || task.dueOffsetDays === undefined) task.dueOffsetDays = null;
+      if (task.checklist != null && !Array.isArray(task.checklist)) {
+        return 'Template task checklists must be a list';
+      }
+      task.checklist = (task.checklist || []).map(item => ({ text: typeof item === 'string' ? item : item?.text }));
+    }
+    template.tasks = tasks;
+  }
+  return null;
+}
+
+module.exports = {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  instantiateTemplate
+};
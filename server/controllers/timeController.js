@@ -0,0 +1,341 @@
+/*
+  timeController.js
+  Express controller for time tracking in TaskTracker+ backend.
+  - Starts and stops timers (one running timer per user) and records manual entries.
+  - Pushes timer changes to the user's other sessions over socket.io.
+  - Lets users edit or delete their own entries; totals are kept on the task.
+  - Aggregates timesheets per day, user, team, or task for billing and analytics.
+*/
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const TimeEntry = require('../models/TimeEntry');
+const { emitToUser, broadcastTaskEvent } = require('../socket');
+const { loadTaskForUser } = require('../access');
+
+const TIMESHEET_GROUPS = ['day', 'user', 'team', 'task'];
+const MAX_TIMESHEET_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    Get time entries for a task
+// @route   GET /api/tasks/:id/time
+// @access  Private (Team member or task owner)
+const getTimeEntries = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { task, error } = await loadTaskForUser(req.params.id, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const entries = await TimeEntry.find({ task: task._id })
+      .populate('user', 'name email')
+      .sort({ startedAt: -1 });
+
+    res.json({ entries, timeSpent: task.timeSpent || 0 });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching time entries', error: error.message });
+  }
+};
+
+// @desc    Start a timer on a task
+// @route   POST /api/tasks/:id/time/start
+// @access  Private (Team member or task owner)
+const startTimer = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { task, error } = await loadTaskForUser(req.params.id, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const running = await TimeEntry.findOne({ user: userId, isRunning: true }).populate('task', 'title team');
+    if (running) {
+      return res.status(409).json({ message: 'You already have a running timer', entry: running });
+    }
+
+    const entry = new TimeEntry({
+      task: task._id,
+      team: task.team || null,
+      user: userId,
+      startedAt: new Date(),
+      isRunning: true,
+      source: 'timer',
+      note: req.body.note
+    });
+    await entry.save();
+
+    await entry.populate('task', 'title team');
+    emitToUser(userId, 'timer:changed', { entry });
+    res.status(201).json(entry);
+  } catch (error) {
+    // The unique index on running timers catches two starts racing each other
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You already have a running timer' });
+    }
+    res.status(500).json({ message: 'Error starting timer', error: error.message });
+  }
+};
+
+// @desc    Stop the current user's running timer
+// @route   POST /api/tasks/time/stop
+// @access  Private
+const stopTimer = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const entry = await TimeEntry.findOne({ user: userId, isRunning: true });
+    if (!entry) {
+      return res.status(404).json({ message: 'No running timer' });
+    }
+
+    entry.isRunning = false;
+    entry.endedAt = new Date();
+    if (req.body.note !== undefined) entry.note = req.body.note;
+    await entry.save();
+
+    const task = await refreshTaskTotal(entry.task);
+    await entry.populate('task', 'title team');
+    await entry.populate('user', 'name email');
+    emitToUser(userId, 'timer:changed', { entry: null });
+    res.json({ entry, timeSpent: task ? task.timeSpent : 0 });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error stopping timer', error: error.message });
+  }
+};
+
+// @desc    Get the current user's running timer, if any
+// @route   GET /api/tasks/time/running
+// @access  Private
+const getRunningTimer = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const entry = await TimeEntry.findOne({ user: userId, isRunning: true }).populate('task', 'title team');
+    res.json({ entry });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching running timer', error: error.message });
+  }
+};
+
+// @desc    Add a manual time entry to a task
+// @route   POST /api/tasks/:id/time
+// @access  Private (Team member or task owner)
+const createTimeEntry = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { startedAt, endedAt, note } = req.body;
+    if (!startedAt || !endedAt) {
+      return res.status(400).json({ message: 'Start and end times are required' });
+    }
+    if (new Date(endedAt) > new Date()) {
+      return res.status(400).json({ message: 'Time entries cannot end in the future' });
+    }
+
+    const { task, error } = await loadTaskForUser(req.params.id, userId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    const entry = new TimeEntry({
+      task: task._id,
+      team: task.team || null,
+      user: userId,
+      startedAt,
+      endedAt,
+      source: 'manual',
+      note
+    });
+    await entry.save();
+
+    const updatedTask = await refreshTaskTotal(task._id);
+    await entry.populate('user', 'name email');
+    res.status(201).json({ entry, timeSpent: updatedTask ? updatedTask.timeSpent : 0 });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors ? Object.values(error.errors).map(err => err.message) : ['Invalid time entry'];
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error creating time entry', error: error.message });
+  }
+};
+
+// @desc    Edit one of your own finished time entries
+// @route   PUT /api/tasks/:id/time/:entryId
+// @access  Private (Entry owner)
+const updateTimeEntry = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const entry = await TimeEntry.findOne({ _id: req.params.entryId, task: req.params.id });
+    if (!entry) {
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+    if (entry.user.toString() !== userId.toString()) {
+      return res.status(403).json({ message: 'You can only edit your own time entries' });
+    }
+    if (entry.isRunning) {
+      return res.status(400).json({ message: 'Stop the timer before editing this entry' });
+    }
+
+    ['startedAt', 'endedAt', 'note'].forEach(field => {
+      if (req.body[field] !== undefined) entry[field] = req.body[field];
+    });
+    if (entry.endedAt > new Date()) {
+      return res.status(400).json({ message: 'Time entries cannot end in the future' });
+    }
+    await entry.save();
+
+    const task = await refreshTaskTotal(entry.task);
+    await entry.populate('user', 'name email');
+    res.json({ entry, timeSpent: task ? task.timeSpent : 0 });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors ? Object.values(error.errors).map(err => err.message) : ['Invalid time entry'];
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Error updating time entry', error: error.message });
+  }
+};
+
+// @desc    Delete one of your own time entries
+// @route   DELETE /api/tasks/:id/time/:entryId
+// @access  Private (Entry owner)
+const deleteTimeEntry = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const entry = await TimeEntry.findOne({ _id: req.params.entryId, task: req.params.id });
+    if (!entry) {
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+    if (entry.user.toString() !== userId.toString()) {
+      return res.status(403).json({ message: 'You can only delete your own time entries' });
+    }
+
+    await entry.deleteOne();
+    const task = await refreshTaskTotal(entry.task);
+    res.json({ message: 'Time entry deleted', entryId: entry._id, timeSpent: task ? task.timeSpent : 0 });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting time entry', error: error.message });
+  }
+};
+
+// @desc    Aggregate tracked time per day, user, team, or task
+// @route   GET /api/tasks/time/timesheet?from=&to=&groupBy=day|user|team|task&teamId=&userId=
+// @access  Private (own time; team totals for members; per-member breakdowns for team admins)
+const getTimesheet = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { teamId, userId: memberId, groupBy = 'day' } = req.query;
+    if (!TIMESHEET_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ message: `groupBy must be one of: ${TIMESHEET_GROUPS.join(', ')}` });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * DAY_MS);
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    if (to - from > MAX_TIMESHEET_DAYS * DAY_MS) {
+      return res.status(400).json({ message: `Timesheets cover at most ${MAX_TIMESHEET_DAYS} days` });
+    }
+
+    const match = { isRunning: false, startedAt: { $gte: from, $lte: to } };
+    if (teamId) {
+      const team = await Team.findById(teamId);
+      if (!team) return res.status(404).json({ message: 'Team not found' });
+      if (!team.isUserMember(userId)) return res.status(403).json({ message: 'You are not a member of this team' });
+      // Individual breakdowns follow the same rule as member analytics
+      const viewsOthers = groupBy === 'user' || (memberId && memberId !== userId.toString());
+      if (viewsOthers && !team.isUserAdmin(userId)) {
+        return res.status(403).json({ message: 'Only team admins can view individual members\' time' });
+      }
+      match.team = team._id;
+      if (memberId) match.user = new mongoose.Types.ObjectId(memberId);
+    } else {
+      match.user = new mongoose.Types.ObjectId(userId.toString());
+    }
+
+    const user = await User.findById(userId, 'preferences');
+    const timezone = getTimezone(req.query.timezone || user?.preferences?.timezone);
+
+    const groupKeys = {
+      day: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt', timezone } },
+      user: '$user',
+      team: '$team',
+      task: '$task'
+    };
+    const [groups, hours] = await Promise.all([
+      TimeEntry.aggregate([
+        { $match: match },
+        { $group: { _id: groupKeys[groupBy], totalSeconds: { $sum: '$duration' }, entryCount: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]),
+      TimeEntry.aggregate([
+        { $match: match },
+        { $group: { _id: { $hour: { date: '$startedAt', timezone } }, totalSeconds: { $sum: '$duration' } } }
+      ])
+    ]);
+
+    const labels = await getGroupLabels(groupBy, groups.map(g => g._id));
+    const rows = groups.map(g => ({
+      key: g._id,
+      label: groupBy === 'day' ? g._id : labels.get(String(g._id)) || (g._id ? 'Unknown' : 'Personal'),
+      totalSeconds: g.totalSeconds,
+      entryCount: g.entryCount
+    }));
+    const hourly = Array(24).fill(0);
+    hours.forEach(h => { hourly[h._id] = h.totalSeconds; });
+
+    res.json({
+      from,
+      to,
+      groupBy,
+      timezone,
+      totalSeconds: rows.reduce((sum, row) => sum + row.totalSeconds, 0),
+      rows,
+      hourly
+    });
+  } catch (error) {
+    if (error.name === 'BSONError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Error fetching timesheet', error: error.message });
+  }
+};
+
+// Utility: Recalculate a task's tracked total and broadcast the updated task
+async function refreshTaskTotal(taskId) {
+  const task = await TimeEntry.updateTaskTotal(taskId);
+  if (!task) return null;
+  await task.populate('assignedTo', 'name email');
+  await task.populate('createdBy', 'name email');
+  broadcastTaskEvent('task:updated', task);
+  return task;
+}
+
+// Utility: Display names for timesheet rows grouped by user, team, or task
+async function getGroupLabels(groupBy, ids) {
+  const models = { user: [User, 'name'], team: [Team, 'name'], task: [Task, 'title'] };
+  if (!models[groupBy]) return new Map();
+  const [Model, field] = models[groupBy];
+  const docs = await Model.find({ _id: { $in: ids.filter(Boolean) } }, field);
+  return new Map(docs.map(doc => [doc._id.toString(), doc[field]]));
+}
+
+// Utility: Use the given IANA timezone if this runtime knows it, otherwise UTC
+function getTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone || 'UTC' });
+    return timezone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+module.exports = {
+  getTimeEntries,
+  startTimer,
+  stopTimer,
+  getRunningTimer,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimesheet
+};
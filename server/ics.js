@@ -0,0 +1,219 @@
+/*
+  ics.js
+  iCalendar (RFC 5545) helpers for the TaskTracker+ backend.
+  - Builds read-only calendar feeds where each task with a due date is an all-day VEVENT or a VTODO.
+  - Parses uploaded .ics files into plain task data for import.
+  - Dates are date-only, like task due dates (midnight UTC).
+*/
+
+const PRODUCT_ID = '-//TaskTracker+//Task Feed//EN';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Content lines longer than this many bytes are folded (RFC 5545 §3.1)
+const MAX_LINE_BYTES = 75;
+
+const STATUS_LABELS = { todo: 'To do', 'in-progress': 'In progress', completed: 'Completed' };
+const TODO_STATUSES = { todo: 'NEEDS-ACTION', 'in-progress': 'IN-PROCESS', completed: 'COMPLETED' };
+const PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+// Build a VCALENDAR document for `tasks`.
+// `getUrl(task)` returns the link back to the task in the app; `component` is 'event' or 'todo'.
+function buildCalendar(tasks, { name, getUrl, component = 'event' }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  tasks.filter(task => task.dueDate).forEach(task => {
+    lines.push(...(component === 'todo' ? buildTodo(task, getUrl(task)) : buildEvent(task, getUrl(task))));
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Parse the VEVENT and VTODO components of an .ics file into task data:
+// [{ title, description, dueDate, startDate, priority, status, tags }]. Cancelled items are left out.
+function parseCalendar(text) {
+  const items = [];
+  let current = null;
+  let depth = 0;
+  unfoldLines(text).forEach(line => {
+    const property = parseProperty(line);
+    if (!property) return;
+    if (property.name === 'BEGIN') {
+      if (!current && (property.value === 'VEVENT' || property.value === 'VTODO')) {
+        current = { type: property.value, properties: {} };
+      } else if (current) {
+        depth++; // Nested components such as VALARM
+      }
+    } else if (property.name === 'END') {
+      if (current && depth > 0) {
+        depth--;
+      } else if (current && property.value === current.type) {
+        items.push(current);
+        current = null;
+      }
+    } else if (current && depth === 0 && !current.properties[property.name]) {
+      current.properties[property.name] = property;
+    }
+  });
+  return items.map(toTaskData).filter(Boolean);
+}
+
+// Utility: all-day event spanning the task's start (or due) day through its due day
+function buildEvent(task, url) {
+  const due = toDateValue(task.dueDate);
+  const start = task.startDate && toDateValue(task.startDate) < due ? toDateValue(task.startDate) : due;
+  return [
+    'BEGIN:VEVENT',
+    ...buildCommonProperties(task, url),
+    `DTSTART;VALUE=DATE:${start}`,
+    `DTEND;VALUE=DATE:${toDateValue(new Date(new Date(task.dueDate).getTime() + DAY_MS))}`,
+    'TRANSP:TRANSPARENT',
+    // Events have no task status of their own, so it is carried as a category
+    `CATEGORIES:${escapeText(STATUS_LABELS[task.status] || task.status)}`,
+    'END:VEVENT'
+  ];
+}
+
+// Utility: to-do due on the task's due day
+function buildTodo(task, url) {
+  const lines = ['BEGIN:VTODO', ...buildCommonProperties(task, url)];
+  if (task.startDate) lines.push(`DTSTART;VALUE=DATE:${toDateValue(task.startDate)}`);
+  lines.push(`DUE;VALUE=DATE:${toDateValue(task.dueDate)}`);
+  lines.push(`STATUS:${TODO_STATUSES[task.status] || 'NEEDS-ACTION'}`);
+  if (task.status === 'completed' && task.completedAt) lines.push(`COMPLETED:${toDateTimeValue(task.completedAt)}`);
+  lines.push('END:VTODO');
+  return lines;
+}
+
+// Utility: properties shared by events and to-dos
+function buildCommonProperties(task, url) {
+  const description = [
+    task.description,
+    `Status: ${STATUS_LABELS[task.status] || task.status}`,
+    `Priority: ${task.priority}`,
+    url
+  ].filter(Boolean).join('\n');
+  return [
+    `UID:${task._id}@tasktracker`,
+    `DTSTAMP:${toDateTimeValue(task.updatedAt || task.createdAt || new Date())}`,
+    `SUMMARY:${escapeText(task.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `PRIORITY:${PRIORITIES[task.priority] || 0}`,
+    `URL:${url}`
+  ];
+}
+
+// Utility: turn a parsed component into task data, or null if it cannot become a task
+function toTaskData({ type, properties }) {
+  const summary = properties.SUMMARY && unescapeText(properties.SUMMARY.value).trim();
+  const status = properties.STATUS?.value.toUpperCase();
+  if (!summary || status === 'CANCELLED') return null;
+
+  const start = parseDateValue(properties.DTSTART);
+  let due;
+  if (type === 'VTODO') {
+    due = parseDateValue(properties.DUE);
+  } else if (properties.DTEND) {
+    due = parseDateValue(properties.DTEND);
+    // An all-day DTEND is exclusive, so the event ends the day before
+    if (due && isDateOnly(properties.DTEND)) due = new Date(due.getTime() - DAY_MS);
+  }
+  if (!due || (start && due < start)) due = start;
+
+  const priority = parseInt(properties.PRIORITY?.value, 10);
+  const categories = properties.CATEGORIES
+    ? unescapeText(properties.CATEGORIES.value).split(',').map(tag => tag.trim()).filter(Boolean)
+    : [];
+
+  return {
+    title: summary,
+    description: properties.DESCRIPTION ? unescapeText(properties.DESCRIPTION.value).trim() : '',
+    dueDate: due || null,
+    startDate: start && due && start < due ? start : null,
+    priority: !priority ? 'medium' : priority <= 4 ? 'high' : priority === 5 ? 'medium' : 'low',
+    status: status === 'COMPLETED' ? 'completed' : status === 'IN-PROCESS' ? 'in-progress' : 'todo',
+    tags: categories
+  };
+}
+
+// Utility: split into content lines, joining folded continuation lines
+function unfoldLines(text) {
+  return String(text).replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(Boolean);
+}
+
+// Utility: split "NAME;PARAM=VALUE:value" into { name, params, value }; null for malformed lines
+function parseProperty(line) {
+  const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+  if (!match) return null;
+  const params = {};
+  match[2].split(';').filter(Boolean).forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+// Utility: the calendar day of a DATE or DATE-TIME value as midnight UTC.
+// Times are dropped; a floating or TZID time keeps its own calendar date.
+function parseDateValue(property) {
+  const match = property?.value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date) ? null : date;
+}
+
+function isDateOnly(property) {
+  return property.params.VALUE === 'DATE' || /^\d{8}$/.test(property.value);
+}
+
+// Utility: YYYYMMDD of a date-only value
+function toDateValue(date) {
+  return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// Utility: UTC DATE-TIME value (YYYYMMDDTHHMMSSZ)
+function toDateTimeValue(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return String(value ?? '').replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+// Utility: fold a content line into chunks of at most MAX_LINE_BYTES bytes without splitting characters
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward their length
+    const limit = chunks.length ? MAX_LINE_BYTES - 1 : MAX_LINE_BYTES;
+    if (bytes + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      bytes = 0;
+    }
+    chunk += char;
+    bytes += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+module.exports = {
+  buildCalendar,
+  parseCalendar
+};
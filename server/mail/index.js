@@ -0,0 +1,92 @@
+/*
+  index.js
+  Email delivery for the TaskTracker+ backend.
+  - Picks a transport from MAIL_TRANSPORT (smtp, file, console, memory).
+  - In production only SMTP (or memory) may be used; without SMTP, sending is disabled.
+  - Renders a named template and sends it through the active transport.
+  - Skips optional mails for users who turned email notifications off.
+*/
+const templates = require('./templates');
+const {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createMemoryTransport,
+  createDisabledTransport
+} = require('./transports');
+
+let transport = null;
+
+// Defaults: SMTP when a host is configured, memory under tests, console in development,
+// and no delivery at all in production
+function createTransport(name = process.env.MAIL_TRANSPORT) {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const selected = name || (
+    process.env.SMTP_HOST ? 'smtp'
+      : process.env.NODE_ENV === 'test' ? 'memory'
+        : isProduction ? 'disabled' : 'console'
+  );
+  // The console and file transports expose whole messages, password reset links included
+  if (isProduction && (selected === 'console' || selected === 'file')) {
+    throw new Error(`The "${selected}" mail transport cannot be used in production; configure SMTP instead`);
+  }
+  switch (selected) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    case 'memory':
+      return createMemoryTransport();
+    case 'disabled':
+      return createDisabledTransport();
+    default:
+      throw new Error(`Unknown mail transport "${selected}"`);
+  }
+}
+
+function getTransport() {
+  if (!transport) transport = createTransport();
+  return transport;
+}
+
+// Swap the active transport (e.g. a memory transport in tests)
+function setTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+// Render a template and send it; throws if delivery fails
+async function sendTemplate(to, templateName, data = {}) {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template "${templateName}"`);
+  }
+  const { subject, html, text } = template(data);
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'TaskTracker+ <no-reply@tasktracker.local>',
+    to,
+    subject,
+    html,
+    text
+  });
+}
+
+// Send an optional mail to a user who has email notifications on; logs instead of throwing
+async function sendTemplateToUser(user, templateName, data = {}) {
+  if (!user || !user.email || user.preferences?.notifications?.email === false) return null;
+  try {
+    return await sendTemplate(user.email, templateName, data);
+  } catch (error) {
+    console.error(`Email "${templateName}" to ${user.email} failed:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  createTransport,
+  getTransport,
+  setTransport,
+  sendTemplate,
+  sendTemplateToUser
+};
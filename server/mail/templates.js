@@ -0,0 +1,166 @@
+/*
+  templates.js
+  Email templates for the TaskTracker+ backend.
+  - Each template returns { subject, html, text } built from plain data.
+  - All templates share one branded HTML layout; values are HTML-escaped.
+*/
+
+const CLIENT_URL = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Shared branded wrapper; `content` is already-escaped HTML
+function layout(heading, content) {
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%); padding: 30px; text-align: center;">
+        <h1 style="color: white; margin: 0;">TaskTracker+</h1>
+        <p style="color: #bfdbfe; margin: 5px 0 0 0;">Enterprise Edition</p>
+      </div>
+      <div style="padding: 30px; background: #f8fafc;">
+        <h2 style="color: #1e293b; margin-bottom: 20px;">${escapeHtml(heading)}</h2>
+        ${content}
+      </div>
+      <div style="padding: 20px; background: #e5e7eb; text-align: center;">
+        <p style="color: #64748b; font-size: 12px; margin: 0;">
+          © TaskTracker+ Enterprise Edition. Secure task management for professionals.
+        </p>
+      </div>
+    </div>
+  `;
+}
+
+function paragraph(text, small = false) {
+  return `<p style="color: #64748b; line-height: 1.6;${small ? ' font-size: 14px;' : ''}">${text}</p>`;
+}
+
+function button(url, label) {
+  return `
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${escapeHtml(url)}" style="background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: 600; display: inline-block;">
+        ${escapeHtml(label)}
+      </a>
+    </div>
+  `;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toDateString() : null;
+}
+
+// Password reset link (expires in 10 minutes)
+function passwordReset({ name, resetUrl }) {
+  return {
+    subject: 'Reset Your TaskTracker+ Password',
+    html: layout('Reset Your Password', [
+      paragraph(`Hi ${escapeHtml(name || 'there')}, we received a request to reset your password for your TaskTracker+ account.`),
+      button(resetUrl, 'Reset Password'),
+      paragraph("This link will expire in 10 minutes. If you didn't request this reset, please ignore this email.", true),
+      paragraph(`If the button above doesn't work, copy and paste this URL into your browser:<br><span style="color: #2563eb; word-break: break-all;">${escapeHtml(resetUrl)}</span>`, true)
+    ].join('')),
+    text: [
+      `Hi ${name || 'there'},`,
+      '',
+      'We received a request to reset your password for your TaskTracker+ account.',
+      `Reset it here: ${resetUrl}`,
+      '',
+      "This link will expire in 10 minutes. If you didn't request this reset, please ignore this email."
+    ].join('\n')
+  };
+}
+
+// Team invitation from an admin
+function invitation({ inviterName, teamName, role }) {
+  const url = `${CLIENT_URL()}/teams`;
+  return {
+    subject: `${inviterName || 'Someone'} invited you to join ${teamName} on TaskTracker+`,
+    html: layout('You have been invited to a team', [
+      paragraph(`${escapeHtml(inviterName || 'Someone')} invited you to join <strong>${escapeHtml(teamName)}</strong> as ${escapeHtml(role || 'collaborator')}.`),
+      button(url, 'View Invitation'),
+      paragraph('You can accept or decline the invitation from the Teams page.', true)
+    ].join('')),
+    text: [
+      `${inviterName || 'Someone'} invited you to join ${teamName} as ${role || 'collaborator'}.`,
+      '',
+      `Accept or decline the invitation here: ${url}`
+    ].join('\n')
+  };
+}
+
+// A task was assigned to the recipient
+function taskAssigned({ assignerName, taskTitle, teamName, dueDate }) {
+  const url = `${CLIENT_URL()}/${teamName ? 'teams' : 'tasks'}`;
+  const due = formatDate(dueDate);
+  return {
+    subject: `New task assigned: ${taskTitle}`,
+    html: layout('A task was assigned to you', [
+      paragraph(`${escapeHtml(assignerName || 'Someone')} assigned you <strong>${escapeHtml(taskTitle)}</strong>${teamName ? ` in ${escapeHtml(teamName)}` : ''}.`),
+      due ? paragraph(`Due ${escapeHtml(due)}.`, true) : '',
+      button(url, 'Open Task')
+    ].join('')),
+    text: [
+      `${assignerName || 'Someone'} assigned you "${taskTitle}"${teamName ? ` in ${teamName}` : ''}.`,
+      due ? `Due ${due}.` : null,
+      '',
+      `Open it here: ${url}`
+    ].filter(line => line !== null).join('\n')
+  };
+}
+
+// Deadline reminder for an assigned task (type is 'due-soon' or 'overdue')
+function dueReminder({ name, taskTitle, teamName, dueDate, type }) {
+  const url = `${CLIENT_URL()}/${teamName ? 'teams' : 'tasks'}`;
+  const due = formatDate(dueDate);
+  const overdue = type === 'overdue';
+  return {
+    subject: overdue ? `Overdue: ${taskTitle}` : `Due soon: ${taskTitle}`,
+    html: layout(overdue ? 'A task is overdue' : 'A task is due soon', [
+      paragraph(`Hi ${escapeHtml(name || 'there')}, <strong>${escapeHtml(taskTitle)}</strong>${teamName ? ` in ${escapeHtml(teamName)}` : ''} ${overdue ? 'was' : 'is'} due ${escapeHtml(due)}.`),
+      button(url, 'Open Task'),
+      paragraph('You can turn off task reminders in your notification settings.', true)
+    ].join('')),
+    text: [
+      `Hi ${name || 'there'}, "${taskTitle}"${teamName ? ` in ${teamName}` : ''} ${overdue ? 'was' : 'is'} due ${due}.`,
+      '',
+      `Open it here: ${url}`,
+      '',
+      'You can turn off task reminders in your notification settings.'
+    ].join('\n')
+  };
+}
+
+// Summary of unread notifications
+function digest({ name, notifications = [] }) {
+  const url = `${CLIENT_URL()}/dashboard`;
+  const items = notifications.map(n => n.message);
+  return {
+    subject: `Your TaskTracker+ digest: ${items.length} update${items.length === 1 ? '' : 's'}`,
+    html: layout('Here is what you missed', [
+      paragraph(`Hi ${escapeHtml(name || 'there')}, you have ${items.length} unread notification${items.length === 1 ? '' : 's'}:`),
+      `<ul style="color: #1e293b; line-height: 1.8; padding-left: 20px;">${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`,
+      button(url, 'Open TaskTracker+')
+    ].join('')),
+    text: [
+      `Hi ${name || 'there'}, you have ${items.length} unread notification${items.length === 1 ? '' : 's'}:`,
+      '',
+      ...items.map(item => `- ${item}`),
+      '',
+      `Open TaskTracker+: ${url}`
+    ].join('\n')
+  };
+}
+
+module.exports = {
+  passwordReset,
+  invitation,
+  taskAssigned,
+  dueReminder,
+  digest
+};
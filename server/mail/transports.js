@@ -0,0 +1,85 @@
+/*
+  transports.js
+  Mail transports for the TaskTracker+ backend.
+  - smtp: real delivery through nodemailer (SMTP_* environment variables).
+  - file: writes each message to disk for local development.
+  - console: logs each message for local development.
+  - memory: keeps messages in an array for tests.
+  - disabled: sends nothing; used in production when SMTP is not configured.
+  Every transport exposes send({ from, to, subject, html, text }).
+*/
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+}
+
+function createFileTransport(dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail')) {
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const base = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}-${message.to.replace(/[^a-z0-9]+/gi, '_')}`;
+      await fs.writeFile(path.join(dir, `${base}.html`), message.html);
+      await fs.writeFile(path.join(dir, `${base}.txt`), `To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+      return { messageId: base };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}\n`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+}
+
+function createMemoryTransport() {
+  const sent = [];
+  return {
+    name: 'memory',
+    sent,
+    send: async (message) => {
+      sent.push(message);
+      return { messageId: `memory-${sent.length}` };
+    },
+    clear: () => {
+      sent.length = 0;
+    }
+  };
+}
+
+// Every send fails, so callers treat it like any other delivery failure
+function createDisabledTransport() {
+  return {
+    name: 'disabled',
+    send: async () => {
+      throw new Error('Email delivery is not configured (set SMTP_HOST)');
+    }
+  };
+}
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createMemoryTransport,
+  createDisabledTransport
+};
@@ -8,6 +8,20 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+// Verify a JWT and load its user. Returns the req.user shape, or null if the user no longer exists.
+// Throws if the token is invalid or expired. Shared with the socket.io handshake.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) return null;
+  return {
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    name: user.name
+  };
+};
+
 // Authentication middleware
 const auth = async (req, res, next) => {
   try {
@@ -29,11 +43,7 @@ const auth = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get user from database
-      const user = await User.findById(decoded.userId).select('-password');
+      const user = await authenticateToken(token);
       if (!user) {
         return res.status(401).json({
           success: false,
@@ -42,12 +52,7 @@ const auth = async (req, res, next) => {
       }
 
       // Add user to request object
-      req.user = {
-        userId: user._id,
-        email: user.email,
-        role: user.role,
-        name: user.name
-      };
+      req.user = user;
       
       next();
     } catch (tokenError) {
@@ -66,4 +71,5 @@ const auth = async (req, res, next) => {
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
+module.exports.authenticateToken = authenticateToken;
\ No newline at end of file
@@ -0,0 +1,89 @@
+/*
+  ActivityLog.js
+  Mongoose model for the task audit trail in TaskTracker+ backend.
+  - Stores one append-only entry per task change, with before/after values.
+  - Keeps a title snapshot so entries for deleted tasks stay readable.
+  - Queried per task, per team, or per acting user.
+*/
+const mongoose = require('mongoose');
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+const activityLogSchema = new mongoose.Schema({
+  // Kept after the task is deleted, so never populated blindly
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  taskTitle: {
+    type: String,
+    default: ''
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'archived', 'restored', 'assigned', 'unassigned', 'reassigned', 'deleted', 'purged', 'reverted'],
+    required: true
+  },
+  changes: [fieldChangeSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the per-task, per-team, and per-user feeds (newest first)
+activityLogSchema.index({ task: 1, createdAt: -1 });
+activityLogSchema.index({ team: 1, createdAt: -1 });
+activityLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Entries are append-only: refuse edits to saved entries and any update or delete query
+activityLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Activity log entries cannot be modified'));
+  }
+  next();
+});
+
+activityLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Activity log entries cannot be modified'));
+  }
+);
+
+// Static method to append an entry for a task
+// Usage: await ActivityLog.record(task, userId, 'updated', [{ field, before, after }])
+activityLogSchema.statics.record = function(task, actorId, action, changes = []) {
+  return this.create({
+    task: task._id,
+    taskTitle: task.title,
+    team: task.team?._id || task.team || null,
+    actor: actorId || null,
+    action,
+    changes
+  });
+};
+
+module.exports = mongoose.model('ActivityLog', activityLogSchema);
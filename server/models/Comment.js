@@ -0,0 +1,42 @@
+/*
+  Comment.js
+  Mongoose model for task comments in TaskTracker+ backend.
+  - Stores the discussion thread attached to a task.
+  - Tracks mentioned users and edit timestamps.
+*/
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Users resolved from @name mentions in the body
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for loading a task's thread in order
+commentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
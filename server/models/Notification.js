@@ -0,0 +1,82 @@
+/*
+  Notification.js
+  Mongoose model for in-app notifications in TaskTracker+ backend.
+  - Stores one notification per recipient with read/unread state.
+  - Links back to the task, team, and user that triggered it.
+  - Respects each recipient's notification preferences and pushes new ones over socket.io.
+*/
+const mongoose = require('mongoose');
+const User = require('./User');
+const { emitToUser } = require('../socket');
+
+// Deadline reminders are also gated by the user's "task reminders" switch
+const REMINDER_TYPES = ['due-soon', 'overdue'];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['mention', 'assigned', 'unassigned', 'invitation', 'due-soon', 'overdue', 'role-changed'],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [300, 'Notification message cannot exceed 300 characters']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for a user's notification list (newest first, unread filter)
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+
+// Static method to create one notification per recipient, skipping the actor themselves
+// and anyone who turned off in-app ("push") notifications or, for reminders, task reminders
+notificationSchema.statics.notifyUsers = async function(recipients, data) {
+  const actorId = data.actor ? data.actor.toString() : null;
+  const unique = [...new Set(recipients.filter(Boolean).map(id => id.toString()))].filter(id => id !== actorId);
+  if (unique.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: unique }, isDeleted: { $ne: true } }, 'preferences.notifications');
+  const allowed = users.filter(user => {
+    const prefs = user.preferences?.notifications || {};
+    if (prefs.push === false) return false;
+    return !(REMINDER_TYPES.includes(data.type) && prefs.taskReminders === false);
+  });
+  if (allowed.length === 0) return [];
+
+  const notifications = await this.insertMany(allowed.map(user => ({ ...data, recipient: user._id })));
+  notifications.forEach(notification => emitToUser(notification.recipient, 'notification:new', notification));
+  return notifications;
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
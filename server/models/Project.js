@@ -0,0 +1,51 @@
+/*
+  Project.js
+  Mongoose model for projects (milestones) within a team in TaskTracker+ backend.
+  - Groups a team's tasks under a named project with a description, target date, and status.
+  - A task belongs to at most one project (Task.project).
+*/
+const mongoose = require('mongoose');
+
+const projectSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [60, 'Project name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  targetDate: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'active', 'on-hold', 'completed'],
+    default: 'active'
+  },
+  color: {
+    type: String,
+    default: '#8b5cf6'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ team: 1, status: 1 });
+
+module.exports = mongoose.model('Project', projectSchema);
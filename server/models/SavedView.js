@@ -0,0 +1,110 @@
+/*
+  SavedView.js
+  Mongoose model for saved task views (named filter sets) in TaskTracker+ backend.
+  - Personal views belong to their creator; team views (team set) are shared with the team.
+  - Stores the task list filters the view applies, in the same shape as the GET /api/tasks query.
+  - Each user pins the views they want in their sidebar; pins are per user, also for shared views.
+*/
+const mongoose = require('mongoose');
+
+const STATUSES = ['todo', 'in-progress', 'completed'];
+const PRIORITIES = ['low', 'medium', 'high'];
+const SORT_FIELDS = ['createdAt', 'dueDate', 'priority', 'title', 'relevance'];
+
+const viewFiltersSchema = new mongoose.Schema({
+  // Whose tasks the view lists: a team's tasks, or the user's personal tasks (null)
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  status: [{
+    type: String,
+    enum: STATUSES
+  }],
+  priority: [{
+    type: String,
+    enum: PRIORITIES
+  }],
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [20, 'Tag cannot exceed 20 characters']
+  }],
+  // Whether a task needs any or all of the tags
+  tagMode: {
+    type: String,
+    enum: ['any', 'all'],
+    default: 'any'
+  },
+  // A user id, 'me', or 'unassigned' (team views only)
+  assignedTo: {
+    type: String,
+    default: ''
+  },
+  // Date ranges as 'YYYY-MM-DD' days, both ends included
+  dueFrom: { type: String, default: '' },
+  dueTo: { type: String, default: '' },
+  createdFrom: { type: String, default: '' },
+  createdTo: { type: String, default: '' },
+  noDueDate: {
+    type: Boolean,
+    default: false
+  },
+  overdue: {
+    type: Boolean,
+    default: false
+  },
+  search: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Search cannot exceed 100 characters'],
+    default: ''
+  },
+  sortBy: {
+    type: String,
+    enum: SORT_FIELDS,
+    default: 'createdAt'
+  },
+  sortOrder: {
+    type: String,
+    enum: ['asc', 'desc'],
+    default: 'desc'
+  }
+}, { _id: false });
+
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [40, 'View name cannot exceed 40 characters']
+  },
+  // Team the view is shared with (null = personal view)
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filters: {
+    type: viewFiltersSchema,
+    default: () => ({})
+  },
+  // Users who pinned the view to their sidebar
+  pinnedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+savedViewSchema.index({ createdBy: 1, team: 1 });
+savedViewSchema.index({ team: 1, name: 1 });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,140 @@
+/*
+  Sprint.js
+  Mongoose model for team sprints (iterations) in TaskTracker+ backend.
+  - Stores a time-boxed sprint with a name, goal, start and end dates.
+  - Logs every task added to or removed from the sprint for burndown and scope change reports.
+  - Keeps a summary of the sprint when it is closed for velocity reports.
+*/
+const mongoose = require('mongoose');
+
+// A task joining or leaving the sprint; rollovers are moves made when a sprint is closed
+const scopeChangeSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  change: {
+    type: String,
+    enum: ['added', 'removed'],
+    required: true
+  },
+  estimate: {
+    type: Number,
+    default: null
+  },
+  rollover: {
+    type: Boolean,
+    default: false
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const sprintSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Sprint name is required'],
+    trim: true,
+    maxlength: [60, 'Sprint name cannot exceed 60 characters']
+  },
+  goal: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Sprint goal cannot exceed 300 characters'],
+    default: ''
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  // Totals frozen when the sprint is closed (effort in the team's estimate unit)
+  summary: {
+    committedTasks: { type: Number, default: 0 },
+    committedEffort: { type: Number, default: 0 },
+    completedTasks: { type: Number, default: 0 },
+    completedEffort: { type: Number, default: 0 },
+    rolledOverTasks: { type: Number, default: 0 }
+  },
+  scopeLog: [scopeChangeSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sprintSchema.index({ team: 1, startDate: 1 });
+
+sprintSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Instance method to get the ids of the tasks in the sprint at a point in time.
+// Rollover removals are ignored so unfinished tasks still count against the sprint they left.
+sprintSchema.methods.getScopeAt = function(date) {
+  const scope = new Map();
+  for (const entry of this.scopeLog) {
+    if (entry.at > date) break;
+    const taskId = entry.task.toString();
+    if (entry.change === 'added') {
+      scope.set(taskId, entry.estimate);
+    } else if (!entry.rollover) {
+      scope.delete(taskId);
+    }
+  }
+  return scope;
+};
+
+// Record tasks moving between sprints (either side may be null for the backlog)
+sprintSchema.statics.recordMove = async function(tasks, fromSprintId, toSprintId, userId, rollover = false) {
+  const list = Array.isArray(tasks) ? tasks : [tasks];
+  if (list.length === 0) return;
+  const at = new Date();
+  const entries = (change) => list.map(task => ({
+    task: task._id,
+    change,
+    estimate: task.estimate ?? null,
+    rollover,
+    by: userId || null,
+    at
+  }));
+  if (fromSprintId) {
+    await this.updateOne({ _id: fromSprintId }, { $push: { scopeLog: { $each: entries('removed') } } });
+  }
+  if (toSprintId) {
+    await this.updateOne({ _id: toSprintId }, { $push: { scopeLog: { $each: entries('added') } } });
+  }
+};
+
+module.exports = mongoose.model('Sprint', sprintSchema);
@@ -3,9 +3,91 @@
   Mongoose model for tasks in TaskTracker+ backend.
   - Defines schema for personal and team tasks, assignment, status, and analytics fields.
   - Includes methods for assignment, completion, and business logic.
+  - Deleted tasks stay in the trash (deletedAt set) and are hidden from all queries until restored or purged.
 */
 const mongoose = require('mongoose');
 
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [200, 'Checklist item cannot exceed 200 characters']
+  },
+  isCompleted: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// RRULE-like repeat rule; `occurrence` is this task's position in its series
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'yearly'],
+    required: [true, 'Recurrence frequency is required']
+  },
+  interval: {
+    type: Number,
+    min: [1, 'Recurrence interval must be at least 1'],
+    max: [365, 'Recurrence interval cannot exceed 365'],
+    default: 1
+  },
+  // Weekly rules: days of the week (0 = Sunday ... 6 = Saturday)
+  byWeekday: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Monthly rules: day of the month, clamped to the month's length
+  byMonthDay: {
+    type: Number,
+    min: 1,
+    max: 31,
+    default: null
+  },
+  until: {
+    type: Date,
+    default: null
+  },
+  count: {
+    type: Number,
+    min: [1, 'Recurrence count must be at least 1'],
+    default: null
+  },
+  occurrence: {
+    type: Number,
+    default: 1
+  },
+  // Series values overridden by a "this occurrence only" edit; used for the next occurrence
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields carried over from one occurrence of a recurring task to the next
+const RECURRING_FIELDS = ['title', 'description', 'priority', 'tags', 'assignedTo', 'estimate'];
+
+// A task counts as "due soon" when its due date is within this window
+const DUE_SOON_WINDOW_MS = 7 * DAY_MS;
+
+// Due dates are compared by day only, so a task can still be due today
+function isPastDueDate(date) {
+  if (!date) return false;
+  const due = new Date(date);
+  const now = new Date();
+  due.setHours(0,0,0,0);
+  now.setHours(0,0,0,0);
+  return due < now;
+}
+
 const taskSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -18,11 +100,18 @@ const taskSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Status category; team tasks also carry a workflow column in `workflowStatus`
   status: {
     type: String,
     enum: ['todo', 'in-progress', 'completed'],
     default: 'todo'
   },
+  // Key of the team's workflow column (null = first column of the status category)
+  workflowStatus: {
+    type: String,
+    trim: true,
+    default: null
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],
@@ -43,16 +132,16 @@ const taskSchema = new mongoose.Schema({
     validate: {
       validator: function(date) {
         // Allow null/undefined dates, or dates in the future (date-only check)
-        if (!date) return true;
-        const due = new Date(date);
-        const now = new Date();
-        due.setHours(0,0,0,0);
-        now.setHours(0,0,0,0);
-        return due >= now;
+        return !isPastDueDate(date);
       },
       message: 'Due date cannot be in the past'
     }
   },
+  // Day work on the task is planned to start; with dueDate it spans the task on the team timeline
+  startDate: {
+    type: Date,
+    default: null
+  },
   tags: [{
     type: String,
     trim: true,
@@ -66,6 +155,16 @@ const taskSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Set while the task is in the trash; purged for good after the retention period
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   completedAt: {
     type: Date
   },
@@ -98,6 +197,76 @@ const taskSchema = new mongoose.Schema({
   assignmentDate: {
     type: Date,
     default: null
+  },
+  // Checklist items embedded in the task
+  checklist: [checklistItemSchema],
+  // Parent task for child tasks (subtasks)
+  parentTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Complete this task automatically once all of its child tasks are completed
+  autoCompleteFromSubtasks: {
+    type: Boolean,
+    default: false
+  },
+  // Tasks that must be completed before this one can start ("blocked by")
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // Repeat rule; completing the task creates the next occurrence
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  // First task of the recurring series this task belongs to
+  recurrenceSeriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Occurrence created when this one was completed (guards against duplicates)
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Optional effort estimate in the team's estimate unit (hours for personal tasks)
+  estimate: {
+    type: Number,
+    min: [0, 'Estimate cannot be negative'],
+    max: [10000, 'Estimate is too large'],
+    default: null
+  },
+  // Team project (milestone) the task belongs to
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  // Team sprint the task is planned in; null keeps it in the team backlog
+  sprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  },
+  // Position on the task board (lower ranks sit higher in a column); set on creation and by drag-and-drop
+  rank: {
+    type: Number,
+    default: null
+  },
+  // Total tracked time in seconds across finished time entries (kept in sync by TimeEntry)
+  timeSpent: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Due date each deadline reminder was last sent for; a new due date re-arms it
+  reminders: {
+    dueSoonSentFor: { type: Date, default: null },
+    overdueSentFor: { type: Date, default: null }
   }
 }, {
   timestamps: true,
@@ -123,10 +292,16 @@ taskSchema.virtual('isOverdue').get(function() {
 // Virtual for due soon status (within 7 days)
 taskSchema.virtual('isDueSoon').get(function() {
   if (!this.dueDate || this.status === 'completed' || this.isOverdue) return false;
-  const sevenDaysFromNow = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  const sevenDaysFromNow = new Date(Date.now() + DUE_SOON_WINDOW_MS);
   return this.dueDate <= sevenDaysFromNow;
 });
 
+// Virtual for blocked status (requires blockedBy to be populated with status)
+taskSchema.virtual('isBlocked').get(function() {
+  if (!this.blockedBy || this.status === 'completed') return false;
+  return this.blockedBy.some(blocker => blocker && blocker.status && blocker.status !== 'completed' && !blocker.isArchived);
+});
+
 // Indexes for better query performance
 taskSchema.index({ assignedTo: 1, status: 1 });
 taskSchema.index({ assignedTo: 1, isArchived: 1 });
@@ -150,6 +325,54 @@ taskSchema.index({
 taskSchema.index({ team: 1, assignedTo: 1, status: 1 });
 taskSchema.index({ team: 1, visibility: 1 });
 
+// Index for looking up child tasks
+taskSchema.index({ parentTask: 1, status: 1 });
+
+// Index for reverse dependency lookups ("blocks")
+taskSchema.index({ blockedBy: 1 });
+
+// Index for team workflow columns
+taskSchema.index({ team: 1, workflowStatus: 1 });
+
+// Index for sprint and backlog queries
+taskSchema.index({ team: 1, sprint: 1 });
+
+// Index for project filters and progress
+taskSchema.index({ team: 1, project: 1 });
+
+// Index for board ordering
+taskSchema.index({ team: 1, rank: 1 });
+
+// Index for timeline date windows
+taskSchema.index({ team: 1, startDate: 1, dueDate: 1 });
+
+// Index for recurring series lookups
+taskSchema.index({ recurrenceSeriesId: 1, 'recurrence.occurrence': 1 });
+
+// Index for trash views and the retention purge
+taskSchema.index({ deletedAt: 1 });
+
+// Trashed tasks are left out of every read, update, and aggregation unless the query
+// filters on deletedAt itself (e.g. { deletedAt: { $ne: null } } for the trash view).
+// Updates that must reach trashed tasks too, like detaching a removed sprint, pass { includeDeleted: true }.
+taskSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+  if (this.getOptions().includeDeleted) return;
+  if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    this.where({ deletedAt: null });
+  }
+});
+
+taskSchema.pre('aggregate', function() {
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+  // Merged into a leading $match so stages that must come first (like $text) stay first
+  if (first && first.$match) {
+    if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) first.$match.deletedAt = null;
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
 // Middleware to set completedAt when status changes to completed
 taskSchema.pre('save', function(next) {
   if (this.isModified('status')) {
@@ -162,6 +385,22 @@ taskSchema.pre('save', function(next) {
   next();
 });
 
+// Middleware to place new tasks at the bottom of their board column
+taskSchema.pre('save', function(next) {
+  if (this.isNew && (this.rank === null || this.rank === undefined)) {
+    this.rank = Date.now();
+  }
+  next();
+});
+
+// Middleware to drop a stale workflow column when only the status category changes
+taskSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('status') && !this.isModified('workflowStatus')) {
+    this.workflowStatus = null;
+  }
+  next();
+});
+
 // Middleware to set archivedAt when isArchived changes
 taskSchema.pre('save', function(next) {
   if (this.isModified('isArchived')) {
@@ -174,6 +413,47 @@ taskSchema.pre('save', function(next) {
   next();
 });
 
+// Middleware to stamp completedAt on checklist items when they are checked off
+taskSchema.pre('save', function(next) {
+  if (this.isModified('checklist')) {
+    this.checklist.forEach(item => {
+      if (item.isCompleted && !item.completedAt) {
+        item.completedAt = new Date();
+      } else if (!item.isCompleted) {
+        item.completedAt = null;
+      }
+    });
+  }
+  next();
+});
+
+// Middleware to roll completion up to the parent task after a child is completed
+taskSchema.post('save', async function(doc) {
+  if (doc.parentTask && doc.status === 'completed') {
+    await doc.constructor.completeParentIfDone(doc.parentTask);
+  }
+});
+
+// Same roll-up for updates made through findByIdAndUpdate
+taskSchema.post('findOneAndUpdate', async function(doc) {
+  if (doc && doc.parentTask && doc.status === 'completed') {
+    await this.model.completeParentIfDone(doc.parentTask);
+  }
+});
+
+// Middleware to create the next occurrence once a recurring task is completed
+taskSchema.post('save', async function(doc) {
+  if (doc.recurrence && doc.status === 'completed' && !doc.nextOccurrence) {
+    await doc.constructor.createNextOccurrence(doc);
+  }
+});
+
+taskSchema.post('findOneAndUpdate', async function(doc) {
+  if (doc && doc.recurrence && doc.status === 'completed' && !doc.nextOccurrence) {
+    await this.model.createNextOccurrence(doc);
+  }
+});
+
 // Method to toggle archive status
 taskSchema.methods.toggleArchive = function() {
   this.isArchived = !this.isArchived;
@@ -188,6 +468,101 @@ taskSchema.methods.markCompleted = function() {
   return this.save();
 };
 
+// Static method to compute the due date following `fromDate` under a recurrence rule
+taskSchema.statics.getNextRecurrenceDate = function(rule, fromDate) {
+  const from = new Date(fromDate);
+  const interval = rule.interval || 1;
+  if (rule.frequency === 'daily') {
+    return new Date(from.getTime() + interval * DAY_MS);
+  }
+  if (rule.frequency === 'weekly') {
+    const weekdays = rule.byWeekday && rule.byWeekday.length > 0 ? rule.byWeekday : [from.getUTCDay()];
+    const weekStart = from.getTime() - from.getUTCDay() * DAY_MS;
+    // Scan forward day by day, only accepting days in every `interval`-th week
+    for (let offset = 1; offset <= 7 * interval + 7; offset++) {
+      const candidate = new Date(from.getTime() + offset * DAY_MS);
+      const weekIndex = Math.floor((candidate.getTime() - weekStart) / (7 * DAY_MS));
+      if (weekIndex % interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+        return candidate;
+      }
+    }
+    return new Date(from.getTime() + 7 * interval * DAY_MS);
+  }
+  if (rule.frequency === 'monthly' || rule.frequency === 'yearly') {
+    const monthsToAdd = rule.frequency === 'monthly' ? interval : interval * 12;
+    const target = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + monthsToAdd, 1,
+      from.getUTCHours(), from.getUTCMinutes()));
+    const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    const day = (rule.frequency === 'monthly' && rule.byMonthDay) || from.getUTCDate();
+    target.setUTCDate(Math.min(day, daysInMonth));
+    return target;
+  }
+  return null;
+};
+
+// Static method to create the next occurrence of a completed recurring task.
+// Missed occurrences are skipped so the new due date is never in the past.
+taskSchema.statics.createNextOccurrence = async function(task) {
+  const rule = task.recurrence;
+  if (!rule || !rule.frequency) return null;
+
+  const template = rule.template || {};
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  let occurrence = rule.occurrence || 1;
+  let dueDate = template.dueDate || task.dueDate || task.completedAt || new Date();
+  do {
+    dueDate = this.getNextRecurrenceDate(rule, dueDate);
+    occurrence += 1;
+    if (!dueDate) return null;
+    if (rule.count && occurrence > rule.count) return null;
+    if (rule.until && dueDate > new Date(rule.until)) return null;
+  } while (dueDate < today);
+
+  // Claim the slot first so concurrent completions or retries can't create duplicates
+  const nextId = new mongoose.Types.ObjectId();
+  const claim = await this.updateOne(
+    { _id: task._id, nextOccurrence: null },
+    { $set: { nextOccurrence: nextId } }
+  );
+  if (claim.modifiedCount === 0) return null;
+
+  const fields = {};
+  RECURRING_FIELDS.forEach(field => {
+    fields[field] = field in template ? template[field] : task[field];
+  });
+
+  try {
+    return await this.create({
+      ...fields,
+      _id: nextId,
+      status: 'todo',
+      dueDate,
+      createdBy: task.createdBy,
+      team: task.team,
+      visibility: task.visibility,
+      assignedBy: task.assignedBy,
+      parentTask: task.parentTask,
+      autoCompleteFromSubtasks: task.autoCompleteFromSubtasks,
+      checklist: (task.checklist || []).map(item => ({ text: item.text })),
+      recurrence: {
+        frequency: rule.frequency,
+        interval: rule.interval,
+        byWeekday: rule.byWeekday,
+        byMonthDay: rule.byMonthDay,
+        until: rule.until,
+        count: rule.count,
+        occurrence
+      },
+      recurrenceSeriesId: task.recurrenceSeriesId || task._id
+    });
+  } catch (error) {
+    // Release the claim so the occurrence can be created on a later attempt
+    await this.updateOne({ _id: task._id }, { $set: { nextOccurrence: null } });
+    throw error;
+  }
+};
+
 // Static method to get user's task statistics
 taskSchema.statics.getUserStats = async function(userId) {
   const stats = await this.aggregate([
@@ -215,6 +590,83 @@ taskSchema.statics.getUserStats = async function(userId) {
   return { stats, overdue };
 };
 
+// Static method to complete a parent task once every child task is completed
+// Only applies to parents with autoCompleteFromSubtasks enabled; saving the parent
+// goes through the pre('save') hook so completedAt is set consistently.
+taskSchema.statics.completeParentIfDone = async function(parentId) {
+  const parent = await this.findById(parentId);
+  if (!parent || !parent.autoCompleteFromSubtasks || parent.status === 'completed') return null;
+  const openChildren = await this.countDocuments({
+    parentTask: parentId,
+    isArchived: { $ne: true },
+    status: { $ne: 'completed' }
+  });
+  if (openChildren > 0) return null;
+  parent.status = 'completed';
+  await parent.save();
+  return parent;
+};
+
+// Static method to attach rolled-up checklist and subtask progress to tasks
+// Returns plain objects with a `progress` field: { checklist, subtasks, percent }
+taskSchema.statics.withProgress = async function(tasks) {
+  const ids = tasks.map(t => t._id);
+  const childAgg = ids.length ? await this.aggregate([
+    { $match: { parentTask: { $in: ids }, isArchived: { $ne: true } } },
+    {
+      $group: {
+        _id: '$parentTask',
+        total: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+      }
+    }
+  ]) : [];
+  const childCounts = new Map(childAgg.map(c => [c._id.toString(), c]));
+
+  return tasks.map(t => {
+    const task = typeof t.toObject === 'function' ? t.toObject() : t;
+    const checklist = task.checklist || [];
+    const children = childCounts.get(task._id.toString()) || { total: 0, completed: 0 };
+    const checklistCompleted = checklist.filter(item => item.isCompleted).length;
+    const total = checklist.length + children.total;
+    task.progress = {
+      checklist: { completed: checklistCompleted, total: checklist.length },
+      subtasks: { completed: children.completed, total: children.total },
+      percent: total > 0 ? Math.round(((checklistCompleted + children.completed) / total) * 100) : null
+    };
+    return task;
+  });
+};
+
+// Static method to get the blockers of a task that are still open
+taskSchema.statics.getOpenBlockers = function(task) {
+  if (!task.blockedBy || task.blockedBy.length === 0) return Promise.resolve([]);
+  const ids = task.blockedBy.map(b => b._id || b);
+  return this.find({
+    _id: { $in: ids },
+    status: { $ne: 'completed' },
+    isArchived: { $ne: true }
+  }, 'title status');
+};
+
+// Static method to check whether adding "taskId blocked by blockerId" would create a cycle
+// Walks the blockedBy edges starting at the blocker; reaching the task means a cycle.
+taskSchema.statics.wouldCreateDependencyCycle = async function(taskId, blockerId) {
+  const target = taskId.toString();
+  const visited = new Set();
+  let frontier = [blockerId];
+  while (frontier.length > 0) {
+    const ids = frontier.map(id => id.toString());
+    if (ids.includes(target)) return true;
+    ids.forEach(id => visited.add(id));
+    const tasks = await this.find({ _id: { $in: frontier } }, 'blockedBy');
+    frontier = tasks
+      .flatMap(t => t.blockedBy)
+      .filter(id => !visited.has(id.toString()));
+  }
+  return false;
+};
+
 // NEW: Static method to get team tasks
 taskSchema.statics.getTeamTasks = async function(teamId, filters = {}, pagination = {}) {
   // Ensure we only get tasks that are specifically team tasks
@@ -304,4 +756,8 @@ taskSchema.methods.reassign = async function(newUserId, assignedById) {
   return this;
 };
 
+taskSchema.statics.RECURRING_FIELDS = RECURRING_FIELDS;
+taskSchema.statics.DUE_SOON_WINDOW_MS = DUE_SOON_WINDOW_MS;
+taskSchema.statics.isPastDueDate = isPastDueDate;
+
 module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
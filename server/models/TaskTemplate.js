@@ -0,0 +1,106 @@
+/*
+  TaskTemplate.js
+  Mongoose model for reusable task templates in TaskTracker+ backend.
+  - A template holds one or more task blueprints; with several it is a bundle (e.g. an onboarding checklist).
+  - Personal templates belong to their creator; team templates (team set) are shared with the team.
+  - Due dates are stored as offsets in days from the day the template is used.
+*/
+const mongoose = require('mongoose');
+
+// Most task blueprints a single template (bundle) can hold
+const MAX_TEMPLATE_TASKS = 50;
+
+const templateTaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: [20, 'Tag cannot exceed 20 characters']
+  }],
+  // Days after the day of use that the task is due (null = no due date)
+  dueOffsetDays: {
+    type: Number,
+    min: [0, 'Due offset cannot be negative'],
+    max: [365, 'Due offset cannot exceed 365 days'],
+    default: null
+  },
+  checklist: [{
+    text: {
+      type: String,
+      required: [true, 'Checklist item text is required'],
+      trim: true,
+      maxlength: [200, 'Checklist item cannot exceed 200 characters']
+    }
+  }],
+  // Default assignee for team templates (null = whoever uses the template)
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+});
+
+const taskTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [60, 'Template name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  // Team the template is shared with (null = personal template)
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tasks: {
+    type: [templateTaskSchema],
+    validate: {
+      validator: function(tasks) {
+        return tasks.length > 0 && tasks.length <= MAX_TEMPLATE_TASKS;
+      },
+      message: `A template needs between 1 and ${MAX_TEMPLATE_TASKS} tasks`
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual: whether the template creates several tasks at once
+taskTemplateSchema.virtual('isBundle').get(function() {
+  return (this.tasks || []).length > 1;
+});
+
+taskTemplateSchema.index({ team: 1, name: 1 });
+taskTemplateSchema.index({ createdBy: 1, team: 1 });
+
+module.exports = mongoose.model('TaskTemplate', taskTemplateSchema);
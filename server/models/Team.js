@@ -28,6 +28,37 @@ const teamMemberSchema = new mongoose.Schema({
   }
 });
 
+// Workflow column; `category` is the task status it counts as for analytics
+const workflowStatusSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [40, 'Workflow status key cannot exceed 40 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Workflow status name is required'],
+    trim: true,
+    maxlength: [30, 'Workflow status name cannot exceed 30 characters']
+  },
+  category: {
+    type: String,
+    enum: ['todo', 'in-progress', 'completed'],
+    required: true
+  },
+  color: {
+    type: String,
+    default: '#6b7280'
+  }
+}, { _id: false });
+
+const DEFAULT_WORKFLOW = [
+  { key: 'todo', name: 'To Do', category: 'todo', color: '#6b7280' },
+  { key: 'in-progress', name: 'In Progress', category: 'in-progress', color: '#3b82f6' },
+  { key: 'completed', name: 'Completed', category: 'completed', color: '#10b981' }
+];
+
 const teamSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -49,6 +80,22 @@ const teamSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Ordered workflow columns for the team's tasks
+  workflowStatuses: {
+    type: [workflowStatusSchema],
+    default: () => DEFAULT_WORKFLOW.map(status => ({ ...status }))
+  },
+  // Unit for task estimates in this team
+  estimateUnit: {
+    type: String,
+    enum: ['hours', 'points'],
+    default: 'hours'
+  },
+  // Secret in the team's read-only calendar feed URL; admins can regenerate it
+  calendarToken: {
+    type: String,
+    select: false
   }
 }, {
   timestamps: true,
@@ -70,6 +117,7 @@ teamSchema.virtual('adminCount').get(function() {
 teamSchema.index({ 'members.userId': 1 });
 teamSchema.index({ createdBy: 1 });
 teamSchema.index({ name: 1 });
+teamSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
 
 // Static method to get user's teams
 teamSchema.statics.getUserTeams = async function(userId) {
@@ -96,4 +144,21 @@ teamSchema.methods.isUserMember = function(userId) {
   });
 };
 
+// Instance method to get the ordered workflow columns (falls back to the defaults)
+teamSchema.methods.getWorkflow = function() {
+  return this.workflowStatuses && this.workflowStatuses.length > 0 ? this.workflowStatuses : DEFAULT_WORKFLOW;
+};
+
+// Instance method to get the first workflow column of a status category
+teamSchema.methods.getDefaultWorkflowStatus = function(category) {
+  return this.getWorkflow().find(status => status.category === category) || null;
+};
+
+// Instance method to find a workflow column by key
+teamSchema.methods.getWorkflowColumn = function(key) {
+  return this.getWorkflow().find(status => status.key === key) || null;
+};
+
+teamSchema.statics.DEFAULT_WORKFLOW = DEFAULT_WORKFLOW;
+
 module.exports = mongoose.model('Team', teamSchema);
\ No newline at end of file
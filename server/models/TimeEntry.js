@@ -0,0 +1,97 @@
+/*
+  TimeEntry.js
+  Mongoose model for time tracked against tasks in TaskTracker+ backend.
+  - Stores timer sessions and manual entries per user and task.
+  - Allows at most one running timer per user (enforced by a unique partial index).
+  - Keeps each task's total tracked time in sync.
+*/
+const mongoose = require('mongoose');
+
+const timeEntrySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // Copied from the task so timesheets can be aggregated per team
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Tracked time in seconds; 0 while the timer is running
+  duration: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    default: 'timer'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// One running timer per user
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isRunning: true } });
+// Indexes for task history and timesheet ranges
+timeEntrySchema.index({ task: 1, startedAt: -1 });
+timeEntrySchema.index({ user: 1, startedAt: -1 });
+timeEntrySchema.index({ team: 1, startedAt: -1 });
+
+// Finished entries derive their duration from the start and end times
+timeEntrySchema.pre('validate', function(next) {
+  if (this.isRunning) {
+    this.endedAt = null;
+    this.duration = 0;
+    return next();
+  }
+  if (!this.endedAt) {
+    this.invalidate('endedAt', 'End time is required');
+    return next();
+  }
+  if (this.endedAt < this.startedAt) {
+    this.invalidate('endedAt', 'End time must be after the start time');
+    return next();
+  }
+  this.duration = Math.round((this.endedAt - this.startedAt) / 1000);
+  next();
+});
+
+// Recalculate a task's total tracked time from its finished entries
+timeEntrySchema.statics.updateTaskTotal = async function(taskId) {
+  const [total] = await this.aggregate([
+    { $match: { task: new mongoose.Types.ObjectId(taskId.toString()), isRunning: false } },
+    { $group: { _id: null, seconds: { $sum: '$duration' } } }
+  ]);
+  const Task = mongoose.model('Task');
+  await Task.updateOne({ _id: taskId }, { timeSpent: total ? total.seconds : 0 }, { timestamps: false });
+  return Task.findById(taskId);
+};
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
@@ -65,6 +65,11 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // When the last unread-notification digest email went out
+  lastDigestSentAt: {
+    type: Date,
+    default: null
+  },
   resetPasswordToken: {
     type: String,
     select: false
@@ -73,6 +78,11 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  // Secret in the user's read-only calendar feed URL; replaced when the user regenerates it
+  calendarToken: {
+    type: String,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -111,6 +121,9 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+// Calendar feeds are looked up by token
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+
 // Update the updatedAt field before saving
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
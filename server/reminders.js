@@ -0,0 +1,145 @@
+/*
+  reminders.js
+  Background deadline reminders for the TaskTracker+ backend.
+  - Periodically finds open tasks that are due soon or newly overdue (same thresholds as the Task virtuals).
+  - Notifies the assignee in-app and by email once per due date, during daytime hours in their timezone.
+  - Records each sent reminder on the task so restarts and overlapping runs never repeat it.
+  - Emails a daily digest of unread notifications to users who allow email.
+*/
+const Task = require('./models/Task');
+const User = require('./models/User');
+const Team = require('./models/Team');
+const Notification = require('./models/Notification');
+const { sendTemplateToUser } = require('./mail');
+
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+// Tasks overdue for longer than this are no longer "newly" overdue
+const OVERDUE_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// Reminders are only sent between these local hours (start inclusive, end exclusive)
+const REMINDER_HOURS = { start: 9, end: 20 };
+
+const REMINDER_KINDS = [
+  { type: 'due-soon', field: 'dueSoonSentFor', describe: title => `"${title}" is due soon` },
+  { type: 'overdue', field: 'overdueSentFor', describe: title => `"${title}" is overdue` }
+];
+
+// Send any reminders that are due as of `now`
+async function checkDueDates(now = new Date()) {
+  const openTasks = {
+    status: { $ne: 'completed' },
+    isArchived: { $ne: true },
+    assignedTo: { $ne: null }
+  };
+  const windows = {
+    'due-soon': { $gt: now, $lte: new Date(now.getTime() + Task.DUE_SOON_WINDOW_MS) },
+    overdue: { $lte: now, $gte: new Date(now.getTime() - OVERDUE_LOOKBACK_MS) }
+  };
+
+  const pending = [];
+  for (const kind of REMINDER_KINDS) {
+    const tasks = await Task.find({
+      ...openTasks,
+      dueDate: windows[kind.type],
+      // Skip tasks already reminded about for their current due date
+      $expr: { $ne: [`$reminders.${kind.field}`, '$dueDate'] }
+    }, 'title assignedTo team dueDate');
+    pending.push(...tasks.map(task => ({ task, kind })));
+  }
+  if (pending.length === 0) return;
+
+  const [users, teams] = await Promise.all([
+    User.find({ _id: { $in: pending.map(({ task }) => task.assignedTo) }, isDeleted: { $ne: true } }, 'name email preferences'),
+    Team.find({ _id: { $in: pending.map(({ task }) => task.team).filter(Boolean) } }, 'name')
+  ]);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const teamNames = new Map(teams.map(team => [team._id.toString(), team.name]));
+
+  for (const { task, kind } of pending) {
+    const user = usersById.get(task.assignedTo.toString());
+    if (!user || user.preferences?.notifications?.taskReminders === false) continue;
+    if (!isReminderHour(now, user.preferences?.timezone)) continue;
+
+    // Claim the reminder first so a restart or overlapping run can't send it twice
+    const claimed = await Task.updateOne(
+      { _id: task._id, dueDate: task.dueDate, [`reminders.${kind.field}`]: { $ne: task.dueDate } },
+      { $set: { [`reminders.${kind.field}`]: task.dueDate } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    await Notification.notifyUsers([user._id], {
+      type: kind.type,
+      message: kind.describe(task.title),
+      task: task._id,
+      team: task.team
+    });
+    await sendTemplateToUser(user, 'dueReminder', {
+      name: user.name,
+      taskTitle: task.title,
+      teamName: task.team ? teamNames.get(task.team.toString()) : null,
+      dueDate: task.dueDate,
+      type: kind.type
+    });
+  }
+}
+
+// Email each user with new unread notifications at most once per digest interval
+async function sendDigests(now = new Date()) {
+  const since = new Date(now.getTime() - DIGEST_INTERVAL_MS);
+  const recipients = await Notification.distinct('recipient', { isRead: false, createdAt: { $gte: since } });
+  if (recipients.length === 0) return;
+
+  const users = await User.find({
+    _id: { $in: recipients },
+    isDeleted: { $ne: true },
+    'preferences.notifications.email': { $ne: false },
+    $or: [{ lastDigestSentAt: null }, { lastDigestSentAt: { $lte: since } }]
+  }, 'name email preferences lastDigestSentAt');
+
+  for (const user of users) {
+    const notifications = await Notification.find({
+      recipient: user._id,
+      isRead: false,
+      createdAt: { $gt: user.lastDigestSentAt || since }
+    })
+      .sort({ createdAt: -1 })
+      .limit(20);
+    if (notifications.length === 0) continue;
+
+    // Claim this digest first so an overlapping run can't send it twice
+    const claimed = await User.updateOne(
+      { _id: user._id, lastDigestSentAt: user.lastDigestSentAt || null },
+      { lastDigestSentAt: now }
+    );
+    if (claimed.modifiedCount === 0) continue;
+    await sendTemplateToUser(user, 'digest', { name: user.name, notifications });
+  }
+}
+
+// Run the checks now and then on a fixed interval
+function startDueDateReminders() {
+  const run = () => checkDueDates()
+    .then(() => sendDigests())
+    .catch(error => {
+      console.error('Due date reminder error:', error.message);
+    });
+  run();
+  setInterval(run, CHECK_INTERVAL_MS);
+}
+
+// Utility: whether `now` falls within reminder hours in the given IANA timezone (UTC if unknown)
+function isReminderHour(now, timezone) {
+  let hour;
+  try {
+    hour = Number(new Intl.DateTimeFormat('en-US', { timeZone: timezone || 'UTC', hour: 'numeric', hourCycle: 'h23' }).format(now));
+  } catch {
+    hour = now.getUTCHours();
+  }
+  return hour >= REMINDER_HOURS.start && hour < REMINDER_HOURS.end;
+}
+
+module.exports = {
+  checkDueDates,
+  sendDigests,
+  startDueDateReminders
+};
@@ -12,20 +12,10 @@ const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { sendTemplate } = require('../mail');
 
 const router = express.Router();
 
-// Email service (simulation - in production use NodeMailer, SendGrid, etc.)
-const sendEmail = async (to, subject, html) => {
-  // Simulate email sending
-  
-  // In production, use a real email service:
-  // const transporter = nodemailer.createTransporter({...});
-  // await transporter.sendMail({ to, subject, html });
-  
-  return { success: true };
-};
-
 // Generate JWT Token
 const generateToken = (userId) => {
   return jwt.sign({ userId }, process.env.JWT_SECRET, {
@@ -326,41 +316,12 @@ router.post('/forgot-password',
       // Create reset URL (in production, use your frontend URL)
       const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/reset-password/${resetToken}`;
 
-      // Email template
-      const emailHtml = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%); padding: 30px; text-align: center;">
-            <h1 style="color: white; margin: 0;">TaskTracker+</h1>
-            <p style="color: #bfdbfe; margin: 5px 0 0 0;">Enterprise Edition</p>
-          </div>
-          <div style="padding: 30px; background: #f8fafc;">
-            <h2 style="color: #1e293b; margin-bottom: 20px;">Reset Your Password</h2>
-            <p style="color: #64748b; line-height: 1.6;">
-              We received a request to reset your password for your TaskTracker+ account.
-            </p>
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${resetUrl}" style="background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: 600; display: inline-block;">
-                Reset Password
-              </a>
-            </div>
-            <p style="color: #64748b; font-size: 14px; line-height: 1.6;">
-              This link will expire in 10 minutes. If you didn't request this reset, please ignore this email.
-            </p>
-            <p style="color: #64748b; font-size: 14px; line-height: 1.6;">
-              If the button above doesn't work, copy and paste this URL into your browser:<br>
-              <span style="color: #2563eb; word-break: break-all;">${resetUrl}</span>
-            </p>
-          </div>
-          <div style="padding: 20px; background: #e5e7eb; text-align: center;">
-            <p style="color: #64748b; font-size: 12px; margin: 0;">
-              © TaskTracker+ Enterprise Edition. Secure task management for professionals.
-            </p>
-          </div>
-        </div>
-      `;
-
-      // Send email
-      await sendEmail(user.email, 'Reset Your TaskTracker+ Password', emailHtml);
+      // Send email; a failed delivery gets the same response, so it does not reveal that the account exists
+      try {
+        await sendTemplate(user.email, 'passwordReset', { name: user.name, resetUrl });
+      } catch (error) {
+        console.error('Password reset email failed:', error.message);
+      }
 
       res.json({
         success: true,
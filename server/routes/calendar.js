@@ -0,0 +1,48 @@
+/*
+  calendar.js
+  Express router for calendar (.ics) feed endpoints in TaskTracker+ backend.
+  - Serves read-only feeds addressed by a secret token, so calendar apps can subscribe without logging in.
+  - Secures feed management routes with authentication middleware.
+  - Delegates logic to the calendar controller.
+*/
+
+const express = require('express');
+const router = express.Router();
+const {
+  getUserFeed,
+  getTeamFeed,
+  getCalendarFeeds,
+  regenerateUserFeed,
+  regenerateTeamFeed
+} = require('../controllers/calendarController');
+const auth = require('../middleware/auth');
+
+// @route   GET /api/calendar/users/:token.ics
+// @desc    Read-only feed of the user's tasks with due dates (?component=todo for VTODOs)
+// @access  Public (feed token)
+router.get('/users/:token.ics', getUserFeed);
+
+// @route   GET /api/calendar/teams/:token.ics
+// @desc    Read-only feed of the team's tasks with due dates (?component=todo for VTODOs)
+// @access  Public (feed token)
+router.get('/teams/:token.ics', getTeamFeed);
+
+// Feed management requires authentication
+router.use(auth);
+
+// @route   GET /api/calendar/feeds
+// @desc    Get the current user's personal and team feed URLs
+// @access  Private
+router.get('/feeds', getCalendarFeeds);
+
+// @route   POST /api/calendar/feeds/user/regenerate
+// @desc    Regenerate the current user's feed token
+// @access  Private
+router.post('/feeds/user/regenerate', regenerateUserFeed);
+
+// @route   POST /api/calendar/feeds/teams/:teamId/regenerate
+// @desc    Regenerate a team's feed token
+// @access  Private (Team admin/owner)
+router.post('/feeds/teams/:teamId/regenerate', regenerateTeamFeed);
+
+module.exports = router;
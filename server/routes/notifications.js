@@ -0,0 +1,35 @@
+/*
+  notifications.js
+  Express router for notification endpoints in TaskTracker+ backend.
+  - Lists the current user's notifications and marks them read.
+  - Secures routes with authentication middleware.
+*/
+
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+const auth = require('../middleware/auth');
+
+// All routes are protected (require authentication)
+router.use(auth);
+
+// @route   GET /api/notifications
+// @desc    Get notifications for current user
+// @access  Private
+router.get('/', getNotifications);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', markAllNotificationsRead);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private
+router.put('/:id/read', markNotificationRead);
+
+module.exports = router;
@@ -15,6 +15,12 @@ const {
   updateTask,
   deleteTask,
   archiveTask,
+  getTrash,
+  getTaskTags,
+  restoreTask,
+  purgeTrashedTask,
+  revertTask,
+  bulkUpdateTasks,
   getTaskStats,
   getArchivedTasks,
   getTaskAnalytics,
@@ -28,8 +34,45 @@ const {
   getTeamAnalytics,
   getTeamWorkloadDistribution,
   getTeamProductivityTrends,
-  getTeamMemberAnalytics
+  getTeamMemberAnalytics,
+  getSubtasks,
+  createSubtask,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  getTeamDependencyGraph,
+  getTeamTimeline,
+  importTasks
 } = require('../controllers/taskController');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const {
+  getTaskActivity,
+  getTeamActivity,
+  getMyActivity
+} = require('../controllers/activityController');
+const {
+  getTimeEntries,
+  startTimer,
+  stopTimer,
+  getRunningTimer,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimesheet
+} = require('../controllers/timeController');
+const {
+  getSprintBurndown,
+  getTeamVelocity,
+  getSprintScopeChange
+} = require('../controllers/sprintController');
 const auth = require('../middleware/auth'); 
 
 // All routes are protected (require authentication)
@@ -50,11 +93,31 @@ router.get('/', getTasks);
 // @access  Private
 router.post('/', createTask);
 
+// @route   POST /api/tasks/import
+// @desc    Create personal tasks from an .ics file
+// @access  Private
+router.post('/import', importTasks);
+
+// @route   POST /api/tasks/bulk
+// @desc    Apply one change (status, priority, tags, assignee, archive, delete, revert) to many tasks
+// @access  Private
+router.post('/bulk', bulkUpdateTasks);
+
 // @route   GET /api/tasks/archived
 // @desc    Get all archived tasks for user
 // @access  Private
 router.get('/archived', getArchivedTasks);
 
+// @route   GET /api/tasks/trash
+// @desc    Get trashed personal tasks, or a team's trashed tasks with ?team=<teamId>
+// @access  Private
+router.get('/trash', getTrash);
+
+// @route   GET /api/tasks/tags
+// @desc    Get the tags used on personal tasks, or on a team's tasks with ?team=<teamId>
+// @access  Private
+router.get('/tags', getTaskTags);
+
 // @route   GET /api/tasks/analytics
 // @desc    Get analytics data for charts
 // @access  Private
@@ -71,15 +134,69 @@ router.get('/:id', getTask);
 router.put('/:id', updateTask);
 
 // @route   DELETE /api/tasks/:id
-// @desc    Delete task
+// @desc    Move task to the trash
 // @access  Private
 router.delete('/:id', deleteTask);
 
+// @route   POST /api/tasks/:id/restore
+// @desc    Restore a task from the trash
+// @access  Private
+router.post('/:id/restore', restoreTask);
+
+// @route   DELETE /api/tasks/:id/purge
+// @desc    Permanently delete a trashed task
+// @access  Private
+router.delete('/:id/purge', purgeTrashedTask);
+
+// @route   POST /api/tasks/:id/revert
+// @desc    Undo the last change made to a task
+// @access  Private
+router.post('/:id/revert', revertTask);
+
 // @route   PUT /api/tasks/:id/archive
 // @desc    Archive/unarchive task
 // @access  Private
 router.put('/:id/archive', archiveTask);
 
+// Subtask and checklist routes
+router.get('/:id/subtasks', getSubtasks);
+router.post('/:id/subtasks', createSubtask);
+router.post('/:id/checklist', addChecklistItem);
+router.put('/:id/checklist/:itemId', updateChecklistItem);
+router.delete('/:id/checklist/:itemId', deleteChecklistItem);
+
+// Dependency routes
+router.get('/:id/dependencies', getTaskDependencies);
+router.post('/:id/dependencies', addTaskDependency);
+router.delete('/:id/dependencies/:blockerId', removeTaskDependency);
+router.get('/team/:teamId/dependencies', getTeamDependencyGraph);
+
+// @route   GET /api/tasks/team/:teamId/timeline
+// @desc    Get a team's tasks in a date window (no pagination) with dependencies and milestones
+// @access  Private (Team member)
+router.get('/team/:teamId/timeline', getTeamTimeline);
+
+// Comment routes
+router.get('/:id/comments', getComments);
+router.post('/:id/comments', createComment);
+router.put('/:id/comments/:commentId', updateComment);
+router.delete('/:id/comments/:commentId', deleteComment);
+
+// Activity log routes
+router.get('/activity/me', getMyActivity);
+router.get('/:id/activity', getTaskActivity);
+router.get('/team/:teamId/activity', getTeamActivity);
+
+// Time tracking routes
+router.get('/time/running', getRunningTimer);
+router.post('/time/stop', stopTimer);
+router.get('/time/timesheet', getTimesheet);
+router.get('/:id/time', getTimeEntries);
+router.post('/:id/time', createTimeEntry);
+router.post('/:id/time/start', startTimer);
+router.put('/:id/time/:entryId', updateTimeEntry);
+router.delete('/:id/time/:entryId', deleteTimeEntry);
+
 // Assignment and team task routes
 router.post('/team/:teamId', createTeamTask);
 router.post('/:taskId/assign', assignTask);
@@ -94,5 +211,8 @@ router.get('/analytics/team/:teamId', getTeamAnalytics);
 router.get('/analytics/team/:teamId/workload', getTeamWorkloadDistribution);
 router.get('/analytics/team/:teamId/trends', getTeamProductivityTrends);
 router.get('/analytics/team/:teamId/member/:memberId', getTeamMemberAnalytics);
+router.get('/analytics/team/:teamId/velocity', getTeamVelocity);
+router.get('/analytics/team/:teamId/sprints/:sprintId/burndown', getSprintBurndown);
+router.get('/analytics/team/:teamId/sprints/:sprintId/scope', getSprintScopeChange);
 
 module.exports = router;
\ No newline at end of file
@@ -18,8 +18,23 @@ const {
   acceptInvitation,
   declineInvitation,
   removeMember,
-  leaveTeam
+  leaveTeam,
+  updateTeamWorkflow
 } = require('../controllers/teamController');
+const {
+  getSprints,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  closeSprint
+} = require('../controllers/sprintController');
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject
+} = require('../controllers/projectController');
 const protect = require('../middleware/auth');
 
 // All routes require authentication
@@ -45,6 +60,31 @@ router.route('/:id')
   .get(getTeam)           // GET /api/teams/:id - Get team details
   .put(updateTeam);       // PUT /api/teams/:id - Update team details
 
+router.route('/:id/workflow')
+  .put(updateTeamWorkflow); // PUT /api/teams/:id/workflow - Replace workflow statuses
+
+// Sprint routes
+router.route('/:id/sprints')
+  .get(getSprints)        // GET /api/teams/:id/sprints - Get team sprints
+  .post(createSprint);    // POST /api/teams/:id/sprints - Create sprint
+
+router.route('/:id/sprints/:sprintId')
+  .put(updateSprint)      // PUT /api/teams/:id/sprints/:sprintId - Update sprint
+  .delete(deleteSprint);  // DELETE /api/teams/:id/sprints/:sprintId - Delete sprint
+
+router.route('/:id/sprints/:sprintId/close')
+  .post(closeSprint);     // POST /api/teams/:id/sprints/:sprintId/close - Close sprint and roll over unfinished tasks
+
+// Project routes
+router.route('/:id/projects')
+  .get(getProjects)       // GET /api/teams/:id/projects - Get team projects with progress
+  .post(createProject);   // POST /api/teams/:id/projects - Create project
+
+router.route('/:id/projects/:projectId')
+  .get(getProject)        // GET /api/teams/:id/projects/:projectId - Get project with progress
+  .put(updateProject)     // PUT /api/teams/:id/projects/:projectId - Update project
+  .delete(deleteProject); // DELETE /api/teams/:id/projects/:projectId - Delete project
+
 router.route('/:id/invite')
   .post(inviteToTeam);    // POST /api/teams/:id/invite - Invite user to team
 
@@ -0,0 +1,48 @@
+/*
+  templates.js
+  Express router for task template endpoints in TaskTracker+ backend.
+  - Handles personal and team template CRUD and creating tasks from a template or bundle.
+  - Secures routes with authentication middleware.
+  - Delegates logic to the template controller.
+*/
+
+const express = require('express');
+const router = express.Router();
+const {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  instantiateTemplate
+} = require('../controllers/templateController');
+const auth = require('../middleware/auth');
+
+// All routes require authentication
+router.use(auth);
+
+// @route   GET /api/templates
+// @desc    Get personal templates, or a team's templates with ?team=<teamId>
+// @access  Private
+router.get('/', getTemplates);
+
+// @route   POST /api/templates
+// @desc    Create a personal template, or a team template when `team` is set
+// @access  Private
+router.post('/', createTemplate);
+
+// @route   PUT /api/templates/:id
+// @desc    Update a template
+// @access  Private (Owner, or team admin/owner)
+router.put('/:id', updateTemplate);
+
+// @route   DELETE /api/templates/:id
+// @desc    Delete a template
+// @access  Private (Owner, or team admin/owner)
+router.delete('/:id', deleteTemplate);
+
+// @route   POST /api/templates/:id/instantiate
+// @desc    Create all of a template's tasks at once
+// @access  Private (Owner, or team member)
+router.post('/:id/instantiate', instantiateTemplate);
+
+module.exports = router;
@@ -47,6 +47,9 @@ router.patch('/me/preferences', auth, async (req, res) => {
       updates['preferences.notifications'] = req.body.notifications;
     }
     if (req.body.timezone) {
+      if (!isValidTimezone(req.body.timezone)) {
+        return res.status(400).json({ message: 'Invalid timezone value' });
+      }
       updates['preferences.timezone'] = req.body.timezone;
     }
     if (Object.keys(updates).length === 0) {
@@ -60,4 +63,14 @@ router.patch('/me/preferences', auth, async (req, res) => {
   }
 });
 
+// Utility: whether the value is an IANA timezone name this runtime understands
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,48 @@
+/*
+  views.js
+  Express router for saved task view endpoints in TaskTracker+ backend.
+  - Handles personal and team-shared view CRUD and pinning views to the sidebar.
+  - Secures routes with authentication middleware.
+  - Delegates logic to the saved view controller.
+*/
+
+const express = require('express');
+const router = express.Router();
+const {
+  getViews,
+  createView,
+  updateView,
+  deleteView,
+  pinView
+} = require('../controllers/savedViewController');
+const auth = require('../middleware/auth');
+
+// All routes require authentication
+router.use(auth);
+
+// @route   GET /api/views
+// @desc    Get personal views and the views shared with the user's teams
+// @access  Private
+router.get('/', getViews);
+
+// @route   POST /api/views
+// @desc    Save a personal view, or a team view when `team` is set
+// @access  Private
+router.post('/', createView);
+
+// @route   PUT /api/views/:id
+// @desc    Rename a view or replace its filters
+// @access  Private (Owner, or team admin/owner)
+router.put('/:id', updateView);
+
+// @route   DELETE /api/views/:id
+// @desc    Delete a view
+// @access  Private (Owner, or team admin/owner)
+router.delete('/:id', deleteView);
+
+// @route   PUT /api/views/:id/pin
+// @desc    Pin or unpin a view in the user's sidebar
+// @access  Private (Owner, or team member)
+router.put('/:id/pin', pinView);
+
+module.exports = router;
@@ -3,12 +3,15 @@
   Backend entry point for the TaskTracker+ application.
   - Sets up Express server, middleware, CORS, security, and rate limiting.
   - Connects to MongoDB using Mongoose.
-  - Registers API routes for authentication, tasks, teams, and users.
+  - Registers API routes for authentication, tasks, teams, users, templates, saved views, and calendar feeds.
   - Handles global error and 404 responses.
+  - Attaches the socket.io real-time layer to the HTTP server.
+  - Starts the due date reminder and trash purge jobs once MongoDB is connected.
   - Only logs MongoDB connection in non-production environments.
 */
 
 // Import core modules and middleware
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -16,6 +19,13 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
 require('dotenv').config();
+const { initSocket } = require('./socket');
+const { startDueDateReminders } = require('./reminders');
+const { startTrashPurge } = require('./trash');
+const { getTransport } = require('./mail');
+
+// Fail fast on a mail transport that is not allowed here (e.g. console in production)
+getTransport();
 
 const app = express();
 
@@ -26,14 +36,15 @@ const allowedOrigins = [
   /^http:\/\/localhost:\d+$/,
   'https://www.aurelianoceballos.com'
 ];
+const corsOrigin = (origin, callback) => {
+  if (!origin || allowedOrigins.some(o => (typeof o === 'string' ? o === origin : o.test(origin)))) {
+    callback(null, true);
+  } else {
+    callback(new Error('Not allowed by CORS'));
+  }
+};
 app.use(cors({
-  origin: (origin, callback) => {
-    if (!origin || allowedOrigins.some(o => (typeof o === 'string' ? o === origin : o.test(origin)))) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
-    }
-  },
+  origin: corsOrigin,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
   allowedHeaders: ['Content-Type', 'Authorization']
@@ -58,6 +69,8 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tasktrack
     if (process.env.NODE_ENV !== 'production') {
       console.log('MongoDB connected successfully');
     }
+    startDueDateReminders();
+    startTrashPurge();
   })
   .catch(err => {
     if (process.env.NODE_ENV !== 'production') {
@@ -70,6 +83,10 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/tasks', require('./routes/tasks'));
 app.use('/api/teams', require('./routes/teams'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/templates', require('./routes/templates'));
+app.use('/api/views', require('./routes/views'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -89,8 +106,10 @@ app.use((req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
-// Start the server
+// Start the server (HTTP and socket.io share one port)
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+const server = http.createServer(app);
+initSocket(server, corsOrigin);
+server.listen(PORT, () => {
   // No log here for production cleanliness
 });
\ No newline at end of file
@@ -0,0 +1,104 @@
+/*
+  socket.js
+  Real-time layer for the TaskTracker+ backend.
+  - Authenticates socket.io connections with the same JWT check as the REST API.
+  - Joins each user to a personal room and one room per team they belong to.
+  - Lets controllers broadcast task events to a team or a single user.
+  - Routes a task's events to its team room, or to its owner for personal tasks.
+*/
+const { Server } = require('socket.io');
+const { authenticateToken } = require('./middleware/auth');
+const Team = require('./models/Team');
+
+let io = null;
+
+const teamRoom = (teamId) => `team:${teamId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+// Read the JWT from the handshake auth payload, falling back to the auth cookie
+function getHandshakeToken(socket) {
+  if (socket.handshake.auth && socket.handshake.auth.token) {
+    return socket.handshake.auth.token;
+  }
+  const match = /(?:^|;\s*)token=([^;]+)/.exec(socket.handshake.headers.cookie || '');
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Attach socket.io to the HTTP server; corsOrigin is the same origin check Express uses
+function initSocket(httpServer, corsOrigin) {
+  io = new Server(httpServer, {
+    cors: { origin: corsOrigin, credentials: true }
+  });
+
+  io.use(async (socket, next) => {
+    const token = getHandshakeToken(socket);
+    if (!token) {
+      return next(new Error('No token provided, authorization denied'));
+    }
+    try {
+      const user = await authenticateToken(token);
+      if (!user) {
+        return next(new Error('Token is valid but user not found'));
+      }
+      socket.user = user;
+      next();
+    } catch {
+      next(new Error('Token is not valid'));
+    }
+  });
+
+  io.on('connection', async (socket) => {
+    const { userId } = socket.user;
+    socket.join(userRoom(userId));
+    try {
+      const teams = await Team.find({ 'members.userId': userId }, '_id');
+      teams.forEach(team => socket.join(teamRoom(team._id)));
+    } catch (error) {
+      console.error('Socket room join error:', error.message);
+    }
+  });
+
+  return io;
+}
+
+// Broadcast an event to everyone in a team
+function emitToTeam(teamId, event, payload) {
+  if (!io || !teamId) return;
+  io.to(teamRoom(teamId)).emit(event, payload);
+}
+
+// Broadcast an event to all of one user's open sessions
+function emitToUser(userId, event, payload) {
+  if (!io || !userId) return;
+  io.to(userRoom(userId)).emit(event, payload);
+}
+
+// Broadcast a task event to its team room, or to the owner's sessions for personal tasks
+function broadcastTaskEvent(event, task, payload = task) {
+  const teamId = task.team?._id || task.team;
+  if (teamId) {
+    emitToTeam(teamId, event, payload);
+  } else {
+    emitToUser(task.assignedTo?._id || task.assignedTo, event, payload);
+  }
+}
+
+// Keep a user's open sessions in sync with team membership changes
+function joinTeamRoom(userId, teamId) {
+  if (!io) return;
+  io.in(userRoom(userId)).socketsJoin(teamRoom(teamId));
+}
+
+function leaveTeamRoom(userId, teamId) {
+  if (!io) return;
+  io.in(userRoom(userId)).socketsLeave(teamRoom(teamId));
+}
+
+module.exports = {
+  initSocket,
+  emitToTeam,
+  emitToUser,
+  broadcastTaskEvent,
+  joinTeamRoom,
+  leaveTeamRoom
+};
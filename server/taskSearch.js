@@ -0,0 +1,161 @@
+/*
+  taskSearch.js
+  Task search query language for the TaskTracker+ backend.
+  - Parses queries like `tag:frontend priority:high due:<7d assignee:@me is:overdue "exact phrase"`.
+  - Keys become Mongo conditions; the remaining words and "quoted phrases" become a $text search
+    over the title/description text index, so results can be ranked by relevance.
+  - Keys: tag, priority, status, due, created, assignee, is. Lists use commas (priority:high,medium).
+  - Dates: today, tomorrow, yesterday, YYYY-MM-DD, or Nd/Nw (days/weeks from today), optionally after
+    <, <=, >, >=. For `created`, Nd/Nw count back (created:<7d is "less than 7 days ago").
+  - Days are date-only, like task due dates (midnight UTC). Unknown keys are searched as plain text.
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const STATUS_ALIASES = {
+  todo: { status: 'todo' },
+  'in-progress': { status: 'in-progress' },
+  completed: { status: 'completed' },
+  done: { status: 'completed' },
+  open: { status: { $ne: 'completed' } }
+};
+const IS_VALUES = ['overdue', 'open', 'done', 'completed', 'unassigned', 'subtask'];
+const SEARCH_KEYS = ['tag', 'priority', 'status', 'due', 'created', 'assignee', 'is'];
+
+// key:value, key:"quoted value", "quoted phrase" (closing quote optional), or a plain word
+const TOKEN_PATTERN = /([a-z]+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|(\S+)/gi;
+const DATE_PATTERN = /^(<=|>=|<|>)?(.+)$/;
+const RELATIVE_PATTERN = /^(\d{1,4})([dw])$/;
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse a search query into { conditions, text } for GET /api/tasks, or { error } for a bad value.
+// `findUserIds(handle)` resolves an assignee name or email to user ids; `now` anchors relative dates.
+async function parseTaskSearch(query, { userId, findUserIds, now = new Date() }) {
+  const conditions = [];
+  const words = [];
+  const phrases = [];
+
+  for (const [token, rawKey, quotedValue, plainValue, phrase, word] of String(query).matchAll(TOKEN_PATTERN)) {
+    if (phrase !== undefined) {
+      if (phrase.trim()) phrases.push(phrase.trim());
+      continue;
+    }
+    const key = rawKey && rawKey.toLowerCase();
+    if (word !== undefined || !SEARCH_KEYS.includes(key)) {
+      const text = (word !== undefined ? word : token).replace(/"/g, '');
+      if (text) words.push(text);
+      continue;
+    }
+    const value = (quotedValue !== undefined ? quotedValue : plainValue).trim();
+    if (!value) return { error: `Add a value after "${key}:"` };
+
+    const result = await parseKey(key, value, { userId, findUserIds, now });
+    if (result.error) return result;
+    conditions.push(result.condition);
+  }
+
+  const text = [...words, ...phrases.map(item => `"${item.replace(/"/g, '')}"`)].join(' ');
+  return { conditions, text };
+}
+
+// Utility: the condition for one key:value pair, or { error }
+async function parseKey(key, value, { userId, findUserIds, now }) {
+  const values = value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+  if (key === 'tag') {
+    const tags = value.split(',').map(item => item.trim()).filter(Boolean);
+    return { condition: { tags: { $in: tags.map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i')) } } };
+  }
+  if (key === 'priority') {
+    const unknown = values.find(item => !PRIORITIES.includes(item));
+    if (unknown) return { error: `Unknown priority "${unknown}". Use low, medium, or high` };
+    return { condition: { priority: { $in: values } } };
+  }
+  if (key === 'status') {
+    const unknown = values.find(item => !STATUS_ALIASES[item]);
+    if (unknown) return { error: `Unknown status "${unknown}". Use todo, in-progress, completed, or open` };
+    const options = values.map(item => STATUS_ALIASES[item]);
+    return { condition: options.length === 1 ? options[0] : { $or: options } };
+  }
+  if (key === 'is') {
+    if (!IS_VALUES.includes(values[0]) || values.length > 1) {
+      return { error: `Unknown "is:${value}". Use ${IS_VALUES.join(', ')}` };
+    }
+    return { condition: getIsCondition(values[0], now) };
+  }
+  if (key === 'assignee') {
+    const handle = value.replace(/^@/, '');
+    if (handle.toLowerCase() === 'me') return { condition: { assignedTo: userId } };
+    if (['none', 'unassigned'].includes(handle.toLowerCase())) return { condition: { assignedTo: null } };
+    const ids = await findUserIds(handle);
+    return { condition: { assignedTo: { $in: ids } } };
+  }
+
+  // due and created
+  if (key === 'due') {
+    if (values[0] === 'none') return { condition: { dueDate: null } };
+    if (values[0] === 'overdue') return { condition: getIsCondition('overdue', now) };
+  }
+  const range = parseDateRange(value.toLowerCase(), now, key === 'created');
+  if (!range) {
+    return { error: `Unknown date "${value}". Use today, tomorrow, YYYY-MM-DD, or 7d, with <, <=, >, or >=` };
+  }
+  return { condition: { [key === 'due' ? 'dueDate' : 'createdAt']: range } };
+}
+
+// Utility: conditions for is:<value>
+function getIsCondition(value, now) {
+  switch (value) {
+    case 'overdue': return { status: { $ne: 'completed' }, dueDate: { $lt: now } };
+    case 'open': return { status: { $ne: 'completed' } };
+    case 'unassigned': return { assignedTo: null };
+    case 'subtask': return { parentTask: { $ne: null } };
+    default: return { status: 'completed' }; // done, completed
+  }
+}
+
+// Utility: a Mongo date range for a date value such as '<7d', '>=2026-01-31', or 'today'.
+// `pastRelative` counts Nd/Nw back from today and flips the comparison, so '<7d' means "less than 7 days ago".
+// Returns null when the value is not a date.
+function parseDateRange(value, now, pastRelative) {
+  const [, operator = '', rest] = value.match(DATE_PATTERN) || [];
+  if (!rest) return null;
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  let dayStart;
+  let op = operator;
+  const relative = rest.match(RELATIVE_PATTERN);
+  if (relative) {
+    const days = Number(relative[1]) * (relative[2] === 'w' ? 7 : 1);
+    dayStart = pastRelative ? today - days * DAY_MS : today + days * DAY_MS;
+    if (pastRelative) op = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '': '' }[op];
+  } else if (['today', 'tomorrow', 'yesterday'].includes(rest)) {
+    dayStart = today + { yesterday: -1, today: 0, tomorrow: 1 }[rest] * DAY_MS;
+  } else if (DAY_KEY_PATTERN.test(rest) && !isNaN(Date.parse(rest))) {
+    dayStart = Date.parse(rest);
+  } else {
+    return null;
+  }
+
+  const start = new Date(dayStart);
+  const end = new Date(dayStart + DAY_MS);
+  switch (op) {
+    case '<': return { $lt: start };
+    case '<=': return { $lt: end };
+    case '>': return { $gte: end };
+    case '>=': return { $gte: start };
+    default: return { $gte: start, $lt: end };
+  }
+}
+
+// Utility: escape a string for use in a regular expression
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  SEARCH_KEYS,
+  parseTaskSearch,
+  escapeRegex
+};
@@ -0,0 +1,60 @@
+/*
+  trash.js
+  Task trash for the TaskTracker+ backend.
+  - Deleting a task moves it to the trash; it can be restored until the retention period ends.
+  - Periodically purges tasks that have been in the trash longer than TRASH_RETENTION_DAYS (default 30).
+  - Purging removes the task for good, with its comments and time entries, and detaches tasks that point at it.
+*/
+const Task = require('./models/Task');
+const Comment = require('./models/Comment');
+const TimeEntry = require('./models/TimeEntry');
+const ActivityLog = require('./models/ActivityLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) > 0
+  ? Number(process.env.TRASH_RETENTION_DAYS)
+  : 30;
+
+// When a task deleted at `deletedAt` will be purged
+function getPurgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+// Permanently delete a trashed task. `actorId` is null for the automatic purge.
+async function purgeTask(task, actorId = null) {
+  const id = task._id;
+  await Task.deleteOne({ _id: id });
+  // Detach child tasks and dependents so they don't point at a missing task
+  await Task.updateMany({ parentTask: id }, { parentTask: null }, { includeDeleted: true });
+  await Task.updateMany({ blockedBy: id }, { $pull: { blockedBy: id } }, { includeDeleted: true });
+  await Comment.deleteMany({ task: id });
+  await TimeEntry.deleteMany({ task: id });
+  await ActivityLog.record(task, actorId, 'purged');
+}
+
+// Purge every task whose retention period has ended as of `now`
+async function purgeExpiredTasks(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+  const expired = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } }, 'title team');
+  for (const task of expired) {
+    await purgeTask(task);
+  }
+}
+
+// Run the purge now and then on a fixed interval
+function startTrashPurge() {
+  const run = () => purgeExpiredTasks().catch(error => {
+    console.error('Trash purge error:', error.message);
+  });
+  run();
+  setInterval(run, PURGE_INTERVAL_MS);
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  purgeTask,
+  purgeExpiredTasks,
+  startTrashPurge
+};